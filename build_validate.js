@@ -13,6 +13,8 @@ const requiredFiles = {
     'options.js',
     'options.html',
     'theme-detector.js',
+    'pac-sandbox.html',
+    'pac-sandbox.js',
     'node_modules/webextension-polyfill/dist/browser-polyfill.min.js'
   ],
   firefox: [
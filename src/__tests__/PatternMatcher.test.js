@@ -1,5 +1,13 @@
 // PatternMatcher.test.js
-import PatternMatcher, { defaultPatternMatcher } from '../modules/PatternMatcher';
+import PatternMatcher, {
+  defaultPatternMatcher,
+  createRequestContext,
+  getPacVisibleUrl,
+  matchesPatternList,
+  getPatternRegexSource,
+  getRoutingPatterns,
+  getExcludePatterns
+} from '../modules/PatternMatcher';
 
 describe('PatternMatcher', () => {
   let patternMatcher;
@@ -263,6 +271,201 @@ describe('PatternMatcher', () => {
   });
 });
 
+describe('Match targets', () => {
+  let patternMatcher;
+
+  beforeEach(() => {
+    patternMatcher = new PatternMatcher();
+  });
+
+  describe('createRequestContext', () => {
+    it('should split a URL into the matchable parts', () => {
+      expect(createRequestContext('https://Example.com:8443/api/v1?q=1#top')).toEqual({
+        hostname: 'example.com',
+        url: 'https://example.com:8443/api/v1?q=1',
+        path: '/api/v1',
+        scheme: 'https',
+        port: '8443'
+      });
+    });
+
+    it('should fill in the default port of the scheme', () => {
+      expect(createRequestContext('http://example.com/').port).toBe('80');
+      expect(createRequestContext('https://example.com/').port).toBe('443');
+    });
+
+    it('should only provide the hostname for bare hostnames', () => {
+      expect(createRequestContext('Example.com')).toEqual({ hostname: 'example.com' });
+    });
+
+    it('should return null for unparseable URLs', () => {
+      expect(createRequestContext('http://')).toBeNull();
+      expect(createRequestContext('')).toBeNull();
+    });
+  });
+
+  describe('getPacVisibleUrl', () => {
+    it('should strip the path and query of https URLs', () => {
+      expect(getPacVisibleUrl('https://example.com:8443/secret?token=1')).toBe('https://example.com:8443/');
+    });
+
+    it('should leave http URLs and hostnames untouched', () => {
+      expect(getPacVisibleUrl('http://example.com/path?q=1')).toBe('http://example.com/path?q=1');
+      expect(getPacVisibleUrl('example.com')).toBe('example.com');
+    });
+  });
+
+  describe('matchesAnyPattern', () => {
+    it('should match plain string patterns against the hostname', () => {
+      expect(patternMatcher.matchesAnyPattern('http://api.example.com/v1', ['api\\.example\\.com'])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://example.com/api.example.com', ['^api\\.'])).toBe(false);
+    });
+
+    it('should match each pattern against its target', () => {
+      const url = 'http://example.com:8080/api/users?page=2';
+
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: '^/api/', target: 'path' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: 'page=2$', target: 'url' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: 'http', target: 'scheme' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: '8080', target: 'port' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: '^/admin/', target: 'path' }])).toBe(false);
+      expect(patternMatcher.matchesAnyPattern(url, [{ value: '443', target: 'port' }])).toBe(false);
+    });
+
+    it('should not match non-hostname targets when only the hostname is known', () => {
+      expect(patternMatcher.matchesAnyPattern('example.com', [{ value: 'example', target: 'url' }])).toBe(false);
+      expect(patternMatcher.matchesAnyPattern('example.com', [{ value: 'example\\.com', target: 'hostname' }])).toBe(true);
+    });
+
+    it('should resolve proxies by targeted patterns', () => {
+      const proxies = [
+        { id: 'api', enabled: true, priority: 0, routingConfig: { patterns: [{ value: '^/api/', target: 'path' }] } },
+        { id: 'site', enabled: true, priority: 1, routingConfig: { patterns: ['example\\.com'] } }
+      ];
+
+      expect(patternMatcher.resolveProxyForHost('http://example.com/api/users', proxies).id).toBe('api');
+      expect(patternMatcher.resolveProxyForHost('http://example.com/home', proxies).id).toBe('site');
+      expect(patternMatcher.resolveProxyForHost('example.com', proxies).id).toBe('site');
+    });
+  });
+
+  describe('glob and domain suffix patterns', () => {
+    it('should anchor domain suffixes to the domain and its subdomains', () => {
+      const patterns = [{ value: 'corp.com', type: 'domain-suffix' }];
+
+      expect(patternMatcher.matchesAnyPattern('http://corp.com/', patterns)).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://mail.EU.corp.com/', patterns)).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://evilcorp.com/', patterns)).toBe(false);
+      expect(patternMatcher.matchesAnyPattern('http://corp.com.attacker.net/', patterns)).toBe(false);
+    });
+
+    it('should match globs against the whole target', () => {
+      expect(patternMatcher.matchesAnyPattern('a.corp.com', [{ value: '*.corp.com', type: 'glob' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('corp.com', [{ value: '*.corp.com', type: 'glob' }])).toBe(false);
+      expect(patternMatcher.matchesAnyPattern('a.corp.com.evil.net', [{ value: '*.corp.com', type: 'glob' }])).toBe(false);
+      expect(patternMatcher.matchesAnyPattern('http://x.com/api/v1/users', [{ value: '/api/v?/*', type: 'glob', target: 'path' }])).toBe(true);
+    });
+
+    it('should compile to anchored regex sources and keep regexes unchanged', () => {
+      expect(getPatternRegexSource({ value: '*.corp.com', type: 'glob' })).toBe('^.*\\.corp\\.com$');
+      expect(getPatternRegexSource({ value: '.corp.com', type: 'domain-suffix' })).toBe('^(?:.*\\.)?corp\\.com$');
+      expect(getPatternRegexSource({ value: 'corp\\.com', type: 'regex' })).toBe('corp\\.com');
+    });
+
+    it('should keep unanchored matching for regex patterns', () => {
+      expect(patternMatcher.matchesAnyPattern('evilcorp.com.attacker.net', ['corp.com'])).toBe(true);
+    });
+
+    it('should match domain suffixes without compiling regexes', () => {
+      const patterns = Array.from({ length: 2000 }, (_, i) => ({ value: `site${i}.com`, type: 'domain-suffix' }));
+      const testSpy = jest.spyOn(patternMatcher.regexPatternCache, 'test');
+
+      expect(patternMatcher.matchesAnyPattern('http://www.site1999.com/', patterns)).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://www.other.com/', patterns)).toBe(false);
+      expect(testSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rule list subscriptions', () => {
+    const routingConfig = {
+      patterns: ['^own\\.example$'],
+      excludePatterns: [],
+      subscription: {
+        url: 'https://lists.example/gfwlist.txt',
+        patterns: [{ value: 'blocked.com', type: 'domain-suffix' }],
+        excludePatterns: [{ value: 'cdn.blocked.com', type: 'domain-suffix' }]
+      }
+    };
+
+    it('should add subscribed rules after the hand-written ones', () => {
+      expect(getRoutingPatterns(routingConfig)).toEqual(['^own\\.example$', { value: 'blocked.com', type: 'domain-suffix' }]);
+      expect(getExcludePatterns(routingConfig)).toEqual([{ value: 'cdn.blocked.com', type: 'domain-suffix' }]);
+      expect(getRoutingPatterns({ patterns: ['a'] })).toEqual(['a']);
+      expect(getExcludePatterns(undefined)).toEqual([]);
+    });
+
+    it('should route by subscribed rules and exceptions', () => {
+      const proxies = [{ id: 'sub', enabled: true, priority: 0, routingConfig }];
+
+      expect(patternMatcher.resolveProxyForHost('http://www.blocked.com/', proxies).id).toBe('sub');
+      expect(patternMatcher.resolveProxyForHost('http://own.example/', proxies).id).toBe('sub');
+      expect(patternMatcher.resolveProxyForHost('http://cdn.blocked.com/', proxies)).toBeNull();
+    });
+  });
+
+  describe('CIDR patterns', () => {
+    const ranges = [
+      { value: '10.0.0.0/8', type: 'cidr' },
+      { value: '2001:db8::/32', type: 'cidr' }
+    ];
+
+    it('should match IP literals in the ranges', () => {
+      expect(patternMatcher.matchesAnyPattern('http://10.20.30.40/', ranges)).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://[2001:db8::8]:8080/', ranges)).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('11.0.0.1', ranges)).toBe(false);
+    });
+
+    it('should not match hostnames, even when asked to resolve DNS', () => {
+      expect(patternMatcher.matchesAnyPattern('http://intranet.corp/', [{ ...ranges[0], resolveDns: true }])).toBe(false);
+    });
+
+    it('should ignore match targets and invalid ranges', () => {
+      expect(patternMatcher.matchesAnyPattern('http://10.0.0.1/', [{ value: '10.0.0.0/8', type: 'cidr', target: 'path' }])).toBe(true);
+      expect(patternMatcher.matchesAnyPattern('http://10.0.0.1/', [{ value: '10.0.0.0/40', type: 'cidr' }])).toBe(false);
+    });
+  });
+
+  describe('exclusions', () => {
+    it('should never match missing or empty pattern lists', () => {
+      jest.spyOn(patternMatcher, 'matchesAnyPattern');
+
+      expect(matchesPatternList(patternMatcher, 'example.com', undefined)).toBe(false);
+      expect(matchesPatternList(patternMatcher, 'example.com', [])).toBe(false);
+      expect(patternMatcher.matchesAnyPattern).not.toHaveBeenCalled();
+      expect(matchesPatternList(patternMatcher, 'example.com', ['example\\.com'])).toBe(true);
+    });
+
+    it('should skip proxies whose exclusions match', () => {
+      const proxies = [
+        {
+          id: 'corp',
+          enabled: true,
+          priority: 0,
+          routingConfig: {
+            patterns: ['\\.corp\\.com$'],
+            excludePatterns: ['^intranet\\.', { value: '^/public/', target: 'path' }]
+          }
+        },
+        { id: 'catchall', enabled: true, priority: 1, routingConfig: { patterns: ['.*'] } }
+      ];
+
+      expect(patternMatcher.resolveProxyForHost('http://mail.corp.com/', proxies).id).toBe('corp');
+      expect(patternMatcher.resolveProxyForHost('http://intranet.corp.com/', proxies).id).toBe('catchall');
+      expect(patternMatcher.resolveProxyForHost('http://mail.corp.com/public/a', proxies).id).toBe('catchall');
+    });
+  });
+});
+
 describe('RegexPatternCache', () => {
   // We're testing the internal class through PatternMatcher
   let patternMatcher;
@@ -1,7 +1,10 @@
 // ProxyManager.test.js
 import * as browser from 'webextension-polyfill';
 import ProxyManager from '../modules/ProxyManager';
+import PatternMatcher from '../modules/PatternMatcher';
 import browserCapabilities from '../utils/feature-detection';
+import { getOverrideOrigin } from '../utils/tab-overrides';
+import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers';
 
 // Create browser capability mocks for both Chrome and Firefox
 const createBrowserCapabilities = (isFirefox = false) => ({
@@ -311,6 +314,17 @@ describe('ProxyManager', () => {
       expect(result).not.toBeNull();
       expect(result.id).toBe('container_proxy2'); // Priority 1 vs 2, lower is higher priority
     });
+    
+    it('should skip container proxies whose exclusions match the request', () => {
+      proxyManager.enabledProxies[0].routingConfig.excludePatterns = ['^intranet\\.'];
+      proxyManager.patternMatcher.matchesAnyPattern.mockReturnValue(true);
+      
+      const result = proxyManager.findContainerProxy('container1', 'intranet.example.com');
+      
+      expect(result).toBeNull();
+      expect(proxyManager.patternMatcher.matchesAnyPattern)
+        .toHaveBeenCalledWith('intranet.example.com', ['^intranet\\.']);
+    });
   });
 
   describe('findProxyForHostname', () => {
@@ -466,7 +480,7 @@ describe('ProxyManager', () => {
       
       proxyManager.resolveProxyForRequest('example.com', 'container1');
       
-      expect(proxyManager.findContainerProxy).toHaveBeenCalledWith('container1');
+      expect(proxyManager.findContainerProxy).toHaveBeenCalledWith('container1', 'example.com');
       expect(proxyManager.findProxyForHostname).toHaveBeenCalledWith('example.com');
     });
     
@@ -534,6 +548,17 @@ describe('ProxyManager', () => {
       expect(result.selectedProxy).not.toBeNull();
       expect(result.matchType).toBe('pattern');
     });
+    
+    it('should connect directly when the request is on the bypass list', () => {
+      proxyManager.config.bypassPatterns = ['^localhost$'];
+      proxyManager.patternMatcher.matchesAnyPattern.mockReturnValue(true);
+      
+      expect(proxyManager.resolveProxyForRequest('localhost', 'container1')).toBeNull();
+      expect(proxyManager.resolveProxyForRequest('localhost', null, { returnAllMatches: true }))
+        .toEqual({ selectedProxy: null, allProxies: [] });
+      expect(proxyManager.findContainerProxy).not.toHaveBeenCalled();
+      expect(proxyManager.findProxyForHostname).not.toHaveBeenCalled();
+    });
   });
 
   describe('handleProxyRequest', () => {
@@ -558,7 +583,7 @@ describe('ProxyManager', () => {
       // Error handling may vary in implementation
     });
     
-    it('should resolve proxy for the hostname and cookieStoreId', () => {
+    it('should resolve proxy for the request URL and cookieStoreId', () => {
       proxyManager.resolveProxyForRequest.mockReturnValue(null);
       
       proxyManager.handleProxyRequest({ 
@@ -567,7 +592,7 @@ describe('ProxyManager', () => {
       });
       
       expect(proxyManager.resolveProxyForRequest).toHaveBeenCalledWith(
-        'example.com',
+        'https://example.com/page',
         'container1'
       );
     });
@@ -616,6 +641,306 @@ describe('ProxyManager', () => {
       expect(result).toEqual({ type: 'direct' });
       // ProxyManager no longer tracks activity
     });
+    
+    it('should pin health check probes to the probed proxy', () => {
+      const result = proxyManager.handleProxyRequest({ 
+        url: 'http://www.gstatic.com/generate_204?proxydeck_probe=default_proxy&proxydeck_probe_t=1' 
+      });
+      
+      expect(proxyManager.resolveProxyForRequest).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        type: 'socks',
+        host: 'proxy.example.com',
+        port: 1080,
+        proxyDNS: true
+      });
+    });
+    
+    it('should route probes for unknown proxies like regular requests', () => {
+      proxyManager.resolveProxyForRequest.mockReturnValue(null);
+      
+      const result = proxyManager.handleProxyRequest({ 
+        url: 'http://www.gstatic.com/generate_204?proxydeck_probe=missing' 
+      });
+      
+      expect(proxyManager.resolveProxyForRequest).toHaveBeenCalledWith('http://www.gstatic.com/generate_204?proxydeck_probe=missing', undefined);
+      expect(result).toEqual({ type: 'direct' });
+    });
+    
+    describe('PAC URL proxies', () => {
+      const pacProxy = { id: 'corp_pac', name: 'Corp PAC', proxyType: 'pac', pacUrl: 'https://wpad.corp.com/proxy.pac' };
+      const ownProxy = { id: 'own', proxyType: 'http', host: 'own.example.com', port: 3128 };
+      
+      beforeEach(() => {
+        proxyManager.remotePacScripts = {
+          corp_pac: `function FindProxyForURL(url, host) {
+            if (dnsDomainIs(host, ".corp.com")) return "PROXY a.corp.com:8080; SOCKS5 b.corp.com:1080; DIRECT";
+            return "DIRECT";
+          }`
+        };
+      });
+      
+      it('should evaluate the downloaded script for requests it matches', () => {
+        proxyManager.resolveProxyForRequest
+          .mockReturnValueOnce(pacProxy)
+          .mockReturnValueOnce({ selectedProxy: pacProxy, allProxies: [pacProxy, ownProxy] });
+        
+        const result = proxyManager.handleProxyRequest({ url: 'https://git.corp.com/repo' });
+        
+        expect(result).toEqual([
+          { type: 'http', host: 'a.corp.com', port: 8080, proxyDNS: false },
+          { type: 'socks', host: 'b.corp.com', port: 1080, proxyDNS: true },
+          { type: 'direct' }
+        ]);
+      });
+      
+      it('should pass DIRECT answers on to lower priority proxies', () => {
+        proxyManager.resolveProxyForRequest
+          .mockReturnValueOnce(pacProxy)
+          .mockReturnValueOnce({ selectedProxy: pacProxy, allProxies: [pacProxy, ownProxy] });
+        
+        const result = proxyManager.handleProxyRequest({ url: 'https://example.com/', cookieStoreId: 'c1' });
+        
+        expect(proxyManager.resolveProxyForRequest).toHaveBeenLastCalledWith('https://example.com/', 'c1', { returnAllMatches: true });
+        expect(result).toEqual({ type: 'http', host: 'own.example.com', port: 3128, proxyDNS: false });
+      });
+      
+      it('should connect directly while no usable script is available', () => {
+        proxyManager.remotePacScripts = { corp_pac: 'function FindProxyForURL( {' };
+        proxyManager.resolveProxyForRequest
+          .mockReturnValueOnce(pacProxy)
+          .mockReturnValueOnce({ selectedProxy: pacProxy, allProxies: [pacProxy] });
+        
+        expect(proxyManager.handleProxyRequest({ url: 'https://git.corp.com/' })).toEqual({ type: 'direct' });
+      });
+    });
+  });
+
+  describe('tab overrides', () => {
+    const jumpProxy = {
+      id: 'jump',
+      name: 'Jump host',
+      enabled: true,
+      proxyType: 'http',
+      host: 'jump.example.com',
+      port: 3128,
+      priority: 1,
+      routingConfig: { useContainerMode: false, patterns: [], containers: [] }
+    };
+    
+    beforeEach(async () => {
+      await proxyManager.loadConfig();
+      proxyManager.enabledProxies = [...proxyManager.config.proxies, jumpProxy];
+      proxyManager.setTabOverrides(new Map([
+        [7, { proxyId: 'jump', scope: 'tab', origin: 'https://example.com:443', windowId: 1, createdAt: 1 }],
+        [8, { proxyId: null, scope: 'window', origin: null, windowId: 2, createdAt: 2 }]
+      ]));
+    });
+    
+    it('should route the requests of overridden tabs on Firefox', () => {
+      proxyManager.hasProxyRequestListener = true;
+      
+      expect(proxyManager.handleProxyRequest({ url: 'https://cdn.example.net/app.js', tabId: 7 }))
+        .toEqual({ type: 'http', host: 'jump.example.com', port: 3128, proxyDNS: false });
+      expect(proxyManager.handleProxyRequest({ url: 'https://example.com/', tabId: 8 })).toEqual({ type: 'direct' });
+      // Navigating to another origin leaves the override
+      expect(proxyManager.handleProxyRequest({ url: 'https://other.org/', tabId: 7, type: 'main_frame' }))
+        .toEqual({ type: 'direct' });
+      expect(proxyManager.resolveTabOverride(9, 'https://example.com/')).toBeNull();
+    });
+    
+    it('should route overridden origins in the PAC script on Chrome', () => {
+      const findProxy = new Function(proxyManager.generatePacScript() + '; return FindProxyForURL;')();
+      
+      expect(findProxy('https://example.com/', 'example.com')).toBe('PROXY jump.example.com:3128');
+      expect(findProxy('http://example.com/', 'example.com')).toBe('SOCKS5 proxy.example.com:1080');
+      expect(proxyManager.resolveTabOverride(9, 'https://example.com/page').proxy).toBe(jumpProxy);
+    });
+    
+    it('should route overridden IPv6 origins in the PAC script on Chrome', () => {
+      proxyManager.setTabOverrides(new Map([
+        [7, { proxyId: 'jump', scope: 'tab', origin: getOverrideOrigin('http://[::1]/admin'), windowId: 1, createdAt: 1 }]
+      ]));
+      const findProxy = new Function(proxyManager.generatePacScript() + '; return FindProxyForURL;')();
+      
+      expect(findProxy('http://[::1]/status', '::1')).toBe('PROXY jump.example.com:3128');
+      expect(findProxy('http://[::1]:8080/status', '::1')).not.toBe('PROXY jump.example.com:3128');
+      expect(proxyManager.resolveTabOverride(9, 'http://[::1]/status').proxy).toBe(jumpProxy);
+    });
+    
+    it('should ignore overrides through proxies that are no longer enabled', () => {
+      proxyManager.enabledProxies = proxyManager.config.proxies;
+      
+      expect(proxyManager.resolveTabOverride(7, 'https://example.com/')).toBeNull();
+      expect(proxyManager.generatePacScript()).toContain('var originOverrides = {};');
+    });
+    
+    it('should report the override of a tab', async () => {
+      const result = await proxyManager.getProxyForTab(7, 'https://example.com/');
+      
+      expect(result).toEqual(expect.objectContaining({
+        proxyInfo: jumpProxy,
+        matchType: 'override',
+        override: expect.objectContaining({ proxyId: 'jump' })
+      }));
+    });
+  });
+
+  describe('routing log', () => {
+    const officeProxy = {
+      id: 'office',
+      name: 'Office',
+      enabled: true,
+      host: 'office.example.com',
+      port: 3128,
+      priority: 1,
+      routingConfig: {
+        useContainerMode: false,
+        patterns: [{ value: 'example.com', type: 'domain-suffix' }],
+        containers: []
+      }
+    };
+    let routingLog;
+
+    beforeEach(async () => {
+      await proxyManager.loadConfig();
+      proxyManager.patternMatcher = new PatternMatcher();
+      proxyManager.config = { ...chromeProxyConfig, proxies: [...chromeProxyConfig.proxies, officeProxy], bypassPatterns: ['^intranet\\.example\\.com$'] };
+      proxyManager.enabledProxies = proxyManager.config.proxies;
+      proxyManager.hasProxyRequestListener = true;
+      routingLog = { recordDecision: jest.fn() };
+      proxyManager.routingLog = routingLog;
+    });
+
+    it('should log the candidates, the winner and the matched pattern of each request', () => {
+      const requestInfo = { url: 'https://www.example.com/', requestId: '1', tabId: 3 };
+
+      expect(proxyManager.handleProxyRequest(requestInfo)).toEqual(expect.objectContaining({ host: 'proxy.example.com' }));
+      expect(routingLog.recordDecision).toHaveBeenCalledWith(requestInfo, {
+        candidates: [{ id: 'default_proxy', name: 'Default Proxy' }, { id: 'office', name: 'Office' }],
+        proxyId: 'default_proxy',
+        proxyName: 'Default Proxy',
+        pattern: 'example\\.com',
+        matchType: 'pattern'
+      });
+    });
+
+    it('should name the bypass pattern of requests that went direct', () => {
+      expect(proxyManager.describeRouting({ url: 'https://intranet.example.com/' })).toEqual({
+        candidates: [],
+        proxyId: null,
+        proxyName: null,
+        pattern: '^intranet\\.example\\.com$',
+        matchType: 'bypass'
+      });
+      expect(proxyManager.describeRouting({ url: 'https://other.net/' })).toEqual(expect.objectContaining({
+        proxyId: null,
+        pattern: null,
+        matchType: 'none'
+      }));
+    });
+  });
+
+  describe('explainRouting', () => {
+    beforeEach(async () => {
+      await proxyManager.loadConfig();
+      proxyManager.patternMatcher = new PatternMatcher();
+      proxyManager.config = {
+        ...chromeProxyConfig,
+        proxies: [
+          ...chromeProxyConfig.proxies,
+          {
+            id: 'office',
+            name: 'Office',
+            enabled: true,
+            proxyType: 'http',
+            host: 'office.example.com',
+            port: 3128,
+            priority: 1,
+            routingConfig: {
+              useContainerMode: false,
+              patterns: [{ value: 'example.com', type: 'domain-suffix' }],
+              excludePatterns: ['^www\\.example\\.com$'],
+              containers: []
+            }
+          }
+        ]
+      };
+      proxyManager.enabledProxies = proxyManager.config.proxies;
+    });
+
+    it('should list the matching proxies, the winner and both routing results', () => {
+      const explanation = proxyManager.explainRouting('www.example.com');
+
+      expect(explanation.url).toBe('https://www.example.com/');
+      expect(explanation.selectedProxyId).toBe('default_proxy');
+      expect(explanation.proxies).toEqual([
+        expect.objectContaining({ id: 'default_proxy', pattern: 'example\\.com', excludedBy: null, matches: true }),
+        expect.objectContaining({ id: 'office', excludedBy: '^www\\.example\\.com$', matches: false })
+      ]);
+      expect(explanation.decision).toEqual({
+        proxyId: 'default_proxy',
+        proxyName: 'Default Proxy',
+        matchType: 'pattern',
+        result: 'SOCKS5 proxy.example.com:1080'
+      });
+      expect(explanation.pac).toEqual({
+        url: 'https://www.example.com/',
+        result: 'SOCKS5 proxy.example.com:1080',
+        error: null
+      });
+      expect(explanation.agrees).toBe(true);
+    });
+
+    it('should flag a PAC script that disagrees with the request-level rules', () => {
+      proxyManager.pacScript = 'function FindProxyForURL(url, host) { return "DIRECT"; }';
+
+      const explanation = proxyManager.explainRouting('http://test.org/');
+
+      expect(explanation.decision.result).toBe('SOCKS5 proxy.example.com:1080');
+      expect(explanation.pac.result).toBe('DIRECT');
+      expect(explanation.agrees).toBe(false);
+    });
+
+    it('should compile the generated PAC script with tab overrides and PAC URL proxies', () => {
+      const pacProxy = {
+        id: 'corp_pac',
+        name: 'Corp PAC',
+        enabled: true,
+        proxyType: 'pac',
+        pacUrl: 'https://wpad.corp.com/proxy.pac',
+        priority: 2,
+        routingConfig: { useContainerMode: false, patterns: [{ value: 'corp.com', type: 'domain-suffix' }], containers: [] }
+      };
+      proxyManager.config.proxies.push(pacProxy);
+      proxyManager.enabledProxies = proxyManager.config.proxies;
+      proxyManager.remotePacScripts = {
+        corp_pac: 'function FindProxyForURL(url, host) { return dnsDomainIs(host, ".corp.com") ? "PROXY gw.corp.com:8080" : "DIRECT"; }'
+      };
+      proxyManager.setTabOverrides(new Map([
+        [7, { proxyId: 'office', scope: 'tab', origin: 'https://override.test:443', windowId: 1, createdAt: 1 }]
+      ]));
+      proxyManager.generatePacScript();
+
+      const unrelated = proxyManager.explainRouting('https://unrelated.org/');
+      expect(unrelated.pac).toEqual({ url: 'https://unrelated.org/', result: 'DIRECT', error: null });
+      expect(unrelated.agrees).toBe(true);
+
+      const overridden = proxyManager.explainRouting('https://override.test/');
+      expect(overridden.pac.result).toBe('PROXY office.example.com:3128');
+      expect(overridden.agrees).toBe(true);
+
+      const remote = proxyManager.explainRouting('https://git.corp.com/');
+      expect(remote.pac.error).toBeNull();
+      expect(remote.pac.result).toBe('PROXY gw.corp.com:8080');
+
+      const probe = proxyManager.explainRouting('http://www.gstatic.com/generate_204?proxydeck_probe=office');
+      expect(probe.pac.result).toBe('PROXY office.example.com:3128');
+    });
+
+    it('should reject input that is not a URL', () => {
+      expect(() => proxyManager.explainRouting('')).toThrow('Enter a URL or a hostname');
+    });
   });
 
   describe('applyProxySettings', () => {
@@ -789,6 +1114,63 @@ describe('ProxyManager', () => {
       expect(proxyManager.applyProxySettings).toHaveBeenCalled();
     });
     
+    it('should keep rule list updates when a stale copy of the proxy is saved', async () => {
+      const proxyId = 'default_proxy';
+      const url = 'https://lists.example/gfwlist.txt';
+      const stale = { url, patterns: [], checkedAt: 1000 };
+      const fresh = { url, patterns: [{ value: 'blocked.com', type: 'domain-suffix' }], checkedAt: 2000 };
+      
+      await proxyManager.updateProxy(proxyId, { routingConfig: { subscription: fresh } });
+      
+      const editedProxy = {
+        ...proxyManager.config.proxies[0],
+        name: 'Edited',
+        routingConfig: { ...proxyManager.config.proxies[0].routingConfig, patterns: ['own\\.example'], subscription: stale }
+      };
+      await proxyManager.updateConfig({ ...proxyManager.config, proxies: [editedProxy] });
+      
+      const saved = proxyManager.config.proxies[0];
+      expect(saved.name).toBe('Edited');
+      expect(saved.routingConfig.patterns).toEqual(['own\\.example']);
+      expect(saved.routingConfig.subscription).toEqual(fresh);
+    });
+    
+    it('should apply a profile in a single configuration update', async () => {
+      const makeProxy = (id, enabled, priority) => ({
+        id, name: id, enabled, host: `${id}.example.com`, port: 1080, priority,
+        routingConfig: { useContainerMode: false, patterns: [`${id}\\.example`], containers: [] }
+      });
+      proxyManager.config = {
+        version: 2,
+        proxyEnabled: true,
+        proxies: [makeProxy('office', true, 0), makeProxy('home', false, 1)],
+        profiles: [{
+          id: 'profile_home',
+          name: 'Home',
+          proxies: {
+            office: { enabled: false, priority: 1 },
+            home: { enabled: true, priority: 0, patterns: ['home\\.lan'], excludePatterns: [] }
+          }
+        }]
+      };
+      jest.spyOn(proxyManager, 'updateConfig');
+      
+      const config = await proxyManager.applyProfile('profile_home');
+      
+      expect(proxyManager.updateConfig).toHaveBeenCalledTimes(1);
+      expect(proxyManager.saveConfig).toHaveBeenCalledTimes(1);
+      expect(proxyManager.applyProxySettings).toHaveBeenCalledTimes(1);
+      expect(config.activeProfileId).toBe('profile_home');
+      expect(proxyManager.enabledProxies.map(p => p.id)).toEqual(['home']);
+      expect(config.proxies.find(p => p.id === 'home')).toEqual(expect.objectContaining({
+        priority: 0,
+        routingConfig: expect.objectContaining({ patterns: ['home\\.lan'] })
+      }));
+      expect(config.proxies.find(p => p.id === 'office').routingConfig.patterns).toEqual(['office\\.example']);
+      
+      await expect(proxyManager.applyProfile('missing')).rejects.toThrow('Profile with ID missing not found');
+    });
+    
   });
 
   describe('generatePacScript', () => {
@@ -817,7 +1199,7 @@ describe('ProxyManager', () => {
       expect(pacScript).toContain('function FindProxyForURL');
       expect(pacScript).toContain('var proxyConfigurations = ');
       expect(pacScript).toContain('function testPatternMatch');
-      expect(pacScript).toContain('function findProxyForHostname');
+      expect(pacScript).toContain('function findProxyForRequest');
       expect(pacScript).toContain('var lruCache = ');
       expect(pacScript).toContain('var regexCache = ');
       expect(typeof pacScript).toBe('string');
@@ -914,6 +1296,240 @@ describe('ProxyManager', () => {
       }).not.toThrow();
     });
     
+    it('should route health check probes through the probed proxy', () => {
+      proxyManager.enabledProxies = [
+        {
+          id: 'patterned_proxy',
+          enabled: true,
+          host: 'proxy.example.com',
+          port: 8080,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: ['example\\.com']
+          }
+        },
+        {
+          id: 'unpatterned_proxy',
+          enabled: true,
+          proxyType: 'http',
+          host: 'backup.example.com',
+          port: 3128,
+          priority: 1,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: []
+          }
+        }
+      ];
+      
+      const pacScript = proxyManager.generatePacScript();
+      const FindProxyForURL = new Function(pacScript + '; return FindProxyForURL;')();
+      
+      expect(FindProxyForURL('http://example.com/?proxydeck_probe=unpatterned_proxy', 'example.com'))
+        .toBe('PROXY backup.example.com:3128');
+      expect(FindProxyForURL('http://other.com/a?x=1&proxydeck_probe=patterned_proxy', 'other.com'))
+        .toBe('SOCKS5 proxy.example.com:8080');
+      expect(FindProxyForURL('http://other.com/?proxydeck_probe=unknown', 'other.com')).toBe('DIRECT');
+      expect(FindProxyForURL('http://other.com/?not_proxydeck_probe=patterned_proxy', 'other.com')).toBe('DIRECT');
+    });
+    
+    it('should evaluate pattern match targets in the PAC script', () => {
+      proxyManager.enabledProxies = [
+        {
+          id: 'api_proxy',
+          enabled: true,
+          proxyType: 'http',
+          host: 'api-proxy.example.com',
+          port: 3128,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: [{ value: '^/api/', target: 'path' }, { value: '^8080$', target: 'port' }]
+          }
+        },
+        {
+          id: 'site_proxy',
+          enabled: true,
+          proxyType: 'socks5',
+          host: 'proxy.example.com',
+          port: 1080,
+          priority: 1,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: ['example\\.com', { value: 'example\\.org', target: 'hostname' }]
+          }
+        }
+      ];
+      
+      const pacScript = proxyManager.generatePacScript();
+      const configMatch = pacScript.match(/var proxyConfigurations = (.+?);/);
+      const configData = JSON.parse(configMatch[1]);
+      
+      // Hostname patterns keep the plain string format
+      expect(configData[1].patterns).toEqual(['example\\.com', 'example\\.org']);
+      expect(configData[0].patterns[0]).toEqual({ value: '^/api/', target: 'path' });
+      
+      const FindProxyForURL = new Function(pacScript + '; return FindProxyForURL;')();
+      
+      expect(FindProxyForURL('http://example.com/api/users', 'example.com')).toBe('PROXY api-proxy.example.com:3128');
+      // Same host, different path: the cache must not reuse the previous result
+      expect(FindProxyForURL('http://example.com/home', 'example.com')).toBe('SOCKS5 proxy.example.com:1080');
+      expect(FindProxyForURL('http://other.com:8080/', 'other.com')).toBe('PROXY api-proxy.example.com:3128');
+      expect(FindProxyForURL('http://other.com/', 'other.com')).toBe('DIRECT');
+      expect(FindProxyForURL('https://example.org/', 'example.org')).toBe('SOCKS5 proxy.example.com:1080');
+    });
+    
+    it('should compile glob and domain suffix patterns to anchored regexes in the PAC script', () => {
+      proxyManager.enabledProxies = [
+        {
+          id: 'corp_proxy',
+          enabled: true,
+          proxyType: 'http',
+          host: 'corp-proxy.example.com',
+          port: 3128,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: [
+              { value: 'corp.com', type: 'domain-suffix' },
+              { value: '/api/*', type: 'glob', target: 'path' }
+            ]
+          }
+        }
+      ];
+      
+      const pacScript = proxyManager.generatePacScript();
+      const configData = JSON.parse(pacScript.match(/var proxyConfigurations = (.+?);/)[1]);
+      
+      expect(configData[0].patterns).toEqual([
+        '^(?:.*\\.)?corp\\.com$',
+        { value: '^/api/.*$', target: 'path' }
+      ]);
+      
+      const FindProxyForURL = new Function(pacScript + '; return FindProxyForURL;')();
+      
+      expect(FindProxyForURL('http://mail.corp.com/', 'mail.corp.com')).toBe('PROXY corp-proxy.example.com:3128');
+      expect(FindProxyForURL('http://evilcorp.com/', 'evilcorp.com')).toBe('DIRECT');
+      expect(FindProxyForURL('http://corp.com.attacker.net/', 'corp.com.attacker.net')).toBe('DIRECT');
+      expect(FindProxyForURL('http://other.com/api/v1', 'other.com')).toBe('PROXY corp-proxy.example.com:3128');
+      expect(FindProxyForURL('http://other.com/v1/api/', 'other.com')).toBe('DIRECT');
+    });
+    
+    it('should evaluate CIDR rules in the PAC script', () => {
+      proxyManager.enabledProxies = [
+        {
+          id: 'internal_proxy',
+          enabled: true,
+          proxyType: 'http',
+          host: 'internal-proxy.example.com',
+          port: 3128,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: [
+              { value: '10.0.0.0/8', type: 'cidr' },
+              { value: '172.16.0.0/12', type: 'cidr', resolveDns: true },
+              { value: '2001:db8::/32', type: 'cidr' }
+            ]
+          }
+        }
+      ];
+      
+      const pacScript = proxyManager.generatePacScript();
+      const configData = JSON.parse(pacScript.match(/var proxyConfigurations = (.+?);/)[1]);
+      
+      expect(configData[0].patterns[0]).toEqual({
+        type: 'cidr', value: '10.0.0.0/8', version: 4, network: '10.0.0.0', mask: '255.0.0.0'
+      });
+      expect(pacScript).toContain('dnsResolve');
+      
+      // Minimal stand-ins for the PAC runtime functions
+      const ipToNumber = (ip) => ip.split('.').reduce((n, byte) => n * 256 + Number(byte), 0);
+      const isInNet = jest.fn((ip, network, mask) => {
+        const maskNumber = ipToNumber(mask);
+        return (ipToNumber(ip) & maskNumber) === (ipToNumber(network) & maskNumber);
+      });
+      const isInNetEx = jest.fn((ip, prefix) => prefix === '2001:db8::/32' && ip.startsWith('2001:db8:'));
+      const dnsResolve = jest.fn(host => (host === 'intranet.corp' ? '172.20.0.5' : '93.184.216.34'));
+      const FindProxyForURL = new Function('isInNet', 'isInNetEx', 'dnsResolve', pacScript + '; return FindProxyForURL;')(
+        isInNet, isInNetEx, dnsResolve
+      );
+      
+      expect(FindProxyForURL('http://10.1.2.3/', '10.1.2.3')).toBe('PROXY internal-proxy.example.com:3128');
+      expect(FindProxyForURL('http://11.1.2.3/', '11.1.2.3')).toBe('DIRECT');
+      expect(FindProxyForURL('http://[2001:db8::1]/', '2001:db8::1')).toBe('PROXY internal-proxy.example.com:3128');
+      expect(FindProxyForURL('http://intranet.corp/', 'intranet.corp')).toBe('PROXY internal-proxy.example.com:3128');
+      expect(FindProxyForURL('http://example.com/', 'example.com')).toBe('DIRECT');
+      expect(dnsResolve).toHaveBeenCalledTimes(2);
+      // isInNet only ever sees IP literals, so it never triggers its own lookup
+      isInNet.mock.calls.forEach(([ip]) => expect(ip).toMatch(/^\d+\.\d+\.\d+\.\d+$/));
+    });
+    
+    it('should not resolve DNS when no CIDR rule asks for it', () => {
+      proxyManager.enabledProxies = [
+        {
+          id: 'internal_proxy',
+          enabled: true,
+          host: 'internal-proxy.example.com',
+          port: 3128,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: [{ value: '10.0.0.0/8', type: 'cidr' }]
+          }
+        }
+      ];
+      
+      expect(proxyManager.generatePacScript()).not.toContain('dnsResolve');
+    });
+    
+    it('should honor exclusions and the bypass list in the PAC script', () => {
+      proxyManager.config.bypassPatterns = ['^localhost$', { value: '^ws$', target: 'scheme' }];
+      proxyManager.enabledProxies = [
+        {
+          id: 'corp_proxy',
+          enabled: true,
+          proxyType: 'http',
+          host: 'corp-proxy.example.com',
+          port: 3128,
+          priority: 0,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: ['\\.corp\\.com$'],
+            excludePatterns: ['^intranet\\.', { value: '^/public/', target: 'path' }]
+          }
+        },
+        {
+          id: 'catchall_proxy',
+          enabled: true,
+          proxyType: 'socks5',
+          host: 'proxy.example.com',
+          port: 1080,
+          priority: 1,
+          routingConfig: {
+            useContainerMode: false,
+            patterns: ['.*']
+          }
+        }
+      ];
+      
+      const pacScript = proxyManager.generatePacScript();
+      const configData = JSON.parse(pacScript.match(/var proxyConfigurations = (.+?);/)[1]);
+      
+      // Proxies without exclusions keep the plain shape
+      expect(configData[1]).toEqual({ patterns: ['.*'], proxyString: 'SOCKS5 proxy.example.com:1080', priority: 1 });
+      expect(configData[0].excludePatterns).toEqual(['^intranet\\.', { value: '^/public/', target: 'path' }]);
+      
+      const FindProxyForURL = new Function(pacScript + '; return FindProxyForURL;')();
+      
+      expect(FindProxyForURL('http://mail.corp.com/', 'mail.corp.com')).toBe('PROXY corp-proxy.example.com:3128');
+      expect(FindProxyForURL('http://intranet.corp.com/', 'intranet.corp.com')).toBe('SOCKS5 proxy.example.com:1080');
+      expect(FindProxyForURL('http://mail.corp.com/public/a', 'mail.corp.com')).toBe('SOCKS5 proxy.example.com:1080');
+      expect(FindProxyForURL('http://localhost/', 'localhost')).toBe('DIRECT');
+      expect(FindProxyForURL('ws://mail.corp.com/', 'mail.corp.com')).toBe('DIRECT');
+    });
+    
     it('should return DIRECT script when no enabled proxies', () => {
       proxyManager.enabledProxies = [];
       
@@ -1117,7 +1733,7 @@ describe('ProxyManager', () => {
       
       expect(browser.tabs.get).toHaveBeenCalledWith(1);
       expect(proxyManager.resolveProxyForRequest).toHaveBeenCalledWith(
-        'example.com',
+        'https://example.com',
         'container1',
         expect.any(Object)
       );
@@ -1443,4 +2059,145 @@ describe('ProxyManager', () => {
     });
   });
 
+  describe('failover chains', () => {
+    const primary = {
+      id: 'primary',
+      name: 'Primary',
+      enabled: true,
+      host: 'a.example.com',
+      port: 1,
+      proxyType: 'socks5',
+      priority: 0,
+      routingConfig: { useContainerMode: false, patterns: ['example\\.com'], containers: [] },
+      failover: { fallbackProxyIds: ['backup', 'missing', 'primary'], fallbackToDirect: true }
+    };
+    const backup = {
+      id: 'backup',
+      name: 'Backup',
+      enabled: true,
+      host: 'b.example.com',
+      port: 2,
+      proxyType: 'http',
+      priority: 1,
+      routingConfig: { useContainerMode: false, patterns: [], containers: [] }
+    };
+
+    beforeEach(async () => {
+      await proxyManager.loadConfig();
+      proxyManager.enabledProxies = [primary, backup];
+    });
+
+    it('should order the matched proxy before its enabled fallbacks', () => {
+      const chain = proxyManager.getFailoverChain(primary);
+
+      expect(chain.proxies.map(p => p.id)).toEqual(['primary', 'backup']);
+      expect(chain.fallbackToDirect).toBe(true);
+    });
+
+    it('should emit a multi-entry PAC return', () => {
+      const pacScript = proxyManager.generatePacScript();
+      const FindProxyForURL = new Function(pacScript + '; return FindProxyForURL;')();
+
+      expect(FindProxyForURL('https://example.com/', 'example.com'))
+        .toBe('SOCKS5 a.example.com:1; PROXY b.example.com:2; DIRECT');
+    });
+
+    it('should return a proxyInfo array for Firefox', () => {
+      jest.spyOn(proxyManager, 'resolveProxyForRequest').mockReturnValue(primary);
+
+      const result = proxyManager.handleProxyRequest({ url: 'https://example.com' });
+
+      expect(result).toEqual([
+        { type: 'socks', host: 'a.example.com', port: 1, proxyDNS: true },
+        { type: 'http', host: 'b.example.com', port: 2, proxyDNS: false },
+        { type: 'direct' }
+      ]);
+    });
+
+    describe('handleProxyError', () => {
+      const failure = {
+        url: 'https://example.com/',
+        error: 'net::ERR_PROXY_CONNECTION_FAILED',
+        tabId: -1
+      };
+
+      beforeEach(() => {
+        jest.spyOn(proxyManager, 'resolveProxyForRequest').mockReturnValue(primary);
+        jest.spyOn(proxyManager, 'applyPacScriptProxySettings').mockResolvedValue(undefined);
+      });
+
+      it('should ignore errors unrelated to proxies', () => {
+        proxyManager.handleProxyError({ ...failure, error: 'net::ERR_ABORTED' });
+
+        expect(proxyManager.proxyFailures.size).toBe(0);
+      });
+
+      it('should demote the chain after repeated failures', () => {
+        proxyManager.handleProxyError(failure);
+        proxyManager.handleProxyError(failure);
+        expect(proxyManager.isProxyDemoted('primary')).toBe(false);
+
+        proxyManager.handleProxyError(failure);
+
+        expect(proxyManager.isProxyDemoted('primary')).toBe(true);
+        expect(proxyManager.isProxyDemoted('backup')).toBe(true);
+        expect(browser.alarms.create).toHaveBeenCalledWith('proxyDemotionExpired', { when: expect.any(Number) });
+        expect(proxyManager.applyPacScriptProxySettings).toHaveBeenCalledTimes(1);
+        expect(proxyManager.onError).toHaveBeenCalledTimes(1);
+      });
+
+      it('should keep warning about failures of proxies without a failover chain', () => {
+        proxyManager.resolveProxyForRequest.mockReturnValue(backup);
+        
+        proxyManager.handleProxyError(failure);
+        
+        expect(handleError).toHaveBeenCalledWith(
+          'Proxy connection failed',
+          ErrorTypes.NETWORK,
+          ErrorSeverity.ERROR,
+          null,
+          expect.objectContaining({ notify: true, data: failure })
+        );
+        expect(proxyManager.onError).toHaveBeenCalledTimes(1);
+        
+        // The demotion notice comes on top of the warning
+        proxyManager.handleProxyError(failure);
+        proxyManager.handleProxyError(failure);
+        expect(proxyManager.isProxyDemoted('backup')).toBe(true);
+        expect(handleError).toHaveBeenLastCalledWith(
+          expect.stringContaining('"Backup"'),
+          ErrorTypes.NETWORK,
+          ErrorSeverity.ERROR,
+          null,
+          expect.objectContaining({ notify: true })
+        );
+        expect(proxyManager.onError).toHaveBeenCalledTimes(4);
+      });
+      
+      it('should move a demoted proxy behind its fallbacks', () => {
+        const firefoxFailure = { ...failure, error: 'NS_ERROR_PROXY_CONNECTION_REFUSED', proxyInfo: { host: 'a.example.com', port: 1 } };
+        for (let i = 0; i < 3; i++) {
+          proxyManager.handleProxyError(firefoxFailure);
+        }
+
+        expect(proxyManager.getPacProxyChain(primary))
+          .toBe('PROXY b.example.com:2; SOCKS5 a.example.com:1; DIRECT');
+      });
+
+      it('should restore demoted proxies once the demotion expires', () => {
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        for (let i = 0; i < 3; i++) {
+          proxyManager.handleProxyError(failure);
+        }
+
+        nowSpy.mockReturnValue(1000 + 5 * 60000);
+        proxyManager.handleDemotionExpired();
+
+        expect(proxyManager.isProxyDemoted('primary')).toBe(false);
+        expect(proxyManager.getFailoverChain(primary).proxies[0].id).toBe('primary');
+        nowSpy.mockRestore();
+      });
+    });
+  });
+
 });
\ No newline at end of file
@@ -8,6 +8,8 @@ jest.mock('recharts', () => ({
   ResponsiveContainer: ({ children }) => <div>{children}</div>,
   AreaChart: ({ children }) => <div>{children}</div>,
   Area: () => null,
+  LineChart: ({ children }) => <div>{children}</div>,
+  Line: () => null,
   XAxis: () => null,
   YAxis: () => null,
   CartesianGrid: () => null,
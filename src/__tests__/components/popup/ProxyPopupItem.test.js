@@ -86,6 +86,13 @@ describe('ProxyPopupItem', () => {
     expect(screen.getByText('Test Proxy 1')).toBeInTheDocument();
   });
 
+  test('shows an auth failure badge when credentials were rejected', () => {
+    const authFailure = { proxyId: mockProxy.id, message: 'Proxy "Test Proxy 1" rejected the username or password' };
+    render(<ProxyPopupItem proxy={mockProxy} isActive={false} authFailure={authFailure} onToggle={mockOnToggle} />);
+
+    expect(screen.getByText('Auth failed')).toHaveAttribute('title', authFailure.message);
+  });
+
   test('renders without breaking when isActive is undefined', () => {
     render(<ProxyPopupItem proxy={mockProxy} onToggle={mockOnToggle} />); // isActive is undefined
     // Just ensure it renders without errors
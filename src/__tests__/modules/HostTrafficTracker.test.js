@@ -0,0 +1,106 @@
+import { HostTrafficTracker } from '../../modules/HostTrafficTracker.js';
+import TrafficMonitor from '../../modules/TrafficMonitor.js';
+import PatternMatcher from '../../modules/PatternMatcher.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn(() => Promise.resolve())
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  webRequest: { hasProxyInfoInDetails: false, hasRequestBodyAccess: false },
+  proxy: { hasProxyRequestListener: false },
+  containers: { hasContainerSupport: false }
+}));
+
+const TUNNEL_KEY = 'socks:tunnel.test:1080';
+
+describe('HostTrafficTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new HostTrafficTracker(3);
+  });
+
+  it('should add traffic per registrable domain within each bucket', () => {
+    tracker.record(TUNNEL_KEY, 'https://www.youtube.com/watch', { download: 1000, requests: 1 });
+    tracker.record(TUNNEL_KEY, 'https://r3.googlevideo.youtube.com/videoplayback', { download: 5000, requests: 1 });
+    tracker.record(TUNNEL_KEY, 'https://www.youtube.com/api', { upload: 300 });
+    tracker.record('others', 'https://news.bbc.co.uk/', { download: 200, requests: 1 });
+    tracker.record('others', 'not a url', { download: 1, requests: 1 });
+
+    expect(tracker.getTopHosts()).toEqual([
+      { bucket: TUNNEL_KEY, domain: 'youtube.com', download: 6000, upload: 300, requests: 2 },
+      { bucket: 'others', domain: 'bbc.co.uk', download: 200, upload: 0, requests: 1 }
+    ]);
+    expect(tracker.getTopHosts({ bucket: 'others' }).map(host => host.domain)).toEqual(['bbc.co.uk']);
+  });
+
+  it('should sort by the requested field and limit the result', () => {
+    tracker.record('direct', 'http://a.test/', { download: 100, requests: 5 });
+    tracker.record('direct', 'http://b.test/', { download: 900, requests: 1 });
+    tracker.record('direct', 'http://c.test/', { download: 500, requests: 3 });
+
+    expect(tracker.getTopHosts({ sortBy: 'requests', limit: 2 }).map(host => host.domain)).toEqual(['a.test', 'c.test']);
+    expect(tracker.getTopHosts({ sortBy: 'unknown' }).map(host => host.domain)).toEqual(['b.test', 'c.test', 'a.test']);
+  });
+
+  it('should drop the least recently seen domain when full', () => {
+    tracker.record('direct', 'http://a.test/', { download: 100 });
+    tracker.record('direct', 'http://b.test/', { download: 100 });
+    tracker.record('direct', 'http://c.test/', { download: 100 });
+    tracker.record('direct', 'http://a.test/', { download: 100 });
+    tracker.record('direct', 'http://d.test/', { download: 100 });
+
+    expect(tracker.getTopHosts().map(host => host.domain).sort()).toEqual(['a.test', 'c.test', 'd.test']);
+  });
+
+  it('should remove buckets and restore checkpointed entries of known buckets', () => {
+    tracker.record(TUNNEL_KEY, 'http://a.test/', { download: 100, requests: 1 });
+    tracker.record('direct', 'http://b.test/', { download: 100, requests: 1 });
+    tracker.removeBuckets([TUNNEL_KEY]);
+    expect(tracker.getTopHosts().map(host => host.domain)).toEqual(['b.test']);
+
+    tracker.restore([
+      { bucket: 'direct', domain: 'b.test', download: 50, upload: 0, requests: 1 },
+      { bucket: 'http:removed.test:3128', domain: 'c.test', download: 50, upload: 0, requests: 1 }
+    ], bucket => bucket === 'direct');
+
+    expect(tracker.serialize()).toEqual([
+      { bucket: 'direct', domain: 'b.test', download: 150, upload: 0, requests: 2 }
+    ]);
+  });
+
+  it('should be fed by the traffic monitor, including requests without a size', () => {
+    const proxies = [
+      { id: 'tunnel', name: 'Tunnel', enabled: true, proxyType: 'socks5', host: 'tunnel.test', port: 1080, priority: 0, routingConfig: { patterns: ['example\\.com'] } }
+    ];
+    const trafficMonitor = new TrafficMonitor({ patternMatcher: new PatternMatcher() });
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+
+    trafficMonitor.processDownloadRequest({
+      url: 'https://cdn.example.com/video.mp4',
+      responseHeaders: [{ name: 'Content-Length', value: '4096' }]
+    });
+    trafficMonitor.processDownloadRequest({ url: 'https://www.example.com/stream' });
+    trafficMonitor.processDownloadRequest({ url: 'https://other.test/' });
+    trafficMonitor.stopMonitoring();
+
+    expect(trafficMonitor.getTopHosts({ sortBy: 'requests' })).toEqual([
+      { bucket: TUNNEL_KEY, domain: 'example.com', download: 4096, upload: 0, requests: 2 },
+      { bucket: 'others', domain: 'other.test', download: 0, upload: 0, requests: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+import * as browser from 'webextension-polyfill';
+import ProxyActivationManager from '../../modules/ProxyActivationManager.js';
+import eventManager from '../../modules/EventManager.js';
+import { ALARMS, MESSAGE_ACTIONS } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn(),
+    getURL: jest.fn(path => `chrome-extension://id/${path}`)
+  },
+  notifications: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+}));
+
+// 2026-10-19 is a Monday
+const monday = new Date(2026, 9, 19, 10, 0);
+const sunday = new Date(2026, 9, 18, 10, 0);
+
+describe('ProxyActivationManager', () => {
+  let manager;
+  let proxyManager;
+  let onConfigurationChange;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue();
+    browser.runtime.sendMessage.mockResolvedValue();
+    browser.notifications.create.mockResolvedValue('id');
+
+    proxyManager = {
+      config: {
+        proxies: [
+          {
+            id: 'office',
+            name: 'Office',
+            enabled: false,
+            activation: { probe: { target: 'intranet.corp', whenReachable: true } }
+          },
+          {
+            id: 'work-hours',
+            name: 'Work hours',
+            enabled: true,
+            activation: { probe: { target: 'intranet.corp' }, schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' } }
+          },
+          { id: 'plain', name: 'Plain', enabled: true }
+        ]
+      },
+      updateProxy: jest.fn(async (proxyId, updates) => {
+        const proxy = proxyManager.config.proxies.find(p => p.id === proxyId);
+        Object.assign(proxy, updates);
+        return proxy;
+      })
+    };
+    onConfigurationChange = jest.fn();
+    manager = new ProxyActivationManager({ proxyManager, onConfigurationChange });
+    global.fetch = jest.fn().mockResolvedValue({ status: 200 });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const proxy = (id) => proxyManager.config.proxies.find(p => p.id === id);
+
+  it('should register the alarm only while proxies have activation conditions', () => {
+    manager.start();
+
+    expect(eventManager.addEventListener).toHaveBeenCalledWith(
+      'alarm', 'proxy_activation_alarms', browser.alarms, 'onAlarm', expect.any(Function)
+    );
+    expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.PROXY_ACTIVATION_CHECK, { periodInMinutes: 1 });
+
+    browser.alarms.create.mockClear();
+    proxyManager.config.proxies = [proxy('plain')];
+    manager.schedule();
+
+    expect(browser.alarms.clear).toHaveBeenCalledWith(ALARMS.PROXY_ACTIVATION_CHECK);
+    expect(browser.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('should switch proxies whose conditions changed, probing each host once', async () => {
+    const changes = await manager.evaluateAll(sunday);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://intranet.corp/?proxydeck_probe=direct',
+      expect.objectContaining({ method: 'HEAD', credentials: 'omit' })
+    );
+    expect(changes).toEqual([
+      expect.objectContaining({ proxyId: 'office', enabled: true, reason: 'intranet.corp is reachable' }),
+      expect.objectContaining({ proxyId: 'work-hours', enabled: false })
+    ]);
+    expect(proxy('office').enabled).toBe(true);
+    expect(proxy('work-hours').enabled).toBe(false);
+    expect(proxyManager.updateProxy).not.toHaveBeenCalledWith('plain', expect.anything());
+    expect(onConfigurationChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log and announce automatic changes', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      activationLog: [{ timestamp: 1, proxyId: 'office', proxyName: 'Office', enabled: false, reason: 'old' }]
+    });
+
+    await manager.evaluateAll(monday);
+
+    const log = await manager.getLog();
+    expect(log.map(entry => entry.reason)).toEqual(['intranet.corp is reachable', 'old']);
+    expect(browser.storage.local.set).toHaveBeenCalledWith({ activationLog: log });
+    expect(browser.notifications.create).toHaveBeenCalledWith('proxy-activation-office', expect.objectContaining({
+      title: 'Proxy "Office" enabled',
+      message: 'Automatically, because intranet.corp is reachable'
+    }));
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+      action: MESSAGE_ACTIONS.ACTIVATION_LOG_UPDATED,
+      log
+    });
+  });
+
+  it('should treat an unanswered probe as unreachable', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    proxy('office').enabled = true;
+
+    const changes = await manager.evaluateAll(monday);
+
+    expect(changes.map(change => [change.proxyId, change.enabled])).toEqual([['office', false], ['work-hours', false]]);
+  });
+
+  it('should leave pinned proxies alone until automation is resumed', async () => {
+    const pin = manager.getPinUpdate('office');
+    expect(pin).toEqual({ probe: { target: 'intranet.corp', whenReachable: true }, pinned: true });
+    expect(manager.getPinUpdate('plain')).toBeUndefined();
+
+    proxy('office').activation = pin;
+    await manager.evaluateAll(monday);
+    expect(proxy('office').enabled).toBe(false);
+
+    const resumed = await manager.resume('office');
+
+    expect(resumed.activation.pinned).toBe(false);
+    expect(proxy('office').enabled).toBe(true);
+    expect(await manager.resume('plain')).toBeNull();
+  });
+});
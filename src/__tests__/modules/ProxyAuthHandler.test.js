@@ -0,0 +1,245 @@
+import * as browser from 'webextension-polyfill';
+import ProxyAuthHandler from '../../modules/ProxyAuthHandler.js';
+import browserCapabilities from '../../utils/feature-detection.js';
+import eventManager from '../../modules/EventManager.js';
+import { handleError, ErrorTypes } from '../../utils/error-helpers.js';
+import { MESSAGE_ACTIONS } from '../../common/constants.js';
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  browser: {
+    isFirefox: false,
+    isChrome: true
+  },
+  webRequest: {
+    hasOnAuthRequired: true
+  }
+}));
+
+jest.mock('webextension-polyfill', () => ({
+  webRequest: {
+    onAuthRequired: {
+      addListener: jest.fn(),
+      removeListener: jest.fn()
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/error-helpers.js', () => ({
+  ...jest.requireActual('../../utils/error-helpers.js'),
+  handleError: jest.fn()
+}));
+
+describe('ProxyAuthHandler', () => {
+  let handler;
+  let proxyManager;
+
+  const authProxy = {
+    id: 'proxy1',
+    name: 'Office Proxy',
+    host: 'proxy.example.com',
+    port: 3128,
+    proxyType: 'http',
+    priority: 0,
+    auth: { username: 'alice', password: 'secret' }
+  };
+
+  const challenge = (overrides = {}) => ({
+    requestId: 'req1',
+    url: 'https://example.com/page',
+    isProxy: true,
+    challenger: { host: 'proxy.example.com', port: 3128 },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browserCapabilities.browser.isFirefox = false;
+    browserCapabilities.webRequest.hasOnAuthRequired = true;
+
+    proxyManager = {
+      enabledProxies: [authProxy],
+      resolveProxyForRequest: jest.fn().mockReturnValue(authProxy)
+    };
+    handler = new ProxyAuthHandler({ proxyManager });
+  });
+
+  describe('register', () => {
+    it('should use asyncBlocking on Chrome', () => {
+      expect(handler.register()).toBe(true);
+
+      expect(browser.webRequest.onAuthRequired.addListener).toHaveBeenCalledWith(
+        expect.any(Function),
+        { urls: ['<all_urls>'] },
+        ['asyncBlocking']
+      );
+      expect(eventManager.addWebRequestListener).toHaveBeenCalledWith('onCompleted', 'proxy_auth_completed', expect.any(Function));
+      expect(eventManager.addWebRequestListener).toHaveBeenCalledWith('onErrorOccurred', 'proxy_auth_error', expect.any(Function));
+    });
+
+    it('should use blocking on Firefox', () => {
+      browserCapabilities.browser.isFirefox = true;
+      handler.register();
+
+      expect(browser.webRequest.onAuthRequired.addListener).toHaveBeenCalledWith(
+        expect.any(Function),
+        { urls: ['<all_urls>'] },
+        ['blocking']
+      );
+    });
+
+    it('should not register when onAuthRequired is unavailable', () => {
+      browserCapabilities.webRequest.hasOnAuthRequired = false;
+
+      expect(handler.register()).toBe(false);
+      expect(browser.webRequest.onAuthRequired.addListener).not.toHaveBeenCalled();
+    });
+
+    it('should remove listeners on unregister', () => {
+      handler.register();
+      handler.unregister();
+
+      expect(browser.webRequest.onAuthRequired.removeListener).toHaveBeenCalled();
+      expect(eventManager.removeWebRequestListener).toHaveBeenCalledWith('onCompleted', 'proxy_auth_completed');
+      expect(eventManager.removeWebRequestListener).toHaveBeenCalledWith('onErrorOccurred', 'proxy_auth_error');
+    });
+  });
+
+  describe('handleAuthRequired', () => {
+    it('should leave site authentication to the browser', () => {
+      expect(handler.handleAuthRequired(challenge({ isProxy: false }))).toEqual({});
+      expect(proxyManager.resolveProxyForRequest).not.toHaveBeenCalled();
+    });
+
+    it('should supply credentials of the proxy selected for the request', () => {
+      const response = handler.handleAuthRequired(challenge());
+
+      expect(proxyManager.resolveProxyForRequest).toHaveBeenCalledWith('https://example.com/page', null);
+      expect(response).toEqual({
+        authCredentials: { username: 'alice', password: 'secret' }
+      });
+    });
+
+    it('should return an empty response when the proxy has no credentials', () => {
+      const noAuthProxy = { ...authProxy, auth: { username: '', password: '' } };
+      proxyManager.resolveProxyForRequest.mockReturnValue(noAuthProxy);
+      proxyManager.enabledProxies = [noAuthProxy];
+
+      expect(handler.handleAuthRequired(challenge())).toEqual({});
+    });
+
+    it('should fall back to matching the challenger address', () => {
+      const otherProxy = { ...authProxy, id: 'proxy2', host: 'other.example.com' };
+      proxyManager.resolveProxyForRequest.mockReturnValue(otherProxy);
+      proxyManager.enabledProxies = [otherProxy, authProxy];
+
+      const response = handler.handleAuthRequired(challenge());
+
+      expect(response.authCredentials.username).toBe('alice');
+    });
+
+    it('should cancel and report after repeated rejections of the same request', () => {
+      expect(handler.handleAuthRequired(challenge())).toHaveProperty('authCredentials');
+      expect(handler.handleAuthRequired(challenge())).toHaveProperty('authCredentials');
+
+      expect(handler.handleAuthRequired(challenge())).toEqual({ cancel: true });
+      expect(handleError).toHaveBeenCalledTimes(1);
+      expect(handleError).toHaveBeenCalledWith(
+        expect.stringContaining('Office Proxy'),
+        ErrorTypes.AUTHENTICATION,
+        expect.any(String),
+        null,
+        expect.objectContaining({ notify: true })
+      );
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+        action: MESSAGE_ACTIONS.PROXY_AUTH_STATUS_UPDATED,
+        failures: {
+          proxy1: expect.objectContaining({ proxyId: 'proxy1', proxyName: 'Office Proxy' })
+        }
+      });
+    });
+
+    it('should cancel new requests once the credentials are known to be rejected', () => {
+      handler.handleAuthRequired(challenge());
+      handler.handleAuthRequired(challenge());
+      handler.handleAuthRequired(challenge());
+
+      expect(handler.handleAuthRequired(challenge({ requestId: 'req2' }))).toEqual({ cancel: true });
+      // The failure is only reported once
+      expect(handleError).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let one request retry the rejected credentials after a while', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      handler.handleAuthRequired(challenge());
+      handler.handleAuthRequired(challenge());
+      handler.handleAuthRequired(challenge());
+
+      Date.now.mockReturnValue(1000000 + handler.failureRetryMs);
+      expect(handler.handleAuthRequired(challenge({ requestId: 'req2' }))).toHaveProperty('authCredentials');
+      expect(handler.handleAuthRequired(challenge({ requestId: 'req3' }))).toEqual({ cancel: true });
+
+      // The proxy accepts them again
+      handler.handleRequestCompleted({ requestId: 'req2' });
+      expect(handler.getAuthStatus()).toEqual({});
+      expect(handler.handleAuthRequired(challenge({ requestId: 'req4' }))).toHaveProperty('authCredentials');
+      expect(handleError).toHaveBeenCalledTimes(1);
+      Date.now.mockRestore();
+    });
+
+    it('should answer through the async callback when one is provided', () => {
+      const asyncCallback = jest.fn();
+
+      const result = handler.onAuthRequiredListener(challenge(), asyncCallback);
+
+      expect(result).toBeUndefined();
+      expect(asyncCallback).toHaveBeenCalledWith({
+        authCredentials: { username: 'alice', password: 'secret' }
+      });
+    });
+  });
+
+  describe('failure state', () => {
+    beforeEach(() => {
+      handler.authFailures.set('proxy1', {
+        proxyId: 'proxy1',
+        proxyName: 'Office Proxy',
+        message: 'rejected',
+        timestamp: 1,
+        credentialsKey: handler.getCredentialsKey(authProxy)
+      });
+    });
+
+    it('should not expose credentials in the status', () => {
+      expect(handler.getAuthStatus().proxy1).not.toHaveProperty('credentialsKey');
+    });
+
+    it('should clear the failure when a request with supplied credentials completes', () => {
+      handler.requestAttempts.set('req3', { proxyId: 'proxy1', attempts: 1, timestamp: Date.now() });
+
+      handler.handleRequestCompleted({ requestId: 'req3' });
+
+      expect(handler.getAuthStatus()).toEqual({});
+    });
+
+    it('should clear the failure when the credentials change', () => {
+      handler.handleConfigurationUpdate([{ ...authProxy, auth: { username: 'alice', password: 'new' } }]);
+
+      expect(handler.getAuthStatus()).toEqual({});
+      expect(handler.handleAuthRequired(challenge())).toHaveProperty('authCredentials');
+    });
+
+    it('should keep the failure when the credentials are unchanged', () => {
+      handler.handleConfigurationUpdate([authProxy]);
+
+      expect(handler.getAuthStatus()).toHaveProperty('proxy1');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import * as browser from 'webextension-polyfill';
+import ProxyHealthChecker from '../../modules/ProxyHealthChecker.js';
+import eventManager from '../../modules/EventManager.js';
+import { MESSAGE_ACTIONS, ALARMS } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn()
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/error-helpers.js', () => ({
+  ...jest.requireActual('../../utils/error-helpers.js'),
+  handleError: jest.fn()
+}));
+
+describe('ProxyHealthChecker', () => {
+  let checker;
+  let proxyManager;
+
+  const proxy = { id: 'proxy1', name: 'Proxy 1', host: 'proxy.example.com', port: 1080, enabled: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
+    browser.runtime.sendMessage.mockResolvedValue(undefined);
+
+    proxyManager = {
+      config: { healthCheck: { checkUrl: 'http://check.example.com/ping', intervalMinutes: 5 } },
+      enabledProxies: [proxy]
+    };
+    checker = new ProxyHealthChecker({ proxyManager, historySize: 3 });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('scheduling', () => {
+    it('should register listeners and the periodic alarm on start', async () => {
+      await checker.start();
+
+      expect(eventManager.addEventListener).toHaveBeenCalledWith(
+        'alarm', 'proxy_health_alarms', browser.alarms, 'onAlarm', expect.any(Function)
+      );
+      expect(eventManager.addWebRequestListener).toHaveBeenCalledWith(
+        'onErrorOccurred', 'proxy_health_error', expect.any(Function)
+      );
+      expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.PROXY_HEALTH_CHECK, {
+        delayInMinutes: 1,
+        periodInMinutes: 5
+      });
+    });
+
+    it('should not schedule checks when disabled', async () => {
+      proxyManager.config.healthCheck.enabled = false;
+
+      await checker.start();
+
+      expect(browser.alarms.clear).toHaveBeenCalledWith(ALARMS.PROXY_HEALTH_CHECK);
+      expect(browser.alarms.create).not.toHaveBeenCalled();
+    });
+
+    it('should only reschedule when the interval changes', async () => {
+      await checker.start();
+      browser.alarms.create.mockClear();
+
+      checker.handleConfigurationUpdate([proxy]);
+      expect(browser.alarms.create).not.toHaveBeenCalled();
+
+      proxyManager.config.healthCheck.intervalMinutes = 30;
+      checker.handleConfigurationUpdate([proxy]);
+      expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.PROXY_HEALTH_CHECK, {
+        delayInMinutes: 1,
+        periodInMinutes: 30
+      });
+    });
+  });
+
+  describe('checkProxy', () => {
+    it('should probe the check URL tagged with the proxy ID and record success', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 204, type: 'basic' });
+
+      const result = await checker.checkProxy('proxy1');
+
+      const probeUrl = global.fetch.mock.calls[0][0];
+      expect(probeUrl).toContain('http://check.example.com/ping?proxydeck_probe=proxy1');
+      expect(result.success).toBe(true);
+      expect(result.latency).toEqual(expect.any(Number));
+      expect(browser.storage.local.set).toHaveBeenCalledWith({
+        proxyHealth: { proxy1: [result] }
+      });
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+        action: MESSAGE_ACTIONS.PROXY_HEALTH_UPDATED,
+        health: { proxy1: expect.objectContaining({ status: 'healthy' }) }
+      });
+    });
+
+    it('should record HTTP failures', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 502, type: 'basic' });
+
+      const result = await checker.checkProxy('proxy1');
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'HTTP 502' }));
+    });
+
+    it('should prefer the network error reported by webRequest', async () => {
+      global.fetch.mockImplementation((url) => {
+        checker.handleRequestError({ url, error: 'net::ERR_PROXY_CONNECTION_FAILED' });
+        return Promise.reject(new TypeError('Failed to fetch'));
+      });
+
+      const result = await checker.checkProxy('proxy1');
+
+      expect(result.error).toBe('net::ERR_PROXY_CONNECTION_FAILED');
+      expect(checker.probeErrors.size).toBe(0);
+    });
+
+    it('should skip proxies that are not enabled', async () => {
+      await expect(checker.checkProxy('disabled')).resolves.toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should join a probe that is already running', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, type: 'basic' });
+
+      const [first, second] = await Promise.all([checker.checkProxy('proxy1'), checker.checkProxy('proxy1')]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(first).toBe(second);
+    });
+
+    it('should keep a bounded history', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, type: 'basic' });
+
+      for (let i = 0; i < 5; i++) {
+        await checker.checkProxy('proxy1');
+      }
+
+      expect(checker.getHealthStatus().proxy1.history).toHaveLength(3);
+    });
+  });
+
+  it('should drop history of removed proxies', async () => {
+    checker.history = {
+      proxy1: [{ timestamp: 1, success: true, latency: 10, error: null }],
+      removed: [{ timestamp: 1, success: true, latency: 10, error: null }]
+    };
+
+    checker.handleConfigurationUpdate([proxy]);
+
+    expect(Object.keys(checker.getHealthStatus())).toEqual(['proxy1']);
+  });
+});
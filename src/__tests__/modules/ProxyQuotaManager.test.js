@@ -0,0 +1,206 @@
+import * as browser from 'webextension-polyfill';
+import ProxyQuotaManager from '../../modules/ProxyQuotaManager.js';
+import eventManager from '../../modules/EventManager.js';
+import { ALARMS, MESSAGE_ACTIONS, QUOTA_ACTIONS, QUOTA_PERIODS } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn(),
+    getURL: jest.fn(path => `chrome-extension://id/${path}`)
+  },
+  notifications: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+}));
+
+const MB = 1000 * 1000;
+const TUNNEL_KEY = 'socks:tunnel.test:1080';
+
+const october = new Date(2026, 9, 19, 10, 0);
+const november = new Date(2026, 10, 1, 0, 5);
+
+describe('ProxyQuotaManager', () => {
+  let manager;
+  let proxyManager;
+  let trafficMonitor;
+  let onConfigurationChange;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue();
+    browser.runtime.sendMessage.mockResolvedValue();
+    browser.notifications.create.mockResolvedValue('id');
+
+    proxyManager = {
+      config: {
+        proxies: [
+          {
+            id: 'tunnel',
+            name: 'Tunnel',
+            enabled: true,
+            proxyType: 'socks5',
+            host: 'tunnel.test',
+            port: 1080,
+            quota: { limitBytes: 100 * MB, period: QUOTA_PERIODS.MONTHLY, thresholds: [80, 95], onExhausted: QUOTA_ACTIONS.DISABLE }
+          },
+          { id: 'plain', name: 'Plain', enabled: true, proxyType: 'http', host: 'plain.test', port: 3128 }
+        ]
+      },
+      updateProxy: jest.fn(async (proxyId, updates) => {
+        const proxy = proxyManager.config.proxies.find(p => p.id === proxyId);
+        Object.assign(proxy, updates);
+        return proxy;
+      })
+    };
+    trafficMonitor = {
+      proxyResolver: { getAggregationKey: (proxy) => `${proxy.proxyType.replace('socks5', 'socks')}:${proxy.host}:${proxy.port}` },
+      totals: { perProxy: {} },
+      restoreState: jest.fn().mockResolvedValue()
+    };
+    onConfigurationChange = jest.fn();
+    manager = new ProxyQuotaManager({ proxyManager, trafficMonitor, onConfigurationChange });
+  });
+
+  const proxy = (id) => proxyManager.config.proxies.find(p => p.id === id);
+  const setTotal = (bytes) => {
+    trafficMonitor.totals.perProxy[TUNNEL_KEY] = { download: bytes * 0.75, upload: bytes * 0.25 };
+  };
+
+  it('should register the alarm only while proxies have a quota', () => {
+    manager.start();
+
+    expect(eventManager.addEventListener).toHaveBeenCalledWith(
+      'alarm', 'proxy_quota_alarms', browser.alarms, 'onAlarm', expect.any(Function)
+    );
+    expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.PROXY_QUOTA_CHECK, { periodInMinutes: 1 });
+
+    browser.alarms.create.mockClear();
+    delete proxy('tunnel').quota;
+    manager.schedule();
+
+    expect(browser.alarms.clear).toHaveBeenCalledWith(ALARMS.PROXY_QUOTA_CHECK);
+    expect(browser.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('should count traffic since the quota was added and warn once per threshold', async () => {
+    setTotal(500 * MB);
+    await manager.checkAll(october);
+
+    setTotal(590 * MB);
+    const quotas = await manager.checkAll(october);
+    expect(quotas).toEqual({
+      tunnel: expect.objectContaining({ used: 90 * MB, limitBytes: 100 * MB, percent: 90, exhausted: false })
+    });
+    expect(browser.notifications.create).toHaveBeenCalledTimes(1);
+    expect(browser.notifications.create).toHaveBeenCalledWith('proxy-quota-tunnel', expect.objectContaining({
+      title: 'Proxy "Tunnel" used 80% of its monthly quota',
+      message: '90.0 MB of 100.0 MB used.'
+    }));
+
+    await manager.checkAll(october);
+    expect(browser.notifications.create).toHaveBeenCalledTimes(1);
+    expect(browser.storage.local.set).toHaveBeenLastCalledWith({
+      proxyQuotas: { tunnel: expect.objectContaining({ used: 90 * MB, lastTotal: 590 * MB, notifiedThresholds: [80] }) }
+    });
+    expect(browser.runtime.sendMessage).toHaveBeenLastCalledWith({
+      action: MESSAGE_ACTIONS.PROXY_QUOTAS_UPDATED,
+      quotas
+    });
+  });
+
+  it('should disable a proxy that used up its quota and enable it when the next period starts', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      proxyQuotas: { tunnel: { periodStart: new Date(2026, 9, 1).getTime(), used: 50 * MB, lastTotal: 0, notifiedThresholds: [], exhausted: false, disabledByQuota: false } }
+    });
+    setTotal(60 * MB);
+
+    const quotas = await manager.checkAll(october);
+
+    expect(quotas.tunnel).toEqual(expect.objectContaining({ used: 110 * MB, exhausted: true, disabledByQuota: true }));
+    expect(proxyManager.updateProxy).toHaveBeenCalledWith('tunnel', { enabled: false });
+    expect(onConfigurationChange).toHaveBeenCalledTimes(1);
+    expect(browser.notifications.create).toHaveBeenCalledWith('proxy-quota-tunnel', expect.objectContaining({
+      title: 'Proxy "Tunnel" used up its monthly quota',
+      message: '110.0 MB of 100.0 MB used. It was disabled until the quota renews.'
+    }));
+
+    // Checked again later in the month, the proxy stays off without another notification
+    browser.notifications.create.mockClear();
+    await manager.checkAll(october);
+    expect(browser.notifications.create).not.toHaveBeenCalled();
+    expect(proxyManager.updateProxy).toHaveBeenCalledTimes(1);
+
+    const renewed = await manager.checkAll(november);
+
+    expect(renewed.tunnel).toEqual(expect.objectContaining({ used: 0, exhausted: false, disabledByQuota: false }));
+    expect(proxy('tunnel').enabled).toBe(true);
+    expect(onConfigurationChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('should credit traffic since the last check to the closing period', async () => {
+    setTotal(0);
+    await manager.checkAll(october);
+    setTotal(30 * MB);
+    await manager.checkAll(october);
+    setTotal(45 * MB);
+
+    const quotas = await manager.checkAll(november);
+
+    expect(quotas.tunnel).toEqual(expect.objectContaining({
+      used: 0,
+      periodStart: new Date(2026, 10, 1).getTime(),
+      previousPeriod: { periodStart: new Date(2026, 9, 1).getTime(), used: 45 * MB }
+    }));
+
+    setTotal(50 * MB);
+    expect((await manager.checkAll(november)).tunnel.used).toBe(5 * MB);
+  });
+
+  it('should only flag proxies set to flag, and keep proxies the user enabled again', async () => {
+    proxy('tunnel').quota.onExhausted = QUOTA_ACTIONS.FLAG;
+    setTotal(0);
+    await manager.checkAll(october);
+    setTotal(150 * MB);
+
+    const quotas = await manager.checkAll(october);
+
+    expect(quotas.tunnel).toEqual(expect.objectContaining({ exhausted: true, disabledByQuota: false }));
+    expect(proxyManager.updateProxy).not.toHaveBeenCalled();
+
+    proxy('tunnel').quota.onExhausted = QUOTA_ACTIONS.DISABLE;
+    manager.state.tunnel = { ...manager.state.tunnel, disabledByQuota: true };
+    await manager.checkAll(october);
+    expect(manager.state.tunnel.disabledByQuota).toBe(false);
+    expect(proxyManager.updateProxy).not.toHaveBeenCalled();
+  });
+
+  it('should wait for restored traffic totals and drop usage of proxies without a quota', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      proxyQuotas: { removed: { periodStart: 0, used: 1, lastTotal: 1, notifiedThresholds: [], exhausted: false, disabledByQuota: false } }
+    });
+    trafficMonitor.restoreState.mockImplementationOnce(async () => setTotal(40 * MB));
+
+    await manager.checkAll(october);
+    setTotal(50 * MB);
+    const quotas = await manager.checkAll(october);
+
+    expect(quotas.tunnel.used).toBe(10 * MB);
+    expect(Object.keys(manager.state)).toEqual(['tunnel']);
+  });
+});
@@ -0,0 +1,157 @@
+import * as browser from 'webextension-polyfill';
+import RemotePacManager from '../../modules/RemotePacManager.js';
+import eventManager from '../../modules/EventManager.js';
+import { MESSAGE_ACTIONS, ALARMS } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn()
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+}));
+
+jest.mock('../../utils/error-helpers.js', () => ({
+  ...jest.requireActual('../../utils/error-helpers.js'),
+  handleError: jest.fn()
+}));
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  __esModule: true,
+  default: { proxy: { hasProxyRequestListener: true } }
+}));
+
+const script = 'function FindProxyForURL(url, host) { return "PROXY corp:3128"; }';
+
+const mockResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] || null },
+  text: () => Promise.resolve(body)
+});
+
+describe('RemotePacManager', () => {
+  let manager;
+  let proxyManager;
+
+  const pacProxy = {
+    id: 'corp',
+    name: 'Corp PAC',
+    proxyType: 'pac',
+    pacUrl: 'https://wpad.corp.com/proxy.pac',
+    pacRefreshMinutes: 30,
+    enabled: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
+    browser.runtime.sendMessage.mockResolvedValue(undefined);
+
+    proxyManager = {
+      config: { proxies: [pacProxy, { id: 'own', proxyType: 'socks5', host: 'a', port: 1 }] },
+      setRemotePacScripts: jest.fn().mockResolvedValue(undefined)
+    };
+    manager = new RemotePacManager({ proxyManager });
+    global.fetch = jest.fn().mockResolvedValue(mockResponse(script));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should register the alarm at the shortest refresh interval and fetch missing scripts on start', async () => {
+    await manager.start();
+    await manager.inFlight.get('corp');
+
+    expect(eventManager.addEventListener).toHaveBeenCalledWith(
+      'alarm', 'remote_pac_alarms', browser.alarms, 'onAlarm', expect.any(Function)
+    );
+    expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.REMOTE_PAC_REFRESH, { periodInMinutes: 30 });
+    expect(global.fetch).toHaveBeenCalledWith(pacProxy.pacUrl, expect.objectContaining({ credentials: 'omit' }));
+    expect(proxyManager.setRemotePacScripts).toHaveBeenLastCalledWith({ corp: script });
+  });
+
+  it('should only refetch scripts older than their refresh interval', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      remotePac: { corp: { url: pacProxy.pacUrl, script, fetchedAt: 1000000, error: null, errorAt: null } }
+    });
+
+    await manager.refreshDue(1000000 + 29 * 60000);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await manager.refreshDue(1000000 + 30 * 60000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record the last fetch and broadcast the status', async () => {
+    const status = await manager.refresh('corp');
+
+    expect(status).toEqual({
+      url: pacProxy.pacUrl,
+      fetchedAt: expect.any(Number),
+      error: null,
+      errorAt: null,
+      size: script.length
+    });
+    expect(browser.storage.local.set).toHaveBeenCalledWith({
+      remotePac: { corp: expect.objectContaining({ url: pacProxy.pacUrl, script }) }
+    });
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+      action: MESSAGE_ACTIONS.REMOTE_PAC_UPDATED,
+      status: { corp: status }
+    });
+  });
+
+  it('should keep the last good script when a refresh fails', async () => {
+    await manager.refresh('corp');
+    proxyManager.setRemotePacScripts.mockClear();
+
+    global.fetch.mockResolvedValueOnce(mockResponse('', { status: 503 }));
+    const failed = await manager.refresh('corp');
+    expect(failed.error).toBe('HTTP 503');
+    expect(failed.size).toBe(script.length);
+
+    global.fetch.mockResolvedValueOnce(mockResponse('function FindProxyForURL( {'));
+    expect((await manager.refresh('corp')).error).toContain('could not be parsed');
+
+    global.fetch.mockResolvedValueOnce(mockResponse(script, { headers: { 'content-length': String(2 * 1024 * 1024) } }));
+    expect((await manager.refresh('corp')).error).toBe('The PAC script is too large');
+
+    expect(manager.entries.corp.script).toBe(script);
+    expect(proxyManager.setRemotePacScripts).not.toHaveBeenCalled();
+  });
+
+  it('should ignore proxies that are not PAC URL proxies', async () => {
+    expect(await manager.refresh('own')).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should drop scripts of removed proxies and stop using scripts of changed URLs', async () => {
+    await manager.refresh('corp');
+
+    const moved = { ...pacProxy, pacUrl: 'https://wpad.corp.com/new.pac' };
+    proxyManager.config.proxies = [moved];
+    await manager.handleConfigurationUpdate([moved]);
+    expect(proxyManager.setRemotePacScripts).toHaveBeenLastCalledWith({});
+    expect(manager.getStatus().corp.fetchedAt).toBeNull();
+
+    proxyManager.config.proxies = [];
+    await manager.handleConfigurationUpdate([]);
+    expect(manager.entries).toEqual({});
+  });
+});
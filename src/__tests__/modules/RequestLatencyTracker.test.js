@@ -0,0 +1,141 @@
+import { RequestLatencyTracker, getPercentile } from '../../modules/RequestLatencyTracker.js';
+import TrafficMonitor from '../../modules/TrafficMonitor.js';
+import PatternMatcher from '../../modules/PatternMatcher.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn(() => Promise.resolve())
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  webRequest: { hasProxyInfoInDetails: false, hasRequestBodyAccess: false, hasOnResponseStarted: true },
+  proxy: { hasProxyRequestListener: false },
+  containers: { hasContainerSupport: false }
+}));
+
+const TUNNEL_KEY = 'socks:tunnel.test:1080';
+const NOW = Date.UTC(2026, 9, 19, 10, 0);
+const MINUTE = 60000;
+
+describe('RequestLatencyTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new RequestLatencyTracker({ maxRecords: 100, retentionMs: 60 * MINUTE });
+  });
+
+  it('should take nearest-rank percentiles', () => {
+    const values = Array.from({ length: 100 }, (_, index) => index + 1);
+
+    expect(getPercentile(values, 50)).toBe(50);
+    expect(getPercentile(values, 95)).toBe(95);
+    expect(getPercentile(values, 99)).toBe(99);
+    expect(getPercentile([7], 95)).toBe(7);
+    expect(getPercentile([], 50)).toBeNull();
+  });
+
+  it('should compute percentiles of completed requests and error rates per bucket', () => {
+    for (let index = 1; index <= 9; index++) {
+      tracker.record(TUNNEL_KEY, { timestamp: NOW - index * 1000, ttfb: index * 100, duration: index * 200 });
+    }
+    tracker.record(TUNNEL_KEY, { timestamp: NOW - 500, duration: 30000, failed: true });
+    tracker.record('direct', { timestamp: NOW - 500, ttfb: null, duration: 40 });
+
+    const { span, sources } = tracker.getLatency({ span: MINUTE, now: NOW });
+
+    expect(span).toBe(MINUTE);
+    expect(sources[TUNNEL_KEY]).toEqual({
+      requests: 10,
+      errors: 1,
+      errorRate: 0.1,
+      ttfb: { p50: 500, p95: 900, p99: 900 },
+      duration: { p50: 1000, p95: 1800, p99: 1800 }
+    });
+    expect(sources.direct.ttfb).toEqual({ p50: null, p95: null, p99: null });
+    expect(sources.direct.duration.p50).toBe(40);
+  });
+
+  it('should place requests in chart slots ending at their timestamps', () => {
+    tracker.record(TUNNEL_KEY, { timestamp: NOW - 30 * 1000 + 1, ttfb: 100, duration: 300 });
+    tracker.record(TUNNEL_KEY, { timestamp: NOW, ttfb: 200, duration: 400 });
+
+    const { data } = tracker.getLatency({ span: MINUTE, now: NOW });
+
+    expect(data).toHaveLength(30);
+    expect(data[29]).toEqual({
+      timestamp: NOW,
+      [`ttfb_p50_${TUNNEL_KEY}`]: 200,
+      [`ttfb_p95_${TUNNEL_KEY}`]: 200,
+      [`duration_p50_${TUNNEL_KEY}`]: 400,
+      [`duration_p95_${TUNNEL_KEY}`]: 400
+    });
+    expect(data[15][`ttfb_p50_${TUNNEL_KEY}`]).toBe(100);
+    expect(data[0]).toEqual({ timestamp: NOW - 29 * 2000 });
+  });
+
+  it('should cap spans at the retention and drop expired or removed records', () => {
+    tracker.record(TUNNEL_KEY, { timestamp: NOW - 61 * MINUTE, duration: 100 });
+    tracker.record(TUNNEL_KEY, { timestamp: NOW - 10 * MINUTE, duration: 200 });
+    tracker.record('direct', { timestamp: NOW, duration: 300 });
+
+    const latency = tracker.getLatency({ span: 24 * 60 * MINUTE, now: NOW });
+    expect(latency.span).toBe(60 * MINUTE);
+    expect(latency.sources[TUNNEL_KEY].requests).toBe(1);
+    expect(tracker.records.get(TUNNEL_KEY)).toHaveLength(1);
+
+    tracker.removeBuckets([TUNNEL_KEY]);
+    expect(Object.keys(tracker.getLatency({ now: NOW }).sources)).toEqual(['direct']);
+  });
+
+  it('should keep only the latest records of a bucket', () => {
+    tracker = new RequestLatencyTracker({ maxRecords: 2, retentionMs: 60 * MINUTE });
+    [100, 200, 300].forEach((duration, index) => {
+      tracker.record('direct', { timestamp: NOW - 3000 + index * 1000, duration });
+    });
+
+    expect(tracker.getLatency({ now: NOW }).sources.direct.duration).toEqual({ p50: 200, p95: 300, p99: 300 });
+  });
+
+  it('should be fed by the traffic monitor from request timings', () => {
+    const proxies = [
+      { id: 'tunnel', name: 'Tunnel', enabled: true, proxyType: 'socks5', host: 'tunnel.test', port: 1080, priority: 0, routingConfig: { patterns: ['example\\.com'] } }
+    ];
+    const trafficMonitor = new TrafficMonitor({ patternMatcher: new PatternMatcher() });
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+    const start = Date.now() - 5000;
+
+    trafficMonitor.trackRequestStart({ requestId: '1', timeStamp: start });
+    trafficMonitor.trackResponseStarted({ requestId: '1', timeStamp: start + 120 });
+    trafficMonitor.processDownloadRequest({ requestId: '1', url: 'https://www.example.com/', timeStamp: start + 400 });
+
+    trafficMonitor.trackRequestStart({ requestId: '2', timeStamp: start });
+    trafficMonitor.trackRequestError({ requestId: '2', url: 'https://www.example.com/', timeStamp: start + 50, error: 'net::ERR_ABORTED' });
+
+    trafficMonitor.trackRequestStart({ requestId: '3', timeStamp: start });
+    trafficMonitor.trackRequestError({ requestId: '3', url: 'https://www.example.com/', timeStamp: start + 4000, error: 'net::ERR_TIMED_OUT' });
+    trafficMonitor.stopMonitoring();
+
+    const { sources } = trafficMonitor.getRequestLatency('1h');
+    expect(Object.keys(sources)).toEqual([TUNNEL_KEY]);
+    expect(sources[TUNNEL_KEY]).toMatchObject({
+      requests: 2,
+      errors: 1,
+      errorRate: 0.5,
+      ttfb: { p50: 120 },
+      duration: { p50: 400 }
+    });
+    expect(trafficMonitor.proxyTrafficTracker.requestTimingMap.size).toBe(0);
+  });
+});
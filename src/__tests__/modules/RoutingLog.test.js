@@ -0,0 +1,84 @@
+import RoutingLog from '../../modules/RoutingLog.js';
+import browserCapabilities from '../../utils/feature-detection.js';
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  __esModule: true,
+  default: {
+    webRequest: { hasProxyInfoInDetails: true }
+  }
+}));
+
+const decision = (proxyId = 'office') => ({
+  candidates: proxyId ? [{ id: proxyId, name: proxyId }] : [],
+  proxyId,
+  proxyName: proxyId,
+  pattern: proxyId ? 'example\\.com' : null,
+  matchType: proxyId ? 'pattern' : 'none'
+});
+
+describe('RoutingLog', () => {
+  beforeEach(() => {
+    browserCapabilities.webRequest.hasProxyInfoInDetails = true;
+  });
+
+  it('should keep the newest entries up to its size', () => {
+    const log = new RoutingLog({ maxEntries: 2 });
+
+    ['1', '2', '3'].forEach(requestId => {
+      log.recordDecision({ url: `https://example.com/${requestId}`, requestId, tabId: 4 }, decision());
+    });
+
+    const entries = log.getEntries();
+    expect(entries.map(entry => entry.requestId)).toEqual(['3', '2']);
+    expect(entries[0]).toEqual(expect.objectContaining({
+      url: 'https://example.com/3',
+      tabId: 4,
+      cookieStoreId: null,
+      proxyId: 'office',
+      outcome: null
+    }));
+    expect(log.pending.has('1')).toBe(false);
+  });
+
+  it('should add the outcome and the proxy Firefox used to the decision', () => {
+    const log = new RoutingLog();
+    log.recordDecision({ url: 'https://example.com/', requestId: '1' }, decision());
+    log.recordDecision({ url: 'https://other.net/', requestId: '2' }, decision(null));
+
+    log.recordOutcome({ requestId: '1', statusCode: 200, proxyInfo: { type: 'socks', host: 'jump', port: 1080 } });
+    log.recordOutcome({ requestId: '2', error: 'NS_ERROR_UNKNOWN_HOST' });
+
+    const [other, example] = log.getEntries();
+    expect(example.outcome).toEqual({ statusCode: 200, error: null, fromCache: false, proxy: 'socks jump:1080' });
+    expect(other.outcome).toEqual({ statusCode: null, error: 'NS_ERROR_UNKNOWN_HOST', fromCache: false, proxy: 'direct' });
+    expect(log.pending.size).toBe(0);
+  });
+
+  it('should describe requests without a recorded decision', () => {
+    browserCapabilities.webRequest.hasProxyInfoInDetails = false;
+    const describeRequest = jest.fn(() => decision());
+    const log = new RoutingLog({ describeRequest });
+    const details = { url: 'https://example.com/', requestId: '7', tabId: 2, type: 'script', statusCode: 304, fromCache: true };
+
+    log.recordOutcome(details);
+
+    expect(describeRequest).toHaveBeenCalledWith(details);
+    expect(log.getEntries()).toEqual([expect.objectContaining({
+      requestId: '7',
+      type: 'script',
+      matchType: 'pattern',
+      outcome: { statusCode: 304, error: null, fromCache: true }
+    })]);
+  });
+
+  it('should ignore outcomes it cannot place and forget everything on clear', () => {
+    const log = new RoutingLog();
+    log.recordOutcome({ url: 'https://example.com/', requestId: '1' });
+    expect(log.getEntries()).toEqual([]);
+
+    log.recordDecision({ url: 'https://example.com/', requestId: '2' }, decision());
+    log.clear();
+    expect(log.getEntries()).toEqual([]);
+    expect(log.pending.size).toBe(0);
+  });
+});
@@ -0,0 +1,138 @@
+import * as browser from 'webextension-polyfill';
+import RuleSubscriptionManager from '../../modules/RuleSubscriptionManager.js';
+import eventManager from '../../modules/EventManager.js';
+import { ALARMS } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+}));
+
+jest.mock('../../utils/error-helpers.js', () => ({
+  ...jest.requireActual('../../utils/error-helpers.js'),
+  handleError: jest.fn()
+}));
+
+const url = 'https://lists.example/rules.txt';
+
+const mockResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] || null },
+  text: () => Promise.resolve(body)
+});
+
+describe('RuleSubscriptionManager', () => {
+  let manager;
+  let proxyManager;
+  let onConfigurationChange;
+
+  const subscribedProxy = (subscription) => ({
+    id: 'sub',
+    name: 'Subscribed',
+    routingConfig: {
+      useContainerMode: false,
+      patterns: ['own\\.example'],
+      excludePatterns: [],
+      subscription: { url, refreshMinutes: 60, ...subscription }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    proxyManager = {
+      config: { proxies: [subscribedProxy(), { id: 'plain', routingConfig: { patterns: [] } }] },
+      updateProxy: jest.fn(async (proxyId, updates) => {
+        const proxy = proxyManager.config.proxies.find(p => p.id === proxyId);
+        proxy.routingConfig = { ...proxy.routingConfig, ...updates.routingConfig };
+        return proxy;
+      })
+    };
+    onConfigurationChange = jest.fn();
+    manager = new RuleSubscriptionManager({ proxyManager, onConfigurationChange });
+    global.fetch = jest.fn().mockResolvedValue(mockResponse('||a.example^\n||b.example^\n@@||c.b.example^'));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const stored = () => proxyManager.config.proxies[0].routingConfig;
+
+  it('should register the alarm and fetch subscriptions that were never fetched on start', async () => {
+    manager.start();
+    await manager.inFlight.get('sub');
+
+    expect(eventManager.addEventListener).toHaveBeenCalledWith(
+      'alarm', 'rule_subscription_alarms', browser.alarms, 'onAlarm', expect.any(Function)
+    );
+    expect(browser.alarms.create).toHaveBeenCalledWith(ALARMS.RULE_SUBSCRIPTION_REFRESH, { periodInMinutes: 60 });
+    expect(global.fetch).toHaveBeenCalledWith(url, expect.objectContaining({ credentials: 'omit' }));
+    expect(onConfigurationChange).toHaveBeenCalled();
+  });
+
+  it('should store subscribed rules apart from the hand-written patterns with diff counts', async () => {
+    await manager.refresh('sub');
+
+    expect(stored().patterns).toEqual(['own\\.example']);
+    expect(stored().subscription).toEqual(expect.objectContaining({
+      url,
+      format: 'adblock',
+      patterns: [{ value: 'a.example', type: 'domain-suffix' }, { value: 'b.example', type: 'domain-suffix' }],
+      excludePatterns: [{ value: 'c.b.example', type: 'domain-suffix' }],
+      error: null
+    }));
+    expect(stored().subscription.history).toEqual([{ at: expect.any(Number), added: 3, removed: 0, total: 3, skipped: 0 }]);
+
+    global.fetch.mockResolvedValueOnce(mockResponse('||a.example^\n||d.example^'));
+    await manager.refresh('sub');
+    expect(stored().subscription.history[0]).toEqual(expect.objectContaining({ added: 1, removed: 2, total: 2 }));
+
+    // An unchanged list only moves the check time
+    global.fetch.mockResolvedValueOnce(mockResponse('||a.example^\n||d.example^'));
+    await manager.refresh('sub');
+    expect(stored().subscription.history).toHaveLength(2);
+  });
+
+  it('should keep the previous rules when an update fails', async () => {
+    await manager.refresh('sub');
+    const { patterns } = stored().subscription;
+
+    global.fetch.mockResolvedValueOnce(mockResponse('', { status: 404 }));
+    const failed = await manager.refresh('sub');
+    expect(failed.error).toBe('HTTP 404');
+    expect(failed.patterns).toEqual(patterns);
+    expect(failed.history[0]).toEqual({ at: expect.any(Number), error: 'HTTP 404' });
+
+    global.fetch.mockResolvedValueOnce(mockResponse('<html>not a list</html>'));
+    expect((await manager.refresh('sub')).error).toBe('The rule list contains no usable rules');
+    expect(stored().subscription.patterns).toEqual(patterns);
+  });
+
+  it('should only refetch subscriptions older than their refresh interval', async () => {
+    proxyManager.config.proxies = [subscribedProxy({ checkedAt: 1000000 })];
+
+    await manager.refreshDue(1000000 + 59 * 60000);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await manager.refreshDue(1000000 + 60 * 60000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should drop results for proxies that changed their list while fetching', async () => {
+    const refresh = manager.refresh('sub');
+    proxyManager.config.proxies = [subscribedProxy({ url: 'https://lists.example/other.txt' })];
+
+    expect(await refresh).toBeNull();
+    expect(proxyManager.updateProxy).not.toHaveBeenCalled();
+    expect(await manager.refresh('plain')).toBeNull();
+  });
+});
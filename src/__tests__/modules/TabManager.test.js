@@ -1,6 +1,7 @@
 import * as browser from 'webextension-polyfill';
 import TabManager from '../../modules/TabManager.js';
 import eventManager from '../../modules/EventManager.js';
+import { TAB_OVERRIDE_SCOPES } from '../../common/constants.js';
 
 // Mock dependencies
 jest.mock('webextension-polyfill', () => ({
@@ -9,7 +10,15 @@ jest.mock('webextension-polyfill', () => ({
     query: jest.fn(),
     onActivated: { addListener: jest.fn(), removeListener: jest.fn() },
     onUpdated: { addListener: jest.fn(), removeListener: jest.fn() },
-    onRemoved: { addListener: jest.fn(), removeListener: jest.fn() }
+    onRemoved: { addListener: jest.fn(), removeListener: jest.fn() },
+    onCreated: { addListener: jest.fn(), removeListener: jest.fn() },
+    onAttached: { addListener: jest.fn(), removeListener: jest.fn() }
+  },
+  storage: {
+    session: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
   },
   action: {
     setBadgeText: jest.fn(),
@@ -40,8 +49,15 @@ describe('TabManager', () => {
     jest.clearAllMocks();
     
     mockProxyManager = {
-      getProxyForTab: jest.fn()
+      getProxyForTab: jest.fn(),
+      checkTabProxyUsage: jest.fn().mockResolvedValue({ match: false }),
+      resolveTabOverride: jest.fn().mockReturnValue(null),
+      setTabOverrides: jest.fn(),
+      enabledProxies: [{ id: 'jump', name: 'Jump host', color: '#ff0000' }]
     };
+    browser.tabs.query.mockResolvedValue([]);
+    browser.storage.session.get.mockResolvedValue({});
+    browser.storage.session.set.mockResolvedValue();
     
     mockPatternMatcher = {
       matchesAnyPattern: jest.fn()
@@ -191,4 +207,97 @@ describe('TabManager', () => {
       expect(tabManager.tabUpdateQueue.get(tabId).isActive).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Tab overrides', () => {
+    const tab = { id: 7, windowId: 1, url: 'https://intranet.corp/wiki' };
+
+    beforeEach(() => {
+      browser.tabs.get.mockResolvedValue(tab);
+    });
+
+    it('should bind tab overrides to the page origin and end them when the tab leaves it', async () => {
+      const override = await tabManager.setTabOverride(7, 'jump');
+
+      expect(override).toEqual(expect.objectContaining({
+        proxyId: 'jump', scope: TAB_OVERRIDE_SCOPES.TAB, origin: 'https://intranet.corp:443', windowId: 1
+      }));
+      expect(mockProxyManager.setTabOverrides).toHaveBeenLastCalledWith(tabManager.tabOverrides);
+      expect(browser.storage.session.set).toHaveBeenCalledWith({
+        tabOverrides: { tabs: [[7, override]], windows: [] }
+      });
+
+      tabManager.handleTabUpdated(7, { url: 'https://intranet.corp/other' }, tab);
+      expect(tabManager.getTabOverride(7)).toBe(override);
+
+      tabManager.handleTabUpdated(7, { url: 'https://example.com/' }, tab);
+      expect(tabManager.getTabOverride(7)).toBeNull();
+    });
+
+    it('should reject pages without an origin', async () => {
+      browser.tabs.get.mockResolvedValue({ ...tab, url: 'about:blank' });
+
+      await expect(tabManager.setTabOverride(7, null)).rejects.toThrow('Only http and https pages can be overridden');
+    });
+
+    it('should apply window overrides to every tab of the window until it closes', async () => {
+      browser.tabs.query.mockResolvedValue([tab, { id: 8, windowId: 1, url: 'about:blank' }]);
+
+      await tabManager.setTabOverride(7, null, TAB_OVERRIDE_SCOPES.WINDOW);
+      tabManager.handleTabCreated({ id: 9, windowId: 1 });
+      tabManager.handleTabCreated({ id: 10, windowId: 2 });
+
+      expect([...tabManager.tabOverrides.keys()]).toEqual([7, 8, 9]);
+      expect(tabManager.getTabOverride(8)).toEqual(expect.objectContaining({ proxyId: null, origin: null }));
+
+      tabManager.handleTabAttached(9, { newWindowId: 2 });
+      expect(tabManager.getTabOverride(9)).toBeNull();
+
+      tabManager.handleTabRemoved(7, { windowId: 1, isWindowClosing: true });
+      expect(tabManager.tabOverrides.size).toBe(0);
+      expect(tabManager.windowOverrides.size).toBe(0);
+    });
+
+    it('should clear the window override from any of its tabs', async () => {
+      browser.tabs.query.mockResolvedValue([tab, { id: 8, windowId: 1 }]);
+      await tabManager.setTabOverride(7, 'jump', TAB_OVERRIDE_SCOPES.WINDOW);
+
+      expect(await tabManager.clearTabOverride(8)).toBe(true);
+      expect(tabManager.tabOverrides.size).toBe(0);
+      expect(await tabManager.clearTabOverride(8)).toBe(false);
+    });
+
+    it('should drop overrides through proxies that are no longer enabled', async () => {
+      await tabManager.setTabOverride(7, 'jump');
+      mockProxyManager.enabledProxies = [];
+
+      tabManager.handleConfigurationUpdate();
+
+      expect(tabManager.getTabOverride(7)).toBeNull();
+      expect(mockProxyManager.setTabOverrides).toHaveBeenLastCalledWith(new Map());
+    });
+
+    it('should mark the badge of overridden tabs', async () => {
+      mockProxyManager.resolveTabOverride.mockReturnValue({ override: {}, proxy: null });
+
+      await tabManager.checkTabProxyUsage(7, tab.url);
+
+      expect(browser.action.setBadgeText).toHaveBeenCalledWith({ tabId: 7, text: 'D*' });
+      expect(browser.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ tabId: 7, color: '#6b7280' });
+      expect(mockProxyManager.checkTabProxyUsage).not.toHaveBeenCalled();
+    });
+
+    it('should restore the overrides of tabs that are still open', async () => {
+      const override = { proxyId: 'jump', scope: TAB_OVERRIDE_SCOPES.TAB, origin: 'https://intranet.corp:443', windowId: 1 };
+      browser.storage.session.get.mockResolvedValue({
+        tabOverrides: { tabs: [[7, override], [99, override]], windows: [[5, { proxyId: null }]] }
+      });
+      browser.tabs.query.mockResolvedValue([tab]);
+
+      await tabManager.restoreOverrides();
+
+      expect([...tabManager.tabOverrides]).toEqual([[7, override]]);
+      expect(tabManager.windowOverrides.size).toBe(0);
+      expect(mockProxyManager.setTabOverrides).toHaveBeenCalledWith(tabManager.tabOverrides);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import * as browser from 'webextension-polyfill';
+import TrafficMonitor from '../../modules/TrafficMonitor.js';
+import PatternMatcher from '../../modules/PatternMatcher.js';
+import { TRAFFIC_PERSISTENCE } from '../../common/constants.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn(() => Promise.resolve())
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  webRequest: { hasProxyInfoInDetails: false, hasRequestBodyAccess: false },
+  proxy: { hasProxyRequestListener: false },
+  containers: { hasContainerSupport: false }
+}));
+
+const proxies = [
+  { id: 'office', name: 'Office', enabled: true, proxyType: 'socks5', host: 'office.test', port: 1080, priority: 0, routingConfig: { patterns: ['example\\.com'] } },
+  { id: 'backup', name: 'Backup', enabled: true, proxyType: 'http', host: 'backup.test', port: 3128, priority: 1, routingConfig: { patterns: ['example\\.org'] } }
+];
+const OFFICE_KEY = 'socks:office.test:1080';
+const REMOVED_KEY = 'http:removed.test:8080';
+
+describe('TrafficMonitor checkpoints', () => {
+  let trafficMonitor;
+  const now = new Date('2026-03-02T10:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
+    trafficMonitor = new TrafficMonitor({ patternMatcher: new PatternMatcher() });
+  });
+
+  afterEach(() => {
+    trafficMonitor.stopMonitoring();
+    jest.useRealTimers();
+  });
+
+  const addTraffic = (aggregationKey, bytes) => {
+    trafficMonitor.currentSample.download += bytes;
+    trafficMonitor.currentSample.proxyDownload.set(aggregationKey, bytes);
+  };
+
+  it('should save after traffic, at most once per checkpoint interval', async () => {
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+    await trafficMonitor.restoreState();
+
+    trafficMonitor.sampleData();
+    await Promise.resolve();
+    expect(browser.storage.local.set).not.toHaveBeenCalled();
+
+    addTraffic(OFFICE_KEY, 1000);
+    trafficMonitor.sampleData();
+    await trafficMonitor.restoreState();
+    expect(browser.storage.local.set).toHaveBeenCalledTimes(1);
+
+    const saved = browser.storage.local.set.mock.calls[0][0][TRAFFIC_PERSISTENCE.storageKey];
+    expect(saved.savedAt).toBe(now);
+    expect(saved.windows['1min'].at(-1)[`download_${OFFICE_KEY}`]).toBe(1000);
+    expect(saved.totals).toEqual(expect.objectContaining({
+      download: 1000,
+      perProxy: { [OFFICE_KEY]: { download: 1000, upload: 0 } }
+    }));
+
+    jest.setSystemTime(now + 10000);
+    addTraffic(OFFICE_KEY, 500);
+    trafficMonitor.sampleData();
+    await Promise.resolve();
+    expect(browser.storage.local.set).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(now + TRAFFIC_PERSISTENCE.checkpointIntervalMs);
+    trafficMonitor.sampleData();
+    await Promise.resolve();
+    expect(browser.storage.local.set).toHaveBeenCalledTimes(2);
+    expect(trafficMonitor.totals.perProxy[OFFICE_KEY].download).toBe(1500);
+  });
+
+  it('should restore recent points and totals of configured proxies on start', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      [TRAFFIC_PERSISTENCE.storageKey]: {
+        savedAt: now - 20000,
+        windows: {
+          '1min': [
+            { timestamp: now - 120000, download_total: 9999, upload_total: 0, download_direct: 0, upload_direct: 0, download_others: 0, upload_others: 0 },
+            { timestamp: now - 30000, download_total: 700, upload_total: 100, download_direct: 0, upload_direct: 0, download_others: 0, upload_others: 0,
+              [`download_${OFFICE_KEY}`]: 400, [`upload_${OFFICE_KEY}`]: 100, [`download_${REMOVED_KEY}`]: 300, [`upload_${REMOVED_KEY}`]: 0 }
+          ]
+        },
+        totals: {
+          since: now - 86400000,
+          download: 5000,
+          upload: 1000,
+          perProxy: { [OFFICE_KEY]: { download: 4000, upload: 1000 }, [REMOVED_KEY]: { download: 1000, upload: 0 } },
+          direct: { download: 0, upload: 0 },
+          others: { download: 0, upload: 0 }
+        }
+      }
+    });
+
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+    await trafficMonitor.restoreState();
+
+    const { data, stats, totals } = trafficMonitor.getTrafficData('1min');
+    expect(data.map(point => point.timestamp)).toEqual([now - 30000, now]);
+    expect(data[0]).not.toHaveProperty([`download_${REMOVED_KEY}`]);
+    expect(data[0][`download_${OFFICE_KEY}`]).toBe(400);
+    expect(stats.download.total).toBe(700);
+    expect(stats.perProxy[OFFICE_KEY].download.total).toBe(400);
+    expect(totals.since).toBe(now - 86400000);
+    expect(totals.perProxy).toEqual({ [OFFICE_KEY]: { download: 4000, upload: 1000 } });
+  });
+
+  it('should key aggregated windows by aggregation key', () => {
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+
+    for (let i = 0; i < 5; i++) {
+      addTraffic(OFFICE_KEY, 100);
+      trafficMonitor.sampleData();
+    }
+    trafficMonitor.aggregateWindow('5min', 5, Date.now());
+
+    const point = trafficMonitor.trafficData['5min'].data.at(-1);
+    expect(point[`download_${OFFICE_KEY}`]).toBe(500);
+    expect(point).toHaveProperty(['download_http:backup.test:3128'], 0);
+    expect(point).not.toHaveProperty('download_office');
+  });
+});
@@ -27,6 +27,9 @@ jest.mock('../../utils/feature-detection.js', () => ({
     hasOnErrorOccurred: true,
     hasOnBeforeRequest: true
   },
+  proxy: {
+    hasProxyRequestListener: false
+  },
   containers: {
     hasContainerSupport: false
   }
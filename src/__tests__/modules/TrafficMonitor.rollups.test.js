@@ -0,0 +1,134 @@
+import * as browser from 'webextension-polyfill';
+import TrafficMonitor from '../../modules/TrafficMonitor.js';
+import PatternMatcher from '../../modules/PatternMatcher.js';
+import { TRAFFIC_PERSISTENCE, TRAFFIC_WINDOWS } from '../../common/constants.js';
+import { getBucketStart } from '../../types/traffic-data.js';
+
+jest.mock('webextension-polyfill', () => ({
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn(() => Promise.resolve())
+  },
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../modules/EventManager.js', () => ({
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn(),
+  addWebRequestListener: jest.fn(),
+  removeWebRequestListener: jest.fn()
+}));
+
+jest.mock('../../utils/feature-detection.js', () => ({
+  webRequest: { hasProxyInfoInDetails: false, hasRequestBodyAccess: false },
+  proxy: { hasProxyRequestListener: false },
+  containers: { hasContainerSupport: false }
+}));
+
+const proxies = [
+  { id: 'jump', name: 'Jump host', enabled: true, proxyType: 'socks5', host: 'jump.test', port: 1080, priority: 0, routingConfig: { patterns: ['example\\.com'] } }
+];
+const JUMP_KEY = 'socks:jump.test:1080';
+const MINUTE = 60000;
+const DAY = 86400000;
+
+describe('TrafficMonitor rollup windows', () => {
+  let trafficMonitor;
+  // Midnight in the local time zone, so the daily bucket starts here
+  const midnight = new Date(2026, 2, 2).getTime();
+  const now = midnight + 10 * 3600000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
+    trafficMonitor = new TrafficMonitor({ patternMatcher: new PatternMatcher() });
+  });
+
+  afterEach(() => {
+    trafficMonitor.stopMonitoring();
+    jest.useRealTimers();
+  });
+
+  const sampleAt = (timestamp, bytes) => {
+    jest.setSystemTime(timestamp);
+    trafficMonitor.currentSample.download += bytes;
+    trafficMonitor.currentSample.proxyDownload.set(JUMP_KEY, bytes);
+    trafficMonitor.sampleData();
+  };
+
+  it('should align buckets to local time', () => {
+    expect(getBucketStart(now + 12345, DAY)).toBe(midnight);
+    expect(getBucketStart(now + 90000, MINUTE)).toBe(now + MINUTE);
+  });
+
+  it('should add 1-second samples to the open bucket of each rollup window', () => {
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+
+    sampleAt(now + 1000, 100);
+    sampleAt(now + 2000, 200);
+    sampleAt(now + MINUTE + 1000, 400);
+
+    const hour = trafficMonitor.getTrafficData('1h');
+    expect(hour.data.map(point => point.timestamp)).toEqual([now, now + MINUTE]);
+    expect(hour.data[0][`download_${JUMP_KEY}`]).toBe(300);
+    expect(hour.data[1].download_total).toBe(400);
+    expect(hour.stats.download).toEqual(expect.objectContaining({ current: 400, peak: 400, total: 700 }));
+    expect(hour.stats.perProxy[JUMP_KEY].download.total).toBe(700);
+
+    ['24h', '7d', '30d'].forEach(windowSize => {
+      const { data, meta } = trafficMonitor.getTrafficData(windowSize);
+      expect(data).toHaveLength(1);
+      expect(data[0].download_total).toBe(700);
+      expect(meta.sampleInterval).toBe(TRAFFIC_WINDOWS[windowSize].sampleInterval);
+    });
+    expect(trafficMonitor.getTrafficData('30d').data[0].timestamp).toBe(midnight);
+  });
+
+  it('should keep only the points of each rollup window', () => {
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+
+    for (let minute = 1; minute <= TRAFFIC_WINDOWS['1h'].points + 5; minute++) {
+      sampleAt(now + minute * MINUTE, 10);
+    }
+
+    const hour = trafficMonitor.getTrafficData('1h');
+    expect(hour.data).toHaveLength(TRAFFIC_WINDOWS['1h'].points);
+    expect(hour.data[0].timestamp).toBe(now + 6 * MINUTE);
+    expect(trafficMonitor.getTrafficData('24h').data.map(point => point.download_total)).toEqual([290, 300, 60]);
+    expect(trafficMonitor.getTrafficData('7d').data.map(point => point.download_total)).toEqual([650]);
+  });
+
+  it('should restore rollup buckets and add the open one to live traffic', async () => {
+    browser.storage.local.get.mockResolvedValue({
+      [TRAFFIC_PERSISTENCE.storageKey]: {
+        savedAt: now - MINUTE,
+        windows: {
+          '30d': [
+            { timestamp: midnight - 40 * DAY, download_total: 1, upload_total: 0 },
+            { timestamp: midnight - DAY, download_total: 5000, upload_total: 50, [`download_${JUMP_KEY}`]: 5000, [`upload_${JUMP_KEY}`]: 50 },
+            { timestamp: midnight, download_total: 2000, upload_total: 20, [`download_${JUMP_KEY}`]: 2000, [`upload_${JUMP_KEY}`]: 20 }
+          ]
+        }
+      }
+    });
+
+    trafficMonitor.startMonitoring({ proxies }, proxies);
+    await trafficMonitor.restoreState();
+    sampleAt(now + 1000, 300);
+
+    const { data, stats } = trafficMonitor.getTrafficData('30d');
+    expect(data.map(point => point.timestamp)).toEqual([midnight - DAY, midnight]);
+    expect(data[1][`download_${JUMP_KEY}`]).toBe(2300);
+    expect(stats.download.total).toBe(7300);
+  });
+});
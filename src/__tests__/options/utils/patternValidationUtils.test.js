@@ -0,0 +1,63 @@
+import {
+  parsePatternLine,
+  formatPatternLine,
+  setPatternLineTarget,
+  setPatternLineType,
+  validateRegexPatternLine
+} from '../../../options/utils/patternValidationUtils';
+
+describe('pattern editor lines', () => {
+  describe('parsePatternLine and formatPatternLine', () => {
+    it('should keep hostname regexes as plain strings', () => {
+      expect(parsePatternLine('example\\.com')).toBe('example\\.com');
+      expect(formatPatternLine('example\\.com')).toBe('example\\.com');
+    });
+
+    it('should round-trip target and type prefixes', () => {
+      const lines = [
+        'path:^/api/',
+        'glob:*.corp.com',
+        'path:glob:/api/*',
+        'domain:corp.com',
+        'cidr:10.0.0.0/8',
+        'cidr+dns:172.16.0.0/12'
+      ];
+
+      lines.forEach(line => {
+        expect(formatPatternLine(parsePatternLine(line))).toBe(line);
+      });
+    });
+
+    it('should store only the fields a pattern needs', () => {
+      expect(parsePatternLine('glob:*.corp.com')).toEqual({ value: '*.corp.com', type: 'glob' });
+      expect(parsePatternLine('path:glob:/api/*')).toEqual({ value: '/api/*', target: 'path', type: 'glob' });
+      // Domain suffixes always match the hostname
+      expect(parsePatternLine('url:domain:corp.com')).toEqual({ value: 'corp.com', type: 'domain-suffix' });
+      expect(parsePatternLine('cidr+dns:10.0.0.0/8')).toEqual({ value: '10.0.0.0/8', type: 'cidr', resolveDns: true });
+    });
+  });
+
+  describe('setPatternLineType and setPatternLineTarget', () => {
+    it('should switch the syntax and keep the target', () => {
+      expect(setPatternLineType('path:/api/*', 'glob')).toBe('path:glob:/api/*');
+      expect(setPatternLineType('glob:*.corp.com', 'regex')).toBe('*.corp.com');
+      expect(setPatternLineType('corp.com', 'domain-suffix')).toBe('domain:corp.com');
+    });
+
+    it('should switch the target and keep the syntax', () => {
+      expect(setPatternLineTarget('glob:/api/*', 'path')).toBe('path:glob:/api/*');
+      expect(setPatternLineTarget('path:glob:/api/*', 'hostname')).toBe('glob:/api/*');
+    });
+  });
+
+  describe('validateRegexPatternLine', () => {
+    it('should validate each syntax', () => {
+      expect(validateRegexPatternLine('glob:*.corp.com').isValid).toBe(true);
+      expect(validateRegexPatternLine('domain:corp.com').isValid).toBe(true);
+      expect(validateRegexPatternLine('domain:corp .com').isValid).toBe(false);
+      expect(validateRegexPatternLine('cidr:10.0.0.0/8').isValid).toBe(true);
+      expect(validateRegexPatternLine('cidr:10.0.0.0/33').error).toMatch(/not a valid IPv4 or IPv6 CIDR range/);
+      expect(validateRegexPatternLine('([a-z]').isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+// routing-consistency.test.js
+import * as browser from 'webextension-polyfill';
+import ProxyManager from '../modules/ProxyManager';
+import PatternMatcher from '../modules/PatternMatcher';
+import { getRoutingSamples, BASE_ROUTING_SAMPLES, MAX_ROUTING_SAMPLES } from '../utils/routing-samples';
+
+jest.mock('../utils/feature-detection', () => ({
+  __esModule: true,
+  default: {
+    browser: { isFirefox: false, isChrome: true },
+    proxy: { hasProxyRequestListener: false, hasProxySettings: true },
+    containers: { hasContainerSupport: true, hasTabCookieStoreIds: true }
+  }
+}));
+
+jest.mock('../utils/proxy-helpers', () => ({
+  setupProxyRequestListener: jest.fn(),
+  applyProxySettings: jest.fn().mockResolvedValue(undefined),
+  disableProxy: jest.fn().mockResolvedValue(undefined)
+}));
+
+const proxy = (id, priority, patterns, extra = {}) => ({
+  id,
+  name: id,
+  enabled: true,
+  proxyType: 'socks5',
+  host: `${id}.proxy.test`,
+  port: 1080 + priority,
+  priority,
+  ...extra,
+  routingConfig: { useContainerMode: false, patterns, containers: [], ...extra.routingConfig }
+});
+
+const PROBE_URL = 'http://www.gstatic.com/generate_204';
+
+// Configurations covering every pattern type and target, exclusions, the bypass list, failover,
+// PAC URL proxies, tab overrides and health check probes. Besides the config, an entry may set
+// the scripts of PAC URL proxies, tab overrides and samples of its own.
+const CONFIGS = {
+  'regex patterns and disabled proxies': {
+    proxies: [
+      proxy('text', 0, ['google\\.com$', '^intranet$']),
+      proxy('everything', 1, ['.*']),
+      proxy('disabled', 2, ['.*'], { enabled: false })
+    ],
+    bypassPatterns: ['localhost$']
+  },
+  'pattern types and exclusions': {
+    proxies: [
+      proxy('corp', 0, [
+        { value: 'corp.com', type: 'domain-suffix' },
+        { value: '*.internal.example', type: 'glob' },
+        '^mail\\.google\\.com$'
+      ], { routingConfig: { excludePatterns: ['^secret\\.corp\\.com$', { value: 'build-?.corp.com', type: 'glob' }] } }),
+      proxy('networks', 1, [
+        { value: '10.0.0.0/8', type: 'cidr' },
+        { value: 'fd00::/8', type: 'cidr' },
+        '^[a-z]+\\.example\\.(com|org)$'
+      ], {
+        proxyType: 'http',
+        failover: { fallbackProxyIds: ['corp'], fallbackToDirect: true }
+      })
+    ],
+    bypassPatterns: [{ value: '192.168.0.0/16', type: 'cidr' }, '^127\\.']
+  },
+  'match targets and containers': {
+    proxies: [
+      proxy('targets', 0, [
+        { value: '/api/', target: 'path' },
+        { value: '^ws$', target: 'scheme' },
+        { value: '^8080$', target: 'port' },
+        { value: 'query=\\d', target: 'url' }
+      ]),
+      proxy('socks4', 1, ['EXAMPLE\\.COM$'], { proxyType: 'socks4' }),
+      proxy('container', 2, [], { routingConfig: { useContainerMode: true, containers: ['firefox-container-1'] } })
+    ],
+    bypassPatterns: []
+  },
+  'PAC URL proxies': {
+    proxies: [
+      proxy('corp_pac', 0, [{ value: 'corp.com', type: 'domain-suffix' }, '^intranet$'], {
+        proxyType: 'pac',
+        pacUrl: 'https://wpad.corp.com/proxy.pac'
+      }),
+      proxy('fallback', 1, [{ value: 'example.com', type: 'domain-suffix' }, '^intranet$'])
+    ],
+    bypassPatterns: [],
+    remotePacScripts: {
+      corp_pac: `function FindProxyForURL(url, host) {
+        if (dnsDomainIs(host, "git.corp.com")) return "PROXY git.corp.com:8080; DIRECT";
+        return isPlainHostName(host) ? "SOCKS5 gw.corp.com:1080" : "DIRECT";
+      }`
+    },
+    samples: ['git.corp.com', 'www.corp.com']
+  },
+  'tab overrides and health check probes': {
+    proxies: [
+      proxy('office', 0, [{ value: 'example.com', type: 'domain-suffix' }]),
+      proxy('jump', 1, [], { proxyType: 'http' })
+    ],
+    bypassPatterns: ['^10\\.'],
+    healthCheck: { enabled: true, checkUrl: PROBE_URL, intervalMinutes: 10, timeoutMs: 10000 },
+    tabOverrides: new Map([
+      [7, { proxyId: 'jump', scope: 'tab', origin: 'https://override.example.org:443', windowId: 1, createdAt: 1 }],
+      [8, { proxyId: null, scope: 'tab', origin: 'https://www.example.com:443', windowId: 1, createdAt: 2 }]
+    ]),
+    samples: [
+      'https://override.example.org/',
+      `${PROBE_URL}?proxydeck_probe=office&proxydeck_probe_t=1`,
+      `${PROBE_URL}?proxydeck_probe=jump&proxydeck_probe_t=1`,
+      `${PROBE_URL}?proxydeck_probe=direct&proxydeck_probe_t=1`,
+      `${PROBE_URL}?proxydeck_probe=missing&proxydeck_probe_t=1`
+    ]
+  }
+};
+
+describe('Routing consistency between the resolver and the PAC script', () => {
+  let proxyManager;
+
+  const useConfig = async ({ remotePacScripts = {}, tabOverrides = new Map(), samples: _samples, ...config }, isFirefox = false) => {
+    const fullConfig = { version: 2, proxyEnabled: true, ...config };
+    browser.storage.local.get.mockResolvedValue({ config: fullConfig });
+    proxyManager = new ProxyManager({ patternMatcher: new PatternMatcher() });
+    await proxyManager.loadConfig();
+    proxyManager.hasProxyRequestListener = isFirefox;
+    proxyManager.remotePacScripts = remotePacScripts;
+    proxyManager.setTabOverrides(tabOverrides);
+    proxyManager.pacScript = '';
+  };
+
+  describe.each([['Chrome', false], ['Firefox', true]])('on %s', (browserName, isFirefox) => {
+    it.each(Object.keys(CONFIGS))('should route every sample alike with %s', async (name) => {
+      await useConfig(CONFIGS[name], isFirefox);
+
+      const samples = getRoutingSamples(proxyManager.config, CONFIGS[name].samples);
+      const report = proxyManager.checkRoutingConsistency(samples);
+
+      expect(report.error).toBeNull();
+      expect(report.checked).toBe(samples.length);
+      expect(report.divergences).toEqual([]);
+    });
+  });
+
+  it('should report plain text and * patterns, which only the PAC script finds anywhere in the host', async () => {
+    await useConfig({
+      proxies: [proxy('text', 0, ['google']), proxy('everything', 1, ['*'])],
+      bypassPatterns: []
+    });
+
+    const report = proxyManager.checkRoutingConsistency(['google', 'mail.google.com', 'example.com']);
+
+    expect(report.checked).toBe(3);
+    expect(report.divergences.map(({ url, requestResult, pacResult }) => ({ url, requestResult, pacResult }))).toEqual([
+      { url: 'https://mail.google.com/', requestResult: 'SOCKS5 everything.proxy.test:1081', pacResult: 'SOCKS5 text.proxy.test:1080' },
+      { url: 'https://example.com/', requestResult: 'SOCKS5 everything.proxy.test:1081', pacResult: 'DIRECT' }
+    ]);
+  });
+
+  it('should report samples the PAC script routes differently', async () => {
+    await useConfig(CONFIGS['regex patterns and disabled proxies']);
+    proxyManager.pacScript = 'function FindProxyForURL(url, host) { return host === "example.com" ? "DIRECT" : "SOCKS5 everything.proxy.test:1081"; }';
+
+    const report = proxyManager.checkRoutingConsistency(['example.com', 'example.org', 'not a url']);
+
+    expect(report.checked).toBe(2);
+    expect(report.divergences).toEqual([{
+      url: 'https://example.com/',
+      requestResult: 'SOCKS5 everything.proxy.test:1081',
+      pacResult: 'DIRECT',
+      error: null,
+      proxyId: 'everything',
+      proxyName: 'everything',
+      matchType: 'pattern'
+    }]);
+  });
+
+  it('should report a PAC script that does not compile', async () => {
+    await useConfig(CONFIGS['regex patterns and disabled proxies']);
+    proxyManager.pacScript = 'function FindProxyForURL(url, host) {';
+
+    const report = proxyManager.checkRoutingConsistency(['example.com']);
+
+    expect(report.checked).toBe(0);
+    expect(report.error).toEqual(expect.any(String));
+  });
+
+  describe('getRoutingSamples', () => {
+    it('should derive samples around the patterns of the configuration', () => {
+      const samples = getRoutingSamples(CONFIGS['pattern types and exclusions'], ['https://extra.test/']);
+
+      expect(samples[0]).toBe('https://extra.test/');
+      expect(samples).toEqual(expect.arrayContaining([
+        ...BASE_ROUTING_SAMPLES,
+        'corp.com', 'www.corp.com', 'xcorp.com',
+        'x.internal.example',
+        'mail.google.com', 'xmail.google.com',
+        'secret.corp.com', 'build-a.corp.com',
+        '10.0.0.0', '[fd00::]', '192.168.0.0'
+      ]));
+      expect(new Set(samples).size).toBe(samples.length);
+    });
+
+    it('should keep the number of samples bounded', () => {
+      const patterns = Array.from({ length: MAX_ROUTING_SAMPLES }, (_, i) => `^host${i}\\.test$`);
+      const samples = getRoutingSamples({ proxies: [proxy('many', 0, patterns)] });
+
+      expect(samples).toHaveLength(MAX_ROUTING_SAMPLES);
+    });
+  });
+});
@@ -259,8 +259,8 @@ describe('PAC Script Security Tests', () => {
       
       expect(pacScript).toContain('function FindProxyForURL(url, host)');
       expect(pacScript).toContain('var proxyConfigurations = ');
-      expect(pacScript).toContain('function testPatternMatch(hostname, pattern)');
-      expect(pacScript).toContain('function findProxyForHostname(hostname)');
+      expect(pacScript).toContain('function testPatternMatch(value, pattern)');
+      expect(pacScript).toContain('function findProxyForRequest(request)');
       
       expect(() => {
         new Function(pacScript + '; return FindProxyForURL;')();
@@ -351,6 +351,102 @@ describe('PAC Script Security Tests', () => {
     });
   });
 
+  describe('Remote PAC Scripts', () => {
+    const createPacUrlProxy = (priority, patterns = [{ value: '.*' }]) => ({
+      id: `pac-${priority}`,
+      name: 'Corporate PAC',
+      proxyType: 'pac',
+      pacUrl: 'https://wpad.corp.com/proxy.pac',
+      enabled: true,
+      priority,
+      routingConfig: { useContainerMode: false, patterns }
+    });
+    const ownProxy = {
+      id: 'own-proxy',
+      name: 'Own Proxy',
+      host: 'proxy.test.com',
+      port: 8080,
+      enabled: true,
+      priority: 1,
+      routingConfig: { useContainerMode: false, patterns: [{ value: 'example\\.com' }] }
+    };
+
+    it('should embed downloaded scripts as string data only', () => {
+      const remoteScript = '"]; alert("XSS"); //\n</script>\u2028function FindProxyForURL(url, host) { return "DIRECT"; }';
+      proxyManager.enabledProxies = [createPacUrlProxy(0)];
+      proxyManager.remotePacScripts = { 'pac-0': remoteScript };
+
+      const pacScript = proxyManager.generatePacScript();
+
+      expect(pacScript).not.toContain('alert("XSS")');
+      expect(pacScript).not.toContain('\u2028');
+      expect(JSON.parse(pacScript.match(/var remotePacScripts = (.+?);\n/)[1])).toEqual([remoteScript]);
+      expect(JSON.parse(pacScript.match(/var proxyConfigurations = (.+?);/)[1])).toEqual([
+        { patterns: ['.*'], remotePac: 0, priority: 0 }
+      ]);
+      expect(() => new Function(pacScript + '; return FindProxyForURL;')()).not.toThrow();
+    });
+
+    it('should compose remote scripts with ProxyDeck rules by priority', () => {
+      const remoteScript = `
+        function FindProxyForURL(url, host) {
+          return host.slice(-9) === ".corp.com" ? "PROXY corp-proxy:3128; DIRECT" : "DIRECT";
+        }
+      `;
+      proxyManager.enabledProxies = [createPacUrlProxy(0), ownProxy];
+      proxyManager.remotePacScripts = { 'pac-0': remoteScript };
+
+      const findProxy = new Function(proxyManager.generatePacScript() + '; return FindProxyForURL;')();
+
+      expect(findProxy('https://git.corp.com/', 'git.corp.com')).toBe('PROXY corp-proxy:3128; DIRECT');
+      expect(findProxy('https://example.com/', 'example.com')).toBe('SOCKS5 proxy.test.com:8080');
+      expect(findProxy('https://other.org/', 'other.org')).toBe('DIRECT');
+    });
+
+    it('should keep remote scripts from changing ProxyDeck routing', () => {
+      const remoteScript = `
+        proxyConfigurations = [];
+        lruCache = null;
+        findProxyForRequest = function () { return "PROXY evil:1"; };
+        function FindProxyForURL(url, host) { return "PROXY remote:1"; }
+      `;
+      proxyManager.enabledProxies = [ownProxy, createPacUrlProxy(2)];
+      proxyManager.remotePacScripts = { 'pac-2': remoteScript };
+
+      const findProxy = new Function(proxyManager.generatePacScript() + '; return FindProxyForURL;')();
+
+      expect(findProxy('https://other.org/', 'other.org')).toBe('PROXY remote:1');
+      expect(findProxy('https://example.com/', 'example.com')).toBe('SOCKS5 proxy.test.com:8080');
+      expect(findProxy('https://another.org/', 'another.org')).toBe('PROXY remote:1');
+    });
+
+    it('should pass requests on when a remote script fails or is not fetched yet', () => {
+      proxyManager.enabledProxies = [createPacUrlProxy(0), { ...ownProxy, routingConfig: { patterns: [{ value: '.*' }] } }, createPacUrlProxy(3)];
+      proxyManager.enabledProxies[2].id = 'pac-not-fetched';
+      proxyManager.remotePacScripts = { 'pac-0': 'function FindProxyForURL( {' };
+
+      const pacScript = proxyManager.generatePacScript();
+      const findProxy = new Function(pacScript + '; return FindProxyForURL;')();
+
+      expect(findProxy('https://other.org/', 'other.org')).toBe('SOCKS5 proxy.test.com:8080');
+      expect(JSON.parse(pacScript.match(/var proxyConfigurations = (.+?);/)[1])).toHaveLength(2);
+    });
+
+    it('should not offer PAC URL proxies as fallbacks or health check targets', () => {
+      const pacProxy = createPacUrlProxy(0);
+      proxyManager.enabledProxies = [pacProxy, { ...ownProxy, failover: { fallbackProxyIds: [pacProxy.id], fallbackToDirect: true } }];
+      proxyManager.remotePacScripts = { 'pac-0': 'function FindProxyForURL() { return "DIRECT"; }' };
+
+      const pacScript = proxyManager.generatePacScript();
+
+      expect(pacScript).toContain('"proxyString":"SOCKS5 proxy.test.com:8080; DIRECT"');
+      expect(JSON.parse(pacScript.match(/var healthCheckProxies = (.+?);/)[1])).toEqual({
+        'own-proxy': 'SOCKS5 proxy.test.com:8080',
+        direct: 'DIRECT'
+      });
+    });
+  });
+
   describe('JSON Data Security', () => {
     it('should properly serialize complex proxy configurations for Firefox', () => {
       // Mock Firefox browserCapabilities to allow auth credentials in PAC script
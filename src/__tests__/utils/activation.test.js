@@ -0,0 +1,85 @@
+import {
+  hasActivationConditions,
+  buildActivationProbeUrl,
+  isWithinSchedule,
+  describeSchedule,
+  evaluateActivation
+} from '../../utils/activation.js';
+import { validateActivation } from '../../utils.js';
+
+// 2026-10-19 is a Monday
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 9, 18 + day, hours, minutes);
+};
+
+describe('activation', () => {
+  const workdays = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+  const nights = { days: [5], start: '22:00', end: '06:00' };
+
+  it('should only treat proxies with a probe target or schedule as automated', () => {
+    expect(hasActivationConditions({})).toBe(false);
+    expect(hasActivationConditions({ activation: { pinned: true } })).toBe(false);
+    expect(hasActivationConditions({ activation: { probe: { target: 'intranet.corp' } } })).toBe(true);
+    expect(hasActivationConditions({ activation: { schedule: workdays } })).toBe(true);
+  });
+
+  it('should build direct probe URLs for hosts and URLs', () => {
+    expect(buildActivationProbeUrl('intranet.corp')).toBe('http://intranet.corp/?proxydeck_probe=direct');
+    expect(buildActivationProbeUrl('10.0.0.1:8080')).toBe('http://10.0.0.1:8080/?proxydeck_probe=direct');
+    expect(buildActivationProbeUrl('https://wiki.corp/health?x=1'))
+      .toBe('https://wiki.corp/health?x=1&proxydeck_probe=direct');
+    expect(buildActivationProbeUrl('ftp://files.corp')).toBeNull();
+    expect(buildActivationProbeUrl('not a host')).toBeNull();
+    expect(buildActivationProbeUrl('')).toBeNull();
+  });
+
+  describe('isWithinSchedule', () => {
+    it('should match days and the start but not the end of the window', () => {
+      expect(isWithinSchedule(workdays, at(1, '09:00'))).toBe(true);
+      expect(isWithinSchedule(workdays, at(5, '17:59'))).toBe(true);
+      expect(isWithinSchedule(workdays, at(1, '18:00'))).toBe(false);
+      expect(isWithinSchedule(workdays, at(6, '12:00'))).toBe(false);
+    });
+
+    it('should count windows past midnight to the day they start on', () => {
+      expect(isWithinSchedule(nights, at(5, '23:00'))).toBe(true);
+      expect(isWithinSchedule(nights, at(6, '05:59'))).toBe(true);
+      expect(isWithinSchedule(nights, at(6, '06:00'))).toBe(false);
+      expect(isWithinSchedule(nights, at(5, '05:00'))).toBe(false);
+    });
+  });
+
+  it('should describe schedules', () => {
+    expect(describeSchedule(workdays)).toBe('Mon-Fri 09:00-18:00');
+    expect(describeSchedule({ ...workdays, days: [0, 1, 2, 3, 4, 5, 6] })).toBe('Every day 09:00-18:00');
+    expect(describeSchedule({ ...workdays, days: [6, 0] })).toBe('Sun, Sat 09:00-18:00');
+  });
+
+  it('should require every condition and explain the decision', () => {
+    const activation = { probe: { target: 'intranet.corp', whenReachable: true }, schedule: workdays };
+
+    expect(evaluateActivation(activation, { reachable: true, now: at(1, '10:00') })).toEqual({
+      enabled: true,
+      reason: 'intranet.corp is reachable, within Mon-Fri 09:00-18:00'
+    });
+    expect(evaluateActivation(activation, { reachable: false, now: at(1, '10:00') }).enabled).toBe(false);
+    expect(evaluateActivation(activation, { reachable: true, now: at(0, '10:00') }).enabled).toBe(false);
+    expect(evaluateActivation({ probe: { target: 'intranet.corp', whenReachable: false } }, { reachable: false }))
+      .toEqual({ enabled: true, reason: 'intranet.corp is unreachable' });
+  });
+
+  it('should validate activation conditions', () => {
+    expect(validateActivation(undefined)).toEqual([]);
+    expect(validateActivation({ probe: { target: 'intranet.corp' }, schedule: workdays })).toEqual([]);
+    expect(validateActivation({ probe: { target: ' ' } })).toEqual(['Probe host is required']);
+    expect(validateActivation({ probe: { target: 'ftp://files.corp' } }))
+      .toEqual(['Probe host must be a hostname, host:port or http(s) URL']);
+    expect(validateActivation({ schedule: { days: [], start: '9:00', end: '18:00' } })).toEqual([
+      'Schedule needs at least one day',
+      'Schedule times must be in HH:MM format'
+    ]);
+    expect(validateActivation({ schedule: { ...workdays, end: '09:00' } }))
+      .toEqual(['Schedule must end at a different time than it starts']);
+  });
+});
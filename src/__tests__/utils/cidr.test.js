@@ -0,0 +1,69 @@
+import {
+  parseIpAddress,
+  parseCidr,
+  isAddressInCidr,
+  formatIpv4Network,
+  getIpv4Netmask
+} from '../../utils/cidr.js';
+
+describe('CIDR helpers', () => {
+  describe('parseIpAddress', () => {
+    it('should parse IPv4 addresses', () => {
+      expect(parseIpAddress('10.1.2.3')).toEqual({ version: 4, bytes: [10, 1, 2, 3] });
+      expect(parseIpAddress('256.1.1.1')).toBeNull();
+    });
+
+    it('should parse IPv6 addresses, with brackets, compression and embedded IPv4', () => {
+      expect(parseIpAddress('[::1]')).toEqual({ version: 6, bytes: [...new Array(15).fill(0), 1] });
+      expect(parseIpAddress('::ffff:10.0.0.1').bytes.slice(10)).toEqual([255, 255, 10, 0, 0, 1]);
+      expect(parseIpAddress('fe80::1%eth0').bytes[0]).toBe(0xfe);
+    });
+
+    it('should reject hostnames and malformed addresses', () => {
+      expect(parseIpAddress('example.com')).toBeNull();
+      expect(parseIpAddress('1::2::3')).toBeNull();
+      expect(parseIpAddress('1:2:3:4:5:6:7:8:9')).toBeNull();
+      expect(parseIpAddress(null)).toBeNull();
+    });
+  });
+
+  describe('parseCidr', () => {
+    it('should parse ranges and clear host bits', () => {
+      expect(parseCidr('10.1.2.3/8')).toEqual({ version: 4, bytes: [10, 0, 0, 0], prefixLength: 8 });
+      expect(parseCidr('2001:db8::/32').prefixLength).toBe(32);
+    });
+
+    it('should treat a bare address as a single host', () => {
+      expect(parseCidr('192.168.1.1').prefixLength).toBe(32);
+      expect(parseCidr('::1').prefixLength).toBe(128);
+    });
+
+    it('should reject invalid ranges', () => {
+      expect(parseCidr('10.0.0.0/33')).toBeNull();
+      expect(parseCidr('10.0.0.0/')).toBeNull();
+      expect(parseCidr('10.0.0.0/8/8')).toBeNull();
+      expect(parseCidr('example.com/8')).toBeNull();
+    });
+  });
+
+  describe('isAddressInCidr', () => {
+    it('should test addresses against ranges of the same version', () => {
+      const privateRange = parseCidr('172.16.0.0/12');
+
+      expect(isAddressInCidr(parseIpAddress('172.31.255.1'), privateRange)).toBe(true);
+      expect(isAddressInCidr(parseIpAddress('172.32.0.1'), privateRange)).toBe(false);
+      expect(isAddressInCidr(parseIpAddress('2001:db8:1::5'), parseCidr('2001:db8::/32'))).toBe(true);
+      expect(isAddressInCidr(parseIpAddress('::ffff:172.16.0.1'), privateRange)).toBe(false);
+      expect(isAddressInCidr(parseIpAddress('8.8.8.8'), parseCidr('0.0.0.0/0'))).toBe(true);
+    });
+  });
+
+  describe('IPv4 PAC helpers', () => {
+    it('should format the network and netmask for isInNet', () => {
+      expect(formatIpv4Network(parseCidr('172.16.5.4/12'))).toBe('172.16.0.0');
+      expect(getIpv4Netmask(12)).toBe('255.240.0.0');
+      expect(getIpv4Netmask(0)).toBe('0.0.0.0');
+      expect(getIpv4Netmask(32)).toBe('255.255.255.255');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import {
+  convertSwitchyOmegaBackup,
+  convertFoxyProxyExport,
+  parseImportFile
+} from '../../utils/config-importers.js';
+import { validateImportedConfig } from '../../utils/config-transfer.js';
+
+const switchyOmegaBackup = {
+  schemaVersion: 2,
+  '-startupProfileName': 'auto switch',
+  '+work': {
+    profileType: 'FixedProfile',
+    name: 'work',
+    color: '#99ccee',
+    fallbackProxy: { scheme: 'socks5', host: 'work.example.com', port: 1080 },
+    bypassList: [
+      { conditionType: 'BypassCondition', pattern: '<local>' },
+      { conditionType: 'BypassCondition', pattern: '10.0.0.0/8' }
+    ]
+  },
+  '+home': {
+    profileType: 'FixedProfile',
+    name: 'home',
+    fallbackProxy: { scheme: 'http', host: 'home.example.com', port: 3128 },
+    auth: { fallbackProxy: { username: 'me', password: 'secret' } }
+  },
+  '+auto switch': {
+    profileType: 'SwitchProfile',
+    name: 'auto switch',
+    defaultProfileName: 'home',
+    rules: [
+      { condition: { conditionType: 'HostWildcardCondition', pattern: 'intranet.corp.com' }, profileName: 'direct' },
+      { condition: { conditionType: 'HostWildcardCondition', pattern: '*.corp.com' }, profileName: 'work' },
+      { condition: { conditionType: 'HostRegexCondition', pattern: '^git\\d+\\.' }, profileName: 'work' },
+      { condition: { conditionType: 'UrlWildcardCondition', pattern: 'https://*/api/*' }, profileName: 'work' },
+      { condition: { conditionType: 'TimeCondition', startHour: 9, endHour: 17 }, profileName: 'work' },
+      { condition: { conditionType: 'HostWildcardCondition', pattern: '*.pac.com' }, profileName: 'pac' }
+    ]
+  },
+  '+pac': { profileType: 'PacProfile', name: 'pac', pacUrl: 'http://example.com/proxy.pac' }
+};
+
+describe('config importers', () => {
+  describe('convertSwitchyOmegaBackup', () => {
+    const { config, skipped } = convertSwitchyOmegaBackup(switchyOmegaBackup);
+    const [work, home] = config.proxies;
+
+    it('should turn fixed servers into proxies ordered by their rules', () => {
+      expect(config.proxies.map(p => [p.id, p.priority])).toEqual([
+        ['switchyomega-work', 0],
+        ['switchyomega-home', 1]
+      ]);
+      expect(work).toMatchObject({ host: 'work.example.com', port: 1080, proxyType: 'socks5', color: '#99ccee' });
+      expect(home.auth).toEqual({ username: 'me', password: 'secret' });
+      expect(validateImportedConfig(config)).toEqual([]);
+    });
+
+    it('should convert wildcard, regex and URL conditions', () => {
+      expect(work.routingConfig.patterns).toEqual([
+        { value: 'corp.com', type: 'domain-suffix' },
+        '^git\\d+\\.',
+        { value: 'https://*/api/*', target: 'url', type: 'glob' }
+      ]);
+    });
+
+    it('should turn DIRECT rules and bypass lists into exclusions', () => {
+      expect(work.routingConfig.excludePatterns).toEqual([
+        '^[^.:]+$',
+        { value: '10.0.0.0/8', type: 'cidr' },
+        { value: 'intranet.corp.com', type: 'glob' }
+      ]);
+    });
+
+    it('should make the default profile the catch-all proxy', () => {
+      expect(home.routingConfig.patterns).toEqual(['.*']);
+    });
+
+    it('should report the rules and profiles it could not convert', () => {
+      expect(skipped).toEqual(expect.arrayContaining([
+        { source: 'auto switch rule 5: TimeCondition', reason: 'TimeCondition conditions are not supported' },
+        { source: 'auto switch rule 6: *.pac.com', reason: 'rules can only use fixed servers or DIRECT, not "pac"' },
+        { source: 'pac', reason: 'PacProfile profiles are not supported' }
+      ]));
+      expect(skipped).toHaveLength(3);
+    });
+  });
+
+  describe('convertFoxyProxyExport', () => {
+    it('should convert version 8 exports', () => {
+      const { config, skipped } = convertFoxyProxyExport({
+        mode: 'pattern',
+        data: [
+          {
+            active: true,
+            title: 'Office',
+            type: 'http',
+            hostname: 'proxy.office.com',
+            port: '8080',
+            username: 'me',
+            password: 'secret',
+            include: [
+              { type: 'wildcard', title: 'corp', pattern: '*.corp.com', active: true },
+              { type: 'regex', title: 'api', pattern: '^https://api\\.', active: true },
+              { type: 'wildcard', title: 'old', pattern: '*.old.com', active: false }
+            ],
+            exclude: [{ type: 'wildcard', pattern: 'public.corp.com', active: true }]
+          },
+          { active: true, title: 'Auto', type: 'pac', hostname: '', port: '', pac: 'http://example.com/proxy.pac' }
+        ]
+      });
+
+      expect(config.proxies).toHaveLength(1);
+      expect(config.proxies[0]).toMatchObject({ id: 'foxyproxy-office', port: 8080, proxyType: 'http' });
+      expect(config.proxies[0].routingConfig.patterns).toEqual([
+        { value: '*.corp.com', type: 'glob' },
+        { value: '^https://api\\.', target: 'url' }
+      ]);
+      expect(config.proxies[0].routingConfig.excludePatterns).toEqual([{ value: 'public.corp.com', type: 'glob' }]);
+      expect(skipped).toEqual([
+        { source: 'Office: old', reason: 'the pattern is disabled' },
+        { source: 'Auto', reason: 'pac proxies are not supported' }
+      ]);
+      expect(validateImportedConfig(config)).toEqual([]);
+    });
+
+    it('should convert version 7 exports in their stored order', () => {
+      const { config, skipped } = convertFoxyProxyExport({
+        mode: 'patterns',
+        k2: { title: 'Second', type: 3, address: 'b.example.com', port: 1080, index: 1, active: false, whitePatterns: [] },
+        k1: {
+          title: 'First',
+          type: 1,
+          address: 'a.example.com',
+          port: 3128,
+          index: 0,
+          whitePatterns: [{ title: 'all', pattern: '*', type: 1, protocols: 1, active: true }],
+          blackPatterns: [{ title: 'local', pattern: '*://localhost/*', type: 1, protocols: 2, active: true }]
+        }
+      });
+
+      expect(config.proxies.map(p => [p.id, p.proxyType, p.enabled])).toEqual([
+        ['foxyproxy-k1', 'http', true],
+        ['foxyproxy-k2', 'socks5', false]
+      ]);
+      expect(config.proxies[0].routingConfig.patterns).toEqual(['.*']);
+      expect(config.proxies[0].routingConfig.excludePatterns).toEqual([
+        { value: '*://localhost/*', target: 'url', type: 'glob' }
+      ]);
+      expect(skipped[0].reason).toMatch(/protocol restrictions are not supported/);
+    });
+  });
+
+  describe('parseImportFile', () => {
+    it('should detect the file format', () => {
+      expect(parseImportFile(JSON.stringify(switchyOmegaBackup))).toMatchObject({ source: 'SwitchyOmega', includesSecrets: true });
+      expect(parseImportFile(JSON.stringify({ data: [] })).source).toBe('FoxyProxy');
+      expect(() => parseImportFile('{"proxies": []}')).toThrow('not a ProxyDeck configuration export');
+    });
+  });
+});
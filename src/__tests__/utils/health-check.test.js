@@ -0,0 +1,92 @@
+import {
+  getHealthCheckSettings,
+  validateHealthCheckUrl,
+  buildHealthCheckUrl,
+  getHealthCheckProxyId,
+  summarizeHealthHistory
+} from '../../utils/health-check.js';
+import { DEFAULT_HEALTH_CHECK_CONFIG } from '../../common/constants.js';
+
+describe('health check helpers', () => {
+  describe('getHealthCheckSettings', () => {
+    it('should fall back to the defaults', () => {
+      expect(getHealthCheckSettings(undefined)).toEqual(DEFAULT_HEALTH_CHECK_CONFIG);
+    });
+
+    it('should normalize the interval to whole minutes of at least one', () => {
+      expect(getHealthCheckSettings({ intervalMinutes: '15' }).intervalMinutes).toBe(15);
+      expect(getHealthCheckSettings({ intervalMinutes: 0 }).intervalMinutes).toBe(DEFAULT_HEALTH_CHECK_CONFIG.intervalMinutes);
+      expect(getHealthCheckSettings({ intervalMinutes: -5 }).intervalMinutes).toBe(1);
+    });
+  });
+
+  describe('validateHealthCheckUrl', () => {
+    it('should accept http and https URLs', () => {
+      expect(validateHealthCheckUrl('http://example.com/ping')).toBeNull();
+      expect(validateHealthCheckUrl('https://example.com/ping')).toBeNull();
+    });
+
+    it('should reject empty, malformed and non-http URLs', () => {
+      expect(validateHealthCheckUrl('')).toBe('Check URL is required');
+      expect(validateHealthCheckUrl('not a url')).toBe('Check URL is not a valid URL');
+      expect(validateHealthCheckUrl('ftp://example.com')).toBe('Check URL must use http or https');
+    });
+  });
+
+  describe('probe URLs', () => {
+    it('should round-trip the proxy ID', () => {
+      const probeUrl = buildHealthCheckUrl('http://example.com/ping?keep=1', 'proxy_1 &x');
+
+      expect(probeUrl).toContain('keep=1');
+      expect(getHealthCheckProxyId(probeUrl)).toBe('proxy_1 &x');
+    });
+
+    it('should return null for regular requests', () => {
+      expect(getHealthCheckProxyId('http://example.com/?proxydeck_probe_t=1')).toBeNull();
+      expect(getHealthCheckProxyId('not a url')).toBeNull();
+    });
+  });
+
+  describe('summarizeHealthHistory', () => {
+    it('should report unknown without history', () => {
+      expect(summarizeHealthHistory([]).status).toBe('unknown');
+    });
+
+    it('should summarize latency and success rate', () => {
+      const summary = summarizeHealthHistory([
+        { timestamp: 1, success: true, latency: 100, error: null },
+        { timestamp: 2, success: true, latency: 300, error: null }
+      ]);
+
+      expect(summary).toEqual({
+        status: 'healthy',
+        lastChecked: 2,
+        latency: 300,
+        error: null,
+        successRate: 1,
+        averageLatency: 200
+      });
+    });
+
+    it('should flag a passing proxy with recent failures as degraded', () => {
+      const summary = summarizeHealthHistory([
+        { timestamp: 1, success: false, latency: null, error: 'HTTP 502' },
+        { timestamp: 2, success: true, latency: 120, error: null }
+      ]);
+
+      expect(summary.status).toBe('degraded');
+      expect(summary.successRate).toBe(0.5);
+    });
+
+    it('should report the failure reason of the latest check', () => {
+      const summary = summarizeHealthHistory([
+        { timestamp: 1, success: true, latency: 80, error: null },
+        { timestamp: 2, success: false, latency: null, error: 'net::ERR_PROXY_CONNECTION_FAILED' }
+      ]);
+
+      expect(summary.status).toBe('unhealthy');
+      expect(summary.error).toBe('net::ERR_PROXY_CONNECTION_FAILED');
+      expect(summary.latency).toBeNull();
+    });
+  });
+});
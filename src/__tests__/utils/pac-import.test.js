@@ -0,0 +1,121 @@
+import { evaluatePacScript, parsePacSample } from '../../utils/pac-evaluator.js';
+import { parsePacProxyList, derivePacImport } from '../../utils/pac-import.js';
+import { validateImportedConfig } from '../../utils/config-transfer.js';
+
+const corporatePac = `
+  function FindProxyForURL(url, host) {
+    if (isPlainHostName(host) || dnsDomainIs(host, "intranet.corp.com")) return "DIRECT";
+    if (isInNet(host, "10.0.0.0", "255.0.0.0")) return "SOCKS5 10.0.0.1:1080";
+    if (shExpMatch(host, "*.corp.com")) return "PROXY proxy.corp.com:8080; PROXY backup.corp.com:8080; DIRECT";
+    if (url.substring(0, 6) === "https:" && dnsDomainIs(host, ".partner.com")) return "HTTPS gw.partner.com:443";
+    return "DIRECT";
+  }
+`;
+
+describe('PAC import', () => {
+  describe('evaluatePacScript', () => {
+    it('should run FindProxyForURL with the standard helpers', () => {
+      const { results, notes } = evaluatePacScript(corporatePac, [
+        'git.corp.com',
+        'https://api.partner.com/v1',
+        '10.1.2.3',
+        'printer'
+      ]);
+
+      expect(results.map(r => r.result)).toEqual([
+        'PROXY proxy.corp.com:8080; PROXY backup.corp.com:8080; DIRECT',
+        'HTTPS gw.partner.com:443',
+        'SOCKS5 10.0.0.1:1080',
+        'DIRECT'
+      ]);
+      expect(notes).toEqual([]);
+    });
+
+    it('should report DNS and time dependent scripts', () => {
+      const script = 'function FindProxyForURL(url, host) { return isResolvable(host) || weekdayRange("MON", "FRI") ? "PROXY a:1" : "DIRECT"; }';
+      const { notes } = evaluatePacScript(script, ['example.com']);
+
+      expect(notes).toHaveLength(2);
+    });
+
+    it('should report scripts that fail to load or throw', () => {
+      expect(() => evaluatePacScript('function (', ['a.com'])).toThrow('could not be loaded');
+      expect(() => evaluatePacScript('var x = 1;', ['a.com'])).toThrow('does not define FindProxyForURL');
+
+      const { results } = evaluatePacScript('function FindProxyForURL() { throw new Error("boom"); }', ['a.com', '::']);
+      expect(results[0].error).toBe('boom');
+      expect(results[1].error).toBe('not a valid URL or hostname');
+    });
+
+    it('should accept hostnames and URLs as samples', () => {
+      expect(parsePacSample('corp.com')).toEqual({ url: 'https://corp.com/', host: 'corp.com' });
+      expect(parsePacSample('http://corp.com:8080/x')).toEqual({ url: 'http://corp.com:8080/x', host: 'corp.com' });
+    });
+  });
+
+  describe('parsePacProxyList', () => {
+    it('should parse the lists generatePacScript emits', () => {
+      expect(parsePacProxyList('SOCKS5 user:pw@a.com:1080; PROXY b.com:3128; DIRECT').entries).toEqual([
+        { proxyType: 'socks5', host: 'a.com', port: 1080, username: 'user', password: 'pw' },
+        { proxyType: 'http', host: 'b.com', port: 3128 },
+        { direct: true }
+      ]);
+      expect(parsePacProxyList('SOCKS [::1]:1080').entries[0]).toEqual({ proxyType: 'socks4', host: '::1', port: 1080 });
+      expect(parsePacProxyList('QUIC a.com:443; PROXY b.com').invalid).toEqual(['QUIC a.com:443', 'PROXY b.com']);
+    });
+  });
+
+  describe('derivePacImport', () => {
+    const { results } = evaluatePacScript(corporatePac, [
+      'git.corp.com',
+      'wiki.corp.com',
+      'intranet.corp.com',
+      '10.1.2.3',
+      'https://api.partner.com'
+    ]);
+    const { config, skipped, rows } = derivePacImport(results);
+    const [corp, backup] = config.proxies;
+
+    it('should create one proxy per distinct PAC proxy, with failover chains', () => {
+      expect(config.proxies.map(p => [p.name, p.proxyType, p.priority])).toEqual([
+        ['proxy.corp.com:8080', 'http', 0],
+        ['backup.corp.com:8080', 'http', 1],
+        ['10.0.0.1:1080', 'socks5', 2],
+        ['gw.partner.com:443', 'https', 3]
+      ]);
+      expect(corp.failover).toEqual({ fallbackProxyIds: [backup.id], fallbackToDirect: true });
+      expect(skipped).toEqual([]);
+      expect(validateImportedConfig(config)).toEqual([]);
+    });
+
+    it('should suggest patterns for the sample hosts', () => {
+      expect(corp.routingConfig.patterns).toEqual([
+        { value: 'git.corp.com', type: 'domain-suffix' },
+        { value: 'wiki.corp.com', type: 'domain-suffix' }
+      ]);
+      expect(config.proxies[2].routingConfig.patterns).toEqual([{ value: '10.1.2.3', type: 'cidr' }]);
+      expect(backup.routingConfig.patterns).toEqual([]);
+    });
+
+    it('should list each sample with its proxy', () => {
+      expect(rows.map(row => row.proxyName)).toEqual([
+        'proxy.corp.com:8080',
+        'proxy.corp.com:8080',
+        'Direct',
+        '10.0.0.1:1080',
+        'gw.partner.com:443'
+      ]);
+    });
+
+    it('should exclude DIRECT hosts covered by a suggested pattern', () => {
+      const derived = derivePacImport([
+        { sample: 'corp.com', host: 'corp.com', result: 'PROXY p:1' },
+        { sample: 'intranet.corp.com', host: 'intranet.corp.com', result: 'DIRECT' },
+        { sample: 'broken', error: 'boom' }
+      ]);
+
+      expect(derived.config.proxies[0].routingConfig.excludePatterns).toEqual([{ value: 'intranet.corp.com', type: 'glob' }]);
+      expect(derived.skipped).toEqual([{ source: 'broken', reason: 'boom' }]);
+    });
+  });
+});
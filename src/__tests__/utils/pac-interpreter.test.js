@@ -0,0 +1,223 @@
+import * as browser from 'webextension-polyfill';
+import { compilePacScript, checkPacScriptSyntax } from '../../utils/pac-interpreter.js';
+import { createPacHelpers } from '../../utils/pac-evaluator.js';
+import ProxyManager from '../../modules/ProxyManager.js';
+import PatternMatcher from '../../modules/PatternMatcher.js';
+
+jest.mock('../../utils/feature-detection', () => ({
+  __esModule: true,
+  default: {
+    browser: { isFirefox: false, isChrome: true },
+    proxy: { hasProxyRequestListener: false, hasProxySettings: true },
+    containers: { hasContainerSupport: true, hasTabCookieStoreIds: true }
+  }
+}));
+
+jest.mock('../../utils/proxy-helpers', () => ({
+  setupProxyRequestListener: jest.fn(),
+  applyProxySettings: jest.fn().mockResolvedValue(undefined),
+  disableProxy: jest.fn().mockResolvedValue(undefined)
+}));
+
+const corporatePac = `
+  var proxies = ["PROXY a.corp.com:8080", "PROXY b.corp.com:8080"];
+  var direct = { "intranet.corp.com": true, printer: true };
+
+  function pick(host) {
+    var sum = 0;
+    for (var i = 0; i < host.length; i++) sum += host.charCodeAt(i);
+    return proxies[sum % proxies.length];
+  }
+
+  function FindProxyForURL(url, host) {
+    host = host.toLowerCase();
+    if (isPlainHostName(host) || direct[host]) return "DIRECT";
+    if (isInNet(host, "10.0.0.0", "255.0.0.0")) return "SOCKS5 10.0.0.1:1080";
+    if (/^https:/.test(url) && shExpMatch(host, "*.partner.com")) return "HTTPS gw.partner.com:443";
+    switch (host.split(".").pop()) {
+      case "test":
+        return "DIRECT";
+      default:
+        return dnsDomainIs(host, ".corp.com") ? pick(host) + "; DIRECT" : "DIRECT";
+    }
+  }
+`;
+
+describe('compilePacScript', () => {
+  it('should run FindProxyForURL with the PAC helpers', () => {
+    const findProxy = compilePacScript(corporatePac);
+
+    expect(findProxy('https://git.corp.com/', 'git.corp.com')).toMatch(/^PROXY [ab]\.corp\.com:8080; DIRECT$/);
+    expect(findProxy('https://intranet.corp.com/', 'INTRANET.corp.com')).toBe('DIRECT');
+    expect(findProxy('http://10.1.2.3/', '10.1.2.3')).toBe('SOCKS5 10.0.0.1:1080');
+    expect(findProxy('https://api.partner.com/', 'api.partner.com')).toBe('HTTPS gw.partner.com:443');
+    expect(findProxy('http://api.partner.com/', 'api.partner.com')).toBe('DIRECT');
+    expect(findProxy('http://printer/', 'printer')).toBe('DIRECT');
+  });
+
+  it('should support closures, callbacks, exceptions and constructors', () => {
+    const findProxy = compilePacScript(`
+      function Rule(suffix, proxy) { this.suffix = suffix; this.proxy = proxy; }
+      var rules = [new Rule(".a.com", "PROXY a:1"), new Rule(".b.com", "PROXY b:2")];
+      var counter = (function () { var n = 0; return function () { return ++n; }; })();
+      function FindProxyForURL(url, host) {
+        counter();
+        try {
+          if (host === "bad") throw new Error("bad host");
+        } catch (e) {
+          return "PROXY err:1 " + e.message;
+        }
+        var match = rules.filter(function (rule) { return dnsDomainIs(host, rule.suffix); });
+        return match.length ? match.map(r => r.proxy).join("; ") + " " + counter() : "DIRECT";
+      }
+    `);
+
+    expect(findProxy('http://x.b.com/', 'x.b.com')).toBe('PROXY b:2 2');
+    expect(findProxy('http://bad/', 'bad')).toBe('PROXY err:1 bad host');
+    expect(findProxy('http://c.com/', 'c.com')).toBe('DIRECT');
+  });
+
+  it('should report scripts that do not parse, load or define FindProxyForURL', () => {
+    expect(() => compilePacScript('function (')).toThrow('could not be parsed');
+    expect(() => compilePacScript('throw new Error("nope");')).toThrow('could not be loaded: nope');
+    expect(() => compilePacScript('var x = 1;')).toThrow('does not define FindProxyForURL');
+    expect(() => compilePacScript('function FindProxyForURL() { return 1; }')('http://a/', 'a'))
+      .toThrow('did not return a string');
+  });
+
+  it('should keep scripts away from the host environment', () => {
+    const attempts = [
+      'return "".constructor.constructor("return globalThis")();',
+      'return ({}).__proto__;',
+      'var f = isPlainHostName; return f["constructor"]("return 1")();',
+      'return [].map["call"];',
+      'return this.location;',
+      'return globalThis.fetch("http://evil/");',
+      'return window;',
+      'return eval("1");',
+      'return Function("return globalThis")();',
+      'return new Function("return url")();'
+    ];
+
+    attempts.forEach(body => {
+      const findProxy = compilePacScript(`function FindProxyForURL(url, host) { ${body} }`);
+      let result;
+      try {
+        result = findProxy('http://a/', 'a');
+      } catch (error) {
+        result = error;
+      }
+      expect(result === undefined || result instanceof Error).toBe(true);
+    });
+  });
+
+  it('should build functions from source text in the global scope', () => {
+    const findProxy = compilePacScript(`
+      var port = 8080;
+      function FindProxyForURL(url, host) {
+        var port = 1;
+        var join = new Function("a", "b", "return a + ':' + b + ':' + port;");
+        try {
+          Function("a) {}); (function (b", "");
+        } catch (e) {
+          return join("PROXY " + host, "x") + " " + e.name;
+        }
+        return "DIRECT";
+      }
+    `);
+
+    expect(findProxy('http://a/', 'a')).toBe('PROXY a:x:8080 SyntaxError');
+  });
+
+  it('should stop scripts that run too long or build huge values', () => {
+    expect(() => compilePacScript('function FindProxyForURL() { while (true) {} }')('http://a/', 'a'))
+      .toThrow('took too long');
+    expect(() => compilePacScript('function FindProxyForURL() { try { while (true) {} } catch (e) { return "DIRECT"; } }')('http://a/', 'a'))
+      .toThrow('took too long');
+    expect(() => compilePacScript('function FindProxyForURL() { return "x".repeat(1e9); }')('http://a/', 'a'))
+      .toThrow('too large');
+    expect(() => compilePacScript('function f() { return f(); } function FindProxyForURL() { return f(); }')('http://a/', 'a'))
+      .toThrow('recurses too deeply');
+  });
+
+  it('should check scripts without running them', () => {
+    expect(() => checkPacScriptSyntax('while (true) {} function FindProxyForURL(url, host) { return "DIRECT"; }')).not.toThrow();
+    expect(() => checkPacScriptSyntax('var FindProxyForURL = function () { return "DIRECT"; };')).not.toThrow();
+    expect(() => checkPacScriptSyntax('function FindProxyForURL( {')).toThrow('could not be parsed');
+    expect(() => checkPacScriptSyntax('<html>Login required</html>')).toThrow('could not be parsed');
+    expect(() => checkPacScriptSyntax('function findProxy() {}')).toThrow('does not define FindProxyForURL');
+  });
+});
+
+describe('compilePacScript with the PAC script ProxyDeck generates', () => {
+  const proxy = (id, priority, patterns, extra = {}) => ({
+    id,
+    name: id,
+    enabled: true,
+    proxyType: 'http',
+    host: `${id}.proxy.test`,
+    port: 3128,
+    priority,
+    ...extra,
+    routingConfig: { useContainerMode: false, patterns, containers: [], ...extra.routingConfig }
+  });
+
+  const createProxyManager = async () => {
+    const config = {
+      version: 2,
+      proxyEnabled: true,
+      bypassPatterns: ['^intranet\\.'],
+      proxies: [
+        proxy('corp_pac', 0, [{ value: 'corp.com', type: 'domain-suffix' }], { proxyType: 'pac', pacUrl: 'https://wpad.corp.com/proxy.pac' }),
+        proxy('office', 1, [{ value: 'example.com', type: 'domain-suffix' }, { value: '10.0.0.0/8', type: 'cidr' }, { value: '/api/', target: 'path' }], {
+          routingConfig: { excludePatterns: ['^www\\.example\\.com$'] },
+          failover: { fallbackProxyIds: ['backup'], fallbackToDirect: true }
+        }),
+        proxy('backup', 2, ['^backup\\.test$'], { proxyType: 'socks5' })
+      ]
+    };
+    browser.storage.local.get.mockResolvedValue({ config });
+    const proxyManager = new ProxyManager({ patternMatcher: new PatternMatcher() });
+    await proxyManager.loadConfig();
+    proxyManager.remotePacScripts = {
+      corp_pac: 'function FindProxyForURL(url, host) { return host.indexOf("git.") === 0 ? "PROXY git.corp.com:8080" : "DIRECT"; }'
+    };
+    proxyManager.setTabOverrides(new Map([
+      [7, { proxyId: 'backup', scope: 'tab', origin: 'https://override.test:443', windowId: 1, createdAt: 1 }],
+      [8, { proxyId: null, scope: 'tab', origin: 'http://api.example.com:80', windowId: 1, createdAt: 2 }]
+    ]));
+    return proxyManager;
+  };
+
+  it('should route every feature of the generated script like the browser would', async () => {
+    const proxyManager = await createProxyManager();
+    const pacScript = proxyManager.generatePacScript();
+    const interpreted = compilePacScript(pacScript);
+    // The PAC helpers are globals of the browser's PAC engine
+    const helpers = createPacHelpers();
+    const native = new Function(...Object.keys(helpers), pacScript + '; return FindProxyForURL;')(...Object.values(helpers));
+    const probe = proxyId => `http://www.gstatic.com/generate_204?proxydeck_probe=${proxyId}&proxydeck_probe_t=1`;
+
+    const expected = {
+      'https://git.corp.com/': 'PROXY git.corp.com:8080',
+      'https://www.corp.com/': 'DIRECT',
+      'https://api.example.com/': 'PROXY office.proxy.test:3128; SOCKS5 backup.proxy.test:3128; DIRECT',
+      'http://api.example.com/': 'DIRECT',
+      'https://www.example.com/': 'DIRECT',
+      'http://10.1.2.3/': 'PROXY office.proxy.test:3128; SOCKS5 backup.proxy.test:3128; DIRECT',
+      'https://other.org/api/v1': 'PROXY office.proxy.test:3128; SOCKS5 backup.proxy.test:3128; DIRECT',
+      'https://intranet.example.com/': 'DIRECT',
+      'https://override.test/': 'SOCKS5 backup.proxy.test:3128',
+      'https://backup.test/': 'SOCKS5 backup.proxy.test:3128',
+      [probe('office')]: 'PROXY office.proxy.test:3128',
+      [probe('direct')]: 'DIRECT',
+      [probe('constructor')]: 'DIRECT'
+    };
+
+    Object.entries(expected).forEach(([url, result]) => {
+      const host = new URL(url).hostname;
+      expect([url, interpreted(url, host)]).toEqual([url, result]);
+      expect([url, native(url, host)]).toEqual([url, result]);
+    });
+  });
+});
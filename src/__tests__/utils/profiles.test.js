@@ -0,0 +1,107 @@
+import {
+  createProfile,
+  getActiveProfile,
+  applyProfileToConfig,
+  isProfileModified,
+  removeProxyFromProfiles,
+  validateProfileName
+} from '../../utils/profiles.js';
+
+const makeProxy = (id, enabled, priority, patterns = []) => ({
+  id,
+  name: id,
+  enabled,
+  priority,
+  routingConfig: { useContainerMode: false, patterns, excludePatterns: [], containers: [] }
+});
+
+describe('profiles', () => {
+  const config = {
+    version: 2,
+    proxies: [
+      makeProxy('office', true, 0, ['corp\\.example']),
+      makeProxy('home', false, 1, ['home\\.lan'])
+    ]
+  };
+
+  describe('createProfile', () => {
+    it('should store enabled flags and priorities, and patterns only when asked', () => {
+      const profile = createProfile(config, ' Office ');
+
+      expect(profile.id).toMatch(/^profile_/);
+      expect(profile.name).toBe('Office');
+      expect(profile.proxies).toEqual({
+        office: { enabled: true, priority: 0 },
+        home: { enabled: false, priority: 1 }
+      });
+
+      const withPatterns = createProfile(config, 'Office', { includePatterns: true, id: 'profile_1' });
+      expect(withPatterns.id).toBe('profile_1');
+      expect(withPatterns.proxies.home).toEqual({
+        enabled: false, priority: 1, patterns: ['home\\.lan'], excludePatterns: []
+      });
+    });
+  });
+
+  describe('applyProfileToConfig', () => {
+    it('should apply the stored state and keep unknown proxies after the profile\'s ones', () => {
+      const profile = {
+        id: 'profile_home',
+        name: 'Home',
+        proxies: {
+          office: { enabled: false, priority: 1 },
+          home: { enabled: true, priority: 0, patterns: ['nas\\.lan'], excludePatterns: ['^router\\.lan$'] }
+        }
+      };
+      const withNewProxy = { ...config, proxies: [makeProxy('added', true, 0), ...config.proxies] };
+
+      const result = applyProfileToConfig(withNewProxy, profile);
+      const byId = Object.fromEntries(result.proxies.map(proxy => [proxy.id, proxy]));
+
+      expect(result.activeProfileId).toBe('profile_home');
+      expect(byId.home).toEqual(expect.objectContaining({ enabled: true, priority: 0 }));
+      expect(byId.home.routingConfig.patterns).toEqual(['nas\\.lan']);
+      expect(byId.home.routingConfig.excludePatterns).toEqual(['^router\\.lan$']);
+      expect(byId.office).toEqual(expect.objectContaining({ enabled: false, priority: 1 }));
+      expect(byId.office.routingConfig.patterns).toEqual(['corp\\.example']);
+      expect(byId.added).toEqual(expect.objectContaining({ enabled: true, priority: 2 }));
+      expect(withNewProxy.proxies[1].enabled).toBe(true);
+    });
+  });
+
+  describe('isProfileModified', () => {
+    it('should notice changes made after a profile was applied', () => {
+      const profile = createProfile(config, 'Office', { includePatterns: true });
+      const applied = { ...config, profiles: [profile], activeProfileId: profile.id };
+
+      expect(getActiveProfile(applied)).toBe(profile);
+      expect(isProfileModified(applied, profile)).toBe(false);
+
+      const toggled = { ...applied, proxies: [{ ...config.proxies[0], enabled: false }, config.proxies[1]] };
+      expect(isProfileModified(toggled, profile)).toBe(true);
+
+      const edited = {
+        ...applied,
+        proxies: [config.proxies[0], makeProxy('home', false, 1, ['other\\.lan'])]
+      };
+      expect(isProfileModified(edited, profile)).toBe(true);
+      expect(isProfileModified(edited, createProfile(config, 'Office'))).toBe(false);
+    });
+  });
+
+  it('should drop deleted proxies from profiles', () => {
+    const profiles = [createProfile(config, 'Office', { id: 'p1' })];
+
+    expect(removeProxyFromProfiles(profiles, 'home')[0].proxies).toEqual({ office: { enabled: true, priority: 0 } });
+    expect(removeProxyFromProfiles(undefined, 'home')).toBeUndefined();
+  });
+
+  it('should require unique profile names', () => {
+    const profiles = [{ id: 'p1', name: 'Office' }];
+
+    expect(validateProfileName('  ', profiles)).toBe('Profile name is required');
+    expect(validateProfileName('office', profiles)).toBe('A profile named "office" already exists');
+    expect(validateProfileName('Office', profiles, 'p1')).toBeNull();
+    expect(validateProfileName('Home', profiles)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import { hasQuota, getQuotaPeriodStart, getQuotaThresholds } from '../../utils/quota.js';
+import { validateQuota } from '../../utils.js';
+import { QUOTA_ACTIONS, QUOTA_PERIODS } from '../../common/constants.js';
+
+describe('quota', () => {
+  const quota = { limitBytes: 1000, period: QUOTA_PERIODS.DAILY, thresholds: [95, 80, 80], onExhausted: QUOTA_ACTIONS.FLAG };
+
+  it('should only treat proxies with a positive limit as limited', () => {
+    expect(hasQuota({ quota })).toBe(true);
+    expect(hasQuota({ quota: { ...quota, limitBytes: 0 } })).toBe(false);
+    expect(hasQuota({})).toBe(false);
+  });
+
+  it('should start periods at local midnight and on the first of the month', () => {
+    const date = new Date(2026, 9, 19, 10, 30);
+
+    expect(getQuotaPeriodStart(QUOTA_PERIODS.DAILY, date)).toBe(new Date(2026, 9, 19).getTime());
+    expect(getQuotaPeriodStart(QUOTA_PERIODS.MONTHLY, date)).toBe(new Date(2026, 9, 1).getTime());
+  });
+
+  it('should sort and deduplicate thresholds', () => {
+    expect(getQuotaThresholds(quota)).toEqual([80, 95]);
+  });
+
+  it('should validate quotas', () => {
+    expect(validateQuota(undefined)).toEqual([]);
+    expect(validateQuota(quota)).toEqual([]);
+    expect(validateQuota({ limitBytes: 0, period: 'weekly', onExhausted: 'block', thresholds: [100] })).toEqual([
+      'Quota must be more than 0',
+      'Quota period must be daily or monthly',
+      'Quota action must be to disable or flag the proxy',
+      'Quota warnings must be whole percentages between 1 and 99'
+    ]);
+  });
+});
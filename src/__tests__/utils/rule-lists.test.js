@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import { parseRuleList, diffRuleLists, mergeSubscriptionState } from '../../utils/rule-lists.js';
+import { defaultPatternMatcher } from '../../modules/PatternMatcher.js';
+
+const autoProxyList = [
+  '[AutoProxy 0.2.9]',
+  '! Checksum: abc',
+  '||blocked.com',
+  '||video.example^',
+  '.news.example',
+  '|http://plain.example/path',
+  '||img.example/*.png',
+  '/^https?:\\/\\/[^\\/]+\\.regex\\.example/',
+  'keyword-only',
+  '@@||cn.blocked.com',
+  '||blocked.com',
+  '||ads.example^$third-party',
+  'example.org##.banner'
+].join('\n');
+
+const matches = (url, patterns) => defaultPatternMatcher.matchesAnyPattern(url, patterns);
+
+describe('parseRuleList', () => {
+  it('should convert Adblock and AutoProxy rules to patterns and exceptions', () => {
+    const list = parseRuleList(autoProxyList);
+
+    expect(list.format).toBe('adblock');
+    expect(list.patterns).toContainEqual({ value: 'blocked.com', type: 'domain-suffix' });
+    expect(list.patterns).toContainEqual({ value: 'video.example', type: 'domain-suffix' });
+    expect(list.patterns).toContainEqual({ value: 'news.example', type: 'domain-suffix' });
+    expect(list.patterns.filter(pattern => pattern.value === 'blocked.com')).toHaveLength(1);
+    expect(list.excludePatterns).toEqual([{ value: 'cn.blocked.com', type: 'domain-suffix' }]);
+    expect(list.skipped).toBe(2);
+
+    expect(matches('http://plain.example/path/more', list.patterns)).toBe(true);
+    expect(matches('https://plain.example/path', list.patterns)).toBe(false);
+    expect(matches('http://cdn.img.example/a/b.png', list.patterns)).toBe(true);
+    expect(matches('https://www.regex.example/', list.patterns)).toBe(true);
+    expect(matches('http://site.test/?q=keyword-only', list.patterns)).toBe(true);
+    expect(matches('http://unrelated.test/', list.patterns)).toBe(false);
+  });
+
+  it('should decode base64 gfwlist files', () => {
+    const encoded = Buffer.from(autoProxyList).toString('base64').replace(/(.{64})/g, '$1\n');
+    const list = parseRuleList(encoded);
+
+    expect(list.format).toBe('gfwlist');
+    expect(list.patterns).toEqual(parseRuleList(autoProxyList).patterns);
+  });
+
+  it('should read plain domain lists and hosts files', () => {
+    const list = parseRuleList('# Streaming\nnetflix.com\n*.nflxvideo.net\n0.0.0.0 tracker.example # hosts\n\nnot a domain\n');
+
+    expect(list.format).toBe('domains');
+    expect(list.patterns).toEqual([
+      { value: 'netflix.com', type: 'domain-suffix' },
+      { value: 'nflxvideo.net', type: 'domain-suffix' },
+      { value: 'tracker.example', type: 'domain-suffix' }
+    ]);
+    expect(list.skipped).toBe(1);
+  });
+
+  it('should produce patterns the routing validation accepts', () => {
+    const { patterns } = parseRuleList(autoProxyList);
+    patterns
+      .filter(pattern => pattern.type !== 'domain-suffix')
+      .forEach(pattern => expect(defaultPatternMatcher.isValidRoutingPattern(pattern.value)).toBe(true));
+  });
+});
+
+describe('diffRuleLists', () => {
+  it('should count added and removed rules, patterns and exceptions apart', () => {
+    const previous = { patterns: ['a', 'b'], excludePatterns: ['c'] };
+    const next = { patterns: ['b', 'c', 'd'], excludePatterns: [] };
+
+    expect(diffRuleLists(previous, next)).toEqual({ added: 2, removed: 2 });
+    expect(diffRuleLists(undefined, next)).toEqual({ added: 3, removed: 0 });
+  });
+});
+
+describe('mergeSubscriptionState', () => {
+  const stored = { url: 'https://a/list', refreshMinutes: 60, patterns: ['x'], checkedAt: 2000, history: [{ at: 2000 }] };
+
+  it('should take newer fetched rules and keep edited settings', () => {
+    const edited = { url: 'https://a/list', refreshMinutes: 120, patterns: [], checkedAt: 1000 };
+
+    expect(mergeSubscriptionState(edited, stored)).toEqual({ ...stored, refreshMinutes: 120 });
+  });
+
+  it('should keep edits for another URL or up-to-date copies', () => {
+    const moved = { url: 'https://b/list', refreshMinutes: 60 };
+    const current = { ...stored, refreshMinutes: 30 };
+
+    expect(mergeSubscriptionState(moved, stored)).toBe(moved);
+    expect(mergeSubscriptionState(current, stored)).toBe(current);
+    expect(mergeSubscriptionState(undefined, stored)).toBeUndefined();
+  });
+});
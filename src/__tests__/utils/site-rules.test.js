@@ -0,0 +1,147 @@
+import {
+  SITE_SCOPES,
+  getRegistrableDomain,
+  getSitePatternOptions,
+  canRouteSites,
+  routeSiteThroughProxy,
+  stopRoutingSite
+} from '../../utils/site-rules.js';
+import { PATTERN_TYPES } from '../../common/constants.js';
+
+const makeProxy = (id, patterns = [], extra = {}) => ({
+  id,
+  name: id,
+  enabled: true,
+  priority: 0,
+  routingConfig: { useContainerMode: false, patterns, excludePatterns: [], containers: [] },
+  ...extra
+});
+
+describe('site-rules', () => {
+  describe('getRegistrableDomain', () => {
+    it('should keep the label under the public suffix', () => {
+      expect(getRegistrableDomain('www.example.com')).toBe('example.com');
+      expect(getRegistrableDomain('a.b.example.co.uk')).toBe('example.co.uk');
+      expect(getRegistrableDomain('example.com')).toBe('example.com');
+      expect(getRegistrableDomain('localhost')).toBe('localhost');
+      expect(getRegistrableDomain('10.0.0.1')).toBe('10.0.0.1');
+    });
+  });
+
+  describe('getSitePatternOptions', () => {
+    it('should offer the domain, the host and the exact host, broadest first', () => {
+      expect(getSitePatternOptions('cdn.Example.com')).toEqual([
+        { scope: SITE_SCOPES.DOMAIN, label: 'example.com and subdomains', pattern: { value: 'example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX } },
+        { scope: SITE_SCOPES.HOST, label: 'cdn.example.com and subdomains', pattern: { value: 'cdn.example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX } },
+        { scope: SITE_SCOPES.EXACT, label: 'only cdn.example.com', pattern: '^cdn\\.example\\.com$' }
+      ]);
+    });
+
+    it('should skip the host option when it is the registrable domain', () => {
+      expect(getSitePatternOptions('example.com').map(option => option.scope))
+        .toEqual([SITE_SCOPES.DOMAIN, SITE_SCOPES.EXACT]);
+    });
+
+    it('should only offer the address itself for IP hosts', () => {
+      expect(getSitePatternOptions('[::1]')).toEqual([
+        { scope: SITE_SCOPES.EXACT, label: 'only ::1', pattern: { value: '::1', type: PATTERN_TYPES.CIDR } }
+      ]);
+    });
+  });
+
+  describe('canRouteSites', () => {
+    it('should accept enabled pattern proxies only', () => {
+      expect(canRouteSites(makeProxy('a'))).toBe(true);
+      expect(canRouteSites(makeProxy('a', [], { enabled: false }))).toBe(false);
+      expect(canRouteSites(makeProxy('a', [], { proxyType: 'pac' }))).toBe(false);
+      expect(canRouteSites({ ...makeProxy('a'), routingConfig: { useContainerMode: true } })).toBe(false);
+    });
+  });
+
+  describe('routeSiteThroughProxy', () => {
+    const pattern = { value: 'example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX };
+
+    it('should append the pattern and lift a matching exclusion', () => {
+      const proxy = makeProxy('office', ['corp\\.lan']);
+      proxy.routingConfig.excludePatterns = [{ value: 'Example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX }];
+      const config = { proxies: [proxy, makeProxy('home')] };
+
+      const result = routeSiteThroughProxy(config, 'office', pattern);
+
+      expect(result.changed).toBe(true);
+      expect(result.config.proxies[0].routingConfig.patterns).toEqual(['corp\\.lan', pattern]);
+      expect(result.config.proxies[0].routingConfig.excludePatterns).toEqual([]);
+      expect(result.config.proxies[1]).toBe(config.proxies[1]);
+      expect(config.proxies[0].routingConfig.patterns).toEqual(['corp\\.lan']);
+    });
+
+    it('should leave the config alone when the proxy already routes the pattern', () => {
+      const config = { proxies: [makeProxy('office', [pattern])] };
+
+      const result = routeSiteThroughProxy(config, 'office', pattern);
+
+      expect(result.changed).toBe(false);
+      expect(result.config).toBe(config);
+    });
+  });
+
+  describe('stopRoutingSite', () => {
+    const url = 'https://cdn.example.com/app.js';
+    const exclusion = { value: 'cdn.example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX };
+
+    it('should remove the patterns equal to or narrower than the chosen one', () => {
+      const config = {
+        proxies: [makeProxy('office', [
+          { value: 'CDN.example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX },
+          '^cdn\\.example\\.com$',
+          'corp\\.lan'
+        ])]
+      };
+
+      const result = stopRoutingSite(config, ['office'], url, exclusion);
+
+      expect(result.removed).toBe(2);
+      expect(result.excluded).toBe(0);
+      expect(result.config.proxies[0].routingConfig.patterns).toEqual(['corp\\.lan']);
+      expect(result.config.proxies[0].routingConfig.excludePatterns).toEqual([]);
+    });
+
+    it('should keep a broader domain rule and exclude the chosen scope from it', () => {
+      const domain = { value: 'example.com', type: PATTERN_TYPES.DOMAIN_SUFFIX };
+      const config = { proxies: [makeProxy('office', [domain, '^cdn\\.example\\.com$'])] };
+
+      const result = stopRoutingSite(config, ['office'], url, exclusion);
+
+      expect(result.removed).toBe(1);
+      expect(result.excluded).toBe(1);
+      expect(result.config.proxies[0].routingConfig.patterns).toEqual([domain]);
+      expect(result.config.proxies[0].routingConfig.excludePatterns).toEqual([exclusion]);
+
+      // Only the exact host chosen: the host's domain suffix rule is broader and kept too
+      const exact = stopRoutingSite(
+        { proxies: [makeProxy('office', [exclusion, '^cdn\\.example\\.com$'])] }, ['office'], url, '^cdn\\.example\\.com$'
+      );
+      expect(exact.config.proxies[0].routingConfig.patterns).toEqual([exclusion]);
+      expect(exact.config.proxies[0].routingConfig.excludePatterns).toEqual(['^cdn\\.example\\.com$']);
+    });
+
+    it('should exclude the site from proxies that still match it', () => {
+      const config = {
+        proxies: [
+          makeProxy('office', [{ value: 'com', type: PATTERN_TYPES.DOMAIN_SUFFIX }]),
+          { ...makeProxy('containers'), routingConfig: { useContainerMode: true, containers: ['work'] } },
+          makeProxy('home', ['example'])
+        ]
+      };
+
+      const result = stopRoutingSite(config, ['office', 'containers'], url, exclusion);
+
+      expect(result.removed).toBe(0);
+      expect(result.excluded).toBe(2);
+      expect(result.config.proxies[0].routingConfig.patterns).toHaveLength(1);
+      expect(result.config.proxies[0].routingConfig.excludePatterns).toEqual([exclusion]);
+      expect(result.config.proxies[1].routingConfig.excludePatterns).toEqual([exclusion]);
+      expect(result.config.proxies[2]).toBe(config.proxies[2]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { createTrafficExport, trafficExportToCsv } from '../../utils/traffic-export.js';
+import { TRAFFIC_EXPORT_FORMAT, TRAFFIC_EXPORT_UNITS } from '../../common/constants.js';
+
+const TUNNEL_KEY = 'socks:tunnel.test:1080';
+const stat = (current, peak, total, average) => ({ current, peak, total, average });
+
+describe('traffic-export', () => {
+  const trafficData = {
+    data: [
+      { timestamp: Date.UTC(2026, 9, 19, 10, 0), download_total: 10000, upload_total: 1000, [`download_${TUNNEL_KEY}`]: 6000, [`upload_${TUNNEL_KEY}`]: 600, download_others: 4000, upload_others: 400 },
+      { timestamp: Date.UTC(2026, 9, 19, 10, 1), download_total: 3000, upload_total: 0, [`download_${TUNNEL_KEY}`]: 3000, [`upload_${TUNNEL_KEY}`]: 0, download_others: 0, upload_others: 0 }
+    ],
+    stats: {
+      download: stat(3000, 10000, 13000, 6500),
+      upload: stat(0, 1000, 1000, 500),
+      perProxy: {
+        [TUNNEL_KEY]: { download: stat(3000, 6000, 9000, 4500), upload: stat(0, 600, 600, 300) },
+        others: { download: stat(0, 4000, 4000, 2000), upload: stat(0, 400, 400, 200) }
+      }
+    },
+    meta: { windowSize: '1h', sampleInterval: 60000, pointCount: 2 }
+  };
+  const sources = [
+    { id: 'http:removed.test:3128', name: 'Removed' },
+    { id: 'others', name: 'Others' },
+    { id: TUNNEL_KEY, name: 'Tunnel, EU' }
+  ];
+  const exportedAt = new Date(Date.UTC(2026, 9, 19, 10, 2));
+
+  it('should name the series of the window and keep bytes by default', () => {
+    const exported = createTrafficExport(trafficData, sources, { exportedAt });
+
+    expect(exported).toMatchObject({
+      format: TRAFFIC_EXPORT_FORMAT,
+      exportedAt: '2026-10-19T10:02:00.000Z',
+      window: { id: '1h', label: '1 hour', sampleInterval: 60000 },
+      unit: TRAFFIC_EXPORT_UNITS.BYTES
+    });
+    expect(exported.sources).toEqual([
+      { id: 'total', name: 'Total' },
+      { id: 'others', name: 'Others' },
+      { id: TUNNEL_KEY, name: 'Tunnel, EU' }
+    ]);
+    expect(exported.data[0]).toEqual({
+      timestamp: trafficData.data[0].timestamp,
+      time: '2026-10-19T10:00:00.000Z',
+      download: { total: 10000, others: 4000, [TUNNEL_KEY]: 6000 },
+      upload: { total: 1000, others: 400, [TUNNEL_KEY]: 600 }
+    });
+    expect(exported.stats[TUNNEL_KEY].download).toEqual({ current: 3000, peak: 6000, average: 4500, total: 9000 });
+  });
+
+  it('should convert values but not totals to rates', () => {
+    const exported = createTrafficExport(trafficData, [], { unit: TRAFFIC_EXPORT_UNITS.RATES, exportedAt });
+
+    expect(exported.unit).toBe(TRAFFIC_EXPORT_UNITS.RATES);
+    expect(exported.sources.map(source => source.name)).toEqual(['Total', TUNNEL_KEY, 'others']);
+    expect(exported.data[0].download.total).toBeCloseTo(166.67);
+    expect(exported.stats.total.download).toEqual({ current: 50, peak: 166.67, average: 108.33, total: 13000 });
+  });
+
+  it('should write a row per point and the statistics as CSV', () => {
+    const csv = trafficExportToCsv(createTrafficExport(trafficData, sources, { exportedAt }));
+    const lines = csv.split('\r\n');
+
+    expect(lines[0]).toBe(
+      'time,timestamp,Total download (bytes),Total upload (bytes),Others download (bytes),Others upload (bytes),' +
+      '"Tunnel, EU download (bytes)","Tunnel, EU upload (bytes)"'
+    );
+    expect(lines[1]).toBe(`2026-10-19T10:00:00.000Z,${trafficData.data[0].timestamp},10000,1000,4000,400,6000,600`);
+    expect(lines[3]).toBe('');
+    expect(lines[4]).toBe('source,direction,current (bytes),peak (bytes),average (bytes),total (bytes)');
+    expect(lines[10]).toBe('"Tunnel, EU",upload,0,600,300,600');
+    expect(lines[11]).toBe('');
+  });
+});
@@ -5,9 +5,18 @@ import TabManager from './modules/TabManager.js';
 import ProxyManager from './modules/ProxyManager.js';
 import PatternMatcher from './modules/PatternMatcher.js';
 import TrafficMonitor from './modules/TrafficMonitor.js';
+import ProxyAuthHandler from './modules/ProxyAuthHandler.js';
+import ProxyHealthChecker from './modules/ProxyHealthChecker.js';
+import RemotePacManager from './modules/RemotePacManager.js';
+import RuleSubscriptionManager from './modules/RuleSubscriptionManager.js';
+import ProxyActivationManager from './modules/ProxyActivationManager.js';
+import ProxyQuotaManager from './modules/ProxyQuotaManager.js';
+import RoutingLog from './modules/RoutingLog.js';
 import eventManager from './modules/EventManager.js';
+import { getActiveProfile, isProfileModified } from './utils/profiles.js';
+import { getRoutingSamples } from './utils/routing-samples.js';
 
-import { MESSAGE_ACTIONS, ALARMS } from './common/constants.js';
+import { MESSAGE_ACTIONS, ALARMS, TAB_OVERRIDE_SCOPES, PAC_PROXY_TYPE } from './common/constants.js';
 
 const patternMatcher = new PatternMatcher();
 
@@ -22,8 +31,6 @@ function isFirefox() {
 
 // Extension icon management functions
 function updateExtensionIcon(isDark = false) {
-  const title = "ProxyDeck";
-  
   let iconPathConfig;
   if (isFirefox()) {
     // Always use light.svg for Firefox as it's theme-aware
@@ -40,6 +47,19 @@ function updateExtensionIcon(isDark = false) {
     path: iconPathConfig
   });
   
+  updateActionTitle();
+}
+
+// Show the active routing profile in the toolbar button title
+function updateActionTitle() {
+  const config = proxyManager.config;
+  const profile = getActiveProfile(config);
+  
+  let title = "ProxyDeck";
+  if (profile) {
+    title += ` - ${profile.name}${isProfileModified(config, profile) ? ' (modified)' : ''}`;
+  }
+  
   browser.action.setTitle({ title });
 }
 
@@ -47,8 +67,16 @@ function initializeExtensionIcon() {
   updateExtensionIcon();
 }
 
+// Chrome routes in the PAC script, so its decisions are described when the requests end
+const routingLog = new RoutingLog({
+  describeRequest: browserCapabilities.proxy.hasProxyRequestListener
+    ? null
+    : (details) => proxyManager.describeRouting(details)
+});
+
 const trafficMonitor = new TrafficMonitor({
   patternMatcher: patternMatcher,
+  routingLog: routingLog,
   requestThrottleTimeMs: 100,
   maxPendingRequests: 50
 });
@@ -62,7 +90,8 @@ const proxyManager = new ProxyManager({
       // Error classification logic could be added here if needed
     }
   },
-  trafficMonitor: trafficMonitor
+  trafficMonitor: trafficMonitor,
+  routingLog: routingLog
 });
 
 const tabManager = new TabManager({
@@ -72,10 +101,47 @@ const tabManager = new TabManager({
   tabUpdateBatchSize: 5
 });
 
+const proxyAuthHandler = new ProxyAuthHandler({
+  proxyManager: proxyManager
+});
+
+proxyAuthHandler.register();
+
+const proxyHealthChecker = new ProxyHealthChecker({
+  proxyManager: proxyManager
+});
+
+const remotePacManager = new RemotePacManager({
+  proxyManager: proxyManager
+});
+
+const ruleSubscriptionManager = new RuleSubscriptionManager({
+  proxyManager: proxyManager,
+  onConfigurationChange: () => handleProxyConfigurationChange()
+});
+
+const proxyActivationManager = new ProxyActivationManager({
+  proxyManager: proxyManager,
+  onConfigurationChange: () => handleProxyConfigurationChange()
+});
+
+const proxyQuotaManager = new ProxyQuotaManager({
+  proxyManager: proxyManager,
+  trafficMonitor: trafficMonitor,
+  onConfigurationChange: () => handleProxyConfigurationChange()
+});
+
+// Demote proxies that keep failing behind their fallbacks
+eventManager.addWebRequestListener('onErrorOccurred', 'proxy_failover_error', (details) => {
+  proxyManager.handleProxyError(details);
+});
+
 browser.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === ALARMS.TAB_CHECK_AFTER_TOGGLE) {
     tabManager.checkCurrentTabForProxyUsage();
     tabManager.startPeriodicTabChecking();
+  } else if (alarm.name === ALARMS.PROXY_DEMOTION_EXPIRED) {
+    proxyManager.handleDemotionExpired();
   }
 });
 
@@ -88,10 +154,17 @@ function initializeExtension(startPeriodicChecking = false) {
     }
     
     tabManager.refreshAllTabBadges();
+    updateActionTitle();
     
     if (startPeriodicChecking) {
       tabManager.startPeriodicTabChecking();
     }
+    
+    proxyHealthChecker.start();
+    remotePacManager.start();
+    ruleSubscriptionManager.start();
+    proxyActivationManager.start();
+    proxyQuotaManager.start();
   });
 }
 
@@ -111,6 +184,16 @@ browser.runtime.onSuspend.addListener(() => {
   // Clean up tab manager
   tabManager.cleanup();
   
+  // Stop answering proxy authentication challenges
+  proxyAuthHandler.unregister();
+  
+  // Stop scheduled health checks, PAC script and rule list refreshes, activation and quota checks
+  proxyHealthChecker.stop();
+  remotePacManager.stop();
+  ruleSubscriptionManager.stop();
+  proxyActivationManager.stop();
+  proxyQuotaManager.stop();
+  
   // Clean up event manager listeners
   eventManager.cleanupAllListeners();
   
@@ -140,6 +223,27 @@ function handleProxyConfigurationChange() {
   // Notify TabManager of configuration update
   tabManager.handleConfigurationUpdate();
   
+  // Forget rejected credentials that have since been edited
+  proxyAuthHandler.handleConfigurationUpdate(config.proxies);
+  
+  // Drop health history of removed proxies and apply new check settings
+  proxyHealthChecker.handleConfigurationUpdate(config.proxies);
+  
+  // Fetch scripts of new PAC URL proxies and drop those of removed ones
+  remotePacManager.handleConfigurationUpdate(config.proxies);
+  
+  // Fetch new rule list subscriptions and follow changed refresh intervals
+  ruleSubscriptionManager.handleConfigurationUpdate();
+  
+  // Follow added or changed activation conditions
+  proxyActivationManager.handleConfigurationUpdate();
+  
+  // Follow added or changed data quotas
+  proxyQuotaManager.handleConfigurationUpdate();
+  
+  // Show the active profile, or that it was changed since
+  updateActionTitle();
+  
   // Broadcast configuration change to all extension tabs
   browser.runtime.sendMessage({
     action: MESSAGE_ACTIONS.CONFIGURATION_UPDATED,
@@ -194,6 +298,27 @@ const messageHandlers = {
   },
 
 
+  [MESSAGE_ACTIONS.SWITCH_PROFILE]: async (message) => {
+    if (!message.profileId) {
+      return { 
+        success: false, 
+        error: 'profileId is required for SWITCH_PROFILE'
+      };
+    }
+    
+    try {
+      const config = await proxyManager.applyProfile(message.profileId);
+      handleProxyConfigurationChange();
+      return { success: true, config };
+    } catch (error) {
+      console.error("Error switching profile:", error);
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
   [MESSAGE_ACTIONS.TOGGLE_PROXY_STATE]: (message) => {
     if (!message.proxyId) {
       return Promise.resolve({ 
@@ -207,21 +332,206 @@ const messageHandlers = {
       ? { enabled: message.enabled }
       : { enabled: undefined }; // Will trigger toggle logic in updateProxy
     
+    // Toggling by hand pins automated proxies to the chosen state
+    const activation = proxyActivationManager.getPinUpdate(message.proxyId);
+    if (activation) {
+      updates.activation = activation;
+    }
+    
     return handleProxyUpdate(message.proxyId, updates);
   },
 
 
 
+  [MESSAGE_ACTIONS.RESUME_PROXY_ACTIVATION]: async (message) => {
+    try {
+      const proxy = await proxyActivationManager.resume(message.proxyId);
+      if (!proxy) {
+        return { success: false, error: 'The proxy has no activation conditions' };
+      }
+      return { success: true, proxy, enabled: proxy.enabled };
+    } catch (error) {
+      console.error("Error resuming proxy activation:", error);
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
+  [MESSAGE_ACTIONS.GET_ACTIVATION_LOG]: async () => {
+    return {
+      success: true,
+      log: await proxyActivationManager.getLog()
+    };
+  },
+
+  [MESSAGE_ACTIONS.GET_PROXY_QUOTAS]: async () => {
+    return {
+      success: true,
+      quotas: await proxyQuotaManager.checkAll()
+    };
+  },
+
+  [MESSAGE_ACTIONS.GET_ROUTING_LOG]: async () => {
+    return {
+      success: true,
+      entries: routingLog.getEntries()
+    };
+  },
+
+  [MESSAGE_ACTIONS.CLEAR_ROUTING_LOG]: async () => {
+    routingLog.clear();
+    return { success: true };
+  },
+
+  [MESSAGE_ACTIONS.EXPLAIN_ROUTING]: async (message) => {
+    try {
+      return {
+        success: true,
+        explanation: proxyManager.explainRouting(message.url, message.cookieStoreId || null)
+      };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
+  [MESSAGE_ACTIONS.CHECK_ROUTING_CONSISTENCY]: async (message) => {
+    try {
+      const samples = getRoutingSamples(proxyManager.config, message.samples || []);
+      return {
+        success: true,
+        report: proxyManager.checkRoutingConsistency(samples)
+      };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
+  [MESSAGE_ACTIONS.SET_TAB_OVERRIDE]: async (message) => {
+    if (!message.tabId) {
+      return { 
+        success: false, 
+        error: 'tabId is required for SET_TAB_OVERRIDE'
+      };
+    }
+    
+    const proxyId = message.proxyId ?? null;
+    const scope = message.scope || TAB_OVERRIDE_SCOPES.TAB;
+    if (proxyId !== null &&
+        !proxyManager.enabledProxies.some(proxy => proxy.id === proxyId && proxy.proxyType !== PAC_PROXY_TYPE)) {
+      return { success: false, error: 'Only enabled proxies with a host can be forced' };
+    }
+    // PAC scripts cannot tell windows apart, and Chrome routes overrides by origin instead
+    if (scope === TAB_OVERRIDE_SCOPES.WINDOW && !browserCapabilities.proxy.hasProxyRequestListener) {
+      return { success: false, error: 'Window overrides are not supported in this browser' };
+    }
+    
+    try {
+      const override = await tabManager.setTabOverride(message.tabId, proxyId, scope);
+      return { success: true, override };
+    } catch (error) {
+      console.error("Error overriding tab:", error);
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
+  [MESSAGE_ACTIONS.CLEAR_TAB_OVERRIDE]: async (message) => {
+    const cleared = await tabManager.clearTabOverride(message.tabId);
+    return { success: true, cleared };
+  },
+
   [MESSAGE_ACTIONS.GET_TRAFFIC_DATA]: (message) => {
     return Promise.resolve(trafficMonitor.getTrafficData(
         message.windowSize || '1min'));
   },
 
+  [MESSAGE_ACTIONS.GET_TOP_HOSTS]: (message) => {
+    return Promise.resolve(trafficMonitor.getTopHosts({
+      bucket: message.bucket || null,
+      sortBy: message.sortBy,
+      limit: message.limit
+    }));
+  },
+
+  [MESSAGE_ACTIONS.GET_REQUEST_LATENCY]: (message) => {
+    return Promise.resolve(trafficMonitor.getRequestLatency(message.windowSize));
+  },
+
   [MESSAGE_ACTIONS.GET_TRAFFIC_SOURCES]: async (_message) => {
     const { config = { proxies: [] } } = await browser.storage.local.get('config');
     return Promise.resolve(trafficMonitor.getAllTrafficSources(config.proxies || []));
   },
 
+  [MESSAGE_ACTIONS.GET_PROXY_AUTH_STATUS]: () => {
+    return Promise.resolve({ 
+      success: true, 
+      failures: proxyAuthHandler.getAuthStatus() 
+    });
+  },
+
+  [MESSAGE_ACTIONS.GET_PROXY_HEALTH]: async () => {
+    await proxyHealthChecker.loadHistory();
+    return { 
+      success: true, 
+      health: proxyHealthChecker.getHealthStatus() 
+    };
+  },
+
+  [MESSAGE_ACTIONS.RUN_HEALTH_CHECK]: async (message) => {
+    try {
+      if (message.proxyId) {
+        const result = await proxyHealthChecker.checkProxy(message.proxyId);
+        if (!result) {
+          return { success: false, error: 'Only enabled proxies can be tested' };
+        }
+        return { success: true, result };
+      }
+      
+      const health = await proxyHealthChecker.checkAllProxies();
+      return { success: true, health };
+    } catch (error) {
+      console.error("Error running health check:", error);
+      return { 
+        success: false, 
+        error: error.message || 'Unknown error' 
+      };
+    }
+  },
+
+  [MESSAGE_ACTIONS.GET_REMOTE_PAC_STATUS]: async () => {
+    await remotePacManager.loadEntries();
+    return {
+      success: true,
+      status: remotePacManager.getStatus()
+    };
+  },
+
+  [MESSAGE_ACTIONS.REFRESH_REMOTE_PAC]: async (message) => {
+    const status = await remotePacManager.refresh(message.proxyId);
+    if (!status) {
+      return { success: false, error: 'Save the proxy before fetching its PAC script' };
+    }
+    return { success: !status.error, status, error: status.error || undefined };
+  },
+
+  [MESSAGE_ACTIONS.REFRESH_RULE_SUBSCRIPTION]: async (message) => {
+    const subscription = await ruleSubscriptionManager.refresh(message.proxyId);
+    if (!subscription) {
+      return { success: false, error: 'Save the rule list URL before updating it' };
+    }
+    return { success: !subscription.error, subscription, error: subscription.error || undefined };
+  },
+
   [MESSAGE_ACTIONS.UPDATE_ICON_THEME]: async (message) => {
     // Update icon theme (Chrome only)
     if (!browserCapabilities.isFirefox) {
@@ -325,9 +635,19 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   proxyManager.loadConfig().then(config => {
+    updateActionTitle();
+    
+    // Tab overrides survive restarts of the background within a browser session
+    tabManager.restoreOverrides();
+    
     if (config.proxyEnabled) {
       proxyManager.applyProxySettings();
       trafficMonitor.startMonitoring(config, proxyManager.enabledProxies);
+      proxyHealthChecker.start();
+      remotePacManager.start();
+      ruleSubscriptionManager.start();
+      proxyActivationManager.start();
+      proxyQuotaManager.start();
       
       browser.tabs.query({ active: true, currentWindow: true }).then(tabs => {
         if (tabs && tabs.length > 0) {
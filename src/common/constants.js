@@ -9,15 +9,53 @@ export const MESSAGE_ACTIONS = {
   
   GET_TRAFFIC_DATA: 'getTrafficData',
   GET_TRAFFIC_SOURCES: 'getTrafficSources',
+  GET_TOP_HOSTS: 'getTopHosts',
+  GET_REQUEST_LATENCY: 'getRequestLatency',
   TRAFFIC_UPDATE: 'trafficUpdate',
   
   CONFIGURATION_UPDATED: 'configurationUpdated',
   
-  UPDATE_ICON_THEME: 'updateIconTheme'
+  UPDATE_ICON_THEME: 'updateIconTheme',
+  
+  GET_PROXY_AUTH_STATUS: 'getProxyAuthStatus',
+  PROXY_AUTH_STATUS_UPDATED: 'proxyAuthStatusUpdated',
+  
+  GET_PROXY_HEALTH: 'getProxyHealth',
+  RUN_HEALTH_CHECK: 'runHealthCheck',
+  PROXY_HEALTH_UPDATED: 'proxyHealthUpdated',
+  
+  GET_REMOTE_PAC_STATUS: 'getRemotePacStatus',
+  REFRESH_REMOTE_PAC: 'refreshRemotePac',
+  REMOTE_PAC_UPDATED: 'remotePacUpdated',
+  
+  REFRESH_RULE_SUBSCRIPTION: 'refreshRuleSubscription',
+  
+  SWITCH_PROFILE: 'switchProfile',
+  
+  GET_ACTIVATION_LOG: 'getActivationLog',
+  RESUME_PROXY_ACTIVATION: 'resumeProxyActivation',
+  ACTIVATION_LOG_UPDATED: 'activationLogUpdated',
+  
+  GET_PROXY_QUOTAS: 'getProxyQuotas',
+  PROXY_QUOTAS_UPDATED: 'proxyQuotasUpdated',
+  
+  SET_TAB_OVERRIDE: 'setTabOverride',
+  CLEAR_TAB_OVERRIDE: 'clearTabOverride',
+  
+  GET_ROUTING_LOG: 'getRoutingLog',
+  CLEAR_ROUTING_LOG: 'clearRoutingLog',
+  EXPLAIN_ROUTING: 'explainRouting',
+  CHECK_ROUTING_CONSISTENCY: 'checkRoutingConsistency'
 };
 
 export const ALARMS = {
-  TAB_CHECK_AFTER_TOGGLE: 'tabCheckAfterToggle'
+  TAB_CHECK_AFTER_TOGGLE: 'tabCheckAfterToggle',
+  PROXY_HEALTH_CHECK: 'proxyHealthCheck',
+  PROXY_DEMOTION_EXPIRED: 'proxyDemotionExpired',
+  REMOTE_PAC_REFRESH: 'remotePacRefresh',
+  RULE_SUBSCRIPTION_REFRESH: 'ruleSubscriptionRefresh',
+  PROXY_ACTIVATION_CHECK: 'proxyActivationCheck',
+  PROXY_QUOTA_CHECK: 'proxyQuotaCheck'
 };
 
 export const DEFAULT_PROXY_CONFIG = {
@@ -36,10 +74,166 @@ export const DEFAULT_PROXY_CONFIG = {
   routingConfig: {
     useContainerMode: false,
     patterns: [],
+    excludePatterns: [],
     containers: []
+  },
+  failover: {
+    fallbackProxyIds: [],
+    fallbackToDirect: false
   }
 };
 
+// webRequest errors that mean the proxy itself could not be used (Chrome and Firefox)
+export const PROXY_FAILURE_ERRORS = [
+  'net::ERR_PROXY_CONNECTION_FAILED',
+  'net::ERR_TUNNEL_CONNECTION_FAILED',
+  'net::ERR_SOCKS_CONNECTION_FAILED',
+  'net::ERR_PROXY_CERTIFICATE_INVALID',
+  'NS_ERROR_PROXY_CONNECTION_REFUSED',
+  'NS_ERROR_UNKNOWN_PROXY_HOST',
+  'NS_ERROR_PROXY_BAD_GATEWAY',
+  'NS_ERROR_PROXY_GATEWAY_TIMEOUT'
+];
+
+// A proxy failing failureThreshold times within failureWindowMs is moved
+// behind its fallbacks for durationMs
+export const PROXY_DEMOTION = {
+  failureThreshold: 3,
+  failureWindowMs: 60000,
+  durationMs: 5 * 60000
+};
+
+// Chrome strips the path and query of https URLs before running the PAC
+// script, so the default check URL is plain http to keep probes routable
+export const DEFAULT_HEALTH_CHECK_CONFIG = {
+  enabled: true,
+  checkUrl: 'http://www.gstatic.com/generate_204',
+  intervalMinutes: 10,
+  timeoutMs: 10000
+};
+
+export const HEALTH_CHECK_PROBE_PARAM = 'proxydeck_probe';
+
+// Probes carrying this value instead of a proxy ID always connect directly
+export const DIRECT_PROBE_ID = 'direct';
+
+export const MAX_PROXIES = 10;
+
+// Configuration export files carry their own format version, independent of config.version
+export const CONFIG_EXPORT_FORMAT = 'proxydeck-config';
+export const CONFIG_EXPORT_VERSION = 1;
+
+// Traffic exports of the dashboard, with values in bytes per sample or bytes per second
+export const TRAFFIC_EXPORT_FORMAT = 'proxydeck-traffic';
+export const TRAFFIC_EXPORT_VERSION = 1;
+export const TRAFFIC_EXPORT_UNITS = {
+  BYTES: 'bytes',
+  RATES: 'bytesPerSecond'
+};
+
+// Sandboxed page that evaluates PAC scripts for the PAC importer, and its message type
+export const PAC_SANDBOX_PAGE = 'pac-sandbox.html';
+export const PAC_SANDBOX_EVALUATE = 'evaluatePacScript';
+
+// Proxies of type "pac" route through a PAC script fetched from pacUrl
+export const PAC_PROXY_TYPE = 'pac';
+
+// Remote PAC scripts are refetched every pacRefreshMinutes; a failed fetch keeps the last good script
+export const REMOTE_PAC_DEFAULTS = {
+  refreshMinutes: 60,
+  minRefreshMinutes: 5,
+  timeoutMs: 15000,
+  maxBytes: 1024 * 1024
+};
+
+// Rule list subscriptions (routingConfig.subscription) are refetched every refreshMinutes
+export const RULE_SUBSCRIPTION_DEFAULTS = {
+  refreshMinutes: 720,
+  minRefreshMinutes: 30,
+  timeoutMs: 30000,
+  maxBytes: 5 * 1024 * 1024,
+  historySize: 10
+};
+
+// Activation conditions (proxy.activation) are checked every intervalMinutes
+export const ACTIVATION_DEFAULTS = {
+  intervalMinutes: 1,
+  timeoutMs: 5000,
+  logSize: 50
+};
+
+// Data quotas count a proxy's traffic per local day or calendar month
+export const QUOTA_PERIODS = {
+  DAILY: 'daily',
+  MONTHLY: 'monthly'
+};
+
+// What happens to a proxy whose quota is used up
+export const QUOTA_ACTIONS = {
+  DISABLE: 'disable',
+  FLAG: 'flag'
+};
+
+export const QUOTA_DEFAULTS = {
+  storageKey: 'proxyQuotas',
+  intervalMinutes: 1,
+  // Percentages of the quota that raise a warning, besides running out
+  thresholds: [80, 95]
+};
+
+// Temporary overrides last until their tab leaves the origin or closes, or until their window closes
+export const TAB_OVERRIDE_SCOPES = {
+  TAB: 'tab',
+  WINDOW: 'window'
+};
+
+// Why a request took its route, as recorded in the routing log
+export const ROUTING_MATCH_TYPES = {
+  PROBE: 'probe',
+  OVERRIDE: 'override',
+  BYPASS: 'bypass',
+  CONTAINER: 'container',
+  PATTERN: 'pattern',
+  PAC: 'pac',
+  NONE: 'none'
+};
+
+// The routing log keeps the latest maxEntries decisions in memory; the options page polls it every refreshMs
+export const ROUTING_LOG_DEFAULTS = {
+  maxEntries: 500,
+  refreshMs: 2000
+};
+
+export const HEALTH_CHECK_HISTORY_SIZE = 20;
+
+// Part of the request a routing pattern is matched against.
+// Patterns without a target match the hostname.
+export const PATTERN_TARGETS = {
+  HOSTNAME: 'hostname',
+  URL: 'url',
+  PATH: 'path',
+  SCHEME: 'scheme',
+  PORT: 'port'
+};
+
+// How a routing pattern's value is interpreted. Patterns without a type are regexes.
+// Domain suffixes match a domain and its subdomains; CIDR ranges match the host's
+// IP address. Both always target the hostname.
+export const PATTERN_TYPES = {
+  REGEX: 'regex',
+  GLOB: 'glob',
+  DOMAIN_SUFFIX: 'domain-suffix',
+  CIDR: 'cidr'
+};
+
+export const DEFAULT_PORTS = {
+  http: '80',
+  https: '443',
+  ws: '80',
+  wss: '443',
+  ftp: '21'
+};
+
 export const DEFAULT_SINGLE_PROXY_CONFIG = {
   proxyEnabled: true,
   proxyHost: "",
@@ -57,10 +251,37 @@ export const DEFAULT_MULTI_PROXY_CONFIG = {
   version: 2
 };
 
+// Traffic statistics are checkpointed to storage.local at most once per interval, and only after new traffic
+export const TRAFFIC_PERSISTENCE = {
+  storageKey: 'trafficStats',
+  checkpointIntervalMs: 30000
+};
+
+// Traffic per registrable domain is kept for at most maxDomains domains, the least recently seen dropped first
+export const HOST_TRAFFIC = {
+  maxDomains: 500,
+  topHostsLimit: 50
+};
+
+// Request timings kept per traffic bucket, for latency percentiles and error rates
+export const REQUEST_LATENCY = {
+  maxRecordsPerBucket: 1000,
+  retentionMs: 3600000,
+  chartPoints: 30,
+  // Requests cancelled by the page or the browser, not failures of the connection
+  ignoredErrors: ['net::ERR_ABORTED', 'NS_BINDING_ABORTED']
+};
+
+// Traffic chart windows: span in seconds, the interval between points in ms and the points kept.
+// Rollup windows downsample the 1-second samples into buckets aligned to local time.
 export const TRAFFIC_WINDOWS = {
-  '1min': { size: 60, label: '60 sec' },
-  '5min': { size: 300, label: '5 min' },
-  '10min': { size: 600, label: '10 min' }
+  '1min': { size: 60, label: '60 sec', sampleInterval: 1000, points: 60 },
+  '5min': { size: 300, label: '5 min', sampleInterval: 5000, points: 60 },
+  '10min': { size: 600, label: '10 min', sampleInterval: 10000, points: 60 },
+  '1h': { size: 3600, label: '1 hour', sampleInterval: 60000, points: 60, rollup: true },
+  '24h': { size: 86400, label: '24 hours', sampleInterval: 1800000, points: 48, rollup: true },
+  '7d': { size: 604800, label: '7 days', sampleInterval: 10800000, points: 56, rollup: true },
+  '30d': { size: 2592000, label: '30 days', sampleInterval: 86400000, points: 30, rollup: true }
 };
 
 export const MODERN_PRIORITY_COLORS = [
@@ -0,0 +1,252 @@
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { ValidatedInputWithBadge } from '@/components/ui/validated-input-with-badge';
+import { validateActivation } from '../../utils.js';
+import { hasActivationConditions } from '../../utils/activation.js';
+import { useActivationLog } from '../../hooks/useActivationLog';
+import { useResumeActivation } from '../../hooks/useResumeActivation';
+
+/**
+ * @file ActivationForm.js
+ * @description Preact component for a proxy's activation conditions: a probe host whose
+ * reachability and a weekly schedule that enable and disable the proxy automatically.
+ * Shows whether a manual toggle pinned the proxy and its recent automatic changes.
+ */
+
+const DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const DEFAULT_SCHEDULE = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+
+const RECENT_CHANGES = 5;
+
+/**
+ * ActivationForm component.
+ * @param {object} props - The component's props.
+ * @param {object} props.proxy - The proxy data object being configured.
+ * @param {function} props.onChange - Callback function to update the parent proxy object.
+ * @param {object} [props.originalActivation] - The saved activation conditions, for dirty tracking.
+ * @param {boolean} [props.isSaved] - Whether the proxy was saved, so automation can be resumed.
+ * @param {object} props.dirtyFields - Map of dirty field names.
+ * @param {function} props.updateFieldDirtyState - Callback to mark a field dirty.
+ * @returns {JSX.Element} The rendered ActivationForm component.
+ */
+const ActivationForm = ({ proxy, onChange, originalActivation, isSaved = false, dirtyFields = {}, updateFieldDirtyState }) => {
+  const log = useActivationLog();
+  const { isResuming, resumeActivation } = useResumeActivation();
+  const activation = proxy.activation || {};
+  const errors = validateActivation(proxy.activation);
+  const probeError = errors.find(error => error.startsWith('Probe'));
+  const scheduleError = errors.find(error => error.startsWith('Schedule'));
+  const recentChanges = log.filter(entry => entry.proxyId === proxy.id).slice(0, RECENT_CHANGES);
+
+  /**
+   * Applies new activation conditions, dropping the object when none are left.
+   * @param {object} next - The new activation conditions.
+   */
+  const updateActivation = (next) => {
+    const nextProxy = { ...proxy, activation: next };
+    const keep = hasActivationConditions(nextProxy);
+
+    onChange(prevProxy => {
+      const updated = { ...prevProxy, activation: next };
+      if (!keep) {
+        delete updated.activation;
+      }
+      return updated;
+    });
+
+    if (updateFieldDirtyState) {
+      // Pinning is changed by toggling the proxy, not by this form
+      const comparable = (value) => JSON.stringify({ probe: value?.probe, schedule: value?.schedule });
+      updateFieldDirtyState('activation', comparable(keep ? next : undefined) !== comparable(originalActivation));
+    }
+  };
+
+  const handleProbeEnabledChange = (checked) => {
+    const next = { ...activation };
+    if (checked === true) {
+      next.probe = { target: '', whenReachable: true };
+    } else {
+      delete next.probe;
+    }
+    updateActivation(next);
+  };
+
+  const handleProbeChange = (changes) => {
+    updateActivation({ ...activation, probe: { ...activation.probe, ...changes } });
+  };
+
+  const handleScheduleEnabledChange = (checked) => {
+    const next = { ...activation };
+    if (checked === true) {
+      next.schedule = { ...DEFAULT_SCHEDULE };
+    } else {
+      delete next.schedule;
+    }
+    updateActivation(next);
+  };
+
+  const handleScheduleChange = (changes) => {
+    updateActivation({ ...activation, schedule: { ...activation.schedule, ...changes } });
+  };
+
+  const handleDayToggle = (day) => {
+    const days = activation.schedule.days || [];
+    handleScheduleChange({
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b)
+    });
+  };
+
+  return (
+    <Card className="mt-4">
+      <CardContent className="pt-4 space-y-3">
+        <h3 className="text-lg font-medium">
+          Automatic activation
+          {dirtyFields.activation && (
+            <Badge variant="default" size="sm" className="ml-2">
+              Unsaved
+            </Badge>
+          )}
+        </h3>
+        <p className="text-xs text-muted-foreground">
+          Enable this proxy only while all conditions below hold, and disable it otherwise. Conditions are
+          checked every minute and each change is shown as a notification. Probes connect directly; use a host
+          that answers http on your network.
+        </p>
+
+        {activation.pinned && (
+          <div className="flex items-center justify-between gap-3 p-2 border rounded-md text-sm">
+            <span>
+              Pinned {proxy.enabled ? 'on' : 'off'} by a manual toggle - automatic activation is paused.
+            </span>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => resumeActivation(proxy.id)}
+              disabled={!isSaved || isResuming}
+            >
+              {isResuming ? 'Resuming...' : 'Resume automation'}
+            </Button>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id={`activation-probe-${proxy.id}`}
+              checked={!!activation.probe}
+              onCheckedChange={handleProbeEnabledChange}
+            />
+            <Label htmlFor={`activation-probe-${proxy.id}`} className="font-normal">
+              Depends on a probe host
+            </Label>
+          </div>
+          {activation.probe && (
+            <div className="flex items-start gap-2 pl-6">
+              <select
+                className="h-9 rounded-md border border-input bg-background px-3 text-sm mt-1"
+                value={activation.probe.whenReachable === false ? 'unreachable' : 'reachable'}
+                onChange={(e) => handleProbeChange({ whenReachable: e.target.value === 'reachable' })}
+                aria-label="Enable the proxy when the probe host is"
+              >
+                <option value="reachable">Enable when reachable</option>
+                <option value="unreachable">Enable when unreachable</option>
+              </select>
+              <ValidatedInputWithBadge
+                id={`activation-probe-target-${proxy.id}`}
+                name="activationProbeTarget"
+                value={activation.probe.target || ''}
+                onChange={(e) => handleProbeChange({ target: e.target.value })}
+                placeholder="e.g., intranet.corp"
+                error={probeError}
+                containerClassName="flex-grow"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id={`activation-schedule-${proxy.id}`}
+              checked={!!activation.schedule}
+              onCheckedChange={handleScheduleEnabledChange}
+            />
+            <Label htmlFor={`activation-schedule-${proxy.id}`} className="font-normal">
+              Depends on the time of day
+            </Label>
+          </div>
+          {activation.schedule && (
+            <div className="flex flex-wrap items-center gap-2 pl-6">
+              <div className="flex gap-1" role="group" aria-label="Days">
+                {DAYS.map(day => {
+                  const isSelected = (activation.schedule.days || []).includes(day.value);
+                  return (
+                    <Button
+                      key={day.value}
+                      type="button"
+                      variant={isSelected ? 'default' : 'outline'}
+                      size="sm"
+                      aria-pressed={isSelected}
+                      onClick={() => handleDayToggle(day.value)}
+                    >
+                      {day.label}
+                    </Button>
+                  );
+                })}
+              </div>
+              <Input
+                type="time"
+                name="activationScheduleStart"
+                value={activation.schedule.start}
+                onChange={(e) => handleScheduleChange({ start: e.target.value })}
+                aria-label="From"
+                className="w-28"
+              />
+              <span className="text-sm text-muted-foreground">to</span>
+              <Input
+                type="time"
+                name="activationScheduleEnd"
+                value={activation.schedule.end}
+                onChange={(e) => handleScheduleChange({ end: e.target.value })}
+                aria-label="Until"
+                className="w-28"
+              />
+              {scheduleError && (
+                <p className="w-full text-xs error-message p-2 rounded-md">{scheduleError}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {recentChanges.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-medium">Recent automatic changes</h4>
+            <ul className="text-xs text-muted-foreground space-y-1">
+              {recentChanges.map(entry => (
+                <li key={`${entry.timestamp}-${entry.enabled}`}>
+                  {new Date(entry.timestamp).toLocaleString()}: {entry.enabled ? 'Enabled' : 'Disabled'} because {entry.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActivationForm;
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import PatternListEditor from './PatternListEditor';
+import { validateRoutingPatterns } from '../../utils.js';
+import { cleanPatterns } from '../../options/utils/patternValidationUtils';
+
+/**
+ * @file BypassListSettings.js
+ * @description Preact component for the global bypass list: patterns that always
+ * connect directly, whatever proxy would otherwise match.
+ */
+
+/**
+ * BypassListSettings component.
+ * @param {object} props - The component's props.
+ * @param {Array} [props.patterns] - The stored config.bypassPatterns list.
+ * @param {function} props.onSave - Callback invoked with the new pattern list.
+ * @returns {JSX.Element} The rendered BypassListSettings component.
+ */
+const BypassListSettings = ({ patterns = [], onSave }) => {
+  const [draft, setDraft] = useState(patterns);
+  const [isDirty, setIsDirty] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    setDraft(patterns);
+    setIsDirty(false);
+    setErrors([]);
+  }, [patterns]);
+
+  const handleChange = (newPatterns, changed) => {
+    setDraft(newPatterns);
+    setIsDirty(!!changed);
+    setErrors([]);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const cleaned = cleanPatterns(draft);
+    const validationErrors = validateRoutingPatterns(cleaned, 'bypass pattern');
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) return;
+
+    onSave(cleaned);
+  };
+
+  return (
+    <Card className="mb-4">
+      <CardContent className="pt-4">
+        <form onSubmit={handleSave} className="space-y-3">
+          <PatternListEditor
+            id="bypass-list"
+            label="Bypass list (always connect directly)"
+            patterns={draft}
+            originalPatterns={patterns}
+            onChange={handleChange}
+            isDirty={isDirty}
+            placeholder={"e.g., localhost\n^192\\.168\\.\nscheme:^ws$"}
+            testLabel="Test Bypass"
+          >
+            Requests matching any of these patterns skip every proxy, including container routing.
+          </PatternListEditor>
+
+          {errors.length > 0 && (
+            <ul className="error-message text-xs p-2 rounded-md">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" variant={isDirty ? 'default' : 'secondary'} disabled={!isDirty}>
+              Save
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BypassListSettings;
@@ -0,0 +1,201 @@
+import { useState, useRef } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  createConfigExport,
+  applyConfigImport,
+  validateImportedConfig,
+  diffConfigs
+} from '../../utils/config-transfer.js';
+import { parseImportFile } from '../../utils/config-importers.js';
+import PacScriptImport from './PacScriptImport';
+
+/**
+ * @file ConfigTransfer.js
+ * @description Preact component to export the configuration to a JSON file and to
+ * import one, merging it with or replacing the current configuration after a preview.
+ * SwitchyOmega and FoxyProxy backups are converted on import, and PAC scripts are
+ * turned into proxies through PacScriptImport.
+ */
+
+const IMPORT_MODES = [
+  { value: 'merge', label: 'Merge', description: 'Update proxies with the same ID and add the others' },
+  { value: 'replace', label: 'Replace', description: 'Remove proxies that are not in the file' }
+];
+
+/**
+ * Lists the proxies of one kind of change in the import preview.
+ * @param {object} props - The component's props.
+ * @param {string} props.title - Kind of change.
+ * @param {Array<string>} props.names - Proxy names.
+ * @returns {JSX.Element|null} The rendered list.
+ */
+const ChangeList = ({ title, names }) => {
+  if (names.length === 0) return null;
+  return (
+    <li>
+      <span className="font-medium">{title}:</span> {names.join(', ')}
+    </li>
+  );
+};
+
+/**
+ * ConfigTransfer component.
+ * @param {object} props - The component's props.
+ * @param {function} props.getCurrentConfig - Returns the current config object.
+ * @param {function} props.onImport - Callback invoked with the validated config to save.
+ * @returns {JSX.Element} The rendered ConfigTransfer component.
+ */
+const ConfigTransfer = ({ getCurrentConfig, onImport }) => {
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [fileError, setFileError] = useState(null);
+  const [showPacImport, setShowPacImport] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleExport = () => {
+    const data = createConfigExport(getCurrentConfig(), { includeSecrets });
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `proxydeck-config-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setPendingImport({ ...parseImportFile(await file.text()), fileName: file.name });
+      setFileError(null);
+    } catch (error) {
+      setPendingImport(null);
+      setFileError(error.message);
+    }
+  };
+
+  const currentConfig = pendingImport ? getCurrentConfig() : null;
+  const nextConfig = pendingImport ? applyConfigImport(currentConfig, pendingImport.config, importMode) : null;
+  const errors = nextConfig ? validateImportedConfig(nextConfig) : [];
+  const diff = nextConfig ? diffConfigs(currentConfig, nextConfig) : null;
+
+  const handleApply = () => {
+    if (!nextConfig || errors.length > 0) return;
+    onImport(nextConfig);
+    setPendingImport(null);
+  };
+
+  return (
+    <Card className="mb-4">
+      <CardContent className="pt-4 space-y-3">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="export-include-secrets"
+              checked={includeSecrets}
+              onCheckedChange={(checked) => setIncludeSecrets(checked === true)}
+            />
+            <Label htmlFor="export-include-secrets" className="font-normal">
+              Include proxy passwords and URL credentials in exports
+            </Label>
+          </div>
+          <div className="flex gap-2">
+            <Button type="button" variant="outline" size="sm" onClick={handleExport}>
+              Export
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+              Import
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => setShowPacImport(true)}>
+              Import PAC
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json,.bak"
+              className="hidden"
+              onChange={handleFileChange}
+              aria-label="Configuration file to import"
+            />
+          </div>
+        </div>
+
+        {fileError && (
+          <p className="error-message text-xs p-2 rounded-md">{fileError}</p>
+        )}
+
+        {showPacImport && (
+          <PacScriptImport
+            onPreview={(pending) => { setPendingImport(pending); setFileError(null); }}
+            onClose={() => setShowPacImport(false)}
+          />
+        )}
+
+        {pendingImport && (
+          <div className="space-y-3 p-3 border rounded-md">
+            <p className="text-sm">
+              Importing <span className="font-medium">{pendingImport.fileName}</span>
+              {pendingImport.source !== 'ProxyDeck' && ` (${pendingImport.source})`}
+              {!pendingImport.includesSecrets && ' (without passwords; stored passwords of matching proxies are kept)'}
+            </p>
+
+            {pendingImport.skipped.length > 0 && (
+              <div className="text-xs p-2 border rounded-md">
+                <p className="font-medium mb-1">Could not be converted exactly:</p>
+                <ul className="space-y-1">
+                  {pendingImport.skipped.map(({ source, reason }) => (
+                    <li key={`${source}: ${reason}`}>{source}: {reason}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <RadioGroup value={importMode} onValueChange={setImportMode} className="flex gap-4">
+              {IMPORT_MODES.map(mode => (
+                <div key={mode.value} className="flex items-center space-x-2">
+                  <RadioGroupItem value={mode.value} id={`import-mode-${mode.value}`} />
+                  <Label htmlFor={`import-mode-${mode.value}`} className="text-sm font-normal" title={mode.description}>
+                    {mode.label}
+                  </Label>
+                </div>
+              ))}
+            </RadioGroup>
+
+            <ul className="text-sm space-y-1">
+              <ChangeList title="Added" names={diff.added} />
+              <ChangeList title="Updated" names={diff.updated} />
+              <ChangeList title="Removed" names={diff.removed} />
+              <ChangeList title="Unchanged" names={diff.unchanged} />
+              <ChangeList title="Settings changed" names={diff.settings} />
+            </ul>
+
+            {errors.length > 0 && (
+              <ul className="error-message text-xs p-2 rounded-md">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="ghost" size="sm" onClick={() => setPendingImport(null)}>
+                Cancel
+              </Button>
+              <Button type="button" size="sm" onClick={handleApply} disabled={errors.length > 0}>
+                Apply import
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ConfigTransfer;
@@ -3,12 +3,14 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { fetchFirefoxContainers } from '../../options/utils/containerUtils'; // Import the new utility
+import PatternListEditor from './PatternListEditor';
 
 
 /**
  * @file ContainerRoutingForm.js
  * @description React component for configuring Firefox Multi-Account Container-based proxy routing.
- * Fetches available Firefox containers and allows users to select which ones should use the proxy.
+ * Fetches available Firefox containers and allows users to select which ones should use the proxy,
+ * minus requests matching the proxy's exclusion patterns.
  */
 
 /**
@@ -20,7 +22,7 @@ import { fetchFirefoxContainers } from '../../options/utils/containerUtils'; //
  *                                    when container selections change.
  * @returns {JSX.Element} The rendered ContainerRoutingForm component.
  */
-const ContainerRoutingForm = ({ proxy, onChange, originalContainers, dirtyFields, updateFieldDirtyState }) => {
+const ContainerRoutingForm = ({ proxy, onChange, originalContainers, originalExcludePatterns, dirtyFields, updateFieldDirtyState }) => {
   const [availableContainers, setAvailableContainers] = useState([]);
   const [isLoadingContainers, setIsLoadingContainers] = useState(true);
   const [containerLoadError, setContainerLoadError] = useState(null);
@@ -99,6 +101,22 @@ const ContainerRoutingForm = ({ proxy, onChange, originalContainers, dirtyFields
     }
   };
 
+  const handleExcludePatternsChange = (newPatterns, isDirty) => {
+    if (onChange) {
+      onChange(prevProxy => ({
+        ...prevProxy,
+        routingConfig: {
+          ...prevProxy.routingConfig,
+          excludePatterns: newPatterns
+        }
+      }));
+    }
+
+    if (updateFieldDirtyState && isDirty !== undefined) {
+      updateFieldDirtyState('routingConfig.excludePatterns', isDirty);
+    }
+  };
+
   return (
     <div className="space-y-3">
     <Label htmlFor={`container-routing-${proxy?.id}`}>
@@ -135,6 +153,20 @@ const ContainerRoutingForm = ({ proxy, onChange, originalContainers, dirtyFields
       {!isLoadingContainers && !containerLoadError && availableContainers.length === 0 && (
          <p className="text-sm text-muted-foreground">No Firefox containers found or the API is not available.</p>
       )}
+      <div className="pt-3">
+        <PatternListEditor
+          id={`container-exclude-${proxy?.id}`}
+          label="Exclusions (never use this proxy for these)"
+          patterns={proxy?.routingConfig?.excludePatterns}
+          originalPatterns={originalExcludePatterns}
+          onChange={handleExcludePatternsChange}
+          isDirty={!!dirtyFields?.['routingConfig.excludePatterns']}
+          placeholder={"e.g., ^sso\\.corp\\.com$"}
+          testLabel="Test Exclusion"
+        >
+          Requests from the selected containers that match an exclusion do not use this proxy.
+        </PatternListEditor>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,164 @@
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { PAC_PROXY_TYPE } from '../../common/constants';
+
+/**
+ * @file FailoverForm.js
+ * @description Preact component for configuring a proxy's failover chain: an ordered
+ * list of fallback proxies and whether to fall back to a direct connection.
+ */
+
+/**
+ * FailoverForm component.
+ * @param {object} props - The component's props.
+ * @param {object} props.proxy - The proxy data object being configured.
+ * @param {function} props.onChange - Callback function to update the parent proxy object.
+ * @param {object} [props.originalFailover] - The saved failover configuration, for dirty tracking.
+ * @param {Array} props.existingProxies - All configured proxies, used as fallback candidates.
+ * @param {object} props.dirtyFields - Map of dirty field names.
+ * @param {function} props.updateFieldDirtyState - Callback to mark a field dirty.
+ * @returns {JSX.Element} The rendered FailoverForm component.
+ */
+const FailoverForm = ({ proxy, onChange, originalFailover, existingProxies = [], dirtyFields = {}, updateFieldDirtyState }) => {
+  const failover = {
+    fallbackProxyIds: [],
+    fallbackToDirect: false,
+    ...(proxy.failover || {})
+  };
+  const fallbackProxies = failover.fallbackProxyIds
+    .map(id => existingProxies.find(p => p.id === id))
+    .filter(Boolean);
+  const candidates = existingProxies
+    // PAC URL proxies choose their own proxies and cannot serve as fallbacks
+    .filter(p => p.id !== proxy.id && p.proxyType !== PAC_PROXY_TYPE && !failover.fallbackProxyIds.includes(p.id))
+    .sort((a, b) => a.priority - b.priority);
+
+  /**
+   * Applies a new failover configuration and updates the dirty state.
+   * @param {object} newFailover - The new failover configuration.
+   */
+  const updateFailover = (newFailover) => {
+    onChange(prevProxy => ({
+      ...prevProxy,
+      failover: newFailover
+    }));
+
+    if (updateFieldDirtyState) {
+      const original = {
+        fallbackProxyIds: originalFailover?.fallbackProxyIds || [],
+        fallbackToDirect: originalFailover?.fallbackToDirect || false
+      };
+      const isDirty = JSON.stringify(original.fallbackProxyIds) !== JSON.stringify(newFailover.fallbackProxyIds) ||
+        original.fallbackToDirect !== newFailover.fallbackToDirect;
+      updateFieldDirtyState('failover', isDirty);
+    }
+  };
+
+  const handleAddFallback = (e) => {
+    const proxyId = e.target.value;
+    if (!proxyId) return;
+    updateFailover({ ...failover, fallbackProxyIds: [...failover.fallbackProxyIds, proxyId] });
+    e.target.value = '';
+  };
+
+  const handleRemoveFallback = (proxyId) => {
+    updateFailover({ ...failover, fallbackProxyIds: failover.fallbackProxyIds.filter(id => id !== proxyId) });
+  };
+
+  const handleMoveFallback = (index, direction) => {
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= failover.fallbackProxyIds.length) return;
+
+    const reordered = [...failover.fallbackProxyIds];
+    [reordered[index], reordered[newIndex]] = [reordered[newIndex], reordered[index]];
+    updateFailover({ ...failover, fallbackProxyIds: reordered });
+  };
+
+  const handleDirectChange = (checked) => {
+    updateFailover({ ...failover, fallbackToDirect: checked === true });
+  };
+
+  return (
+    <Card className="mt-4">
+      <CardContent className="pt-4 space-y-3">
+        <h3 className="text-lg font-medium">
+          Failover
+          {dirtyFields.failover && (
+            <Badge variant="default" size="sm" className="ml-2">
+              Unsaved
+            </Badge>
+          )}
+        </h3>
+        <p className="text-xs text-muted-foreground">
+          When this proxy cannot be reached, requests it matches are retried through the fallbacks below, in order.
+          A proxy that fails repeatedly is tried after its fallbacks for a few minutes.
+        </p>
+
+        {fallbackProxies.length > 0 && (
+          <ol className="space-y-1">
+            {fallbackProxies.map((fallback, index) => (
+              <li key={fallback.id} className="flex items-center gap-2 text-sm">
+                <span className="w-5 text-right text-muted-foreground">{index + 1}.</span>
+                <span className="flex-grow">
+                  {fallback.name}
+                  <span className="text-muted-foreground ml-2">({fallback.host}:{fallback.port})</span>
+                  {!fallback.enabled && (
+                    <Badge variant="secondary" size="sm" className="ml-2">Disabled - skipped</Badge>
+                  )}
+                </span>
+                <Button type="button" variant="ghost" size="sm" onClick={() => handleMoveFallback(index, -1)} disabled={index === 0} aria-label={`Move ${fallback.name} up`}>
+                  ↑
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={() => handleMoveFallback(index, 1)} disabled={index === fallbackProxies.length - 1} aria-label={`Move ${fallback.name} down`}>
+                  ↓
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={() => handleRemoveFallback(fallback.id)} aria-label={`Remove ${fallback.name} from fallbacks`}>
+                  Remove
+                </Button>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {candidates.length > 0 ? (
+          <div className="flex items-center gap-2">
+            <Label htmlFor={`failover-add-${proxy.id}`} className="text-sm">Add fallback</Label>
+            <select
+              id={`failover-add-${proxy.id}`}
+              className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+              onChange={handleAddFallback}
+              value=""
+            >
+              <option value="">Select a proxy...</option>
+              {candidates.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.name} ({candidate.host}:{candidate.port})
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          fallbackProxies.length === 0 && (
+            <p className="text-sm text-muted-foreground">Add another proxy to use it as a fallback.</p>
+          )
+        )}
+
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id={`failover-direct-${proxy.id}`}
+            checked={failover.fallbackToDirect}
+            onCheckedChange={handleDirectChange}
+          />
+          <Label htmlFor={`failover-direct-${proxy.id}`} className="font-normal">
+            Fall back to a direct connection when all proxies fail
+          </Label>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FailoverForm;
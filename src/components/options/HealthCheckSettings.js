@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { ValidatedInputWithBadge } from '@/components/ui/validated-input-with-badge';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent } from '@/components/ui/card';
+import { getHealthCheckSettings, validateHealthCheckUrl } from '../../utils/health-check.js';
+
+/**
+ * @file HealthCheckSettings.js
+ * @description Preact component for the global proxy health check settings:
+ * whether periodic checks run, the check URL probed through each proxy and the interval.
+ */
+
+/**
+ * HealthCheckSettings component.
+ * @param {object} props - The component's props.
+ * @param {object} [props.settings] - The stored config.healthCheck object.
+ * @param {function} props.onSave - Callback invoked with the new settings object.
+ * @param {function} [props.onTestAll] - Callback to check all enabled proxies now.
+ * @param {boolean} [props.isTesting] - Whether a health check is running.
+ * @returns {JSX.Element} The rendered HealthCheckSettings component.
+ */
+const HealthCheckSettings = ({ settings, onSave, onTestAll, isTesting = false }) => {
+  const [draft, setDraft] = useState(() => getHealthCheckSettings(settings));
+  const [urlError, setUrlError] = useState(null);
+
+  useEffect(() => {
+    setDraft(getHealthCheckSettings(settings));
+    setUrlError(null);
+  }, [settings]);
+
+  const saved = getHealthCheckSettings(settings);
+  const isDirty = draft.checkUrl !== saved.checkUrl ||
+    Number(draft.intervalMinutes) !== saved.intervalMinutes;
+  const isHttps = draft.checkUrl.trim().startsWith('https:');
+
+  const handleUrlChange = (e) => {
+    const checkUrl = e.target.value;
+    setDraft(prev => ({ ...prev, checkUrl }));
+    setUrlError(validateHealthCheckUrl(checkUrl));
+  };
+
+  const handleIntervalChange = (e) => {
+    setDraft(prev => ({ ...prev, intervalMinutes: e.target.value }));
+  };
+
+  const handleEnabledChange = (enabled) => {
+    const next = { ...draft, enabled };
+    setDraft(next);
+    if (!urlError) {
+      onSave(getHealthCheckSettings({ ...saved, enabled }));
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const error = validateHealthCheckUrl(draft.checkUrl);
+    setUrlError(error);
+    if (error) return;
+
+    onSave(getHealthCheckSettings({ ...draft, checkUrl: draft.checkUrl.trim() }));
+  };
+
+  return (
+    <Card className="mb-4">
+      <CardContent className="pt-4 space-y-3">
+        <form onSubmit={handleSave} className="space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <Switch
+                id="health-check-enabled"
+                checked={draft.enabled}
+                onCheckedChange={handleEnabledChange}
+                aria-label="Run periodic health checks"
+              />
+              <Label htmlFor="health-check-enabled">Health checks</Label>
+            </div>
+            {onTestAll && (
+              <Button type="button" variant="outline" size="sm" onClick={onTestAll} disabled={isTesting}>
+                {isTesting ? 'Testing...' : 'Test all now'}
+              </Button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-12 gap-4 items-center">
+            <Label htmlFor="health-check-url" className="col-span-2 text-right">
+              Check URL
+            </Label>
+            <div className="col-span-6">
+              <ValidatedInputWithBadge
+                id="health-check-url"
+                name="checkUrl"
+                value={draft.checkUrl}
+                onChange={handleUrlChange}
+                placeholder="http://www.gstatic.com/generate_204"
+                error={urlError}
+                showBadge={draft.checkUrl !== saved.checkUrl}
+              />
+            </div>
+            <Label htmlFor="health-check-interval" className="col-span-2 text-right">
+              Every (min)
+            </Label>
+            <div className="col-span-2">
+              <ValidatedInputWithBadge
+                id="health-check-interval"
+                name="intervalMinutes"
+                type="number"
+                min="1"
+                value={draft.intervalMinutes}
+                onChange={handleIntervalChange}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-muted-foreground">
+              Each enabled proxy is probed by requesting this URL through it.
+              {isHttps && ' Chrome hides the path of https URLs from proxy routing, so use an http URL there.'}
+            </p>
+            <Button type="submit" size="sm" variant={isDirty ? 'default' : 'secondary'} disabled={!isDirty || !!urlError}>
+              Save
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default HealthCheckSettings;
@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'preact/hooks';
+import browser from 'webextension-polyfill';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { MESSAGE_ACTIONS } from '../../common/constants';
+import { Button } from '../../components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/card';
+
+/**
+ * @file LatencyPanel.js
+ * @description Preact component showing request latency per traffic source: a chart of the
+ * time to first byte or the total duration over time, and a card per source with percentiles
+ * and its error rate.
+ */
+
+const REFRESH_INTERVAL_MS = 5000;
+
+const METRICS = [
+  { value: 'ttfb', label: 'Time to first byte' },
+  { value: 'duration', label: 'Total duration' }
+];
+
+const PERCENTILES = ['p50', 'p95'];
+
+const formatLatency = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+const formatSpan = (span) => {
+  const minutes = Math.round(span / 60000);
+  return minutes >= 60 ? `${Math.round(minutes / 60)} hour${minutes >= 120 ? 's' : ''}` : `${minutes} min`;
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' });
+
+/**
+ * LatencyPanel component.
+ * @param {Object} props
+ * @param {string} props.windowSize - The window shown in the dashboard
+ * @param {Array<Object>} props.sources - Traffic sources with id, name and color
+ * @param {string|null} props.selectedSource - ID of the only source to show, or null for all
+ * @returns {JSX.Element} The rendered LatencyPanel component.
+ */
+const LatencyPanel = ({ windowSize, sources = [], selectedSource = null }) => {
+  const [latency, setLatency] = useState({ span: 0, sources: {}, data: [] });
+  const [metric, setMetric] = useState('ttfb');
+  const [percentile, setPercentile] = useState('p50');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchLatency = async () => {
+      try {
+        const response = await browser.runtime.sendMessage({
+          action: MESSAGE_ACTIONS.GET_REQUEST_LATENCY,
+          windowSize
+        });
+        if (!cancelled && response?.sources) {
+          setLatency(response);
+        }
+      } catch (error) {
+        console.error('Failed to fetch request latency:', error);
+      }
+    };
+
+    fetchLatency();
+    const interval = setInterval(fetchLatency, REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [windowSize]);
+
+  // Sources without a name, e.g. removed since, are still listed by their key
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const shown = Object.keys(latency.sources)
+    .filter(id => !selectedSource || id === selectedSource)
+    .map(id => ({ id, name: sourcesById.get(id)?.name || id, color: sourcesById.get(id)?.color, ...latency.sources[id] }));
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-lg font-semibold">Request latency</CardTitle>
+          <div className="flex flex-wrap gap-2">
+            {METRICS.map(option => (
+              <Button
+                key={option.value}
+                type="button"
+                variant={metric === option.value ? 'default' : 'outline'}
+                size="sm"
+                aria-pressed={metric === option.value}
+                onClick={() => setMetric(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+            {PERCENTILES.map(option => (
+              <Button
+                key={option}
+                type="button"
+                variant={percentile === option ? 'default' : 'outline'}
+                size="sm"
+                aria-pressed={percentile === option}
+                onClick={() => setPercentile(option)}
+              >
+                {option}
+              </Button>
+            ))}
+          </div>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          From the start of each request, including redirects, to its first response byte and to its end
+          {latency.span > 0 && `, over the last ${formatSpan(latency.span)}`}. Requests cancelled by a page are not errors.
+        </p>
+      </CardHeader>
+      <CardContent className="pb-3 space-y-3">
+        {shown.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">No requests recorded yet</p>
+        ) : (
+          <>
+            <div style={{ width: '100%', height: '220px' }}>
+              <ResponsiveContainer>
+                <LineChart data={latency.data} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" opacity={0.3} vertical={false} />
+                  <XAxis
+                    dataKey="timestamp"
+                    tickFormatter={formatTime}
+                    axisLine={false}
+                    tickLine={false}
+                    tick={{ fontSize: 11 }}
+                  />
+                  <YAxis
+                    axisLine={false}
+                    tickLine={false}
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={formatLatency}
+                  />
+                  <Tooltip labelFormatter={formatTime} formatter={(value) => formatLatency(value)} />
+                  {shown.map(source => (
+                    <Line
+                      key={source.id}
+                      type="monotone"
+                      dataKey={`${metric}_${percentile}_${source.id}`}
+                      name={source.name}
+                      stroke={source.color || '#6366F1'}
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls={false}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {shown.map(source => (
+                <div key={source.id} className="p-3 border rounded-md text-xs space-y-1">
+                  <div className="flex items-center gap-2 text-sm font-medium">
+                    <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: source.color }} />
+                    <span className="truncate">{source.name}</span>
+                  </div>
+                  <p className="text-muted-foreground">
+                    {source.requests} requests, {source.errors} failed ({(source.errorRate * 100).toFixed(1)}%)
+                  </p>
+                  {METRICS.map(option => (
+                    <p key={option.value} className="font-mono">
+                      {option.label}: p50 {formatLatency(source[option.value].p50)} / p95 {formatLatency(source[option.value].p95)} / p99 {formatLatency(source[option.value].p99)}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LatencyPanel;
@@ -0,0 +1,160 @@
+import { useState } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { evaluatePacInSandbox } from '../../options/utils/pacSandbox.js';
+import { derivePacImport } from '../../utils/pac-import.js';
+import browserCapabilities from '../../utils/feature-detection.js';
+
+/**
+ * @file PacScriptImport.js
+ * @description Preact component to load a PAC script, run it against sample hosts
+ * in a sandbox, and derive proxies and suggested patterns for the import preview.
+ */
+
+/**
+ * PacScriptImport component.
+ * @param {object} props - The component's props.
+ * @param {function} props.onPreview - Callback invoked with { config, skipped, includesSecrets, source, fileName }.
+ * @param {function} props.onClose - Callback to hide the form.
+ * @returns {JSX.Element} The rendered PacScriptImport component.
+ */
+const PacScriptImport = ({ onPreview, onClose }) => {
+  const [script, setScript] = useState('');
+  const [fileName, setFileName] = useState('pasted PAC script');
+  const [samples, setSamples] = useState('');
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  if (!browserCapabilities.pacScripts.canEvaluate) {
+    return (
+      <div className="space-y-2 p-3 border rounded-md text-sm">
+        <p>Testing PAC scripts needs a sandboxed page, which this browser does not support.</p>
+        <div className="flex justify-end">
+          <Button type="button" variant="ghost" size="sm" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setScript(await file.text());
+    setFileName(file.name);
+    setEvaluation(null);
+  };
+
+  const handleRun = async () => {
+    const sampleList = samples.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!script.trim() || sampleList.length === 0) {
+      setError('Add a PAC script and at least one sample host or URL');
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      const { results, notes } = await evaluatePacInSandbox(script, sampleList);
+      setEvaluation({ ...derivePacImport(results), notes });
+      setError(null);
+    } catch (err) {
+      setEvaluation(null);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handlePreview = () => {
+    onPreview({
+      config: evaluation.config,
+      skipped: evaluation.skipped,
+      includesSecrets: evaluation.config.proxies.some(proxy => proxy.auth?.password),
+      source: 'PAC script',
+      fileName
+    });
+    onClose();
+  };
+
+  return (
+    <div className="space-y-3 p-3 border rounded-md">
+      <div className="flex items-center justify-between">
+        <Label htmlFor="pac-import-script">PAC script</Label>
+        <input
+          type="file"
+          accept=".pac,.js,application/x-ns-proxy-autoconfig,text/plain"
+          className="text-xs"
+          onChange={handleFileChange}
+          aria-label="PAC file to import"
+        />
+      </div>
+      <Textarea
+        id="pac-import-script"
+        value={script}
+        onInput={(e) => { setScript(e.target.value); setFileName('pasted PAC script'); setEvaluation(null); }}
+        rows={6}
+        className="font-mono text-xs"
+        placeholder={'function FindProxyForURL(url, host) {\n  if (dnsDomainIs(host, ".corp.com")) return "PROXY proxy.corp.com:8080";\n  return "DIRECT";\n}'}
+      />
+
+      <Label htmlFor="pac-import-samples">Sample hosts or URLs (one per line)</Label>
+      <Textarea
+        id="pac-import-samples"
+        value={samples}
+        onInput={(e) => { setSamples(e.target.value); setEvaluation(null); }}
+        rows={4}
+        className="font-mono text-xs"
+        placeholder={'intranet.corp.com\nhttps://git.corp.com/team\nexample.com'}
+      />
+
+      {error && (
+        <p className="error-message text-xs p-2 rounded-md">{error}</p>
+      )}
+
+      {evaluation && (
+        <div className="space-y-2 text-xs">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-muted-foreground">
+                <th className="font-medium pr-2">Sample</th>
+                <th className="font-medium pr-2">PAC result</th>
+                <th className="font-medium">Proxy</th>
+              </tr>
+            </thead>
+            <tbody>
+              {evaluation.rows.map((row, index) => (
+                <tr key={`${index}-${row.sample}`}>
+                  <td className="pr-2 font-mono break-all">{row.sample}</td>
+                  <td className="pr-2 font-mono break-all">{row.result}</td>
+                  <td>{row.proxyName || 'Not converted'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {evaluation.notes.map(note => <p key={note} className="text-muted-foreground">{note}</p>)}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleRun} disabled={isRunning}>
+          {isRunning ? 'Running...' : 'Run script'}
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          onClick={handlePreview}
+          disabled={!evaluation || evaluation.config.proxies.length === 0}
+        >
+          Preview import
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PacScriptImport;
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'preact/hooks';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import PatternTextarea from '@/components/shared/PatternTextarea';
+import {
+  testStringAgainstPatterns,
+  parsePatternLine,
+  formatPatternLine,
+  setPatternLineTarget,
+  setPatternLineType,
+  PATTERN_TARGET_OPTIONS,
+  PATTERN_TYPE_OPTIONS
+} from '../../options/utils/patternValidationUtils';
+import { normalizePattern } from '../../modules/PatternMatcher';
+import { PATTERN_TYPES } from '../../common/constants';
+
+/**
+ * @file PatternListEditor.js
+ * @description Preact component for editing a list of routing patterns: a validated
+ * textarea with one pattern per line, syntax and match target pickers for the line
+ * under the caret and a tester. Used for routing patterns, exclusions and the global bypass list.
+ */
+
+/**
+ * PatternListEditor component.
+ * @param {object} props - The component's props.
+ * @param {string} props.id - Unique prefix for element IDs.
+ * @param {string} props.label - Label shown above the textarea.
+ * @param {Array} [props.patterns] - The stored patterns being edited.
+ * @param {Array} [props.originalPatterns] - The saved patterns, for dirty tracking.
+ * @param {function} props.onChange - Called with the new stored patterns and, when
+ *                                    originalPatterns is given, whether they differ from it.
+ * @param {boolean} [props.isDirty] - Whether to show the "Unsaved" badge.
+ * @param {string} [props.placeholder] - Textarea placeholder.
+ * @param {string} [props.testLabel] - Label of the tester.
+ * @param {JSX.Element} [props.children] - Help text shown below the editor.
+ * @returns {JSX.Element} The rendered PatternListEditor component.
+ */
+const PatternListEditor = ({
+  id,
+  label,
+  patterns = [],
+  originalPatterns,
+  onChange,
+  isDirty = false,
+  placeholder = "e.g., domain:example.com\nglob:*.corp.net\npath:^/api/\ncidr:10.0.0.0/8",
+  testLabel = 'Test Pattern',
+  children
+}) => {
+  const [text, setText] = useState(patterns.map(formatPatternLine).join('\n'));
+  const [testString, setTestString] = useState('');
+  const [testResultMsg, setTestResultMsg] = useState('');
+  const [activeLine, setActiveLine] = useState(0);
+
+  useEffect(() => {
+    // Update local state if the patterns change externally
+    const newText = patterns.map(formatPatternLine).join('\n');
+    if (newText !== text) {
+      setText(newText);
+    }
+  }, [patterns]);
+
+  const applyText = (newText) => {
+    setText(newText);
+    const isChanged = originalPatterns
+      ? newText !== originalPatterns.map(formatPatternLine).join('\n')
+      : undefined;
+    onChange(newText.split('\n').map(parsePatternLine), isChanged);
+  };
+
+  /**
+   * Tracks the line under the caret, whose match target the picker edits.
+   * @param {Event} e - Event from the pattern textarea.
+   */
+  const updateActiveLine = (e) => {
+    const { value, selectionStart } = e.target;
+    if (typeof selectionStart !== 'number') return;
+    setActiveLine(value.slice(0, selectionStart).split('\n').length - 1);
+  };
+
+  const handleTextChange = (e) => {
+    applyText(e.target.value);
+    updateActiveLine(e);
+  };
+
+  const lines = text.split('\n');
+  const lineIndex = Math.min(activeLine, lines.length - 1);
+  const currentLine = lines[lineIndex] || '';
+  const isCommentLine = currentLine.trim().startsWith('#');
+  const currentPattern = normalizePattern(parsePatternLine(currentLine));
+  // Domain suffixes and CIDR ranges always match the host
+  const isHostnameOnly = currentPattern.type === PATTERN_TYPES.DOMAIN_SUFFIX ||
+    currentPattern.type === PATTERN_TYPES.CIDR;
+
+  const handleTargetChange = (e) => {
+    const newLines = [...lines];
+    newLines[lineIndex] = setPatternLineTarget(newLines[lineIndex], e.target.value);
+    applyText(newLines.join('\n'));
+  };
+
+  const handleTypeChange = (e) => {
+    const newLines = [...lines];
+    newLines[lineIndex] = setPatternLineType(newLines[lineIndex], e.target.value);
+    applyText(newLines.join('\n'));
+  };
+
+  /**
+   * Tests the current `testString` against the edited patterns.
+   * Updates the `testResultMsg` state with the outcome of the test.
+   */
+  const handleTestPattern = () => {
+    if (!testString) {
+      setTestResultMsg('Please enter a string to test.');
+      return;
+    }
+    if (!text) {
+      setTestResultMsg('Please enter some patterns to test against.');
+      return;
+    }
+
+    const result = testStringAgainstPatterns(testString, text);
+
+    if (result.error) {
+      setTestResultMsg(`Error: ${result.error}`);
+    } else if (result.matched) {
+      setTestResultMsg(`"${testString}" matches pattern: "${result.matchedPattern}"`);
+    } else {
+      setTestResultMsg(`"${testString}" does not match any pattern.`);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor={`${id}-patterns`}>
+          {label}
+          {isDirty && (
+            <Badge variant="default" size="sm" className="ml-2">
+              Unsaved
+            </Badge>
+          )}
+        </Label>
+        <PatternTextarea
+          id={`${id}-patterns`}
+          value={text}
+          onChange={handleTextChange}
+          onKeyUp={updateActiveLine}
+          onClick={updateActiveLine}
+          onFocus={updateActiveLine}
+          placeholder={placeholder}
+          rows={5}
+          className="min-h-[120px] rounded-md border px-3 py-2 bg-transparent"
+        />
+        <div className="flex items-center gap-2">
+          <Label htmlFor={`${id}-type`} className="text-sm font-normal">
+            Line {lineIndex + 1} is a
+          </Label>
+          <select
+            id={`${id}-type`}
+            className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+            value={currentPattern.type}
+            onChange={handleTypeChange}
+            disabled={isCommentLine}
+          >
+            {PATTERN_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Label htmlFor={`${id}-target`} className="text-sm font-normal">
+            matching the
+          </Label>
+          <select
+            id={`${id}-target`}
+            className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+            value={currentPattern.target}
+            onChange={handleTargetChange}
+            disabled={isCommentLine || isHostnameOnly}
+          >
+            {PATTERN_TARGET_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {children && (
+          <p className="text-xs text-muted-foreground mt-1">
+            {children}
+          </p>
+        )}
+      </div>
+      <div className="space-y-2 p-3 border rounded-md">
+        <Label htmlFor={`${id}-test-string`}>{testLabel}</Label>
+        <div className="flex gap-2">
+          <Input
+            id={`${id}-test-string`}
+            value={testString}
+            onChange={(e) => setTestString(e.target.value)}
+            placeholder="Enter a URL or string to test"
+            className="flex-grow"
+          />
+          <Button type="button" onClick={handleTestPattern} variant="outline" size="sm">Test</Button>
+        </div>
+        {testResultMsg && (
+          <p className={`text-xs p-2 rounded-md ${testResultMsg.includes('matches pattern:') ? 'bg-primary/10 text-primary border-primary/30' : testResultMsg.includes('does not match') ? 'warning-message' : testResultMsg.includes('Error:') ? 'error-message' : 'bg-muted text-muted-foreground'}`}>
+            {testResultMsg}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PatternListEditor;
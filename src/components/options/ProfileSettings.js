@@ -0,0 +1,160 @@
+import { useState } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent } from '@/components/ui/card';
+import { ValidatedInputWithBadge } from '@/components/ui/validated-input-with-badge';
+import { createProfile, isProfileModified, validateProfileName } from '../../utils/profiles.js';
+
+/**
+ * @file ProfileSettings.js
+ * @description Preact component for routing profiles: named snapshots of the proxies'
+ * enabled flags, priorities and optionally patterns that can be switched in one click,
+ * here or from the popup.
+ */
+
+/**
+ * ProfileSettings component.
+ * @param {object} props - The component's props.
+ * @param {object} props.config - The stored config object.
+ * @param {function} props.onSave - Callback invoked with the new profile list and,
+ *                                  when it changes, the active profile ID.
+ * @param {function} props.onSwitch - Callback to apply a profile by ID.
+ * @returns {JSX.Element} The rendered ProfileSettings component.
+ */
+const ProfileSettings = ({ config, onSave, onSwitch }) => {
+  const [name, setName] = useState('');
+  const [includePatterns, setIncludePatterns] = useState(false);
+  const [nameError, setNameError] = useState(null);
+  const profiles = config?.profiles || [];
+
+  const handleNameChange = (e) => {
+    setName(e.target.value);
+    setNameError(null);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const error = validateProfileName(name, profiles);
+    setNameError(error);
+    if (error) return;
+
+    // The new profile describes the current state, so it becomes the active one
+    const profile = createProfile(config, name, { includePatterns });
+    onSave([...profiles, profile], profile.id);
+    setName('');
+    setIncludePatterns(false);
+  };
+
+  /**
+   * Stores the current state of the proxies in an existing profile.
+   * @param {object} profile - The profile to overwrite.
+   */
+  const handleUpdate = (profile) => {
+    const updated = createProfile(config, profile.name, {
+      includePatterns: profile.includesPatterns,
+      id: profile.id
+    });
+    onSave(profiles.map(p => (p.id === profile.id ? updated : p)), profile.id);
+  };
+
+  const handleDelete = (profile) => {
+    onSave(profiles.filter(p => p.id !== profile.id));
+  };
+
+  return (
+    <Card className="mb-4">
+      <CardContent className="pt-4 space-y-3">
+        <div>
+          <h3 className="text-sm font-medium">Profiles</h3>
+          <p className="text-xs text-muted-foreground">
+            A profile remembers which proxies are enabled and their order, and optionally their patterns.
+            Switch profiles here or from the toolbar popup. Proxies added after a profile was saved keep
+            their settings when it is applied.
+          </p>
+        </div>
+
+        {profiles.length > 0 && (
+          <ul className="space-y-2">
+            {profiles.map(profile => {
+              const isActive = config.activeProfileId === profile.id;
+              const isModified = isActive && isProfileModified(config, profile);
+              return (
+                <li key={profile.id} className="flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="font-medium">{profile.name}</span>
+                    {profile.includesPatterns && (
+                      <Badge variant="outline" size="sm">Patterns</Badge>
+                    )}
+                    {isActive && (
+                      <Badge variant={isModified ? 'secondary' : 'default'} size="sm">
+                        {isModified ? 'Active, modified' : 'Active'}
+                      </Badge>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => onSwitch(profile.id)}
+                      disabled={isActive && !isModified}
+                    >
+                      {isModified ? 'Reapply' : 'Switch'}
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleUpdate(profile)}
+                      title="Store the current proxy settings in this profile"
+                    >
+                      Update
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDelete(profile)}
+                      aria-label={`Delete profile ${profile.name}`}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="flex items-start gap-3">
+          <ValidatedInputWithBadge
+            id="profile-name"
+            name="profileName"
+            value={name}
+            onChange={handleNameChange}
+            placeholder="e.g., Office"
+            error={nameError}
+            containerClassName="flex-grow"
+          />
+          <div className="flex items-center space-x-2 mt-2">
+            <Checkbox
+              id="profile-include-patterns"
+              checked={includePatterns}
+              onCheckedChange={(checked) => setIncludePatterns(checked === true)}
+            />
+            <Label htmlFor="profile-include-patterns" className="font-normal whitespace-nowrap">
+              Include patterns
+            </Label>
+          </div>
+          <Button type="submit" size="sm" className="mt-1" disabled={!name.trim()}>
+            Save current as profile
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ProfileSettings;
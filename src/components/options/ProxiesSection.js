@@ -17,6 +17,11 @@ import {
 } from '@dnd-kit/sortable';
 
 import ProxyItem from './ProxyItem';
+import HealthCheckSettings from './HealthCheckSettings';
+import BypassListSettings from './BypassListSettings';
+import ProfileSettings from './ProfileSettings';
+import ConfigTransfer from './ConfigTransfer';
+import { useProxyHealth } from '../../hooks/useProxyHealth';
 import { OptionsPageConfigManager } from '../../options/modules/OptionsPageConfigManager'; // Import the manager
 import { KeyboardCode } from '@dnd-kit/core';
 // Simple toast replacement for notifications
@@ -42,6 +47,11 @@ import { MESSAGE_ACTIONS } from '../../common/constants';
 const ProxiesSection = () => {
   const [proxies, setProxies] = useState([]);
   const [expandedProxyId, setExpandedProxyId] = useState(null); // Track which proxy is expanded
+  const [healthCheckSettings, setHealthCheckSettings] = useState(undefined);
+  const [bypassPatterns, setBypassPatterns] = useState([]);
+  const [profileConfig, setProfileConfig] = useState(null);
+  const [isTestingAll, setIsTestingAll] = useState(false);
+  const { health, testingProxyId, runHealthCheck } = useProxyHealth();
   const configManagerRef = useRef(null); // Use ref to hold the instance
   const newProxyIdRef = useRef(null); // Track newly created proxy
   
@@ -50,6 +60,9 @@ const ProxiesSection = () => {
   const refreshProxies = useCallback(() => {
     if (configManagerRef.current) {
       setProxies(configManagerRef.current.getSortedProxies());
+      setHealthCheckSettings(configManagerRef.current.getCurrentConfig().healthCheck);
+      setBypassPatterns(configManagerRef.current.getCurrentConfig().bypassPatterns || []);
+      setProfileConfig({ ...configManagerRef.current.getCurrentConfig() });
     }
   }, []);
   
@@ -320,6 +333,88 @@ const ProxiesSection = () => {
     }
   }, [proxies, refreshProxies]); // Updated dependencies
 
+  /**
+   * Saves the global health check settings.
+   * @param {object} settings - The new health check settings.
+   */
+  const handleSaveHealthCheckSettings = useCallback(async (settings) => {
+    if (!configManagerRef.current) return;
+    configManagerRef.current.updateHealthCheckSettings(settings);
+    await saveWithRefresh("Health check settings saved.", true);
+  }, [saveWithRefresh]);
+
+  /**
+   * Saves the global bypass list.
+   * @param {Array} patterns - Patterns that always connect directly.
+   */
+  const handleSaveBypassPatterns = useCallback(async (patterns) => {
+    if (!configManagerRef.current) return;
+    configManagerRef.current.updateBypassPatterns(patterns);
+    await saveWithRefresh("Bypass list saved.", true);
+  }, [saveWithRefresh]);
+
+  /**
+   * Saves the routing profiles.
+   * @param {Array} profiles - The new profile list.
+   * @param {string} [activeProfileId] - The active profile, if it changed.
+   */
+  const handleSaveProfiles = useCallback(async (profiles, activeProfileId) => {
+    if (!configManagerRef.current) return;
+    configManagerRef.current.updateProfiles(profiles, activeProfileId);
+    await saveWithRefresh("Profiles saved.", true);
+  }, [saveWithRefresh]);
+
+  /**
+   * Applies a routing profile through the background, which broadcasts the new configuration.
+   * @param {string} profileId - The profile to apply.
+   */
+  const handleSwitchProfile = useCallback(async (profileId) => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.SWITCH_PROFILE,
+        profileId
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+      configManagerRef.current.updateCurrentConfig(response.config);
+      refreshProxies();
+    } catch (error) {
+      console.error("Error switching profile:", error);
+      toast.error("Failed to switch profile.");
+    }
+  }, [refreshProxies]);
+
+  /**
+   * Saves an imported configuration, already validated and merged by ConfigTransfer.
+   * @param {object} config - The configuration to save.
+   */
+  const handleImportConfig = useCallback(async (config) => {
+    if (!configManagerRef.current) return;
+    configManagerRef.current.updateCurrentConfig(config);
+    setExpandedProxyId(null);
+    await saveWithRefresh("Configuration imported.", true);
+  }, [saveWithRefresh]);
+
+  const getCurrentConfig = useCallback(() => (
+    configManagerRef.current ? configManagerRef.current.getCurrentConfig() : { proxies: [], version: 2 }
+  ), []);
+
+  /**
+   * Runs a health check for every enabled proxy.
+   */
+  const handleTestAllProxies = useCallback(async () => {
+    setIsTestingAll(true);
+    try {
+      await browser.runtime.sendMessage({ action: MESSAGE_ACTIONS.RUN_HEALTH_CHECK });
+    } catch (error) {
+      console.error("Error running health checks:", error);
+      toast.error("Failed to run health checks.");
+    } finally {
+      setIsTestingAll(false);
+    }
+  }, []);
+
   const renderProxyItems = () => {
     if (!proxies || proxies.length === 0) {
       return <p className="text-sm text-muted-foreground mt-4">No proxies configured. Click &quot;Add Proxy&quot; to get started.</p>;
@@ -337,6 +432,9 @@ const ProxiesSection = () => {
         onKeyboardReorder={handleKeyboardReorder}
         autoFocusName={newProxyIdRef.current === proxy.id}
         existingProxies={proxies}
+        health={health[proxy.id]}
+        isTesting={isTestingAll || testingProxyId === proxy.id}
+        onTestNow={runHealthCheck}
       />
     ));
   };
@@ -348,6 +446,29 @@ const ProxiesSection = () => {
         <Button onClick={handleAddProxy}>Add Proxy</Button>
       </div>
 
+      <ConfigTransfer
+        getCurrentConfig={getCurrentConfig}
+        onImport={handleImportConfig}
+      />
+
+      <ProfileSettings
+        config={profileConfig}
+        onSave={handleSaveProfiles}
+        onSwitch={handleSwitchProfile}
+      />
+
+      <HealthCheckSettings
+        settings={healthCheckSettings}
+        onSave={handleSaveHealthCheckSettings}
+        onTestAll={handleTestAllProxies}
+        isTesting={isTestingAll}
+      />
+
+      <BypassListSettings
+        patterns={bypassPatterns}
+        onSave={handleSaveBypassPatterns}
+      />
+
       <DndContext
         sensors={sensors}
         collisionDetection={closestCenter}
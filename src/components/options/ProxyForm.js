@@ -7,7 +7,16 @@ import { Label } from '@/components/ui/label';
 import { Card, CardContent } from '@/components/ui/card';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
 import { Badge } from '@/components/ui/badge';
-import { validateProxyConfig } from '../../utils.js';
+import { validateProxyConfig, validatePacUrl, validateRuleSubscription, validateActivation, validateQuota } from '../../utils.js';
+import { useProxyAuthStatus } from '../../hooks/useProxyAuthStatus';
+import { useRemotePacStatus } from '../../hooks/useRemotePacStatus';
+import { PAC_PROXY_TYPE, REMOTE_PAC_DEFAULTS } from '../../common/constants';
+import HealthStatusDot, { describeHealth } from '../shared/HealthStatusDot';
+import FailoverForm from './FailoverForm';
+import ActivationForm from './ActivationForm';
+import QuotaForm from './QuotaForm';
+import { cleanPatterns } from '../../options/utils/patternValidationUtils';
+import { mergeSubscriptionState } from '../../utils/rule-lists.js';
 
 // Simple toast replacement for notifications
 const toast = {
@@ -15,6 +24,23 @@ const toast = {
   error: (message) => console.error('❌', message),
   info: (message) => console.log('ℹ️', message)
 };
+/**
+ * Whether a saved proxy changed only in what the background maintains: its rule
+ * list subscription, and its enabled state and pin when switched automatically
+ * @param {object} previous - The proxy as saved before
+ * @param {object} next - The proxy as saved now
+ * @returns {boolean}
+ */
+const isBackgroundUpdate = (previous, next) => {
+  const withoutBackgroundState = (proxy) => JSON.stringify({
+    ...proxy,
+    enabled: undefined,
+    activation: proxy.activation ? { ...proxy.activation, pinned: undefined } : undefined,
+    routingConfig: { ...proxy.routingConfig, subscription: undefined }
+  });
+  return withoutBackgroundState(previous) === withoutBackgroundState(next);
+};
+
 // Lazy load routing configurator
 const RoutingConfiguratorComponent = lazy(() => import(/* webpackChunkName: "routing-configurator" */ './RoutingConfiguratorCondensed'));
 import browserCapabilities from '../../utils/feature-detection.js'; // Corrected import name
@@ -23,7 +49,8 @@ import browserCapabilities from '../../utils/feature-detection.js'; // Corrected
  * @file ProxyForm.js
  * @description Preact component for editing the details of a single proxy configuration.
  * Includes fields for basic info, authentication, and routing configuration.
- * Also provides actions to save, undo, and test the proxy connection.
+ * Also provides actions to save, undo, and test the proxy connection. PAC URL
+ * proxies get a script URL and refresh interval instead of host, port and credentials.
  */
 
 /**
@@ -35,9 +62,12 @@ import browserCapabilities from '../../utils/feature-detection.js'; // Corrected
  * @param {function} props.onUndo - Callback function to undo changes to the proxy data.
  * @param {function} props.onDelete - Callback function to delete the proxy (currently not directly used by this form's buttons).
  * @param {Array} props.existingProxies - Array of existing proxies for duplicate name checking.
+ * @param {object} [props.health] - Latest health check summary for the proxy.
+ * @param {boolean} [props.isTesting] - Whether a health check for this proxy is running.
+ * @param {function} [props.onTestNow] - Callback to run a health check for the saved proxy.
  * @returns {JSX.Element} The rendered ProxyForm component.
  */
-const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existingProxies = [], autoFocusName = false }) => {
+const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existingProxies = [], autoFocusName = false, health, isTesting = false, onTestNow }) => {
   const createDefaultProxy = () => {
     const base = {
       name: '',
@@ -50,12 +80,17 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
       routingConfig: {
         useContainerMode: false,
         patterns: [],
+        excludePatterns: [],
         containers: []
+      },
+      failover: {
+        fallbackProxyIds: [],
+        fallbackToDirect: false
       }
     };
     
-    // Only include auth fields for Firefox
-    if (browserCapabilities.browser.isFirefox) {
+    // Only include auth fields when the browser can answer proxy auth
+    if (isAuthenticationAvailable()) {
       base.auth = { username: '', password: '' };
     }
     
@@ -70,8 +105,30 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
   const [originalValues, setOriginalValues] = useState(null);
   const [dirtyFields, setDirtyFields] = useState({});
   const nameInputRef = useRef(null);
+  const authFailures = useProxyAuthStatus();
+  const authFailure = proxy.id ? authFailures[proxy.id] : null;
+  const [testError, setTestError] = useState(null);
+  const { status: remotePacStatus, refreshingProxyId, refreshRemotePac } = useRemotePacStatus();
+  const [refreshError, setRefreshError] = useState(null);
+  const isPacUrl = proxy.proxyType === PAC_PROXY_TYPE;
 
   useEffect(() => {
+    if (initialProxyData && originalValues && hasUnsavedChanges &&
+        originalValues.id === initialProxyData.id &&
+        isBackgroundUpdate(originalValues, initialProxyData)) {
+      // A rule list update or automatic switch arrived while editing: take it, keep the edits
+      setProxy(prev => ({
+        ...prev,
+        enabled: initialProxyData.enabled,
+        ...(prev.activation ? { activation: { ...prev.activation, pinned: initialProxyData.activation?.pinned } } : {}),
+        routingConfig: {
+          ...prev.routingConfig,
+          subscription: mergeSubscriptionState(prev.routingConfig?.subscription, initialProxyData.routingConfig?.subscription)
+        }
+      }));
+      setOriginalValues(initialProxyData);
+      return;
+    }
     if (initialProxyData) {
       setProxy(initialProxyData);
       setOriginalValues(initialProxyData);
@@ -117,7 +174,7 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
    */
   const isFieldDirty = (fieldName, currentValue, originalValue) => {
     if (fieldName === 'auth.username' || fieldName === 'auth.password') {
-      // Skip auth field dirty checking for Chrome
+      // Skip auth field dirty checking when auth is unavailable
       if (!isAuthenticationAvailable()) return false;
       
       const authField = fieldName.split('.')[1];
@@ -185,6 +242,22 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
           delete errors.port;
         }
         break;
+      case 'pacUrl': {
+        const [error] = validatePacUrl(value);
+        if (error) {
+          errors.pacUrl = error;
+        } else {
+          delete errors.pacUrl;
+        }
+        break;
+      }
+      case 'pacRefreshMinutes':
+        if (!Number.isInteger(Number(value)) || Number(value) < REMOTE_PAC_DEFAULTS.minRefreshMinutes) {
+          errors.pacRefreshMinutes = `Refresh interval must be at least ${REMOTE_PAC_DEFAULTS.minRefreshMinutes} minutes`;
+        } else {
+          delete errors.pacRefreshMinutes;
+        }
+        break;
     }
     
     setFieldErrors(errors);
@@ -208,6 +281,10 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
           errors.port = 'Valid port number is required';
         } else if (error.includes('Port must be between')) {
           errors.port = error;
+        } else if (error.startsWith('PAC URL')) {
+          errors.pacUrl = error;
+        } else if (error.startsWith('Refresh interval')) {
+          errors.pacRefreshMinutes = error;
         }
       });
     }
@@ -237,7 +314,7 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
     const actualValue = type === 'checkbox' || type === 'switch' ? checked : value;
     
     if (name.startsWith('auth.')) {
-      // Skip auth field updates for Chrome
+      // Skip auth field updates when auth is unavailable
       if (!isAuthenticationAvailable()) return;
       
       const authField = name.split('.')[1];
@@ -308,11 +385,41 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
     validateField('port', value);
   };
 
+  /**
+   * Handles changes to the refresh interval of PAC URL proxies
+   * @param {Event} e - The input change event.
+   */
+  const handleRefreshMinutesChange = (e) => {
+    const { value } = e.target;
+    const minutes = value === '' ? '' : Number(value);
+    setProxy(prev => ({ ...prev, pacRefreshMinutes: minutes }));
+
+    if (originalValues) {
+      updateFieldDirtyState('pacRefreshMinutes', minutes !== originalValues.pacRefreshMinutes);
+    }
+    if (hasValidated) {
+      validateField('pacRefreshMinutes', minutes);
+    }
+  };
+
   /**
    * Handles changes to proxy type radio group
    */
   const handleProxyTypeChange = (value) => {
-    setProxy(prev => ({ ...prev, proxyType: value }));
+    setProxy(prev => ({
+      ...prev,
+      proxyType: value,
+      ...(value === PAC_PROXY_TYPE ? {
+        pacUrl: prev.pacUrl || '',
+        pacRefreshMinutes: prev.pacRefreshMinutes || REMOTE_PAC_DEFAULTS.refreshMinutes
+      } : {})
+    }));
+    // Host and port errors do not apply to PAC URL proxies and the other way around
+    setFieldErrors(prev => {
+      const errors = { ...prev };
+      ['host', 'port', 'pacUrl', 'pacRefreshMinutes'].forEach(field => delete errors[field]);
+      return errors;
+    });
     
     // Check if field is dirty
     if (originalValues) {
@@ -340,12 +447,47 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
       return;
     }
     
+    // The subscription form shows its own errors
+    const subscription = proxy.routingConfig?.subscription;
+    const [subscriptionError] = subscription ? validateRuleSubscription(subscription) : [];
+    if (subscriptionError) {
+      toast.error(subscriptionError);
+      const element = document.querySelector('[name="subscriptionUrl"]');
+      if (element) {
+        element.focus();
+      }
+      return;
+    }
+    
+    const [activationError] = validateActivation(proxy.activation);
+    if (activationError) {
+      toast.error(activationError);
+      const element = document.querySelector('[name="activationProbeTarget"]');
+      if (element) {
+        element.focus();
+      }
+      return;
+    }
+    
+    const [quotaError] = validateQuota(proxy.quota);
+    if (quotaError) {
+      toast.error(quotaError);
+      const element = document.querySelector(`[name="${quotaError.startsWith('Quota warnings') ? 'quotaThresholds' : 'quotaLimit'}"]`);
+      if (element) {
+        element.focus();
+      }
+      return;
+    }
+    
     // Clean regex patterns before saving
     const cleanedProxy = { ...proxy };
-    if (cleanedProxy.routingConfig?.patterns) {
-      cleanedProxy.routingConfig.patterns = cleanedProxy.routingConfig.patterns
-        .map(pattern => pattern.trimEnd())
-        .filter(pattern => pattern.length > 0);
+    if (cleanedProxy.routingConfig) {
+      cleanedProxy.routingConfig = { ...cleanedProxy.routingConfig };
+      ['patterns', 'excludePatterns'].forEach(field => {
+        if (cleanedProxy.routingConfig[field]) {
+          cleanedProxy.routingConfig[field] = cleanPatterns(cleanedProxy.routingConfig[field]);
+        }
+      });
     }
     
     if (onSave) {
@@ -384,9 +526,9 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
   };
 
 
-  const isAuthenticationAvailable = () => {
-    return browserCapabilities.browser.isFirefox;
-  };
+  function isAuthenticationAvailable() {
+    return browserCapabilities.proxyAuth.supportsHttpAuth || browserCapabilities.proxyAuth.supportsSocks5Auth;
+  }
 
   const isAuthenticationSupported = (proxyType) => {
     if (!isAuthenticationAvailable()) return false;
@@ -422,6 +564,57 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
   };
 
 
+  /**
+   * Runs a health check through the saved proxy configuration.
+   */
+  const handleTestNow = async () => {
+    setTestError(null);
+    const response = await onTestNow(initialProxyData.id);
+    if (response && !response.success) {
+      setTestError(response.error || 'Health check failed');
+    }
+  };
+
+  /**
+   * Fetches the saved PAC URL again.
+   */
+  const handleRefreshNow = async () => {
+    setRefreshError(null);
+    const response = await refreshRemotePac(initialProxyData.id);
+    // Fetch errors arrive with the status; only report requests that did not get that far
+    if (response && !response.success && !response.status) {
+      setRefreshError(response.error || 'Refresh failed');
+    }
+  };
+
+  /**
+   * Describes the last fetch of the saved PAC URL
+   * @param {object} [status] - Fetch status from the background
+   * @returns {string}
+   */
+  const describeRemotePac = (status) => {
+    if (!status || (!status.fetchedAt && !status.error)) {
+      return 'Not fetched yet';
+    }
+    const fetched = status.fetchedAt
+      ? `Fetched ${new Date(status.fetchedAt).toLocaleString()} (${status.size} characters)`
+      : 'No script fetched yet';
+    return status.error
+      ? `${fetched}. Last refresh failed ${new Date(status.errorAt).toLocaleString()}: ${status.error}`
+      : fetched;
+  };
+
+  const pacStatus = initialProxyData?.id ? remotePacStatus[initialProxyData.id] : null;
+
+  const getTestNowTitle = () => {
+    if (!initialProxyData?.enabled) {
+      return 'Enable the proxy to test it';
+    }
+    return hasUnsavedChanges
+      ? 'Tests the saved settings - save first to test your changes'
+      : 'Request the health check URL through this proxy';
+  };
+
   return (
     <form onSubmit={(e) => e.preventDefault()} className="space-y-4">
       <Card>
@@ -463,11 +656,11 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
                     onValueChange={handleProxyTypeChange}
                     className="flex gap-4"
                   >
-                    {['http', 'https', 'socks4', 'socks5'].map((type) => (
+                    {['http', 'https', 'socks4', 'socks5', PAC_PROXY_TYPE].map((type) => (
                       <div key={type} className="flex items-center space-x-2">
                         <RadioGroupItem value={type} id={`proxyType-${type}-${proxy.id}`} />
                         <Label htmlFor={`proxyType-${type}-${proxy.id}`} className="text-sm font-normal uppercase">
-                          {type}
+                          {type === PAC_PROXY_TYPE ? 'PAC URL' : type}
                         </Label>
                       </div>
                     ))}
@@ -481,45 +674,91 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
               </div>
             </div>
             
-            {/* Host and Port with inline labels */}
-            <div className="grid grid-cols-12 gap-4 items-center">
-              <Label htmlFor={`host-${proxy.id}`} className="col-span-1 text-right">
-                Host
-              </Label>
-              <div className="col-span-6">
-                <ValidatedInputWithBadge 
-                  id={`host-${proxy.id}`} 
-                  name="host" 
-                  value={proxy.host} 
-                  onChange={handleChange} 
-                  onBlur={handleBlur}
-                  onKeyDown={handleKeyDown}
-                  placeholder="e.g., proxy.example.com" 
-                  error={fieldErrors.host}
-                  showBadge={dirtyFields.host}
-                />
+            {/* Script URL and refresh interval of PAC URL proxies */}
+            {isPacUrl && (
+              <div className="grid grid-cols-12 gap-4 items-center">
+                <Label htmlFor={`pacUrl-${proxy.id}`} className="col-span-1 text-right">
+                  URL
+                </Label>
+                <div className="col-span-7">
+                  <ValidatedInputWithBadge
+                    id={`pacUrl-${proxy.id}`}
+                    name="pacUrl"
+                    type="url"
+                    value={proxy.pacUrl || ''}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    onKeyDown={handleKeyDown}
+                    placeholder="e.g., https://wpad.example.com/proxy.pac"
+                    error={fieldErrors.pacUrl}
+                    showBadge={dirtyFields.pacUrl}
+                  />
+                </div>
+                <Label htmlFor={`pacRefreshMinutes-${proxy.id}`} className="col-span-2 text-right">
+                  Refresh (min)
+                </Label>
+                <div className="col-span-2">
+                  <ValidatedInputWithBadge
+                    id={`pacRefreshMinutes-${proxy.id}`}
+                    name="pacRefreshMinutes"
+                    type="number"
+                    min={REMOTE_PAC_DEFAULTS.minRefreshMinutes}
+                    value={proxy.pacRefreshMinutes ?? REMOTE_PAC_DEFAULTS.refreshMinutes}
+                    onChange={handleRefreshMinutesChange}
+                    onBlur={handleBlur}
+                    onKeyDown={handleKeyDown}
+                    error={fieldErrors.pacRefreshMinutes}
+                    showBadge={dirtyFields.pacRefreshMinutes}
+                  />
+                </div>
+                <p className="col-span-11 col-start-2 text-xs text-muted-foreground">
+                  Requests matching the routing patterns below are passed to the script. When it answers DIRECT,
+                  lower priority proxies are tried. Use the pattern .* to send everything to the script.
+                </p>
               </div>
-              <Label htmlFor={`port-${proxy.id}`} className="col-span-1 text-right">
-                Port
-              </Label>
-              <div className="col-span-4">
-                <ValidatedInputWithBadge 
-                  id={`port-${proxy.id}`} 
-                  name="port" 
-                  type="number" 
-                  value={proxy.port} 
-                  onChange={handlePortChange} 
-                  onBlur={handlePortBlur}
-                  onKeyDown={handleKeyDown}
-                  placeholder="e.g., 8080" 
-                  error={fieldErrors.port}
-                  showBadge={dirtyFields.port}
-                />
+            )}
+
+            {/* Host and Port with inline labels */}
+            {!isPacUrl && (
+              <div className="grid grid-cols-12 gap-4 items-center">
+                <Label htmlFor={`host-${proxy.id}`} className="col-span-1 text-right">
+                  Host
+                </Label>
+                <div className="col-span-6">
+                  <ValidatedInputWithBadge 
+                    id={`host-${proxy.id}`} 
+                    name="host" 
+                    value={proxy.host} 
+                    onChange={handleChange} 
+                    onBlur={handleBlur}
+                    onKeyDown={handleKeyDown}
+                    placeholder="e.g., proxy.example.com" 
+                    error={fieldErrors.host}
+                    showBadge={dirtyFields.host}
+                  />
+                </div>
+                <Label htmlFor={`port-${proxy.id}`} className="col-span-1 text-right">
+                  Port
+                </Label>
+                <div className="col-span-4">
+                  <ValidatedInputWithBadge 
+                    id={`port-${proxy.id}`} 
+                    name="port" 
+                    type="number" 
+                    value={proxy.port} 
+                    onChange={handlePortChange} 
+                    onBlur={handlePortBlur}
+                    onKeyDown={handleKeyDown}
+                    placeholder="e.g., 8080" 
+                    error={fieldErrors.port}
+                    showBadge={dirtyFields.port}
+                  />
+                </div>
               </div>
-            </div>
+            )}
             
-            {/* Username and Password with inline labels - only show for Firefox */}
-            {isAuthenticationAvailable() && (
+            {/* Username and Password with inline labels - only show when proxy auth is supported */}
+            {isAuthenticationAvailable() && !isPacUrl && (
               <div className="grid grid-cols-12 gap-4 items-center">
                 <Label htmlFor={`username-${proxy.id}`} className="col-span-1 text-right">
                   User
@@ -556,6 +795,15 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
                 </div>
               </div>
             )}
+            
+            {/* Credentials rejected by the proxy server */}
+            {isAuthenticationAvailable() && authFailure && (
+              <div className="grid grid-cols-12 gap-4 items-center">
+                <p role="alert" className="col-span-11 col-start-2 text-xs p-2 rounded-md error-message">
+                  Authentication failed: {authFailure.message}. Update the username or password and save to retry.
+                </p>
+              </div>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -575,11 +823,80 @@ const ProxyForm = ({ proxy: initialProxyData, onSave, onUndo, onDelete, existing
         />
       </Suspense>
 
+      {/* The PAC script picks its own proxies and fallbacks */}
+      {!isPacUrl && (
+        <FailoverForm
+          proxy={proxy}
+          onChange={setProxy}
+          originalFailover={originalValues?.failover}
+          existingProxies={existingProxies}
+          dirtyFields={dirtyFields}
+          updateFieldDirtyState={updateFieldDirtyState}
+        />
+      )}
+
+      <ActivationForm
+        proxy={proxy}
+        onChange={setProxy}
+        originalActivation={originalValues?.activation}
+        isSaved={!!initialProxyData?.id}
+        dirtyFields={dirtyFields}
+        updateFieldDirtyState={updateFieldDirtyState}
+      />
+
+      {/* Traffic through a PAC script is not attributed to the PAC proxy */}
+      {!isPacUrl && (
+        <QuotaForm
+          proxy={proxy}
+          onChange={setProxy}
+          originalQuota={originalValues?.quota}
+          dirtyFields={dirtyFields}
+          updateFieldDirtyState={updateFieldDirtyState}
+        />
+      )}
+
+      {isPacUrl && initialProxyData?.id && (
+        <p className={`text-xs ${pacStatus?.error || refreshError ? 'error-message p-2 rounded-md' : 'text-muted-foreground'}`} aria-live="polite">
+          {refreshingProxyId === initialProxyData.id ? 'Fetching PAC script...' : (refreshError || describeRemotePac(pacStatus))}
+        </p>
+      )}
+
+      {onTestNow && !isPacUrl && (
+        <div className="flex items-center gap-2 text-xs text-muted-foreground" aria-live="polite">
+          <HealthStatusDot health={health} />
+          <span>{isTesting ? 'Testing connection...' : (testError || describeHealth(health))}</span>
+        </div>
+      )}
+
       <div className="flex flex-wrap justify-between gap-3">
         <Button variant="destructive" size="sm" onClick={() => onDelete(proxy.id)}>
           Delete Proxy
         </Button>
         <div className="flex gap-2">
+          {isPacUrl && initialProxyData?.id && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={handleRefreshNow}
+              disabled={refreshingProxyId === initialProxyData.id}
+              title={hasUnsavedChanges ? 'Fetches the saved URL - save first to use your changes' : 'Fetch the PAC script now'}
+            >
+              {refreshingProxyId === initialProxyData.id ? 'Refreshing...' : 'Refresh now'}
+            </Button>
+          )}
+          {onTestNow && !isPacUrl && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={handleTestNow}
+              disabled={isTesting || !initialProxyData?.enabled}
+              title={getTestNowTitle()}
+            >
+              {isTesting ? 'Testing...' : 'Test now'}
+            </Button>
+          )}
           <Button 
             variant="outline" 
             size="sm" 
@@ -22,6 +22,8 @@ const GripVertical = ({ className, ...props }) => (
 
 import ProxyForm from './ProxyForm';
 import { useProxyToggle } from '../../hooks/useProxyToggle';
+import HealthStatusDot from '../shared/HealthStatusDot';
+import { PAC_PROXY_TYPE } from '../../common/constants';
 
 /**
  * @file ProxyItem.js
@@ -38,9 +40,12 @@ import { useProxyToggle } from '../../hooks/useProxyToggle';
  * @param {function} props.onSave - Callback function to save proxy changes.
  * @param {function} props.onUndo - Callback function to undo proxy changes.
  * @param {function} props.onDelete - Callback function to delete the proxy.
+ * @param {object} [props.health] - Latest health check summary for the proxy.
+ * @param {boolean} [props.isTesting] - Whether a health check for this proxy is running.
+ * @param {function} [props.onTestNow] - Callback to run a health check for the proxy.
  * @returns {JSX.Element} The rendered ProxyItem component.
  */
-const ProxyItem = ({ proxy, priorityColor, isExpanded, onToggle, onSave, onUndo, onDelete, onKeyboardReorder, autoFocusName = false, existingProxies = [] }) => {
+const ProxyItem = ({ proxy, priorityColor, isExpanded, onToggle, onSave, onUndo, onDelete, onKeyboardReorder, autoFocusName = false, existingProxies = [], health, isTesting = false, onTestNow }) => {
   const {
     attributes,
     listeners,
@@ -154,11 +159,14 @@ const ProxyItem = ({ proxy, priorityColor, isExpanded, onToggle, onSave, onUndo,
                 style={{ backgroundColor: statusColor }}
               ></span>
               <div className="flex-grow text-left">
+                {proxy.enabled && <HealthStatusDot health={health} className="mr-2 align-middle" />}
                 <span className={`font-medium ${!proxy.enabled ? 'text-muted-foreground italic' : ''}`}>
                   {proxy.name || 'Unnamed Proxy'}
                 </span>
                 <span className={`text-sm text-muted-foreground ml-2 ${!proxy.enabled ? 'opacity-60' : ''}`}>
-                  ({proxy.host || 'No Host'}:{proxy.port || 'No Port'})
+                  {proxy.proxyType === PAC_PROXY_TYPE
+                    ? `(PAC: ${proxy.pacUrl || 'No URL'})`
+                    : `(${proxy.host || 'No Host'}:${proxy.port || 'No Port'})`}
                 </span>
               </div>
               <span className="text-xs bg-muted text-muted-foreground px-2 py-0.5 rounded-full mr-2">
@@ -187,6 +195,9 @@ const ProxyItem = ({ proxy, priorityColor, isExpanded, onToggle, onSave, onUndo,
                 onDelete={() => onDelete(proxy.id)} // onDelete is already passed
                 autoFocusName={autoFocusName}
                 existingProxies={existingProxies}
+                health={health}
+                isTesting={isTesting}
+                onTestNow={onTestNow}
               />
             </div>
           </AccordionContent>
@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'preact/hooks';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { ValidatedInputWithBadge } from '@/components/ui/validated-input-with-badge';
+import { validateQuota, formatTraffic } from '../../utils.js';
+import { QUOTA_PERIODS, QUOTA_ACTIONS, QUOTA_DEFAULTS } from '../../common/constants';
+import { useProxyQuotas } from '../../hooks/useProxyQuotas';
+
+/**
+ * @file QuotaForm.js
+ * @description Preact component for a proxy's data quota: a daily or monthly limit on its
+ * traffic, warnings before it is used up and whether the proxy is disabled or only flagged then.
+ */
+
+// Decimal units, as traffic is shown elsewhere
+const UNITS = [
+  { value: 'MB', bytes: 1000 * 1000 },
+  { value: 'GB', bytes: 1000 * 1000 * 1000 }
+];
+
+const DEFAULT_QUOTA = {
+  limitBytes: 10 * UNITS[1].bytes,
+  period: QUOTA_PERIODS.MONTHLY,
+  thresholds: QUOTA_DEFAULTS.thresholds,
+  onExhausted: QUOTA_ACTIONS.FLAG
+};
+
+/**
+ * Picks the largest unit the limit is a whole multiple of.
+ * @param {number} limitBytes - The limit.
+ * @returns {object} One of UNITS.
+ */
+const getUnit = (limitBytes) =>
+  [...UNITS].reverse().find(unit => limitBytes >= unit.bytes && limitBytes % unit.bytes === 0) || UNITS[0];
+
+const formatAmount = (limitBytes, unit) => limitBytes ? String(limitBytes / unit.bytes) : '';
+
+/**
+ * QuotaForm component.
+ * @param {object} props - The component's props.
+ * @param {object} props.proxy - The proxy data object being configured.
+ * @param {function} props.onChange - Callback function to update the parent proxy object.
+ * @param {object} [props.originalQuota] - The saved quota, for dirty tracking.
+ * @param {object} props.dirtyFields - Map of dirty field names.
+ * @param {function} props.updateFieldDirtyState - Callback to mark a field dirty.
+ * @returns {JSX.Element} The rendered QuotaForm component.
+ */
+const QuotaForm = ({ proxy, onChange, originalQuota, dirtyFields = {}, updateFieldDirtyState }) => {
+  const { quotas } = useProxyQuotas();
+  const quota = proxy.quota;
+  const usage = quotas[proxy.id];
+  const [unit, setUnit] = useState(() => getUnit(quota?.limitBytes || 0));
+  // Kept as typed, so partial input like "1." is not reformatted
+  const [amount, setAmount] = useState(() => formatAmount(quota?.limitBytes, unit));
+  const [thresholds, setThresholds] = useState(() => (quota?.thresholds || []).join(', '));
+  const [limitError, periodError, actionError, thresholdError] = ['Quota must', 'Quota period', 'Quota action', 'Quota warnings']
+    .map(prefix => validateQuota(quota).find(error => error.startsWith(prefix)));
+
+  useEffect(() => {
+    // Another proxy was opened or the edits were undone
+    const nextUnit = getUnit(quota?.limitBytes || 0);
+    setUnit(nextUnit);
+    setAmount(formatAmount(quota?.limitBytes, nextUnit));
+    setThresholds((quota?.thresholds || []).join(', '));
+  }, [proxy.id, originalQuota]);
+
+  /**
+   * Applies a new quota, or removes it when null.
+   * @param {object|null} next - The new quota.
+   */
+  const updateQuota = (next) => {
+    onChange(prevProxy => {
+      const updated = { ...prevProxy, quota: next };
+      if (!next) {
+        delete updated.quota;
+      }
+      return updated;
+    });
+
+    if (updateFieldDirtyState) {
+      updateFieldDirtyState('quota', JSON.stringify(next || undefined) !== JSON.stringify(originalQuota));
+    }
+  };
+
+  const handleEnabledChange = (checked) => {
+    if (checked === true) {
+      const nextUnit = getUnit(DEFAULT_QUOTA.limitBytes);
+      setUnit(nextUnit);
+      setAmount(formatAmount(DEFAULT_QUOTA.limitBytes, nextUnit));
+      setThresholds(DEFAULT_QUOTA.thresholds.join(', '));
+      updateQuota({ ...DEFAULT_QUOTA });
+    } else {
+      updateQuota(null);
+    }
+  };
+
+  const handleLimitChange = (nextAmount, nextUnit) => {
+    setAmount(nextAmount);
+    setUnit(nextUnit);
+    const value = Number(nextAmount);
+    updateQuota({ ...quota, limitBytes: nextAmount.trim() && value > 0 ? Math.round(value * nextUnit.bytes) : 0 });
+  };
+
+  const handleThresholdsChange = (text) => {
+    setThresholds(text);
+    updateQuota({
+      ...quota,
+      thresholds: text.split(',').map(value => value.trim()).filter(Boolean).map(Number)
+    });
+  };
+
+  return (
+    <Card className="mt-4">
+      <CardContent className="pt-4 space-y-3">
+        <h3 className="text-lg font-medium">
+          Data quota
+          {dirtyFields.quota && (
+            <Badge variant="default" size="sm" className="ml-2">
+              Unsaved
+            </Badge>
+          )}
+        </h3>
+        <p className="text-xs text-muted-foreground">
+          Limit the traffic through this proxy per day or month. Proxies on the same server share their usage.
+          Usage is counted while traffic monitoring runs and checked every minute.
+        </p>
+
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id={`quota-enabled-${proxy.id}`}
+            checked={!!quota}
+            onCheckedChange={handleEnabledChange}
+          />
+          <Label htmlFor={`quota-enabled-${proxy.id}`} className="font-normal">
+            Limit the data used through this proxy
+          </Label>
+        </div>
+
+        {quota && (
+          <div className="space-y-3 pl-6">
+            <div className="flex flex-wrap items-start gap-2">
+              <ValidatedInputWithBadge
+                id={`quota-limit-${proxy.id}`}
+                name="quotaLimit"
+                type="number"
+                min="0"
+                step="any"
+                value={amount}
+                onChange={(e) => handleLimitChange(e.target.value, unit)}
+                aria-label="Quota"
+                error={limitError}
+                containerClassName="w-32"
+              />
+              <select
+                className="h-9 rounded-md border border-input bg-background px-3 text-sm mt-1"
+                value={unit.value}
+                onChange={(e) => handleLimitChange(amount, UNITS.find(option => option.value === e.target.value))}
+                aria-label="Unit"
+              >
+                {UNITS.map(option => (
+                  <option key={option.value} value={option.value}>{option.value}</option>
+                ))}
+              </select>
+              <select
+                className="h-9 rounded-md border border-input bg-background px-3 text-sm mt-1"
+                value={quota.period}
+                onChange={(e) => updateQuota({ ...quota, period: e.target.value })}
+                aria-label="Period"
+              >
+                <option value={QUOTA_PERIODS.DAILY}>per day</option>
+                <option value={QUOTA_PERIODS.MONTHLY}>per month</option>
+              </select>
+              <select
+                className="h-9 rounded-md border border-input bg-background px-3 text-sm mt-1"
+                value={quota.onExhausted}
+                onChange={(e) => updateQuota({ ...quota, onExhausted: e.target.value })}
+                aria-label="When used up"
+              >
+                <option value={QUOTA_ACTIONS.FLAG}>Only flag when used up</option>
+                <option value={QUOTA_ACTIONS.DISABLE}>Disable until it renews</option>
+              </select>
+            </div>
+            {(periodError || actionError) && (
+              <p className="text-xs error-message p-2 rounded-md">{periodError || actionError}</p>
+            )}
+
+            <div className="space-y-1">
+              <Label htmlFor={`quota-thresholds-${proxy.id}`} className="text-sm">
+                Warn at (% used, comma separated)
+              </Label>
+              <ValidatedInputWithBadge
+                id={`quota-thresholds-${proxy.id}`}
+                name="quotaThresholds"
+                value={thresholds}
+                onChange={(e) => handleThresholdsChange(e.target.value)}
+                placeholder="e.g., 80, 95"
+                error={thresholdError}
+                containerClassName="w-48"
+              />
+            </div>
+
+            {usage && (
+              <p className={`text-xs ${usage.exhausted ? 'error-message p-2 rounded-md' : 'text-muted-foreground'}`}>
+                Used {formatTraffic(usage.used)} of {formatTraffic(usage.limitBytes)} ({usage.percent}%)
+                {usage.period === QUOTA_PERIODS.MONTHLY ? ' this month' : ' today'}
+                {usage.exhausted && (usage.disabledByQuota ? ' - disabled until the quota renews' : ' - used up')}
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default QuotaForm;
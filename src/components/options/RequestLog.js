@@ -0,0 +1,204 @@
+import { useState } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { ROUTING_MATCH_TYPES } from '../../common/constants';
+import { formatPatternLine } from '../../options/utils/patternValidationUtils';
+import { useRoutingLog } from '../../hooks/useRoutingLog';
+
+/**
+ * @file RequestLog.js
+ * @description Preact component for the routing log: the latest requests with the proxies whose
+ * rules matched them, the route they took and why. Entries can be filtered by tab, host and
+ * proxy and exported as JSON.
+ */
+
+// Proxy filter value of requests that went direct; proxy IDs are used as they are
+const DIRECT_VALUE = '__direct__';
+
+const MATCH_TYPE_LABELS = {
+  [ROUTING_MATCH_TYPES.PROBE]: 'Probe',
+  [ROUTING_MATCH_TYPES.OVERRIDE]: 'Override',
+  [ROUTING_MATCH_TYPES.BYPASS]: 'Bypass',
+  [ROUTING_MATCH_TYPES.CONTAINER]: 'Container',
+  [ROUTING_MATCH_TYPES.PATTERN]: 'Pattern',
+  [ROUTING_MATCH_TYPES.PAC]: 'PAC',
+  [ROUTING_MATCH_TYPES.NONE]: 'No match'
+};
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-3 text-sm';
+
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+};
+
+const describeOutcome = (outcome) => {
+  if (!outcome) return 'Pending';
+  const parts = [outcome.error || (outcome.statusCode ? `HTTP ${outcome.statusCode}` : 'Done')];
+  if (outcome.fromCache) parts.push('from cache');
+  if (outcome.proxy) parts.push(`via ${outcome.proxy}`);
+  return parts.join(', ');
+};
+
+/**
+ * Applies the tab, host and proxy filters to log entries.
+ * @param {Array<object>} entries - Log entries.
+ * @param {{tabId: string, host: string, proxyId: string}} filters - Filter values, empty for all.
+ * @returns {Array<object>} The matching entries.
+ */
+const filterEntries = (entries, { tabId, host, proxyId }) => {
+  const hostFilter = host.trim().toLowerCase();
+  return entries.filter(entry =>
+    (tabId === '' || String(entry.tabId) === tabId) &&
+    (hostFilter === '' || getHost(entry.url).toLowerCase().includes(hostFilter)) &&
+    (proxyId === '' || (proxyId === DIRECT_VALUE ? !entry.proxyId : entry.proxyId === proxyId))
+  );
+};
+
+/**
+ * RequestLog component.
+ * @returns {JSX.Element} The rendered RequestLog component.
+ */
+const RequestLog = () => {
+  const [isPaused, setIsPaused] = useState(false);
+  const [tabId, setTabId] = useState('');
+  const [host, setHost] = useState('');
+  const [proxyId, setProxyId] = useState('');
+  const { entries, clearLog } = useRoutingLog(isPaused);
+
+  const tabIds = [...new Set(entries.map(entry => entry.tabId))].sort((a, b) => a - b);
+  const proxies = new Map(entries.filter(entry => entry.proxyId).map(entry => [entry.proxyId, entry.proxyName]));
+  const visibleEntries = filterEntries(entries, { tabId, host, proxyId });
+
+  const handleExport = () => {
+    const data = { exportedAt: new Date().toISOString(), entries: visibleEntries };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `proxydeck-requests-${data.exportedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Requests</h2>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={() => setIsPaused(!isPaused)}>
+            {isPaused ? 'Resume' : 'Pause'}
+          </Button>
+          <Button variant="outline" size="sm" onClick={handleExport} disabled={visibleEntries.length === 0}>
+            Export JSON
+          </Button>
+          <Button variant="outline" size="sm" onClick={clearLog} disabled={entries.length === 0}>
+            Clear
+          </Button>
+        </div>
+      </div>
+      <p className="text-sm text-muted-foreground">
+        The latest routing decisions, kept in memory until the browser restarts. Each request shows the
+        proxies whose rules matched it, the one that won and the pattern that decided.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <select
+          className={selectClassName}
+          value={tabId}
+          onChange={(e) => setTabId(e.target.value)}
+          aria-label="Filter by tab"
+        >
+          <option value="">All tabs</option>
+          {tabIds.map(id => (
+            <option key={id} value={String(id)}>{id === -1 ? 'No tab' : `Tab ${id}`}</option>
+          ))}
+        </select>
+        <Input
+          name="requestLogHost"
+          value={host}
+          onChange={(e) => setHost(e.target.value)}
+          placeholder="Filter by host"
+          aria-label="Filter by host"
+          className="w-48"
+        />
+        <select
+          className={selectClassName}
+          value={proxyId}
+          onChange={(e) => setProxyId(e.target.value)}
+          aria-label="Filter by proxy"
+        >
+          <option value="">All routes</option>
+          <option value={DIRECT_VALUE}>Direct</option>
+          {[...proxies].map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          {visibleEntries.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">
+              {entries.length === 0 ? 'No requests recorded yet.' : 'No requests match the filters.'}
+            </p>
+          ) : (
+            <Table className="text-xs">
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="h-8 px-2">Time</TableHead>
+                  <TableHead className="h-8 px-2">Request</TableHead>
+                  <TableHead className="h-8 px-2">Route</TableHead>
+                  <TableHead className="h-8 px-2">Why</TableHead>
+                  <TableHead className="h-8 px-2">Outcome</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {visibleEntries.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell className="p-2 whitespace-nowrap">
+                      {new Date(entry.timestamp).toLocaleTimeString()}
+                    </TableCell>
+                    <TableCell className="p-2 max-w-[220px]">
+                      <div className="truncate font-medium" title={entry.url}>{getHost(entry.url)}</div>
+                      <div className="text-muted-foreground">
+                        {entry.tabId === -1 ? 'No tab' : `Tab ${entry.tabId}`}
+                        {entry.type ? ` - ${entry.type}` : ''}
+                        {entry.cookieStoreId ? ` - ${entry.cookieStoreId}` : ''}
+                      </div>
+                    </TableCell>
+                    <TableCell className="p-2 whitespace-nowrap">
+                      {entry.proxyName || 'Direct'}
+                    </TableCell>
+                    <TableCell className="p-2 max-w-[220px]">
+                      <Badge variant="outline" size="sm">{MATCH_TYPE_LABELS[entry.matchType] || entry.matchType}</Badge>
+                      {entry.pattern && (
+                        <div className="truncate font-mono mt-1" title={formatPatternLine(entry.pattern)}>
+                          {formatPatternLine(entry.pattern)}
+                        </div>
+                      )}
+                      {entry.candidates.length > 1 && (
+                        <div className="text-muted-foreground mt-1">
+                          Matched: {entry.candidates.map(candidate => candidate.name).join(', ')}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="p-2">{describeOutcome(entry.outcome)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RequestLog;
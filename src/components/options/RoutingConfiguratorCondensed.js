@@ -25,6 +25,8 @@ const ContainerRoutingForm = lazy(() => import(/* webpackChunkName: "container-r
 const RoutingConfiguratorCondensed = ({ proxy, onChange, originalRoutingConfig, dirtyFields, updateFieldDirtyState }) => {
   // Determine initial tab based on proxy.routingConfig.useContainerMode
   const [activeTab, setActiveTab] = useState(proxy?.routingConfig?.useContainerMode ? 'container' : 'regex');
+  // Proxies saved before exclusions existed have none
+  const originalExcludePatterns = originalRoutingConfig ? (originalRoutingConfig.excludePatterns || []) : undefined;
 
   useEffect(() => {
     // Update activeTab if proxy.routingConfig.useContainerMode changes externally
@@ -112,6 +114,8 @@ const RoutingConfiguratorCondensed = ({ proxy, onChange, originalRoutingConfig,
               proxy={proxy}
               onChange={onChange}
               originalPatterns={originalRoutingConfig?.patterns}
+              originalExcludePatterns={originalExcludePatterns}
+              originalSubscription={originalRoutingConfig?.subscription}
               dirtyFields={dirtyFields}
               updateFieldDirtyState={updateFieldDirtyState}
             />
@@ -120,6 +124,7 @@ const RoutingConfiguratorCondensed = ({ proxy, onChange, originalRoutingConfig,
               proxy={proxy}
               onChange={onChange}
               originalContainers={originalRoutingConfig?.containers}
+              originalExcludePatterns={originalExcludePatterns}
               dirtyFields={dirtyFields}
               updateFieldDirtyState={updateFieldDirtyState}
             />
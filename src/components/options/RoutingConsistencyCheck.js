@@ -0,0 +1,125 @@
+import { useState } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { MESSAGE_ACTIONS } from '../../common/constants';
+
+/**
+ * @file RoutingConsistencyCheck.js
+ * @description Preact component that routes sample requests, derived from the configured
+ * patterns plus any the user adds, through both the request-level rules and the generated
+ * PAC script, and lists the requests the two route differently.
+ */
+
+/**
+ * RoutingConsistencyCheck component.
+ * @returns {JSX.Element} The rendered RoutingConsistencyCheck component.
+ */
+const RoutingConsistencyCheck = () => {
+  const [samples, setSamples] = useState('');
+  const [report, setReport] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    setError(null);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.CHECK_ROUTING_CONSISTENCY,
+        samples: samples.split('\n').map(line => line.trim()).filter(Boolean)
+      });
+      if (!response?.success) {
+        setReport(null);
+        setError(response?.error || 'Failed to check the routing');
+        return;
+      }
+      setReport(response.report);
+    } catch (err) {
+      setError('Failed to check the routing');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const divergences = report?.divergences || [];
+
+  return (
+    <Card>
+      <CardContent className="pt-4 space-y-3">
+        <h3 className="text-lg font-medium">Routing consistency</h3>
+        <p className="text-xs text-muted-foreground">
+          Routes sample requests, made up from your patterns and bypass list, with both the
+          request-level rules and the generated PAC script. Requests the two route differently
+          point to a rule Firefox and Chrome would not treat alike.
+        </p>
+        <Label htmlFor="routing-consistency-samples">More hosts or URLs to check (one per line, optional)</Label>
+        <Textarea
+          id="routing-consistency-samples"
+          value={samples}
+          onInput={(e) => setSamples(e.target.value)}
+          rows={3}
+          className="font-mono text-xs"
+          placeholder={'intranet.corp.com\nhttps://git.corp.com/team'}
+        />
+        <div className="flex justify-end">
+          <Button type="button" onClick={handleCheck} disabled={isChecking}>
+            {isChecking ? 'Checking...' : 'Check'}
+          </Button>
+        </div>
+        {error && (
+          <p className="text-xs error-message p-2 rounded-md">{error}</p>
+        )}
+
+        {report && report.error && (
+          <p className="text-xs error-message p-2 rounded-md">The PAC script could not be run: {report.error}</p>
+        )}
+
+        {report && !report.error && (
+          <div className="space-y-2 text-sm">
+            <Badge variant={divergences.length === 0 ? 'success' : 'destructive'} size="sm">
+              {divergences.length === 0
+                ? `All ${report.checked} requests routed alike`
+                : `${divergences.length} of ${report.checked} requests routed differently`}
+            </Badge>
+            {divergences.length > 0 && (
+              <Table className="text-xs">
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="h-8 px-2">Request</TableHead>
+                    <TableHead className="h-8 px-2">Request-level rules</TableHead>
+                    <TableHead className="h-8 px-2">Generated PAC script</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {divergences.map(divergence => (
+                    <TableRow key={divergence.url}>
+                      <TableCell className="p-2 max-w-[220px] break-all">{divergence.url}</TableCell>
+                      <TableCell className="p-2">
+                        <code className="break-all">{divergence.requestResult}</code>
+                        <div className="text-muted-foreground">
+                          {divergence.proxyName ? `${divergence.proxyName}, by ${divergence.matchType}` : 'No proxy matched'}
+                        </div>
+                      </TableCell>
+                      <TableCell className="p-2">
+                        {divergence.error
+                          ? <span className="text-destructive">{divergence.error}</span>
+                          : <code className="break-all">{divergence.pacResult ?? 'no result'}</code>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RoutingConsistencyCheck;
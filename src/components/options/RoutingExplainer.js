@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { MESSAGE_ACTIONS, ROUTING_MATCH_TYPES } from '../../common/constants';
+import { formatPatternLine } from '../../options/utils/patternValidationUtils';
+import { fetchFirefoxContainers } from '../../options/utils/containerUtils';
+import browserCapabilities from '../../utils/feature-detection';
+
+/**
+ * @file RoutingExplainer.js
+ * @description Preact component that explains how any URL is routed: the proxies whose rules
+ * match it, the one that wins by priority, and the result of the generated PAC script next to
+ * the request-level decision, so the Firefox and Chrome routing paths can be compared.
+ */
+
+const MATCH_TYPE_REASONS = {
+  [ROUTING_MATCH_TYPES.PROBE]: 'a health check or activation probe',
+  [ROUTING_MATCH_TYPES.OVERRIDE]: 'a tab override',
+  [ROUTING_MATCH_TYPES.CONTAINER]: 'its container',
+  [ROUTING_MATCH_TYPES.PATTERN]: 'its patterns',
+  [ROUTING_MATCH_TYPES.PAC]: 'the script of a PAC URL proxy'
+};
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-3 text-sm';
+
+/**
+ * Describes why a proxy does or does not match the URL.
+ * @param {object} proxy - Proxy entry of the explanation.
+ * @returns {string} The reason.
+ */
+const describeProxy = (proxy) => {
+  if (proxy.useContainerMode) {
+    if (!proxy.inContainer) return 'Routes other containers';
+    if (proxy.excludedBy) return `Container matches, excluded by ${formatPatternLine(proxy.excludedBy)}`;
+    return proxy.enabled ? 'Container matches' : 'Container matches, but the proxy is disabled';
+  }
+  if (!proxy.pattern) return 'No pattern matches';
+  if (proxy.excludedBy) return `Matches ${formatPatternLine(proxy.pattern)}, excluded by ${formatPatternLine(proxy.excludedBy)}`;
+  return proxy.enabled
+    ? `Matches ${formatPatternLine(proxy.pattern)}`
+    : `Matches ${formatPatternLine(proxy.pattern)}, but the proxy is disabled`;
+};
+
+/**
+ * RoutingExplainer component.
+ * @returns {JSX.Element} The rendered RoutingExplainer component.
+ */
+const RoutingExplainer = () => {
+  const [url, setUrl] = useState('');
+  const [cookieStoreId, setCookieStoreId] = useState('');
+  const [containers, setContainers] = useState([]);
+  const [explanation, setExplanation] = useState(null);
+  const [isExplaining, setIsExplaining] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (browserCapabilities.containers.hasContainerSupport) {
+      fetchFirefoxContainers().then(setContainers);
+    }
+  }, []);
+
+  const handleExplain = async (e) => {
+    e.preventDefault();
+    setIsExplaining(true);
+    setError(null);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.EXPLAIN_ROUTING,
+        url: url.trim(),
+        cookieStoreId: cookieStoreId || null
+      });
+      if (!response?.success) {
+        setExplanation(null);
+        setError(response?.error || 'Failed to explain the routing');
+        return;
+      }
+      setExplanation(response.explanation);
+    } catch (err) {
+      setError('Failed to explain the routing');
+    } finally {
+      setIsExplaining(false);
+    }
+  };
+
+  const { decision, pac } = explanation || {};
+
+  return (
+    <Card>
+      <CardContent className="pt-4 space-y-3">
+        <h3 className="text-lg font-medium">Explain routing</h3>
+        <p className="text-xs text-muted-foreground">
+          Shows which proxies match a URL, which one wins by priority, and what the generated PAC
+          script returns for it. Chrome routes with the PAC script, Firefox with the rules directly;
+          any difference between the two is flagged.
+        </p>
+        <form className="flex flex-wrap gap-2" onSubmit={handleExplain}>
+          <Input
+            name="explainRoutingUrl"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="e.g., https://intranet.corp/app"
+            aria-label="URL to explain"
+            className="flex-grow min-w-[200px]"
+          />
+          {containers.length > 0 && (
+            <select
+              className={selectClassName}
+              value={cookieStoreId}
+              onChange={(e) => setCookieStoreId(e.target.value)}
+              aria-label="Container"
+            >
+              <option value="">No container</option>
+              {containers.map(container => (
+                <option key={container.id} value={container.id}>{container.name}</option>
+              ))}
+            </select>
+          )}
+          <Button type="submit" disabled={isExplaining || url.trim() === ''}>
+            {isExplaining ? 'Explaining...' : 'Explain'}
+          </Button>
+        </form>
+        {error && (
+          <p className="text-xs error-message p-2 rounded-md">{error}</p>
+        )}
+
+        {explanation && (
+          <div className="space-y-3 text-sm">
+            {explanation.bypassPattern && (
+              <p>
+                On the bypass list through <code>{formatPatternLine(explanation.bypassPattern)}</code>, so it
+                always connects directly.
+              </p>
+            )}
+
+            <ul className="space-y-1">
+              {explanation.proxies.map(proxy => (
+                <li key={proxy.id} className="flex items-center gap-2">
+                  <span className={proxy.matches ? 'font-medium' : 'text-muted-foreground'}>
+                    {proxy.name}
+                  </span>
+                  {proxy.id === explanation.selectedProxyId && (
+                    <Badge variant="default" size="sm">Wins</Badge>
+                  )}
+                  <span className="text-xs text-muted-foreground truncate">{describeProxy(proxy)}</span>
+                </li>
+              ))}
+              {explanation.proxies.length === 0 && (
+                <li className="text-muted-foreground">No proxies configured.</li>
+              )}
+            </ul>
+
+            <div className="border rounded-md p-2 space-y-1">
+              <div className="flex items-center gap-2">
+                <span className="w-40 shrink-0 text-muted-foreground">Request-level rules</span>
+                <code className="break-all">{decision.result}</code>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {decision.proxyName
+                  ? `Through ${decision.proxyName} because of ${MATCH_TYPE_REASONS[decision.matchType] || decision.matchType}`
+                  : 'Direct: no proxy routes this URL'}
+              </p>
+              <div className="flex items-center gap-2">
+                <span className="w-40 shrink-0 text-muted-foreground">Generated PAC script</span>
+                {pac.error
+                  ? <span className="text-destructive text-xs">{pac.error}</span>
+                  : <code className="break-all">{pac.result}</code>}
+              </div>
+              {pac.url !== explanation.url && (
+                <p className="text-xs text-muted-foreground">
+                  The PAC script was given {pac.url}, as Chrome strips the path and query of https URLs.
+                </p>
+              )}
+              <Badge variant={explanation.agrees ? 'success' : 'destructive'} size="sm">
+                {explanation.agrees ? 'Both paths agree' : 'The paths disagree'}
+              </Badge>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RoutingExplainer;
@@ -0,0 +1,205 @@
+import { useState } from 'preact/hooks';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { ValidatedInputWithBadge } from '@/components/ui/validated-input-with-badge';
+import { validateRuleSubscription } from '../../utils.js';
+import { useRuleSubscriptionRefresh } from '../../hooks/useRuleSubscriptionRefresh';
+import { RULE_SUBSCRIPTION_DEFAULTS } from '../../common/constants';
+
+/**
+ * @file RuleSubscriptionForm.js
+ * @description Preact component for subscribing a proxy to a remote rule list (gfwlist,
+ * Adblock-style rules or a plain domain list). Shows the subscribed rule count, the last
+ * update and the added/removed counts of recent updates. Subscribed rules are stored in
+ * routingConfig.subscription, apart from the hand-written patterns.
+ */
+
+const FORMAT_LABELS = {
+  gfwlist: 'gfwlist',
+  adblock: 'Adblock rules',
+  domains: 'domain list'
+};
+
+/**
+ * Describes the rules currently subscribed
+ * @param {object} subscription - routingConfig.subscription
+ * @returns {string}
+ */
+const describeSubscription = (subscription) => {
+  if (!subscription.fetchedAt) {
+    return subscription.error ? `Not fetched yet: ${subscription.error}` : 'Not fetched yet';
+  }
+  const patterns = subscription.patterns?.length || 0;
+  const exceptions = subscription.excludePatterns?.length || 0;
+  const format = FORMAT_LABELS[subscription.format] || subscription.format;
+  const rules = `${patterns} rules${exceptions ? ` and ${exceptions} exceptions` : ''} from a ${format}`;
+  const updated = `updated ${new Date(subscription.fetchedAt).toLocaleString()}`;
+  return subscription.error
+    ? `${rules}, ${updated}. Last update failed: ${subscription.error}`
+    : `${rules}, ${updated}`;
+};
+
+/**
+ * Describes one entry of the update history
+ * @param {object} entry - History entry
+ * @returns {string}
+ */
+const describeHistoryEntry = (entry) => {
+  if (entry.error) {
+    return `Failed: ${entry.error}`;
+  }
+  const skipped = entry.skipped ? `, ${entry.skipped} unsupported skipped` : '';
+  return `+${entry.added} / −${entry.removed} (${entry.total} total${skipped})`;
+};
+
+/**
+ * RuleSubscriptionForm component.
+ * @param {object} props - The component's props.
+ * @param {object} props.proxy - The proxy data object being configured.
+ * @param {object} [props.savedSubscription] - The saved subscription, for dirty tracking.
+ * @param {function} props.onChange - Callback function to update the parent proxy object.
+ * @param {object} [props.dirtyFields] - Dirty state of the form's fields.
+ * @param {function} [props.updateFieldDirtyState] - Callback to update a field's dirty state.
+ * @returns {JSX.Element} The rendered RuleSubscriptionForm component.
+ */
+const RuleSubscriptionForm = ({ proxy, savedSubscription, onChange, dirtyFields, updateFieldDirtyState }) => {
+  const { refreshingProxyId, refreshRuleSubscription } = useRuleSubscriptionRefresh();
+  const [refreshError, setRefreshError] = useState(null);
+  const subscription = proxy?.routingConfig?.subscription;
+  const isDirty = !!dirtyFields?.['routingConfig.subscription'];
+  const isRefreshing = !!proxy?.id && refreshingProxyId === proxy.id;
+  const errors = subscription ? validateRuleSubscription(subscription) : [];
+  const urlError = errors.find(error => error.startsWith('Rule list URL'));
+  const refreshMinutesError = errors.find(error => error.startsWith('Rule list refresh'));
+
+  /**
+   * Stores a new subscription, or removes it when the URL is cleared.
+   * @param {object|undefined} next - The new subscription.
+   */
+  const applySubscription = (next) => {
+    onChange(prevProxy => {
+      const routingConfig = { ...prevProxy.routingConfig };
+      if (next) {
+        routingConfig.subscription = next;
+      } else {
+        delete routingConfig.subscription;
+      }
+      return { ...prevProxy, routingConfig };
+    });
+
+    if (updateFieldDirtyState) {
+      const isChanged = next?.url !== savedSubscription?.url ||
+        (next?.refreshMinutes ?? null) !== (savedSubscription?.refreshMinutes ?? null);
+      updateFieldDirtyState('routingConfig.subscription', isChanged);
+    }
+  };
+
+  const handleUrlChange = (e) => {
+    const url = e.target.value.trim();
+    if (!url) {
+      applySubscription(undefined);
+    } else if (url === savedSubscription?.url) {
+      // Back to the saved list: keep its rules
+      applySubscription({ ...savedSubscription, refreshMinutes: subscription?.refreshMinutes ?? savedSubscription.refreshMinutes });
+    } else {
+      // Rules of another list are dropped until the new one is fetched
+      applySubscription({
+        url,
+        refreshMinutes: subscription?.refreshMinutes ?? RULE_SUBSCRIPTION_DEFAULTS.refreshMinutes
+      });
+    }
+  };
+
+  const handleRefreshMinutesChange = (e) => {
+    const value = e.target.value;
+    applySubscription({ ...subscription, refreshMinutes: value === '' ? '' : Number(value) });
+  };
+
+  /**
+   * Fetches the saved rule list now.
+   */
+  const handleUpdateNow = async () => {
+    setRefreshError(null);
+    const response = await refreshRuleSubscription(proxy.id);
+    // Fetch errors are stored with the subscription; only report requests that did not get that far
+    if (response && !response.success && !response.subscription) {
+      setRefreshError(response.error || 'Update failed');
+    }
+  };
+
+  const history = subscription?.history || [];
+
+  return (
+    <div className="space-y-2 p-3 border rounded-md">
+      <Label htmlFor={`subscription-url-${proxy?.id}`}>
+        Rule list subscription
+        {isDirty && (
+          <Badge variant="default" size="sm" className="ml-2">
+            Unsaved
+          </Badge>
+        )}
+      </Label>
+      <div className="flex gap-2 items-start">
+        <ValidatedInputWithBadge
+          id={`subscription-url-${proxy?.id}`}
+          name="subscriptionUrl"
+          type="url"
+          value={subscription?.url || ''}
+          onChange={handleUrlChange}
+          placeholder="e.g., https://example.com/gfwlist.txt"
+          error={urlError}
+          containerClassName="flex-grow"
+        />
+        <ValidatedInputWithBadge
+          id={`subscription-refresh-${proxy?.id}`}
+          name="subscriptionRefreshMinutes"
+          type="number"
+          min={RULE_SUBSCRIPTION_DEFAULTS.minRefreshMinutes}
+          value={subscription?.refreshMinutes ?? RULE_SUBSCRIPTION_DEFAULTS.refreshMinutes}
+          onChange={handleRefreshMinutesChange}
+          disabled={!subscription}
+          error={refreshMinutesError}
+          aria-label="Refresh interval in minutes"
+          title="Refresh interval in minutes"
+          containerClassName="w-28"
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="mt-1"
+          onClick={handleUpdateNow}
+          disabled={!savedSubscription?.url || isRefreshing}
+          title={isDirty ? 'Updates the saved list - save first to use your changes' : 'Fetch the rule list now'}
+        >
+          {isRefreshing ? 'Updating...' : 'Update now'}
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        A base64 gfwlist, Adblock-style rules (<code>||example.com^</code>, <code>@@</code> exceptions) or a plain
+        list of domains. Its rules are added to the patterns above and its exceptions to the exclusions, and are
+        refreshed every interval without touching your own patterns. Clear the URL to unsubscribe.
+      </p>
+      {subscription && (
+        <p
+          className={`text-xs ${subscription.error || refreshError ? 'error-message p-2 rounded-md' : 'text-muted-foreground'}`}
+          aria-live="polite"
+        >
+          {isRefreshing ? 'Fetching rule list...' : (refreshError || describeSubscription(subscription))}
+        </p>
+      )}
+      {history.length > 0 && (
+        <ul className="text-xs text-muted-foreground space-y-1">
+          {history.map(entry => (
+            <li key={entry.at}>
+              {new Date(entry.at).toLocaleString()}: {describeHistoryEntry(entry)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RuleSubscriptionForm;
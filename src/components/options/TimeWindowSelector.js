@@ -4,11 +4,15 @@ const TimeWindowSelector = ({ selected, onChange }) => {
   const windows = [
     { value: '1min', label: '1 min' },
     { value: '5min', label: '5 min' },
-    { value: '10min', label: '10 min' }
+    { value: '10min', label: '10 min' },
+    { value: '1h', label: '1 h' },
+    { value: '24h', label: '24 h' },
+    { value: '7d', label: '7 d' },
+    { value: '30d', label: '30 d' }
   ];
 
   return (
-    <div className="flex space-x-2">
+    <div className="flex flex-wrap gap-2">
       {windows.map(window => (
         <Button
           key={window.value}
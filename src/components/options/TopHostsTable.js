@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'preact/hooks';
+import browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../../common/constants';
+import { Button } from '../../components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/card';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../../components/ui/table';
+import { formatTraffic } from '../../utils';
+
+/**
+ * @file TopHostsTable.js
+ * @description Preact component listing the registrable domains with the most traffic,
+ * for all traffic or for the proxy picked in a chart legend.
+ */
+
+const REFRESH_INTERVAL_MS = 5000;
+
+const COLUMNS = [
+  { field: 'download', label: 'Download' },
+  { field: 'upload', label: 'Upload' },
+  { field: 'requests', label: 'Requests' }
+];
+
+/**
+ * TopHostsTable component.
+ * @param {Object} props
+ * @param {Array<Object>} props.sources - Traffic sources with id, name and color
+ * @param {string|null} props.selectedSource - ID of the source to show the hosts of, or null for all
+ * @param {Function} props.onSelectSource - Called with a source ID, or null to show all hosts
+ * @returns {JSX.Element} The rendered TopHostsTable component.
+ */
+const TopHostsTable = ({ sources = [], selectedSource = null, onSelectSource }) => {
+  const [hosts, setHosts] = useState([]);
+  const [sortBy, setSortBy] = useState('download');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHosts = async () => {
+      try {
+        const topHosts = await browser.runtime.sendMessage({
+          action: MESSAGE_ACTIONS.GET_TOP_HOSTS,
+          bucket: selectedSource,
+          sortBy
+        });
+        if (!cancelled) {
+          setHosts(Array.isArray(topHosts) ? topHosts : []);
+        }
+      } catch (error) {
+        console.error('Failed to fetch top hosts:', error);
+      }
+    };
+
+    fetchHosts();
+    const interval = setInterval(fetchHosts, REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selectedSource, sortBy]);
+
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const selected = selectedSource ? sourcesById.get(selectedSource) : null;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg font-semibold">
+            Top hosts{selectedSource && ` via ${selected?.name || selectedSource}`}
+          </CardTitle>
+          {selectedSource && (
+            <Button variant="outline" size="sm" onClick={() => onSelectSource(null)}>
+              Show all
+            </Button>
+          )}
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Traffic per site, kept for the sites seen most recently. Pick a proxy in a chart legend to see only its hosts.
+        </p>
+      </CardHeader>
+      <CardContent className="pb-3">
+        {hosts.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">No traffic recorded yet</p>
+        ) : (
+          <Table className="text-xs">
+            <TableHeader>
+              <TableRow>
+                <TableHead className="h-8 px-2">Site</TableHead>
+                {!selectedSource && <TableHead className="h-8 px-2">Via</TableHead>}
+                {COLUMNS.map(column => (
+                  <TableHead
+                    key={column.field}
+                    className="h-8 px-2 text-right"
+                    aria-sort={sortBy === column.field ? 'descending' : 'none'}
+                  >
+                    <button
+                      type="button"
+                      className={`hover:underline ${sortBy === column.field ? 'font-semibold text-foreground' : ''}`}
+                      onClick={() => setSortBy(column.field)}
+                    >
+                      {column.label}{sortBy === column.field && ' ↓'}
+                    </button>
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {hosts.map(host => {
+                const source = sourcesById.get(host.bucket);
+                return (
+                  <TableRow key={`${host.bucket}|${host.domain}`}>
+                    <TableCell className="p-2 break-all">{host.domain}</TableCell>
+                    {!selectedSource && (
+                      <TableCell className="p-2">
+                        <button
+                          type="button"
+                          className="flex items-center gap-2 hover:underline"
+                          onClick={() => onSelectSource(host.bucket)}
+                        >
+                          <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: source?.color }} />
+                          {source?.name || host.bucket}
+                        </button>
+                      </TableCell>
+                    )}
+                    <TableCell className="p-2 text-right font-mono">{formatTraffic(host.download, 1)}</TableCell>
+                    <TableCell className="p-2 text-right font-mono">{formatTraffic(host.upload, 1)}</TableCell>
+                    <TableCell className="p-2 text-right font-mono">{host.requests}</TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TopHostsTable;
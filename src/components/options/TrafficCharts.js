@@ -29,14 +29,31 @@ const chartConfig = {
   }
 };
 
+// Rollup windows label points with the time of day or the date rather than their age
+const ROLLUP_AXIS_FORMATS = {
+  '1h': { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '24h': { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '7d': { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '30d': { month: 'short', day: 'numeric' }
+};
+
+const ROLLUP_TOOLTIP_FORMATS = {
+  '1h': { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '24h': { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '7d': { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  '30d': { weekday: 'short', month: 'short', day: 'numeric' }
+};
+
 const TrafficCharts = ({ 
   type, 
   data = [], 
   proxies = [], 
   hasPerProxyData = false, 
-  windowSize: _windowSize = '1min',
+  windowSize = '1min',
   lastUpdate,
-  stats = {}
+  stats = {},
+  selectedSource = null,
+  onSelectSource
 }) => {
   const [chartData, setChartData] = useState([]);
   const [hoveredData, setHoveredData] = useState(null);
@@ -84,6 +101,10 @@ const TrafficCharts = ({
 
   // Optimized timestamp formatting without problematic caching
   const formatTimestamp = useCallback((timestamp) => {
+    if (ROLLUP_AXIS_FORMATS[windowSize]) {
+      return new Date(timestamp).toLocaleString('en-US', ROLLUP_AXIS_FORMATS[windowSize]);
+    }
+    
     const now = Date.now();
     const secondsAgo = Math.floor((now - timestamp) / 1000);
     
@@ -98,17 +119,20 @@ const TrafficCharts = ({
     
     const hoursAgo = Math.floor(minutesAgo / 60);
     return `${hoursAgo}h`;
-  }, []);
+  }, [windowSize]);
 
   const formatTooltipTimestamp = useCallback((timestamp) => {
     const date = new Date(timestamp);
+    if (ROLLUP_TOOLTIP_FORMATS[windowSize]) {
+      return date.toLocaleString('en-US', ROLLUP_TOOLTIP_FORMATS[windowSize]);
+    }
     return date.toLocaleTimeString('en-US', {
       hour12: false,
       hour: '2-digit',
       minute: '2-digit',
       second: '2-digit'
     });
-  }, []);
+  }, [windowSize]);
 
 
   const formatYAxisTick = useCallback((value) => {
@@ -272,6 +296,7 @@ const TrafficCharts = ({
     if (hasPerProxyData && proxies.length > 0) {
       // Add all proxies (including special ones like direct/unmatched)
       return proxies.map(proxy => ({
+        id: proxy.id,
         value: proxy.name || `Proxy ${proxy.id}`,
         type: 'rect',
         color: getProxyColor(proxy.id),
@@ -316,13 +341,21 @@ const TrafficCharts = ({
         {(hasPerProxyData && proxies.length > 0) && (
           <div className="flex flex-wrap gap-3 mt-3 text-sm">
             {legendPayload.map((item, index) => (
-              <div key={index} className="flex items-center gap-2">
+              <button
+                key={index}
+                type="button"
+                className="flex items-center gap-2 hover:underline"
+                title={`Show the top hosts via ${item.value}`}
+                onClick={() => onSelectSource?.(selectedSource === item.id ? null : item.id)}
+              >
                 <div 
                   className="w-3 h-3 rounded-sm" 
                   style={{ backgroundColor: item.color }}
                 />
-                <span className="text-muted-foreground font-medium">{item.value}</span>
-              </div>
+                <span className={`font-medium ${selectedSource === item.id ? 'text-foreground' : 'text-muted-foreground'}`}>
+                  {item.value}
+                </span>
+              </button>
             ))}
           </div>
         )}
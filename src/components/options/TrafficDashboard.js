@@ -1,8 +1,11 @@
 import { useState, useEffect, useRef } from 'preact/hooks';
 import browser from 'webextension-polyfill';
-import { MESSAGE_ACTIONS } from '../../common/constants';
+import { MESSAGE_ACTIONS, TRAFFIC_WINDOWS } from '../../common/constants';
 import TrafficCharts from './TrafficCharts';
 import TimeWindowSelector from './TimeWindowSelector';
+import TopHostsTable from './TopHostsTable';
+import LatencyPanel from './LatencyPanel';
+import TrafficExport from './TrafficExport';
 import { Card, CardContent } from '../../components/ui/card';
 import { TooltipProvider, Tooltip, TooltipTrigger, TooltipContent } from '../../components/ui/tooltip';
 import browserCapabilities from '../../utils/feature-detection';
@@ -27,39 +30,20 @@ const TrafficDashboard = () => {
     lastUpdate: Date.now()
   });
   const [proxies, setProxies] = useState([]);
+  const [selectedSource, setSelectedSource] = useState(null); // Traffic source whose top hosts are shown
   const selectedWindowRef = useRef('1min'); // Track selected window to avoid circular updates
   const initializedRef = useRef(false); // Prevent duplicate initialization calls in StrictMode
   const fetchedWindowsRef = useRef(new Set()); // Track which windows have been fetched
   // Store all window data in Recharts format
-  const dataBufferRef = useRef({
-    '1min': { 
-      data: [], 
-      stats: {
-        download: { current: 0, peak: 0, total: 0, average: 0 },
-        upload: { current: 0, peak: 0, total: 0, average: 0 },
-        perProxy: {}
-      },
-      meta: { windowSize: '1min' }
-    },
-    '5min': { 
-      data: [],
-      stats: {
-        download: { current: 0, peak: 0, total: 0, average: 0 },
-        upload: { current: 0, peak: 0, total: 0, average: 0 },
-        perProxy: {}
-      },
-      meta: { windowSize: '5min' }
+  const dataBufferRef = useRef(Object.fromEntries(Object.keys(TRAFFIC_WINDOWS).map(windowSize => [windowSize, {
+    data: [],
+    stats: {
+      download: { current: 0, peak: 0, total: 0, average: 0 },
+      upload: { current: 0, peak: 0, total: 0, average: 0 },
+      perProxy: {}
     },
-    '10min': { 
-      data: [],
-      stats: {
-        download: { current: 0, peak: 0, total: 0, average: 0 },
-        upload: { current: 0, peak: 0, total: 0, average: 0 },
-        perProxy: {}
-      },
-      meta: { windowSize: '10min' }
-    }
-  });
+    meta: { windowSize }
+  }])));
 
   const fetchProxies = async () => {
     try {
@@ -153,25 +137,28 @@ const TrafficDashboard = () => {
         
         // Merge new data with existing data
         if (windowUpdate.data && Array.isArray(windowUpdate.data)) {
-          // Get existing timestamps for O(1) lookup
-          const existingTimestamps = new Set(
-            buffer.data.map(point => point.timestamp)
+          // Index existing points by timestamp for O(1) lookup
+          const existingIndexes = new Map(
+            buffer.data.map((point, index) => [point.timestamp, index])
           );
           
-          // Add new points efficiently
+          // Add new points efficiently; rollup buckets still filling up come again with the same timestamp
           for (const point of windowUpdate.data) {
-            if (!existingTimestamps.has(point.timestamp)) {
+            if (existingIndexes.has(point.timestamp)) {
+              buffer.data[existingIndexes.get(point.timestamp)] = point;
+            } else {
               buffer.data.push(point);
-              existingTimestamps.add(point.timestamp);
+              existingIndexes.set(point.timestamp, buffer.data.length - 1);
             }
           }
           
           // Sort by timestamp
           buffer.data.sort((a, b) => a.timestamp - b.timestamp);
           
-          // Trim to 60 points maximum
-          if (buffer.data.length > 60) {
-            buffer.data = buffer.data.slice(-60);
+          // Trim to the points the window keeps
+          const maxPoints = TRAFFIC_WINDOWS[windowSize]?.points || 60;
+          if (buffer.data.length > maxPoints) {
+            buffer.data = buffer.data.slice(-maxPoints);
           }
         }
         
@@ -354,9 +341,12 @@ const TrafficDashboard = () => {
         />
       </div>
       
-      <p className="text-sm text-muted-foreground mb-4">
-        Monitor real-time traffic volume across all connections or per proxy.
-      </p>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <p className="text-sm text-muted-foreground">
+          Monitor real-time traffic volume across all connections or per proxy.
+        </p>
+        <TrafficExport windowSize={selectedWindow} sources={proxies} />
+      </div>
 
       <div className="space-y-4">
         <TrafficCharts
@@ -367,6 +357,8 @@ const TrafficDashboard = () => {
           windowSize={selectedWindow}
           lastUpdate={trafficData.lastUpdate}
           stats={trafficData.stats}
+          selectedSource={selectedSource}
+          onSelectSource={setSelectedSource}
         />
         <TrafficCharts
           type="upload"
@@ -376,6 +368,18 @@ const TrafficDashboard = () => {
           windowSize={selectedWindow}
           lastUpdate={trafficData.lastUpdate}
           stats={trafficData.stats}
+          selectedSource={selectedSource}
+          onSelectSource={setSelectedSource}
+        />
+        <LatencyPanel
+          windowSize={selectedWindow}
+          sources={proxies}
+          selectedSource={selectedSource}
+        />
+        <TopHostsTable
+          sources={proxies}
+          selectedSource={selectedSource}
+          onSelectSource={setSelectedSource}
         />
       </div>
       </div>
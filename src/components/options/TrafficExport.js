@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'preact/hooks';
+import browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS, TRAFFIC_WINDOWS, TRAFFIC_EXPORT_UNITS } from '../../common/constants';
+import { Button } from '../../components/ui/button';
+import { createTrafficExport, trafficExportToCsv } from '../../utils/traffic-export';
+
+/**
+ * @file TrafficExport.js
+ * @description Preact component exporting the data series and statistics of a traffic
+ * window as a CSV or JSON file, in bytes per sample or in bytes per second.
+ */
+
+const FORMATS = {
+  csv: { type: 'text/csv', build: trafficExportToCsv },
+  json: { type: 'application/json', build: (exported) => JSON.stringify(exported, null, 2) }
+};
+
+/**
+ * TrafficExport component.
+ * @param {Object} props
+ * @param {string} props.windowSize - The window shown in the dashboard, exported by default
+ * @param {Array<Object>} props.sources - Traffic sources with id and name, to name the series
+ * @returns {JSX.Element} The rendered TrafficExport component.
+ */
+const TrafficExport = ({ windowSize, sources = [] }) => {
+  const [range, setRange] = useState(windowSize);
+  const [unit, setUnit] = useState(TRAFFIC_EXPORT_UNITS.BYTES);
+  const [isExporting, setIsExporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setRange(windowSize);
+  }, [windowSize]);
+
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    setMessage(null);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.GET_TRAFFIC_DATA,
+        windowSize: range
+      });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      if (!response?.data?.length) {
+        setMessage('No traffic recorded in this range yet');
+        return;
+      }
+
+      const exported = createTrafficExport(response, sources, { unit });
+      const blob = new Blob([FORMATS[format].build(exported)], { type: FORMATS[format].type });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `proxydeck-traffic-${range}-${exported.exportedAt.slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export traffic data:', error);
+      setMessage(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          className="h-8 rounded-md border border-input bg-background px-2 text-xs"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          aria-label="Range to export"
+        >
+          {Object.entries(TRAFFIC_WINDOWS).map(([value, { label }]) => (
+            <option key={value} value={value}>Last {label}</option>
+          ))}
+        </select>
+        <select
+          className="h-8 rounded-md border border-input bg-background px-2 text-xs"
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          aria-label="Values to export"
+        >
+          <option value={TRAFFIC_EXPORT_UNITS.BYTES}>Bytes per sample</option>
+          <option value={TRAFFIC_EXPORT_UNITS.RATES}>Rates (B/s)</option>
+        </select>
+        <Button type="button" variant="outline" size="sm" onClick={() => handleExport('csv')} disabled={isExporting}>
+          Export CSV
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={() => handleExport('json')} disabled={isExporting}>
+          Export JSON
+        </Button>
+      </div>
+      {message && (
+        <p className="text-xs text-muted-foreground" aria-live="polite">{message}</p>
+      )}
+    </div>
+  );
+};
+
+export default TrafficExport;
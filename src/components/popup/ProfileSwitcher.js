@@ -0,0 +1,74 @@
+import { useState } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { Button } from "@/components/ui/button";
+import { MESSAGE_ACTIONS } from '../../common/constants';
+import { getActiveProfile, isProfileModified } from '../../utils/profiles';
+
+/**
+ * ProfileSwitcher component.
+ * Lists the routing profiles and applies one with a single click.
+ * @param {object} props - The component's props.
+ * @param {object} props.config - The stored config object.
+ * @param {function} props.onSwitch - Callback invoked after a profile was applied.
+ * @returns {JSX.Element|null} The rendered ProfileSwitcher component, or null without profiles.
+ */
+const ProfileSwitcher = ({ config, onSwitch }) => {
+  const [switchingId, setSwitchingId] = useState(null);
+  const [error, setError] = useState(null);
+  const profiles = config?.profiles || [];
+
+  if (profiles.length === 0) {
+    return null;
+  }
+
+  const activeProfile = getActiveProfile(config);
+  const isModified = !!activeProfile && isProfileModified(config, activeProfile);
+
+  const handleSwitch = async (profileId) => {
+    setSwitchingId(profileId);
+    setError(null);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.SWITCH_PROFILE,
+        profileId
+      });
+      if (!response?.success) {
+        setError(response?.error || 'Failed to switch profile');
+        return;
+      }
+      onSwitch();
+    } catch (err) {
+      setError('Failed to switch profile');
+    } finally {
+      setSwitchingId(null);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2" role="group" aria-label="Profiles">
+        {profiles.map(profile => {
+          const isActive = activeProfile?.id === profile.id;
+          return (
+            <Button
+              key={profile.id}
+              variant={isActive ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => handleSwitch(profile.id)}
+              disabled={switchingId !== null}
+              aria-pressed={isActive}
+              title={isActive && isModified ? 'Changed since it was applied - click to reapply' : undefined}
+            >
+              {profile.name}{isActive && isModified ? ' *' : ''}
+            </Button>
+          );
+        })}
+      </div>
+      {error && (
+        <p className="mt-2 text-xs text-destructive">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
@@ -3,6 +3,10 @@ import { Badge } from "@/components/ui/badge";
 import { Card } from "@/components/ui/card";
 import { DownloadIcon, UploadIcon } from '../../components/shared/icons';
 import { useProxyToggle } from '../../hooks/useProxyToggle';
+import { useResumeActivation } from '../../hooks/useResumeActivation';
+import { hasActivationConditions } from '../../utils/activation';
+import { formatTraffic } from '../../utils';
+import HealthStatusDot from '../shared/HealthStatusDot';
 
 /**
  * ProxyPopupItem component.
@@ -13,8 +17,11 @@ import { useProxyToggle } from '../../hooks/useProxyToggle';
  * @param {boolean} props.isActive - Indicates if this proxy is currently active for the tab.
  * @param {boolean} props.matchesTab - Indicates if this proxy matches the current tab URL.
  * @param {object} props.traffic - Traffic data for this proxy with download and upload values.
+ * @param {object} [props.health] - Latest health check summary for this proxy.
+ * @param {object} [props.authFailure] - Authentication failure reported by the background, if any.
+ * @param {object} [props.quota] - Data quota usage of this proxy, if it has a quota.
  * @param {string} props.priorityColor - The color for the status indicator based on priority.
- * @param {function} props.onToggle - Callback function invoked when the proxy's enabled state is changed.
+ * @param {function} props.onToggle - Callback function invoked when the proxy's enabled state is changed or its automation resumed.
  * @returns {JSX.Element} The rendered ProxyPopupItem component.
  */
 const ProxyPopupItem = ({ 
@@ -22,11 +29,16 @@ const ProxyPopupItem = ({
   isActive, 
   matchesTab,
   traffic, 
+  health,
+  authFailure,
+  quota,
   priorityColor, 
   onToggle 
 }) => {
   // Component for rendering proxy item
   const { handleToggle, isToggling } = useProxyToggle(proxy, onToggle);
+  const { isResuming, resumeActivation } = useResumeActivation(onToggle);
+  const isAutomated = hasActivationConditions(proxy);
 
   // Determine visual styling based on proxy status
   const getStyles = () => {
@@ -85,6 +97,7 @@ const ProxyPopupItem = ({
       <div className="flex items-center justify-between gap-2">
         <div className="flex flex-col flex-grow mr-2">
           <div className="flex items-center gap-2">
+            {proxy.enabled && <HealthStatusDot health={health} />}
             <span className={`text-sm ${styles.fontWeight} truncate ${!proxy.enabled ? "text-muted-foreground italic" : ""}`}>
               {proxy.name}
             </span>
@@ -101,6 +114,36 @@ const ProxyPopupItem = ({
                   </Badge>
                 )
               )}
+              {isAutomated && (proxy.activation.pinned ? (
+                <button
+                  type="button"
+                  onClick={() => resumeActivation(proxy.id)}
+                  disabled={isResuming}
+                  title="Toggled by hand - click to resume automatic activation"
+                >
+                  <Badge variant="outline" size="sm">
+                    Pinned
+                  </Badge>
+                </button>
+              ) : (
+                <Badge variant="outline" size="sm" title="Enabled and disabled automatically">
+                  Auto
+                </Badge>
+              ))}
+              {authFailure && (
+                <Badge variant="destructive" size="sm" title={authFailure.message}>
+                  Auth failed
+                </Badge>
+              )}
+              {quota?.exhausted && (
+                <Badge
+                  variant="destructive"
+                  size="sm"
+                  title={`${formatTraffic(quota.used)} of ${formatTraffic(quota.limitBytes)} used${quota.disabledByQuota ? ' - disabled until the quota renews' : ''}`}
+                >
+                  Quota used up
+                </Badge>
+              )}
             </div>
           </div>
         </div>
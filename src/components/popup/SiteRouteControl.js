@@ -0,0 +1,136 @@
+import { useState } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { Button } from "@/components/ui/button";
+import { MESSAGE_ACTIONS, PAC_PROXY_TYPE } from '../../common/constants';
+import { getSitePatternOptions, canRouteSites, routeSiteThroughProxy, stopRoutingSite } from '../../utils/site-rules';
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-sm';
+
+/**
+ * SiteRouteControl component.
+ * Adds a rule routing the current site through a proxy, or stops the proxies
+ * routing it, and saves the configuration right away.
+ * @param {object} props - The component's props.
+ * @param {string} props.url - URL of the current tab.
+ * @param {object} props.config - The stored config object.
+ * @param {Array<string>} props.matchingProxyIds - IDs of the proxies matching the current tab.
+ * @param {function} props.onChange - Callback invoked after the configuration was saved.
+ * @returns {JSX.Element|null} The rendered SiteRouteControl component, or null for non-web pages.
+ */
+const SiteRouteControl = ({ url, config, matchingProxyIds, onChange }) => {
+  const [scopeIndex, setScopeIndex] = useState(0);
+  const [proxyId, setProxyId] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  let hostname = null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      hostname = parsed.hostname;
+    }
+  } catch (err) {
+    // Not a web page
+  }
+
+  const proxies = config?.proxies || [];
+  const candidates = proxies.filter(canRouteSites);
+  if (!hostname || !config || candidates.length === 0) {
+    return null;
+  }
+
+  const options = getSitePatternOptions(hostname);
+  const option = options[Math.min(scopeIndex, options.length - 1)];
+  const selectedProxy = candidates.find(proxy => proxy.id === proxyId) || candidates[0];
+  const routingProxyIds = matchingProxyIds.filter(id => proxies.some(proxy => proxy.id === id && proxy.proxyType !== PAC_PROXY_TYPE));
+
+  const saveConfig = async (nextConfig, message) => {
+    setIsSaving(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.SAVE_CONFIG,
+        config: nextConfig
+      });
+      if (!response?.success) {
+        setError(response?.error || 'Failed to save the rule');
+        return;
+      }
+      setStatus(message);
+      onChange();
+    } catch (err) {
+      setError('Failed to save the rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRoute = () => {
+    const { config: nextConfig, changed } = routeSiteThroughProxy(config, selectedProxy.id, option.pattern);
+    if (!changed) {
+      setError(null);
+      setStatus(`${selectedProxy.name} already routes ${option.label}`);
+      return;
+    }
+    saveConfig(nextConfig, `Routing ${option.label} via ${selectedProxy.name}`);
+  };
+
+  const handleStop = () => {
+    const { config: nextConfig, removed, excluded } = stopRoutingSite(config, routingProxyIds, url, option.pattern);
+    const parts = [];
+    if (removed > 0) parts.push(`removed ${removed} rule${removed === 1 ? '' : 's'}`);
+    if (excluded > 0) parts.push(`excluded ${option.label} from ${excluded} prox${excluded === 1 ? 'y' : 'ies'}`);
+    saveConfig(nextConfig, parts.length > 0 ? `Stopped routing ${hostname}: ${parts.join(', ')}` : `Stopped routing ${hostname}`);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2">
+        <label htmlFor="site-route-scope" className="text-sm whitespace-nowrap">Route</label>
+        <select
+          id="site-route-scope"
+          className={`${selectClassName} flex-grow min-w-0`}
+          value={options.indexOf(option)}
+          onChange={(e) => setScopeIndex(Number(e.target.value))}
+          disabled={isSaving}
+        >
+          {options.map((entry, index) => (
+            <option key={entry.scope} value={index}>{entry.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <label htmlFor="site-route-proxy" className="text-sm whitespace-nowrap">via</label>
+        <select
+          id="site-route-proxy"
+          className={`${selectClassName} flex-grow min-w-0`}
+          value={selectedProxy.id}
+          onChange={(e) => setProxyId(e.target.value)}
+          disabled={isSaving}
+        >
+          {candidates.map(proxy => (
+            <option key={proxy.id} value={proxy.id}>{proxy.name}</option>
+          ))}
+        </select>
+        <Button size="sm" onClick={handleRoute} disabled={isSaving}>
+          Add
+        </Button>
+        {routingProxyIds.length > 0 && (
+          <Button variant="outline" size="sm" onClick={handleStop} disabled={isSaving}>
+            Stop routing
+          </Button>
+        )}
+      </div>
+      {status && (
+        <p className="mt-1 text-xs text-muted-foreground">{status}</p>
+      )}
+      {error && (
+        <p className="mt-1 text-xs text-destructive">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default SiteRouteControl;
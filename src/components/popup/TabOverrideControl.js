@@ -0,0 +1,119 @@
+import { useState } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS, TAB_OVERRIDE_SCOPES, PAC_PROXY_TYPE } from '../../common/constants';
+import { getOverrideOrigin } from '../../utils/tab-overrides';
+import browserCapabilities from '../../utils/feature-detection';
+
+// Select value of a direct connection; proxy IDs are used as they are
+const DIRECT_VALUE = '__direct__';
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-sm';
+
+/**
+ * TabOverrideControl component.
+ * Forces the current tab, or its whole window, through a chosen proxy or a
+ * direct connection, whatever the patterns say.
+ * @param {object} props - The component's props.
+ * @param {number} props.tabId - ID of the current tab.
+ * @param {string} props.url - URL of the current tab.
+ * @param {object|null} props.override - The tab's current override, if any.
+ * @param {Array} props.proxies - All configured proxies.
+ * @param {function} props.onChange - Callback invoked after the override was set or cleared.
+ * @returns {JSX.Element|null} The rendered TabOverrideControl component, or null for non-web pages.
+ */
+const TabOverrideControl = ({ tabId, url, override, proxies, onChange }) => {
+  const [scope, setScope] = useState(override?.scope || TAB_OVERRIDE_SCOPES.TAB);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!tabId || !getOverrideOrigin(url)) {
+    return null;
+  }
+
+  // Chrome routes by PAC script, which sees neither tabs nor windows
+  const routesByTab = browserCapabilities.proxy.hasProxyRequestListener;
+  const host = new URL(url).host;
+  const candidates = proxies.filter(proxy => proxy.enabled && proxy.proxyType !== PAC_PROXY_TYPE);
+  const value = override ? (override.proxyId ?? DIRECT_VALUE) : '';
+
+  const sendOverride = async (target, targetScope) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await browser.runtime.sendMessage(target === ''
+        ? { action: MESSAGE_ACTIONS.CLEAR_TAB_OVERRIDE, tabId }
+        : {
+          action: MESSAGE_ACTIONS.SET_TAB_OVERRIDE,
+          tabId,
+          proxyId: target === DIRECT_VALUE ? null : target,
+          scope: targetScope
+        });
+      if (!response?.success) {
+        setError(response?.error || 'Failed to override the tab');
+        return;
+      }
+      onChange();
+    } catch (err) {
+      setError('Failed to override the tab');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleScopeChange = (nextScope) => {
+    setScope(nextScope);
+    if (override) {
+      sendOverride(value, nextScope);
+    }
+  };
+
+  const describeOverride = () => {
+    if (override.scope === TAB_OVERRIDE_SCOPES.WINDOW) {
+      return 'Every tab of this window until it closes';
+    }
+    return routesByTab
+      ? `Until this tab closes or leaves ${host}`
+      : `Every request to ${host} until this tab closes or leaves it`;
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2">
+        <label htmlFor="tab-override" className="text-sm whitespace-nowrap">Force</label>
+        <select
+          id="tab-override"
+          className={`${selectClassName} flex-grow min-w-0`}
+          value={value}
+          onChange={(e) => sendOverride(e.target.value, scope)}
+          disabled={isSaving}
+        >
+          <option value="">Normal routing</option>
+          <option value={DIRECT_VALUE}>Direct connection</option>
+          {candidates.map(proxy => (
+            <option key={proxy.id} value={proxy.id}>{proxy.name}</option>
+          ))}
+        </select>
+        {routesByTab && (
+          <select
+            className={selectClassName}
+            value={scope}
+            onChange={(e) => handleScopeChange(e.target.value)}
+            disabled={isSaving}
+            aria-label="Override scope"
+          >
+            <option value={TAB_OVERRIDE_SCOPES.TAB}>this tab</option>
+            <option value={TAB_OVERRIDE_SCOPES.WINDOW}>this window</option>
+          </select>
+        )}
+      </div>
+      {override && (
+        <p className="mt-1 text-xs text-muted-foreground">{describeOverride()}</p>
+      )}
+      {error && (
+        <p className="mt-1 text-xs text-destructive">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default TabOverrideControl;
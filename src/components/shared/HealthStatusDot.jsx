@@ -0,0 +1,55 @@
+const STATUS_STYLES = {
+  healthy: { className: 'bg-green-500', label: 'Healthy' },
+  degraded: { className: 'bg-yellow-500', label: 'Degraded' },
+  unhealthy: { className: 'bg-red-500', label: 'Unreachable' },
+  unknown: { className: 'bg-muted-foreground/40', label: 'Not checked yet' }
+};
+
+/**
+ * Builds the tooltip text describing a proxy's latest health check
+ * @param {object} [health] - Summarized health from the background
+ * @returns {string} Human readable status
+ */
+export const describeHealth = (health) => {
+  const status = health?.status || 'unknown';
+  const parts = [STATUS_STYLES[status].label];
+
+  if (health?.latency !== null && health?.latency !== undefined) {
+    parts.push(`${health.latency} ms`);
+  }
+  if (health?.error) {
+    parts.push(health.error);
+  }
+  if (health?.successRate !== null && health?.successRate !== undefined) {
+    parts.push(`${Math.round(health.successRate * 100)}% of recent checks passed`);
+  }
+  if (health?.lastChecked) {
+    parts.push(`checked at ${new Date(health.lastChecked).toLocaleTimeString()}`);
+  }
+
+  return parts.join(' · ');
+};
+
+/**
+ * Small colored dot showing the latest health check result of a proxy
+ * @param {object} props - The component's props.
+ * @param {object} [props.health] - Summarized health for the proxy.
+ * @param {string} [props.className] - Additional classes.
+ * @returns {JSX.Element} The rendered status dot.
+ */
+const HealthStatusDot = ({ health, className = '' }) => {
+  const status = health?.status || 'unknown';
+  const description = describeHealth(health);
+
+  return (
+    <span
+      role="img"
+      aria-label={`Health: ${description}`}
+      title={description}
+      data-health-status={status}
+      className={`inline-block w-2 h-2 rounded-full flex-shrink-0 ${STATUS_STYLES[status].className} ${className}`}
+    />
+  );
+};
+
+export default HealthStatusDot;
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that tracks the proxies enabled and disabled automatically by their activation conditions
+ * @returns {Array<{timestamp: number, proxyId: string, proxyName: string, enabled: boolean, reason: string}>}
+ *          Logged changes, newest first
+ */
+export const useActivationLog = () => {
+  const [log, setLog] = useState([]);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_ACTIVATION_LOG
+    }).then(response => {
+      if (isMounted && response?.success) {
+        setLog(response.log || []);
+      }
+    }).catch(() => {
+      // Background not ready - keep the empty state
+    });
+
+    const messageListener = (message) => {
+      if (message.action === MESSAGE_ACTIONS.ACTIVATION_LOG_UPDATED) {
+        setLog(message.log || []);
+      }
+    };
+
+    browser.runtime.onMessage.addListener(messageListener);
+
+    return () => {
+      isMounted = false;
+      browser.runtime.onMessage.removeListener(messageListener);
+    };
+  }, []);
+
+  return log;
+};
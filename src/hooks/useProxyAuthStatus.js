@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that tracks proxy authentication failures reported by the background
+ * @returns {Object<string, {proxyId: string, proxyName: string, message: string, timestamp: number}>}
+ *          Failures keyed by proxy ID
+ */
+export const useProxyAuthStatus = () => {
+  const [failures, setFailures] = useState({});
+
+  useEffect(() => {
+    let isMounted = true;
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_PROXY_AUTH_STATUS
+    }).then(response => {
+      if (isMounted && response?.success) {
+        setFailures(response.failures || {});
+      }
+    }).catch(() => {
+      // Background not ready - keep the empty state
+    });
+
+    const messageListener = (message) => {
+      if (message.action === MESSAGE_ACTIONS.PROXY_AUTH_STATUS_UPDATED) {
+        setFailures(message.failures || {});
+      }
+    };
+
+    browser.runtime.onMessage.addListener(messageListener);
+
+    return () => {
+      isMounted = false;
+      browser.runtime.onMessage.removeListener(messageListener);
+    };
+  }, []);
+
+  return failures;
+};
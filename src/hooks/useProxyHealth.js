@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that tracks proxy health check results reported by the background
+ * @returns {{health: Object<string, Object>, testingProxyId: string|null, runHealthCheck: function(string): Promise<Object>}}
+ *          Health keyed by proxy ID, the proxy being tested, and a function to test a proxy now
+ */
+export const useProxyHealth = () => {
+  const [health, setHealth] = useState({});
+  const [testingProxyId, setTestingProxyId] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_PROXY_HEALTH
+    }).then(response => {
+      if (isMounted && response?.success) {
+        setHealth(response.health || {});
+      }
+    }).catch(() => {
+      // Background not ready - keep the empty state
+    });
+
+    const messageListener = (message) => {
+      if (message.action === MESSAGE_ACTIONS.PROXY_HEALTH_UPDATED) {
+        setHealth(message.health || {});
+      }
+    };
+
+    browser.runtime.onMessage.addListener(messageListener);
+
+    return () => {
+      isMounted = false;
+      browser.runtime.onMessage.removeListener(messageListener);
+    };
+  }, []);
+
+  const runHealthCheck = useCallback(async (proxyId) => {
+    setTestingProxyId(proxyId);
+    try {
+      return await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.RUN_HEALTH_CHECK,
+        proxyId
+      });
+    } catch (error) {
+      return { success: false, error: error.message || 'Health check failed' };
+    } finally {
+      setTestingProxyId(null);
+    }
+  }, []);
+
+  return { health, testingProxyId, runHealthCheck };
+};
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that tracks the data quota usage reported by the background
+ * @returns {{quotas: Object<string, Object>}} Usage keyed by proxy ID, for proxies with a quota
+ */
+export const useProxyQuotas = () => {
+  const [quotas, setQuotas] = useState({});
+
+  useEffect(() => {
+    let isMounted = true;
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_PROXY_QUOTAS
+    }).then(response => {
+      if (isMounted && response?.success) {
+        setQuotas(response.quotas || {});
+      }
+    }).catch(() => {
+      // Background not ready - keep the empty state
+    });
+
+    const messageListener = (message) => {
+      if (message.action === MESSAGE_ACTIONS.PROXY_QUOTAS_UPDATED) {
+        setQuotas(message.quotas || {});
+      }
+    };
+
+    browser.runtime.onMessage.addListener(messageListener);
+
+    return () => {
+      isMounted = false;
+      browser.runtime.onMessage.removeListener(messageListener);
+    };
+  }, []);
+
+  return { quotas };
+};
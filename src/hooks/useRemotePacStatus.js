@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that tracks the PAC scripts of PAC URL proxies fetched by the background
+ * @returns {{status: Object<string, Object>, refreshingProxyId: string|null, refreshRemotePac: function(string): Promise<Object>}}
+ *          Fetch status keyed by proxy ID, the proxy being refreshed, and a function to refetch a script now
+ */
+export const useRemotePacStatus = () => {
+  const [status, setStatus] = useState({});
+  const [refreshingProxyId, setRefreshingProxyId] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_REMOTE_PAC_STATUS
+    }).then(response => {
+      if (isMounted && response?.success) {
+        setStatus(response.status || {});
+      }
+    }).catch(() => {
+      // Background not ready - keep the empty state
+    });
+
+    const messageListener = (message) => {
+      if (message.action === MESSAGE_ACTIONS.REMOTE_PAC_UPDATED) {
+        setStatus(message.status || {});
+      }
+    };
+
+    browser.runtime.onMessage.addListener(messageListener);
+
+    return () => {
+      isMounted = false;
+      browser.runtime.onMessage.removeListener(messageListener);
+    };
+  }, []);
+
+  const refreshRemotePac = useCallback(async (proxyId) => {
+    setRefreshingProxyId(proxyId);
+    try {
+      return await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.REFRESH_REMOTE_PAC,
+        proxyId
+      });
+    } catch (error) {
+      return { success: false, error: error.message || 'Refresh failed' };
+    } finally {
+      setRefreshingProxyId(null);
+    }
+  }, []);
+
+  return { status, refreshingProxyId, refreshRemotePac };
+};
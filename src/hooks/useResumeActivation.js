@@ -0,0 +1,33 @@
+import { useState, useCallback } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that hands a proxy pinned by a manual toggle back to its activation conditions
+ * @param {function} [onResume] - Called with the background's response after resuming
+ * @returns {{isResuming: boolean, resumeActivation: function(string): Promise<Object>}}
+ *          Whether a request is running and a function to resume a proxy
+ */
+export const useResumeActivation = (onResume) => {
+  const [isResuming, setIsResuming] = useState(false);
+
+  const resumeActivation = useCallback(async (proxyId) => {
+    setIsResuming(true);
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.RESUME_PROXY_ACTIVATION,
+        proxyId
+      });
+      if (onResume) {
+        onResume(response);
+      }
+      return response;
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to resume automation' };
+    } finally {
+      setIsResuming(false);
+    }
+  }, [onResume]);
+
+  return { isResuming, resumeActivation };
+};
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS, ROUTING_LOG_DEFAULTS } from '../common/constants';
+
+/**
+ * Hook that polls the background's routing log while the component is mounted
+ * @param {boolean} [isPaused=false] - Stop polling, keeping the entries shown
+ * @returns {{entries: Array<Object>, refresh: function(): Promise<void>, clearLog: function(): Promise<void>}}
+ *          Logged routing decisions, newest first, and functions to reload and empty the log
+ */
+export const useRoutingLog = (isPaused = false) => {
+  const [entries, setEntries] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.GET_ROUTING_LOG
+      });
+      if (response?.success) {
+        setEntries(response.entries || []);
+      }
+    } catch (error) {
+      // Background not ready - keep the entries shown
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isPaused) return undefined;
+
+    refresh();
+    const intervalId = setInterval(refresh, ROUTING_LOG_DEFAULTS.refreshMs);
+    return () => clearInterval(intervalId);
+  }, [isPaused, refresh]);
+
+  const clearLog = useCallback(async () => {
+    try {
+      await browser.runtime.sendMessage({ action: MESSAGE_ACTIONS.CLEAR_ROUTING_LOG });
+      setEntries([]);
+    } catch (error) {
+      // Background not ready - nothing to clear
+    }
+  }, []);
+
+  return { entries, refresh, clearLog };
+};
@@ -0,0 +1,28 @@
+import { useState, useCallback } from 'preact/hooks';
+import * as browser from 'webextension-polyfill';
+import { MESSAGE_ACTIONS } from '../common/constants';
+
+/**
+ * Hook that asks the background to update the rule list subscription of a proxy now
+ * @returns {{refreshingProxyId: string|null, refreshRuleSubscription: function(string): Promise<Object>}}
+ *          The proxy being updated and a function to update a subscription
+ */
+export const useRuleSubscriptionRefresh = () => {
+  const [refreshingProxyId, setRefreshingProxyId] = useState(null);
+
+  const refreshRuleSubscription = useCallback(async (proxyId) => {
+    setRefreshingProxyId(proxyId);
+    try {
+      return await browser.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.REFRESH_RULE_SUBSCRIPTION,
+        proxyId
+      });
+    } catch (error) {
+      return { success: false, error: error.message || 'Update failed' };
+    } finally {
+      setRefreshingProxyId(null);
+    }
+  }, []);
+
+  return { refreshingProxyId, refreshRuleSubscription };
+};
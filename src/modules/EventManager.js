@@ -8,13 +8,15 @@ class EventManager {
     this.webRequestListeners = {
       onCompleted: new Map(),
       onErrorOccurred: new Map(),
-      onBeforeRequest: new Map()
+      onBeforeRequest: new Map(),
+      onResponseStarted: new Map()
     };
     
     this.boundHandlers = {
       onCompleted: this.handleWebRequestCompleted.bind(this),
       onErrorOccurred: this.handleWebRequestError.bind(this),
-      onBeforeRequest: this.handleWebRequestBefore.bind(this)
+      onBeforeRequest: this.handleWebRequestBefore.bind(this),
+      onResponseStarted: this.handleWebRequestResponseStarted.bind(this)
     };
     
     this.initWebRequestListeners();
@@ -49,6 +51,13 @@ class EventManager {
         ["requestBody"]
       );
     }
+    
+    if (browserCapabilities.webRequest.hasOnResponseStarted) {
+      browser.webRequest.onResponseStarted.addListener(
+        this.boundHandlers.onResponseStarted,
+        { urls: ["<all_urls>"] }
+      );
+    }
   }
   
   handleWebRequestCompleted(details) {
@@ -92,6 +101,18 @@ class EventManager {
     return null;
   }
   
+  handleWebRequestResponseStarted(details) {
+    const listeners = this.webRequestListeners.onResponseStarted;
+    
+    for (const [id, callback] of listeners) {
+      try {
+        callback(details);
+      } catch (error) {
+        console.error(`[EventManager] Error in onResponseStarted listener ${id}:`, error);
+      }
+    }
+  }
+  
   addWebRequestListener(type, id, callback) {
     if (!this.webRequestListeners[type]) {
       console.error(`[EventManager] Unknown webRequest event type: ${type}`);
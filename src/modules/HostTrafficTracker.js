@@ -0,0 +1,111 @@
+import { LRUCache } from 'lru-cache';
+import { HOST_TRAFFIC } from '../common/constants.js';
+import { getRegistrableDomain } from '../utils/site-rules.js';
+
+const SORT_FIELDS = ['download', 'upload', 'requests'];
+
+/**
+ * HostTrafficTracker
+ * Bytes and request counts per registrable domain within each traffic bucket:
+ * a proxy aggregation key, 'direct' or 'others'. An LRU bounds the number of
+ * domains, so memory stays flat and the least recently seen are dropped first.
+ */
+export class HostTrafficTracker {
+  constructor(maxEntries = HOST_TRAFFIC.maxDomains) {
+    this.entries = new LRUCache({ max: maxEntries });
+  }
+
+  getEntryKey(bucket, domain) {
+    return `${bucket}|${domain}`;
+  }
+
+  getDomain(url) {
+    try {
+      const hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+      return hostname ? getRegistrableDomain(hostname) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Adds the traffic of a request to the domain of its URL
+   * @param {string} bucket - Aggregation key, 'direct' or 'others'
+   * @param {string} url - Request URL
+   * @param {{download?: number, upload?: number, requests?: number}} traffic - Bytes and requests to add
+   */
+  record(bucket, url, { download = 0, upload = 0, requests = 0 }) {
+    const domain = this.getDomain(url);
+    if (!bucket || !domain) return;
+
+    this.addEntry({ bucket, domain, download, upload, requests });
+  }
+
+  addEntry({ bucket, domain, download = 0, upload = 0, requests = 0 }) {
+    const key = this.getEntryKey(bucket, domain);
+    const entry = this.entries.get(key) || { bucket, domain, download: 0, upload: 0, requests: 0 };
+    entry.download += download;
+    entry.upload += upload;
+    entry.requests += requests;
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Lists the domains with the most traffic
+   * @param {Object} [options]
+   * @param {string|null} [options.bucket] - Only domains of this bucket
+   * @param {string} [options.sortBy='download'] - 'download', 'upload' or 'requests'
+   * @param {number} [options.limit] - Number of domains to return
+   * @returns {Array<{bucket: string, domain: string, download: number, upload: number, requests: number}>}
+   */
+  getTopHosts({ bucket = null, sortBy = 'download', limit = HOST_TRAFFIC.topHostsLimit } = {}) {
+    const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'download';
+    const hosts = [];
+    for (const entry of this.entries.values()) {
+      if (!bucket || entry.bucket === bucket) {
+        hosts.push({ ...entry });
+      }
+    }
+
+    return hosts
+      .sort((a, b) => b[field] - a[field] || a.domain.localeCompare(b.domain))
+      .slice(0, limit);
+  }
+
+  removeBuckets(buckets) {
+    const removed = new Set(buckets);
+    const keys = [];
+    for (const [key, entry] of this.entries.entries()) {
+      if (removed.has(entry.bucket)) {
+        keys.push(key);
+      }
+    }
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  /**
+   * Lists the entries least recently seen first, for checkpoints
+   * @returns {Array<Object>}
+   */
+  serialize() {
+    return [...this.entries.rvalues()].map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Adds checkpointed entries, keeping the live ones most recently seen
+   * @param {Array<Object>} entries - Entries from serialize()
+   * @param {function(string): boolean} isKnownBucket - Whether a bucket is still configured
+   */
+  restore(entries, isKnownBucket) {
+    const live = this.serialize();
+    this.entries.clear();
+    entries
+      .filter(entry => entry?.domain && isKnownBucket(entry.bucket))
+      .forEach(entry => this.addEntry(entry));
+    live.forEach(entry => this.addEntry(entry));
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
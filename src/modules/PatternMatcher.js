@@ -1,10 +1,163 @@
 
+import { PATTERN_TARGETS, PATTERN_TYPES, DEFAULT_PORTS } from '../common/constants.js';
+import { parseCidr, parseIpAddress, isAddressInCidr } from '../utils/cidr.js';
+
+// Pattern types that only make sense for the hostname
+const HOSTNAME_ONLY_TYPES = [PATTERN_TYPES.DOMAIN_SUFFIX, PATTERN_TYPES.CIDR];
+
+/**
+ * Normalizes a stored routing pattern. Patterns are either plain strings
+ * (regexes matched against the hostname) or objects with a value, a match
+ * target and a type. Domain suffix and CIDR patterns always match the
+ * hostname; CIDR patterns may ask for DNS resolution of names.
+ * @param {string|Object} pattern - Stored pattern
+ * @returns {{value: string, target: string, type: string, resolveDns: boolean}} - Normalized pattern
+ */
+function normalizePattern(pattern) {
+  if (pattern && typeof pattern === 'object') {
+    const type = pattern.type || PATTERN_TYPES.REGEX;
+    return {
+      value: pattern.value || '',
+      target: HOSTNAME_ONLY_TYPES.includes(type) ? PATTERN_TARGETS.HOSTNAME : (pattern.target || PATTERN_TARGETS.HOSTNAME),
+      type,
+      resolveDns: type === PATTERN_TYPES.CIDR && pattern.resolveDns === true
+    };
+  }
+  return { value: pattern || '', target: PATTERN_TARGETS.HOSTNAME, type: PATTERN_TYPES.REGEX, resolveDns: false };
+}
+
+/**
+ * Tests a hostname against a domain suffix pattern, like the regex from
+ * getPatternRegexSource does
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} value - Domain, optionally with a leading "." or "*."
+ * @returns {boolean} - Whether the hostname is the domain or one of its subdomains
+ */
+function matchesDomainSuffix(hostname, value) {
+  const domain = value.replace(/^\*?\./, '').toLowerCase();
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/**
+ * Compiles a normalized glob or domain suffix pattern to an anchored regex
+ * source. Regex patterns are returned unchanged. Globs support `*` (any
+ * characters) and `?` (one character); a domain suffix matches the domain
+ * itself and all of its subdomains.
+ * @param {{value: string, type: string}} pattern - Normalized pattern
+ * @returns {string} - Regex source, tested case-insensitively
+ */
+function getPatternRegexSource(pattern) {
+  switch (pattern.type) {
+    case PATTERN_TYPES.GLOB:
+      return `^${pattern.value.split('*').map(part => part.split('?').map(escapeRegex).join('.')).join('.*')}$`;
+    case PATTERN_TYPES.DOMAIN_SUFFIX:
+      return `^(?:.*\\.)?${escapeRegex(pattern.value.replace(/^\*?\./, ''))}$`;
+    default:
+      return pattern.value;
+  }
+}
+
+/**
+ * Reduces an https URL to what Chrome passes to PAC scripts: scheme, host
+ * and port, with the path and query stripped.
+ * @param {string} url - Request URL or bare hostname
+ * @returns {string} - The URL as seen by the PAC script
+ */
+function getPacVisibleUrl(url) {
+  if (typeof url !== 'string' || !/^https:\/\//i.test(url)) {
+    return url;
+  }
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}/`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Builds the values routing patterns are matched against. A bare hostname
+ * only provides the hostname target.
+ * @param {string|URL|Object} request - Request URL, bare hostname or an existing context
+ * @returns {{hostname: string, url?: string, path?: string, scheme?: string, port?: string}|null}
+ */
+function createRequestContext(request) {
+  if (!request) return null;
+  if (typeof request === 'object' && !(request instanceof URL)) {
+    return request;
+  }
+
+  const text = String(request);
+  if (!text.includes('://')) {
+    return { hostname: text.toLowerCase() };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch (e) {
+    return null;
+  }
+
+  // Fragments never reach the proxy layer
+  parsed.hash = '';
+  const scheme = parsed.protocol.slice(0, -1).toLowerCase();
+
+  return {
+    hostname: parsed.hostname.toLowerCase(),
+    url: parsed.href,
+    path: parsed.pathname,
+    scheme,
+    port: parsed.port || DEFAULT_PORTS[scheme] || ''
+  };
+}
+
+/**
+ * Returns the patterns a proxy routes: the hand-written ones followed by
+ * those of its rule list subscription
+ * @param {Object} [routingConfig] - The proxy's routing configuration
+ * @returns {Array<string|Object>} - Routing patterns
+ */
+function getRoutingPatterns(routingConfig) {
+  const subscribed = routingConfig?.subscription?.patterns;
+  const patterns = routingConfig?.patterns || [];
+  return Array.isArray(subscribed) && subscribed.length > 0 ? patterns.concat(subscribed) : patterns;
+}
+
+/**
+ * Returns a proxy's exclusions: the hand-written ones followed by the
+ * exceptions of its rule list subscription
+ * @param {Object} [routingConfig] - The proxy's routing configuration
+ * @returns {Array<string|Object>} - Exclusion patterns
+ */
+function getExcludePatterns(routingConfig) {
+  const subscribed = routingConfig?.subscription?.excludePatterns;
+  const patterns = routingConfig?.excludePatterns || [];
+  return Array.isArray(subscribed) && subscribed.length > 0 ? patterns.concat(subscribed) : patterns;
+}
+
+/**
+ * Tests a request against an optional pattern list, such as a proxy's
+ * exclusions or the global bypass list. Missing or empty lists never match.
+ * @param {PatternMatcher} matcher - The matcher to use
+ * @param {string|Object} value - Hostname, request URL or request context
+ * @param {Array<string|Object>} [patterns] - Routing patterns
+ * @returns {boolean} - Whether any pattern matches
+ */
+function matchesPatternList(matcher, value, patterns) {
+  return Array.isArray(patterns) && patterns.length > 0 && matcher.matchesAnyPattern(value, patterns);
+}
+
 /**
  * PatternMatcher class for proxy pattern matching
  * 
  * This class provides pattern matching functionality:
  * 1. Efficient regex pattern caching with RegexPatternCache
- * 2. Simple proxy resolution for hostnames based on patterns
+ * 2. Simple proxy resolution for requests based on patterns and their match targets
  */
 class PatternMatcher {
   constructor() {
@@ -12,31 +165,101 @@ class PatternMatcher {
       maxSize: 1000,
       ttl: 3600000
     });
+    // CIDR pattern -> parsed range (null when invalid)
+    this.cidrCache = new Map();
   }
   
   testPattern(hostname, pattern) {
     return this.regexPatternCache.test(hostname, pattern);
   }
   
+  /**
+   * Tests a request against a list of patterns, each on its own match target
+   * @param {string|Object} value - Hostname, request URL or request context
+   * @param {Array<string|Object>} patterns - Routing patterns
+   * @returns {boolean} - Whether any pattern matches
+   */
   matchesAnyPattern(value, patterns) {
     if (!patterns || patterns.length === 0) return false;
     
-    if (patterns.length === 1) {
-      const singlePattern = patterns[0].value || patterns[0];
+    const context = createRequestContext(value);
+    if (!context) return false;
+    
+    const normalizedPatterns = patterns.map(normalizePattern);
+    
+    if (normalizedPatterns.length === 1 && normalizedPatterns[0].type === PATTERN_TYPES.REGEX) {
+      const singlePattern = normalizedPatterns[0].value;
       if (singlePattern === "*" || singlePattern === ".*") {
         return true;
       }
     }
-    for (const pattern of patterns) {
-      const patternValue = pattern.value || pattern;
-      if (value.toLowerCase() === patternValue.toLowerCase()) {
+    
+    // Targets the request does not provide (e.g. a bare hostname has no path) never match
+    const available = normalizedPatterns.filter(pattern => 
+      pattern.value && typeof context[pattern.target] === 'string'
+    );
+    
+    const cidrPatterns = available.filter(pattern => pattern.type === PATTERN_TYPES.CIDR);
+    if (cidrPatterns.length > 0 && this.matchesAnyCidr(context.hostname, cidrPatterns)) {
+      return true;
+    }
+    
+    // Domain suffixes are compared directly, so long subscribed domain lists
+    // do not churn the regex cache
+    const hostname = context.hostname.toLowerCase();
+    if (available.some(pattern => pattern.type === PATTERN_TYPES.DOMAIN_SUFFIX &&
+        matchesDomainSuffix(hostname, pattern.value))) {
+      return true;
+    }
+    
+    const candidates = available.filter(pattern => 
+      pattern.type !== PATTERN_TYPES.CIDR && pattern.type !== PATTERN_TYPES.DOMAIN_SUFFIX
+    );
+    
+    for (const pattern of candidates) {
+      if (context[pattern.target].toLowerCase() === pattern.value.toLowerCase()) {
         return true;
       }
     }
     
+    return candidates.some(pattern => 
+      this.regexPatternCache.test(context[pattern.target], getPatternRegexSource(pattern))
+    );
+  }
+  
+  /**
+   * Finds the first pattern of a list that matches a request, to show why it
+   * was routed
+   * @param {string|Object} value - Hostname, request URL or request context
+   * @param {Array<string|Object>} [patterns] - Routing patterns
+   * @returns {string|Object|null} - The stored pattern, or null if none matches
+   */
+  findMatchingPattern(value, patterns) {
+    const context = createRequestContext(value);
+    if (!context || !Array.isArray(patterns)) return null;
+
+    return patterns.find(pattern => this.matchesAnyPattern(context, [pattern])) || null;
+  }
+
+  /**
+   * Tests a host against CIDR patterns. Only IP literals can match: DNS
+   * resolution is left to the PAC script on Chrome.
+   * @param {string} hostname - Hostname or IP literal, IPv6 possibly in brackets
+   * @param {Array<{value: string}>} patterns - Normalized CIDR patterns
+   * @returns {boolean} - Whether the address lies in any of the ranges
+   */
+  matchesAnyCidr(hostname, patterns) {
+    const address = parseIpAddress(hostname);
+    if (!address) return false;
+    
     return patterns.some(pattern => {
-      const patternValue = pattern.value || pattern;
-      return this.regexPatternCache.test(value, patternValue);
+      if (!this.cidrCache.has(pattern.value)) {
+        if (this.cidrCache.size >= 1000) {
+          this.cidrCache.clear();
+        }
+        this.cidrCache.set(pattern.value, parseCidr(pattern.value));
+      }
+      return isAddressInCidr(address, this.cidrCache.get(pattern.value));
     });
   }
   
@@ -85,9 +308,9 @@ class PatternMatcher {
   
   /**
    * Resolves proxy routing conflicts based on priority
-   * @param {string} host - Hostname or IP to check
+   * @param {string|Object} host - Hostname or IP, request URL or request context to check
    * @param {Array} proxies - Array of proxy configurations
-   * @returns {Object|null} - Highest priority proxy that matches the host, or null if none match
+   * @returns {Object|null} - Highest priority proxy that matches the host and does not exclude it, or null if none match
    */
   resolveProxyForHost(host, proxies) {
     if (!Array.isArray(proxies) || proxies.length === 0 || !host) {
@@ -102,8 +325,8 @@ class PatternMatcher {
     // Find all matching proxies
     const matches = [];
     for (const proxy of patternProxies) {
-      const patterns = proxy.routingConfig?.patterns || [];
-      if (this.matchesAnyPattern(host, patterns)) {
+      if (this.matchesAnyPattern(host, getRoutingPatterns(proxy.routingConfig)) &&
+          !matchesPatternList(this, host, getExcludePatterns(proxy.routingConfig))) {
         matches.push(proxy);
       }
     }
@@ -237,5 +460,14 @@ class RegexPatternCache {
 
 
 const defaultPatternMatcher = new PatternMatcher();
-export { defaultPatternMatcher };
+export {
+  defaultPatternMatcher,
+  normalizePattern,
+  getPatternRegexSource,
+  createRequestContext,
+  getPacVisibleUrl,
+  matchesPatternList,
+  getRoutingPatterns,
+  getExcludePatterns
+};
 export default PatternMatcher;
\ No newline at end of file
@@ -0,0 +1,271 @@
+import * as browser from 'webextension-polyfill';
+import eventManager from './EventManager.js';
+import { hasActivationConditions, buildActivationProbeUrl, evaluateActivation } from '../utils/activation.js';
+import { MESSAGE_ACTIONS, ALARMS, ACTIVATION_DEFAULTS } from '../common/constants.js';
+
+/**
+ * ProxyActivationManager enables and disables proxies from their activation
+ * conditions (proxy.activation): whether a probe host answers and a weekly
+ * schedule. Conditions are checked on an alarm; every change goes through
+ * ProxyManager.updateProxy, is logged and shown as a notification. Proxies
+ * toggled by hand are pinned and left alone until automation is resumed.
+ */
+class ProxyActivationManager {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+    // Called after proxies were switched, to propagate the new configuration
+    this.onConfigurationChange = options.onConfigurationChange || (() => {});
+    this.storageKey = 'activationLog';
+
+    // [{ timestamp, proxyId, proxyName, enabled, reason }], newest first
+    this.log = [];
+    this.loadPromise = null;
+    this.evaluation = null;
+
+    this.isStarted = false;
+    this.isScheduled = false;
+
+    this.boundHandleAlarm = (alarm) => {
+      if (alarm.name === ALARMS.PROXY_ACTIVATION_CHECK) {
+        this.evaluateAll();
+      }
+    };
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    eventManager.addEventListener(
+      'alarm',
+      'proxy_activation_alarms',
+      browser.alarms,
+      'onAlarm',
+      this.boundHandleAlarm
+    );
+
+    this.schedule(true);
+    this.evaluateAll();
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    eventManager.removeEventListener('alarm', 'proxy_activation_alarms');
+    browser.alarms.clear(ALARMS.PROXY_ACTIVATION_CHECK);
+
+    this.isScheduled = false;
+    this.isStarted = false;
+  }
+
+  /**
+   * @returns {Array<Object>} - Configured proxies with activation conditions, pinned or not
+   */
+  getAutomatedProxies() {
+    return (this.proxyManager?.config?.proxies || []).filter(hasActivationConditions);
+  }
+
+  /**
+   * Creates the check alarm while any proxy has activation conditions
+   * @param {boolean} [force=false] - Recreate the alarm even if unchanged
+   */
+  schedule(force = false) {
+    const needsAlarm = this.getAutomatedProxies().length > 0;
+    if (!force && needsAlarm === this.isScheduled) return;
+    this.isScheduled = needsAlarm;
+
+    browser.alarms.clear(ALARMS.PROXY_ACTIVATION_CHECK);
+
+    if (needsAlarm) {
+      browser.alarms.create(ALARMS.PROXY_ACTIVATION_CHECK, {
+        periodInMinutes: ACTIVATION_DEFAULTS.intervalMinutes
+      });
+    }
+  }
+
+  /**
+   * Checks the conditions of every automated proxy that is not pinned and
+   * switches those whose state differs, joining a check that is already running
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Array<Object>>} - Log entries of the changes made
+   */
+  evaluateAll(now = new Date()) {
+    if (!this.evaluation) {
+      this.evaluation = this.runEvaluation(now).finally(() => {
+        this.evaluation = null;
+      });
+    }
+    return this.evaluation;
+  }
+
+  async runEvaluation(now) {
+    const proxies = this.getAutomatedProxies().filter(proxy => !proxy.activation.pinned);
+    // Proxies sharing a probe host share its result
+    const probes = new Map();
+    const changes = [];
+
+    for (const proxy of proxies) {
+      const target = proxy.activation.probe?.target;
+      let reachable;
+      if (target) {
+        if (!probes.has(target)) {
+          probes.set(target, await this.probe(target));
+        }
+        reachable = probes.get(target);
+      }
+
+      const { enabled, reason } = evaluateActivation(proxy.activation, { reachable, now });
+      if (enabled === !!proxy.enabled) continue;
+
+      // The proxy may have been pinned or removed while probing
+      const current = this.getAutomatedProxies().find(p => p.id === proxy.id);
+      if (!current || current.activation.pinned) continue;
+
+      await this.proxyManager.updateProxy(proxy.id, { enabled });
+      changes.push({ timestamp: now.getTime(), proxyId: proxy.id, proxyName: proxy.name, enabled, reason });
+    }
+
+    if (changes.length > 0) {
+      this.onConfigurationChange();
+      await this.recordChanges(changes);
+    }
+    return changes;
+  }
+
+  /**
+   * Tells whether a host answers. Any HTTP response counts, whatever its
+   * status; probes connect directly, bypassing every proxy.
+   * @param {string} target - Hostname, host:port or http(s) URL
+   * @returns {Promise<boolean>} - True if the host answered in time
+   */
+  async probe(target) {
+    const probeUrl = buildActivationProbeUrl(target);
+    if (!probeUrl) {
+      return false;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ACTIVATION_DEFAULTS.timeoutMs);
+
+    try {
+      await fetch(probeUrl, {
+        method: 'HEAD',
+        cache: 'no-store',
+        credentials: 'omit',
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  loadLog() {
+    if (!this.loadPromise) {
+      this.loadPromise = browser.storage.local.get(this.storageKey)
+        .then(result => {
+          // Keep changes recorded while storage was loading
+          this.log = [...this.log, ...(result[this.storageKey] || [])];
+        })
+        .catch(error => {
+          console.error('[ProxyActivationManager] Failed to load activation log:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Logs automatic changes and announces them
+   * @param {Array<Object>} changes - Log entries, in the order they were made
+   */
+  async recordChanges(changes) {
+    await this.loadLog();
+
+    this.log = [...[...changes].reverse(), ...this.log].slice(0, ACTIVATION_DEFAULTS.logSize);
+    try {
+      await browser.storage.local.set({ [this.storageKey]: this.log });
+    } catch (error) {
+      console.error('[ProxyActivationManager] Failed to save activation log:', error);
+    }
+
+    changes.forEach(change => this.notify(change));
+
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.ACTIVATION_LOG_UPDATED,
+      log: this.log
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+  }
+
+  /**
+   * Shows a notification for an automatic change
+   * @param {Object} change - Log entry
+   */
+  notify(change) {
+    browser.notifications.create(`proxy-activation-${change.proxyId}`, {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon128-light.png'),
+      title: `Proxy "${change.proxyName}" ${change.enabled ? 'enabled' : 'disabled'}`,
+      message: `Automatically, because ${change.reason}`
+    }).catch(() => {
+      // Notifications are optional, the change is logged either way
+    });
+  }
+
+  /**
+   * Returns the logged automatic changes
+   * @returns {Promise<Array<Object>>} - Log entries, newest first
+   */
+  async getLog() {
+    await this.loadLog();
+    return this.log.slice();
+  }
+
+  /**
+   * Pins a proxy that was toggled by hand, so automation leaves it alone
+   * @param {string} proxyId - The toggled proxy
+   * @returns {Object|undefined} - Activation updates to save with the toggle, if the proxy is automated
+   */
+  getPinUpdate(proxyId) {
+    const proxy = this.getAutomatedProxies().find(p => p.id === proxyId);
+    if (!proxy || proxy.activation.pinned) {
+      return undefined;
+    }
+    return { ...proxy.activation, pinned: true };
+  }
+
+  /**
+   * Hands a pinned proxy back to automation and applies its conditions now
+   * @param {string} proxyId - The pinned proxy
+   * @returns {Promise<Object|null>} - The updated proxy, or null if it has no activation conditions
+   */
+  async resume(proxyId) {
+    const proxy = this.getAutomatedProxies().find(p => p.id === proxyId);
+    if (!proxy) {
+      return null;
+    }
+
+    const updated = await this.proxyManager.updateProxy(proxyId, {
+      activation: { ...proxy.activation, pinned: false }
+    });
+    this.onConfigurationChange();
+    await this.evaluateAll();
+    return updated;
+  }
+
+  /**
+   * Follows added or removed activation conditions and applies changed ones
+   */
+  handleConfigurationUpdate() {
+    if (!this.isStarted) return;
+
+    this.schedule();
+    this.evaluateAll();
+  }
+}
+
+export default ProxyActivationManager;
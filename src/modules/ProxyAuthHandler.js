@@ -0,0 +1,298 @@
+import * as browser from 'webextension-polyfill';
+import browserCapabilities from '../utils/feature-detection.js';
+import eventManager from './EventManager.js';
+import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers.js';
+import { MESSAGE_ACTIONS } from '../common/constants.js';
+
+/**
+ * ProxyAuthHandler answers proxy authentication challenges (HTTP 407)
+ * with the credentials of the proxy that ProxyManager selected for the request.
+ * Chrome cannot carry credentials in a PAC script, so this is the only way
+ * authenticated HTTP/HTTPS proxies work there.
+ *
+ * Retry and loop protection:
+ * - Each request may receive credentials at most `maxAttemptsPerRequest` times
+ * - Once a proxy is known to reject its credentials, further challenges are
+ *   cancelled until the credentials change or a request succeeds; one request
+ *   is let through every `failureRetryMs` in case the proxy accepts them again
+ */
+class ProxyAuthHandler {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+
+    this.maxAttemptsPerRequest = options.maxAttemptsPerRequest || 2;
+    this.attemptRetentionMs = options.attemptRetentionMs || 60000;
+    this.failureRetryMs = options.failureRetryMs || 60000;
+
+    // requestId -> { proxyId, attempts, timestamp }
+    this.requestAttempts = new Map();
+    // proxyId -> { proxyId, proxyName, message, timestamp, credentialsKey, retryAt }
+    this.authFailures = new Map();
+
+    this.isRegistered = false;
+    this.boundHandleAuthRequired = this.onAuthRequiredListener.bind(this);
+    this.boundHandleRequestCompleted = this.handleRequestCompleted.bind(this);
+    this.boundHandleRequestError = this.handleRequestError.bind(this);
+  }
+
+  register() {
+    if (this.isRegistered || !browserCapabilities.webRequest.hasOnAuthRequired) {
+      return false;
+    }
+
+    // Firefox accepts a (promise or plain) blocking response, Chrome MV3
+    // only allows credentials through the asyncBlocking callback
+    const extraInfoSpec = browserCapabilities.browser.isFirefox ? ['blocking'] : ['asyncBlocking'];
+
+    try {
+      browser.webRequest.onAuthRequired.addListener(
+        this.boundHandleAuthRequired,
+        { urls: ["<all_urls>"] },
+        extraInfoSpec
+      );
+    } catch (error) {
+      handleError(
+        "Failed to register proxy authentication listener",
+        ErrorTypes.BROWSER_API,
+        ErrorSeverity.ERROR,
+        error
+      );
+      return false;
+    }
+
+    eventManager.addWebRequestListener('onCompleted', 'proxy_auth_completed', this.boundHandleRequestCompleted);
+    eventManager.addWebRequestListener('onErrorOccurred', 'proxy_auth_error', this.boundHandleRequestError);
+
+    this.isRegistered = true;
+    return true;
+  }
+
+  unregister() {
+    if (!this.isRegistered) return;
+
+    try {
+      browser.webRequest.onAuthRequired.removeListener(this.boundHandleAuthRequired);
+    } catch (error) {
+      console.error('[ProxyAuthHandler] Error removing onAuthRequired listener:', error);
+    }
+
+    eventManager.removeWebRequestListener('onCompleted', 'proxy_auth_completed');
+    eventManager.removeWebRequestListener('onErrorOccurred', 'proxy_auth_error');
+
+    this.requestAttempts.clear();
+    this.isRegistered = false;
+  }
+
+  onAuthRequiredListener(details, asyncCallback) {
+    const response = this.handleAuthRequired(details);
+
+    if (typeof asyncCallback === 'function') {
+      asyncCallback(response);
+      return undefined;
+    }
+
+    return response;
+  }
+
+  /**
+   * Builds the blocking response for an authentication challenge
+   * @param {Object} details - webRequest.onAuthRequired details
+   * @returns {Object} BlockingResponse - credentials, cancel, or empty (browser default)
+   */
+  handleAuthRequired(details) {
+    // Site (non-proxy) authentication is left to the browser
+    if (!details || !details.isProxy) {
+      return {};
+    }
+
+    const proxy = this.findProxyForChallenge(details);
+
+    if (!proxy || !proxy.auth?.username || !proxy.auth?.password) {
+      return {};
+    }
+
+    const credentialsKey = this.getCredentialsKey(proxy);
+    const knownFailure = this.authFailures.get(proxy.id);
+
+    if (knownFailure && knownFailure.credentialsKey === credentialsKey) {
+      // Credentials already rejected - do not keep re-sending them
+      if (Date.now() < knownFailure.retryAt) {
+        return { cancel: true };
+      }
+      // Until it fails again, the next retry waits for this one
+      knownFailure.retryAt = Date.now() + this.failureRetryMs;
+    }
+
+    const entry = this.requestAttempts.get(details.requestId) || {
+      proxyId: proxy.id,
+      attempts: 0,
+      timestamp: Date.now()
+    };
+
+    if (entry.attempts >= this.maxAttemptsPerRequest) {
+      this.requestAttempts.delete(details.requestId);
+      this.recordAuthFailure(proxy, details);
+      return { cancel: true };
+    }
+
+    entry.attempts++;
+    entry.proxyId = proxy.id;
+    entry.timestamp = Date.now();
+    this.requestAttempts.set(details.requestId, entry);
+    this.pruneRequestAttempts();
+
+    return {
+      authCredentials: {
+        username: proxy.auth.username,
+        password: proxy.auth.password
+      }
+    };
+  }
+
+  /**
+   * Finds the configured proxy behind an authentication challenge.
+   * Prefers the proxy ProxyManager selected for the request URL, and falls back
+   * to matching the challenger address against all enabled proxies.
+   * @param {Object} details - webRequest.onAuthRequired details
+   * @returns {Object|null} The proxy configuration or null
+   */
+  findProxyForChallenge(details) {
+    if (!this.proxyManager) return null;
+
+    const challenger = details.challenger || null;
+    const matchesChallenger = (proxy) => !challenger || (
+      String(proxy.host).toLowerCase() === String(challenger.host).toLowerCase() &&
+      parseInt(proxy.port, 10) === parseInt(challenger.port, 10)
+    );
+
+    if (details.url) {
+      const selectedProxy = this.proxyManager.resolveProxyForRequest(details.url, details.cookieStoreId || null);
+      if (selectedProxy && matchesChallenger(selectedProxy)) {
+        return selectedProxy;
+      }
+    }
+
+    if (!challenger) return null;
+
+    const candidates = (this.proxyManager.enabledProxies || [])
+      .filter(proxy => matchesChallenger(proxy))
+      .sort((a, b) => a.priority - b.priority);
+
+    return candidates[0] || null;
+  }
+
+  getCredentialsKey(proxy) {
+    return `${proxy.auth?.username || ''}:${proxy.auth?.password || ''}`;
+  }
+
+  recordAuthFailure(proxy, details) {
+    const alreadyReported = this.authFailures.has(proxy.id);
+    const failure = {
+      proxyId: proxy.id,
+      proxyName: proxy.name,
+      message: `Proxy "${proxy.name}" rejected the username or password`,
+      timestamp: Date.now(),
+      credentialsKey: this.getCredentialsKey(proxy),
+      retryAt: Date.now() + this.failureRetryMs
+    };
+
+    this.authFailures.set(proxy.id, failure);
+
+    if (alreadyReported) return;
+
+    handleError(
+      `Authentication failed for proxy "${proxy.name}". Check the username and password.`,
+      ErrorTypes.AUTHENTICATION,
+      ErrorSeverity.ERROR,
+      null,
+      {
+        notify: true,
+        updateUI: true,
+        data: {
+          proxyId: proxy.id,
+          challenger: details.challenger
+        }
+      }
+    );
+
+    this.broadcastStatus();
+  }
+
+  clearAuthFailure(proxyId) {
+    if (this.authFailures.delete(proxyId)) {
+      this.broadcastStatus();
+    }
+  }
+
+  handleRequestCompleted(details) {
+    const entry = this.requestAttempts.get(details.requestId);
+    if (!entry) return;
+
+    this.requestAttempts.delete(details.requestId);
+    // The proxy accepted the credentials we supplied
+    this.clearAuthFailure(entry.proxyId);
+  }
+
+  handleRequestError(details) {
+    this.requestAttempts.delete(details.requestId);
+  }
+
+  /**
+   * Drops failure state for proxies whose credentials changed or that were removed
+   * @param {Array} proxies - The updated proxy list
+   */
+  handleConfigurationUpdate(proxies = []) {
+    let changed = false;
+
+    for (const [proxyId, failure] of this.authFailures) {
+      const proxy = proxies.find(p => p.id === proxyId);
+      if (!proxy || this.getCredentialsKey(proxy) !== failure.credentialsKey) {
+        this.authFailures.delete(proxyId);
+        changed = true;
+      }
+    }
+
+    this.requestAttempts.clear();
+
+    if (changed) {
+      this.broadcastStatus();
+    }
+  }
+
+  pruneRequestAttempts() {
+    const cutoff = Date.now() - this.attemptRetentionMs;
+    for (const [requestId, entry] of this.requestAttempts) {
+      if (entry.timestamp < cutoff) {
+        this.requestAttempts.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Returns the authentication failure state keyed by proxy ID
+   * @returns {Object<string, {proxyId: string, proxyName: string, message: string, timestamp: number}>}
+   */
+  getAuthStatus() {
+    const failures = {};
+    for (const [proxyId, failure] of this.authFailures) {
+      failures[proxyId] = {
+        proxyId: failure.proxyId,
+        proxyName: failure.proxyName,
+        message: failure.message,
+        timestamp: failure.timestamp
+      };
+    }
+    return failures;
+  }
+
+  broadcastStatus() {
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.PROXY_AUTH_STATUS_UPDATED,
+      failures: this.getAuthStatus()
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+  }
+}
+
+export default ProxyAuthHandler;
@@ -0,0 +1,295 @@
+import * as browser from 'webextension-polyfill';
+import eventManager from './EventManager.js';
+import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers.js';
+import {
+  getHealthCheckSettings,
+  buildHealthCheckUrl,
+  getHealthCheckProxyId,
+  summarizeHealthHistory
+} from '../utils/health-check.js';
+import { MESSAGE_ACTIONS, ALARMS, HEALTH_CHECK_HISTORY_SIZE, PAC_PROXY_TYPE, DIRECT_PROBE_ID } from '../common/constants.js';
+
+/**
+ * ProxyHealthChecker probes enabled proxies by requesting the configured check URL
+ * through each of them, and keeps a bounded history of latency, success and
+ * failure reason per proxy. Probes are routed by ProxyManager (PAC script on
+ * Chrome, proxy.onRequest on Firefox) based on a query parameter naming the proxy.
+ */
+class ProxyHealthChecker {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+    this.historySize = options.historySize || HEALTH_CHECK_HISTORY_SIZE;
+    this.storageKey = 'proxyHealth';
+
+    // proxyId -> [{ timestamp, success, latency, error }], oldest first
+    this.history = {};
+    // proxyId -> pending probe promise
+    this.inFlight = new Map();
+    // probe URL -> network error reported by webRequest
+    this.probeErrors = new Map();
+
+    this.isStarted = false;
+    this.loadPromise = null;
+    this.scheduleKey = null;
+
+    this.boundHandleAlarm = (alarm) => {
+      if (alarm.name === ALARMS.PROXY_HEALTH_CHECK) {
+        this.checkAllProxies();
+      }
+    };
+    this.boundHandleRequestError = this.handleRequestError.bind(this);
+  }
+
+  async start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    eventManager.addEventListener(
+      'alarm',
+      'proxy_health_alarms',
+      browser.alarms,
+      'onAlarm',
+      this.boundHandleAlarm
+    );
+    eventManager.addWebRequestListener('onErrorOccurred', 'proxy_health_error', this.boundHandleRequestError);
+
+    await this.loadHistory();
+    this.schedule(true);
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    eventManager.removeEventListener('alarm', 'proxy_health_alarms');
+    eventManager.removeWebRequestListener('onErrorOccurred', 'proxy_health_error');
+    browser.alarms.clear(ALARMS.PROXY_HEALTH_CHECK);
+
+    this.scheduleKey = null;
+    this.isStarted = false;
+  }
+
+  getSettings() {
+    return getHealthCheckSettings(this.proxyManager?.config?.healthCheck);
+  }
+
+  /**
+   * (Re)creates the periodic check alarm when the schedule settings changed
+   * @param {boolean} [force=false] - Recreate the alarm even if unchanged
+   */
+  schedule(force = false) {
+    const settings = this.getSettings();
+    const scheduleKey = `${settings.enabled}:${settings.intervalMinutes}`;
+
+    if (!force && scheduleKey === this.scheduleKey) return;
+    this.scheduleKey = scheduleKey;
+
+    browser.alarms.clear(ALARMS.PROXY_HEALTH_CHECK);
+
+    if (settings.enabled) {
+      browser.alarms.create(ALARMS.PROXY_HEALTH_CHECK, {
+        delayInMinutes: 1,
+        periodInMinutes: settings.intervalMinutes
+      });
+    }
+  }
+
+  loadHistory() {
+    if (!this.loadPromise) {
+      this.loadPromise = browser.storage.local.get(this.storageKey)
+        .then(result => {
+          const stored = result[this.storageKey] || {};
+          // Keep results recorded while storage was loading
+          this.history = { ...stored, ...this.history };
+        })
+        .catch(error => {
+          console.error('[ProxyHealthChecker] Failed to load health history:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  async saveHistory() {
+    try {
+      await browser.storage.local.set({ [this.storageKey]: this.history });
+    } catch (error) {
+      console.error('[ProxyHealthChecker] Failed to save health history:', error);
+    }
+  }
+
+  /**
+   * Enabled proxies that can be probed; PAC URL proxies pick their proxies per request
+   * @returns {Array<Object>}
+   */
+  getCheckableProxies() {
+    return (this.proxyManager?.enabledProxies || []).filter(proxy => proxy.proxyType !== PAC_PROXY_TYPE);
+  }
+
+  /**
+   * Probes every enabled proxy
+   * @returns {Promise<Object>} - Health status keyed by proxy ID
+   */
+  async checkAllProxies() {
+    const proxies = this.getCheckableProxies();
+
+    // Probe sequentially to avoid a burst of parallel requests
+    for (const proxy of proxies) {
+      await this.checkProxy(proxy.id);
+    }
+
+    return this.getHealthStatus();
+  }
+
+  /**
+   * Probes a single proxy, joining a probe that is already running
+   * @param {string} proxyId - The proxy to check
+   * @returns {Promise<Object|null>} - The recorded result, or null if the proxy is not enabled or cannot be probed
+   */
+  checkProxy(proxyId) {
+    if (this.inFlight.has(proxyId)) {
+      return this.inFlight.get(proxyId);
+    }
+
+    const proxy = this.getCheckableProxies().find(p => p.id === proxyId);
+    if (!proxy) {
+      return Promise.resolve(null);
+    }
+
+    const probe = this.probeProxy(proxy)
+      .then(result => this.recordResult(proxyId, result))
+      .finally(() => {
+        this.inFlight.delete(proxyId);
+      });
+
+    this.inFlight.set(proxyId, probe);
+    return probe;
+  }
+
+  async probeProxy(proxy) {
+    const settings = this.getSettings();
+    const startedAt = Date.now();
+
+    let probeUrl;
+    try {
+      probeUrl = buildHealthCheckUrl(settings.checkUrl, proxy.id);
+    } catch (error) {
+      return { timestamp: startedAt, success: false, latency: null, error: 'Invalid check URL' };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    try {
+      const response = await fetch(probeUrl, {
+        cache: 'no-store',
+        credentials: 'omit',
+        // Redirect targets lose the probe parameter and would not be pinned to the proxy
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      const latency = Date.now() - startedAt;
+
+      if (response.ok || response.type === 'opaqueredirect') {
+        return { timestamp: startedAt, success: true, latency, error: null };
+      }
+
+      return {
+        timestamp: startedAt,
+        success: false,
+        latency: null,
+        error: response.status === 407 ? 'Proxy authentication required' : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      const networkError = this.probeErrors.get(probeUrl);
+      let reason = networkError || error.message || 'Request failed';
+      if (error.name === 'AbortError') {
+        reason = `Timed out after ${settings.timeoutMs} ms`;
+      }
+      return { timestamp: startedAt, success: false, latency: null, error: reason };
+    } finally {
+      clearTimeout(timeoutId);
+      this.probeErrors.delete(probeUrl);
+    }
+  }
+
+  handleRequestError(details) {
+    const probeProxyId = details && getHealthCheckProxyId(details.url);
+    if (probeProxyId && probeProxyId !== DIRECT_PROBE_ID && details.error) {
+      this.probeErrors.set(details.url, details.error);
+    }
+  }
+
+  async recordResult(proxyId, result) {
+    await this.loadHistory();
+
+    const history = this.history[proxyId] || [];
+    history.push(result);
+    this.history[proxyId] = history.slice(-this.historySize);
+
+    if (!result.success) {
+      const proxy = (this.proxyManager?.enabledProxies || []).find(p => p.id === proxyId);
+      handleError(
+        `Health check failed for proxy "${proxy?.name || proxyId}": ${result.error}`,
+        ErrorTypes.NETWORK,
+        ErrorSeverity.WARNING,
+        null,
+        { data: { proxyId, error: result.error } }
+      );
+    }
+
+    await this.saveHistory();
+    this.broadcastStatus();
+
+    return result;
+  }
+
+  /**
+   * Drops history for proxies that were removed and reschedules checks
+   * @param {Array} proxies - The updated proxy list
+   */
+  handleConfigurationUpdate(proxies = []) {
+    const proxyIds = new Set(proxies.map(proxy => proxy.id));
+    let changed = false;
+
+    Object.keys(this.history).forEach(proxyId => {
+      if (!proxyIds.has(proxyId)) {
+        delete this.history[proxyId];
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.saveHistory();
+      this.broadcastStatus();
+    }
+
+    if (this.isStarted) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Returns the summarized health of every proxy with recorded checks
+   * @returns {Object<string, {status: string, lastChecked: number|null, latency: number|null, error: string|null, successRate: number|null, averageLatency: number|null, history: Array}>}
+   */
+  getHealthStatus() {
+    const status = {};
+    Object.entries(this.history).forEach(([proxyId, history]) => {
+      status[proxyId] = {
+        ...summarizeHealthHistory(history),
+        history: history.slice()
+      };
+    });
+    return status;
+  }
+
+  broadcastStatus() {
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.PROXY_HEALTH_UPDATED,
+      health: this.getHealthStatus()
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+  }
+}
+
+export default ProxyHealthChecker;
@@ -3,6 +3,63 @@ import browserCapabilities from '../utils/feature-detection.js';
 import { setupProxyRequestListener, applyProxySettings, disableProxy as disableProxyHelpers } from '../utils/proxy-helpers.js';
 import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers.js';
 import { createPriorityColorMap } from '../utils/priority-color.js';
+import { getHealthCheckProxyId } from '../utils/health-check.js';
+import {
+  normalizePattern,
+  getPatternRegexSource,
+  getPacVisibleUrl,
+  createRequestContext,
+  matchesPatternList,
+  getRoutingPatterns,
+  getExcludePatterns
+} from './PatternMatcher.js';
+import { parseCidr, formatIpv4Network, getIpv4Netmask } from '../utils/cidr.js';
+import { compilePacScript } from '../utils/pac-interpreter.js';
+import { parsePacProxyList } from '../utils/pac-import.js';
+import { parsePacSample } from '../utils/pac-evaluator.js';
+import { mergeSubscriptionState } from '../utils/rule-lists.js';
+import { applyProfileToConfig } from '../utils/profiles.js';
+import { getOverrideOrigin, getOriginOverrides } from '../utils/tab-overrides.js';
+import { HEALTH_CHECK_PROBE_PARAM, DIRECT_PROBE_ID, ALARMS, PROXY_FAILURE_ERRORS, PROXY_DEMOTION, PATTERN_TARGETS, PATTERN_TYPES, DEFAULT_PORTS, MAX_PROXIES, PAC_PROXY_TYPE, ROUTING_MATCH_TYPES } from '../common/constants.js';
+
+// Globals of the generated PAC script, hidden from the scripts of PAC URL proxies
+const REMOTE_PAC_SHADOWED_NAMES = [
+  'proxyConfigurations', 'bypassPatterns', 'healthCheckProxies', 'originOverrides', 'remotePacScripts',
+  'remotePacFunctions', 'probeParamRegex', 'urlPartsRegex', 'ipv4Regex', 'defaultPorts', 'cacheByUrl', 'regexCache', 'lruCache',
+  'getRegex', 'testPatternMatch', 'getRequestParts', 'getHostAddresses', 'matchesCidr', 'matchesPattern',
+  'matchesAnyPattern', 'getRemotePacFunction', 'callRemotePac', 'findProxyForRequest', 'findOwnValue', 'findHealthCheckProxy',
+  'findOriginOverride', 'FindProxyForURL', 'FindProxyForURLEx'
+];
+
+/**
+ * Writes proxyInfo the way a PAC script returns it, e.g. "SOCKS5 host:1080; DIRECT"
+ * @param {Object|Array<Object>} proxyInfo - proxyInfo or proxyInfo array
+ * @returns {string} - PAC proxy list
+ */
+function formatProxyInfoForPac(proxyInfo) {
+  return [].concat(proxyInfo).map(info => {
+    switch (info.type) {
+      case 'direct':
+        return 'DIRECT';
+      case 'socks':
+        return `SOCKS5 ${info.host}:${info.port}`;
+      case 'socks4':
+        return `SOCKS4 ${info.host}:${info.port}`;
+      default:
+        return `PROXY ${info.host}:${info.port}`;
+    }
+  }).join('; ');
+}
+
+// PAC results compare equal whatever the spacing around their separators
+function normalizePacResult(result) {
+  return result.split(';').map(entry => entry.trim().replace(/\s+/g, ' ')).filter(Boolean).join('; ');
+}
+
+// Host argument of FindProxyForURL: IPv6 literals come without brackets
+function getPacHost(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
 
 /**
  * ProxyManager class manages proxy configurations and routing
@@ -13,11 +70,24 @@ class ProxyManager {
     this.tabManager = options.tabManager;
     this.patternMatcher = options.patternMatcher;
     this.trafficMonitor = options.trafficMonitor;
+    this.routingLog = options.routingLog || null;
     
     this.config = null;
     this.enabledProxies = [];
     this.pacScript = '';
     
+    // proxyId -> { failures: [timestamps], demotedUntil }
+    this.proxyFailures = new Map();
+    
+    // proxyId -> script of PAC URL proxies, kept by RemotePacManager
+    this.remotePacScripts = {};
+    // proxyId -> compiled FindProxyForURL, or null if the script failed to load (Firefox)
+    this.remotePacResolvers = new Map();
+    
+    // tabId -> temporary override kept by TabManager: { proxyId, scope, origin, windowId, createdAt },
+    // a null proxyId connects directly
+    this.tabOverrides = new Map();
+    
     this.onError = options.onError || (() => {});
     
     this.isBrowserProxy = false;
@@ -27,7 +97,13 @@ class ProxyManager {
     this.init();
   }
   
-  findContainerProxy(cookieStoreId) {
+  /**
+   * Finds the highest priority container proxy for a container
+   * @param {string} cookieStoreId - Container of the request
+   * @param {string} [request] - Request URL or hostname, to apply the proxies' exclusions
+   * @returns {Object|null} - The container proxy or null
+   */
+  findContainerProxy(cookieStoreId, request = null) {
     if (!this.hasContainerSupport || !cookieStoreId || !this.enabledProxies || this.enabledProxies.length === 0) {
       return null;
     }
@@ -37,7 +113,8 @@ class ProxyManager {
       proxy.routingConfig &&
       proxy.routingConfig.useContainerMode &&
       proxy.routingConfig.containers &&
-      proxy.routingConfig.containers.includes(cookieStoreId)
+      proxy.routingConfig.containers.includes(cookieStoreId) &&
+      !this.isExcludedFromProxy(proxy, request)
     );
     
     if (matchingProxies.length === 0) {
@@ -116,7 +193,8 @@ class ProxyManager {
     const defaultConfig = {
       version: 2,
       proxies: [],
-      proxyEnabled: true
+      proxyEnabled: true,
+      bypassPatterns: []
     };
     
     return defaultConfig;
@@ -153,11 +231,14 @@ class ProxyManager {
   async updateConfig(newConfig) {
     // Make sure we preserve individual proxy enabled states 
     if (newConfig && newConfig.proxies && Array.isArray(newConfig.proxies)) {
-      // Enforce proxy limit - maximum 10 proxies
-      if (newConfig.proxies.length > 10) {
-        throw new Error('Maximum of 10 proxies are allowed');
+      // Enforce proxy limit
+      if (newConfig.proxies.length > MAX_PROXIES) {
+        throw new Error(`Maximum of ${MAX_PROXIES} proxies are allowed`);
       }
       
+      // Pages that saved a stale copy do not undo rule list updates made since
+      const currentById = new Map((this.config?.proxies || []).map(proxy => [proxy.id, proxy]));
+      
       this.config = { 
         ...newConfig,
         proxies: newConfig.proxies.map(proxy => ({ 
@@ -165,7 +246,13 @@ class ProxyManager {
           routingConfig: proxy.routingConfig ? { 
             ...proxy.routingConfig,
             patterns: [...(proxy.routingConfig.patterns || [])],
-            containers: [...(proxy.routingConfig.containers || [])]
+            containers: [...(proxy.routingConfig.containers || [])],
+            ...(proxy.routingConfig.subscription ? {
+              subscription: mergeSubscriptionState(
+                proxy.routingConfig.subscription,
+                currentById.get(proxy.id)?.routingConfig?.subscription
+              )
+            } : {})
           } : undefined
         }))
       };
@@ -176,6 +263,9 @@ class ProxyManager {
       // Calculate colors for the updated configuration
       this.updateProxyColors();
       
+      // Edited proxies get a fresh start in failover ordering
+      this.proxyFailures.clear();
+      
       // Update the enabledProxies array to match the new config
       this.enabledProxies = this.config.proxies.filter(proxy => proxy.enabled);
       
@@ -189,6 +279,23 @@ class ProxyManager {
     return this.config;
   }
   
+  /**
+   * Applies a routing profile: the enabled flags, priorities and, if the
+   * profile stores them, the patterns of its proxies are replaced in a single
+   * configuration update
+   * @param {string} profileId - The profile to apply
+   * @returns {Promise<Object>} - The updated configuration
+   * @throws {Error} - If the profile does not exist
+   */
+  async applyProfile(profileId) {
+    const profile = (this.config.profiles || []).find(p => p.id === profileId);
+    if (!profile) {
+      throw new Error(`Profile with ID ${profileId} not found`);
+    }
+    
+    return this.updateConfig(applyProfileToConfig(this.config, profile));
+  }
+  
   async enable() {
     this.config.proxyEnabled = true;
     // Add defensive check
@@ -266,25 +373,41 @@ class ProxyManager {
   
   
   
-  resolveProxyForRequest(hostname, cookieStoreId = null, options = {}) {
-    if (!this.config.proxyEnabled || this.enabledProxies.length === 0 || !hostname) {
+  /**
+   * Selects the proxy for a request
+   * @param {string} request - Request URL, or a bare hostname when only the host is known
+   * @param {string|null} [cookieStoreId=null] - Container of the request
+   * @param {Object} [options]
+   * @param {boolean} [options.returnAllMatches=false] - Return every matching proxy as well
+   * @returns {Object|null} - The selected proxy, or { selectedProxy, allProxies, matchType }
+   */
+  resolveProxyForRequest(request, cookieStoreId = null, options = {}) {
+    if (!this.config.proxyEnabled || this.enabledProxies.length === 0 || !request) {
       return options.returnAllMatches ? { selectedProxy: null, allProxies: [] } : null;
     }
     
+    // Without proxy.onRequest routing happens in the PAC script, which only sees
+    // the scheme, host and port of https URLs
+    const routedRequest = this.hasProxyRequestListener ? request : getPacVisibleUrl(request);
+    
+    // The global bypass list always connects directly
+    if (this.isBypassed(routedRequest)) {
+      return options.returnAllMatches ? { selectedProxy: null, allProxies: [] } : null;
+    }
     
     const matchingProxies = [];
     const containerProxies = [];
     const patternProxies = [];
     
     if (cookieStoreId) {
-      const containerProxy = this.findContainerProxy(cookieStoreId);
+      const containerProxy = this.findContainerProxy(cookieStoreId, routedRequest);
       if (containerProxy) {
         matchingProxies.push(containerProxy);
         containerProxies.push(containerProxy);
       }
     }
     
-    const patternProxy = this.findProxyForHostname(hostname);
+    const patternProxy = this.findProxyForHostname(routedRequest);
     if (patternProxy) {
       if (!matchingProxies.some(p => p.id === patternProxy.id)) {
         matchingProxies.push(patternProxy);
@@ -300,7 +423,8 @@ class ProxyManager {
       if (cookieStoreId) {
         const containerMatches = enabledProxies.filter(proxy => 
           proxy.routingConfig?.useContainerMode && 
-          proxy.routingConfig?.containers?.includes(cookieStoreId)
+          proxy.routingConfig?.containers?.includes(cookieStoreId) &&
+          !this.isExcludedFromProxy(proxy, routedRequest)
         );
         // Add container matches that aren't already in the containerProxies array
         containerMatches.forEach(proxy => {
@@ -316,8 +440,8 @@ class ProxyManager {
           return false;
         }
         
-        return proxy.routingConfig?.patterns && 
-               this.patternMatcher.matchesAnyPattern(hostname, proxy.routingConfig.patterns);
+        return this.patternMatcher.matchesAnyPattern(routedRequest, getRoutingPatterns(proxy.routingConfig)) &&
+               !this.isExcludedFromProxy(proxy, routedRequest);
       });
       
       // Add pattern matches that aren't already in the patternProxies array
@@ -366,8 +490,35 @@ class ProxyManager {
   }
   
   handleProxyRequest(requestInfo) {
+    const decision = this.routeRequest(requestInfo);
+    
+    // Record proxy selection for traffic tracking
+    if (decision.proxy && decision.matchType !== ROUTING_MATCH_TYPES.PROBE &&
+        this.trafficMonitor?.proxyTrafficTracker && requestInfo.requestId) {
+      this.trafficMonitor.proxyTrafficTracker.recordProxyForRequest(
+        requestInfo.requestId,
+        decision.proxy.id
+      );
+    }
+    
+    if (this.routingLog) {
+      this.routingLog.recordDecision(requestInfo, this.describeRouting(requestInfo, decision));
+    }
+    
+    return decision.proxyInfo;
+  }
+  
+  /**
+   * Decides how a request is routed, the way proxy.onRequest does on Firefox
+   * @param {Object} requestInfo - Request details: url, and optionally tabId, type and cookieStoreId
+   * @returns {{proxyInfo: Object|Array<Object>, proxy: Object|null, matchType: string}} - The
+   *          proxyInfo to return, the proxy that routes the request and why
+   */
+  routeRequest(requestInfo) {
+    const direct = { proxyInfo: { type: "direct" }, proxy: null, matchType: ROUTING_MATCH_TYPES.NONE };
+    
     if (!this.config.proxyEnabled || this.enabledProxies.length === 0) {
-      return { type: "direct" };
+      return direct;
     }
     
     let url;
@@ -381,48 +532,466 @@ class ProxyManager {
         e,
         { data: { requestUrl: requestInfo.url } }
       );
-      return { type: "direct" };
+      return direct;
     }
     
     
-    const hostname = url.hostname.toLowerCase();
+    // Health check probes are pinned to the proxy they test, activation probes connect directly
+    const probeProxyId = getHealthCheckProxyId(url);
+    if (probeProxyId === DIRECT_PROBE_ID) {
+      return { ...direct, matchType: ROUTING_MATCH_TYPES.PROBE };
+    }
+    if (probeProxyId) {
+      const probeProxy = this.enabledProxies.find(proxy => proxy.id === probeProxyId);
+      if (probeProxy && probeProxy.proxyType !== PAC_PROXY_TYPE) {
+        return { proxyInfo: this.buildProxyInfo(probeProxy), proxy: probeProxy, matchType: ROUTING_MATCH_TYPES.PROBE };
+      }
+    }
+    
+    // Temporary tab overrides beat every pattern, the bypass list included
+    const tabOverride = this.resolveTabOverride(requestInfo.tabId, requestInfo.url, requestInfo.type);
+    if (tabOverride) {
+      return tabOverride.proxy
+        ? { proxyInfo: this.buildProxyInfo(tabOverride.proxy), proxy: tabOverride.proxy, matchType: ROUTING_MATCH_TYPES.OVERRIDE }
+        : { ...direct, matchType: ROUTING_MATCH_TYPES.OVERRIDE };
+    }
+    
     const cookieStoreId = requestInfo.cookieStoreId;
     
-    const selectedProxy = this.resolveProxyForRequest(hostname, cookieStoreId);
+    let selectedProxy = this.resolveProxyForRequest(requestInfo.url, cookieStoreId);
     
-    // Record proxy selection for traffic tracking
-    if (selectedProxy && this.trafficMonitor?.proxyTrafficTracker && requestInfo.requestId) {
-      this.trafficMonitor.proxyTrafficTracker.recordProxyForRequest(
-        requestInfo.requestId,
-        selectedProxy.id
-      );
+    // PAC URL proxies that answer DIRECT pass the request on to lower priority proxies
+    if (selectedProxy && selectedProxy.proxyType === PAC_PROXY_TYPE) {
+      const { allProxies } = this.resolveProxyForRequest(requestInfo.url, cookieStoreId, { returnAllMatches: true });
+      selectedProxy = null;
+      for (const proxy of allProxies) {
+        const proxyInfo = proxy.proxyType === PAC_PROXY_TYPE ? this.evaluateRemotePac(proxy, url) : null;
+        if (proxyInfo) {
+          return { proxyInfo, proxy, matchType: ROUTING_MATCH_TYPES.PAC };
+        }
+        if (proxy.proxyType !== PAC_PROXY_TYPE) {
+          selectedProxy = proxy;
+          break;
+        }
+      }
     }
     
     if (selectedProxy) {
-      const proxyType = selectedProxy.proxyType || 'socks5';
-      const proxyInfo = {
-        type: proxyType === 'socks5' ? 'socks' : (proxyType === 'https' ? 'http' : proxyType),
-        host: selectedProxy.host,
-        port: parseInt(selectedProxy.port, 10),
-        proxyDNS: proxyType.startsWith('socks')
+      return {
+        proxyInfo: this.buildProxyInfoChain(selectedProxy),
+        proxy: selectedProxy,
+        matchType: selectedProxy.routingConfig?.useContainerMode ? ROUTING_MATCH_TYPES.CONTAINER : ROUTING_MATCH_TYPES.PATTERN
       };
+    }
+    
+    return direct;
+  }
+  
+  /**
+   * Explains a routing decision for the routing log: the proxies whose rules
+   * match the request, the one that routes it and the pattern that matched
+   * @param {Object} requestInfo - Request details: url, and optionally tabId, type and cookieStoreId
+   * @param {Object} [decision] - Result of routeRequest, decided now if omitted
+   * @returns {{candidates: Array<{id: string, name: string}>, proxyId: string|null, proxyName: string|null,
+   *           pattern: string|Object|null, matchType: string}}
+   */
+  describeRouting(requestInfo, decision = this.routeRequest(requestInfo)) {
+    const { proxy } = decision;
+    let { matchType } = decision;
+    let candidates = [];
+    let pattern = null;
+    
+    const routesByRules = matchType !== ROUTING_MATCH_TYPES.PROBE && matchType !== ROUTING_MATCH_TYPES.OVERRIDE;
+    if (routesByRules && this.config?.proxyEnabled && createRequestContext(requestInfo.url)) {
+      const routedRequest = this.hasProxyRequestListener ? requestInfo.url : getPacVisibleUrl(requestInfo.url);
+      
+      if (!proxy && this.isBypassed(routedRequest)) {
+        matchType = ROUTING_MATCH_TYPES.BYPASS;
+        pattern = this.patternMatcher.findMatchingPattern(routedRequest, this.config.bypassPatterns);
+      } else {
+        const { allProxies } = this.resolveProxyForRequest(requestInfo.url, requestInfo.cookieStoreId, { returnAllMatches: true });
+        candidates = allProxies.map(candidate => ({ id: candidate.id, name: candidate.name }));
+        if (proxy && matchType !== ROUTING_MATCH_TYPES.CONTAINER) {
+          pattern = this.patternMatcher.findMatchingPattern(routedRequest, getRoutingPatterns(proxy.routingConfig));
+        }
+      }
+    }
+    
+    return {
+      candidates,
+      proxyId: proxy?.id || null,
+      proxyName: proxy?.name || null,
+      pattern,
+      matchType
+    };
+  }
+  
+  /**
+   * Explains how a URL is routed: which proxies' rules match it, which one wins
+   * by priority, and what the generated PAC script returns for it, so the
+   * request-level (Firefox) and PAC (Chrome) paths can be compared
+   * @param {string} input - URL, or a hostname taken as https
+   * @param {string|null} [cookieStoreId=null] - Container of the request
+   * @returns {Object} - The explanation, see docs/STORAGE_DATA_STRUCTURES.md
+   * @throws {Error} - If the input is not a URL or hostname
+   */
+  explainRouting(input, cookieStoreId = null) {
+    const args = parsePacSample(input || '');
+    if (!args) {
+      throw new Error('Enter a URL or a hostname');
+    }
+    
+    const { url } = args;
+    const pacUrl = getPacVisibleUrl(url);
+    const routedRequest = this.hasProxyRequestListener ? url : pacUrl;
+    const { selectedProxy, allProxies, matchType } = this.resolveProxyForRequest(url, cookieStoreId, { returnAllMatches: true });
+    const matchingIds = new Set(allProxies.map(proxy => proxy.id));
+    
+    const proxies = [...(this.config?.proxies || [])]
+      .sort((a, b) => a.priority - b.priority)
+      .map(proxy => {
+        const routingConfig = proxy.routingConfig || {};
+        const useContainerMode = !!routingConfig.useContainerMode;
+        return {
+          id: proxy.id,
+          name: proxy.name,
+          priority: proxy.priority,
+          enabled: !!proxy.enabled,
+          proxyType: proxy.proxyType || 'socks5',
+          useContainerMode,
+          inContainer: useContainerMode && !!cookieStoreId && (routingConfig.containers || []).includes(cookieStoreId),
+          pattern: useContainerMode ? null : this.patternMatcher.findMatchingPattern(routedRequest, getRoutingPatterns(routingConfig)),
+          excludedBy: this.patternMatcher.findMatchingPattern(routedRequest, getExcludePatterns(routingConfig)),
+          matches: matchingIds.has(proxy.id)
+        };
+      });
+    
+    const decision = this.routeRequest({ url, cookieStoreId });
+    const jsResult = formatProxyInfoForPac(decision.proxyInfo);
+    
+    const pac = { url: pacUrl, result: null, error: null };
+    try {
+      pac.result = this.compileComparisonPacScript()(pacUrl, getPacHost(pacUrl));
+    } catch (error) {
+      pac.error = error.message;
+    }
+    
+    return {
+      url,
+      cookieStoreId,
+      bypassPattern: this.config?.proxyEnabled
+        ? this.patternMatcher.findMatchingPattern(routedRequest, this.config.bypassPatterns)
+        : null,
+      proxies,
+      selectedProxyId: selectedProxy?.id || null,
+      selectedMatchType: matchType ?? null,
+      decision: {
+        proxyId: decision.proxy?.id || null,
+        proxyName: decision.proxy?.name || null,
+        matchType: decision.matchType,
+        result: jsResult
+      },
+      pac,
+      agrees: pac.result !== null && normalizePacResult(pac.result) === normalizePacResult(jsResult)
+    };
+  }
+  
+  /**
+   * Compiles the PAC script to compare the request-level routing with: the
+   * applied one on Chrome. Firefox routes without the PAC script, so it is
+   * generated for the comparison.
+   * @returns {function(string, string): string} - The script's FindProxyForURL
+   * @throws {Error} - If the script does not compile
+   */
+  compileComparisonPacScript() {
+    const script = this.hasProxyRequestListener || !this.pacScript ? this.generatePacScript() : this.pacScript;
+    return compilePacScript(script);
+  }
+  
+  /**
+   * Routes sample requests through both implementations of the routing rules,
+   * the request-level resolver and the PAC script, and reports the samples
+   * they route differently. Both see each sample as this browser's routing
+   * does, so https URLs lose their path and query on Chrome.
+   * @param {Array<string>} samples - URLs or bare hostnames, see getRoutingSamples
+   * @returns {{checked: number, divergences: Array<Object>, error: string|null}}
+   *          - see docs/STORAGE_DATA_STRUCTURES.md
+   */
+  checkRoutingConsistency(samples) {
+    let findProxy;
+    try {
+      findProxy = this.compileComparisonPacScript();
+    } catch (error) {
+      return { checked: 0, divergences: [], error: error.message };
+    }
+    
+    const divergences = [];
+    let checked = 0;
+    samples.forEach(sample => {
+      const args = parsePacSample(sample);
+      if (!args) return;
       
-      // Only set authentication for Firefox and supported proxy types
-      if (browserCapabilities.browser.isFirefox && selectedProxy.auth?.username && selectedProxy.auth?.password && proxyType !== 'socks4') {
-        if (proxyType === 'socks5' || proxyType === 'socks') {
-          // SOCKS authentication
-          proxyInfo.username = selectedProxy.auth.username;
-          proxyInfo.password = selectedProxy.auth.password;
-        } else if (proxyType === 'http' || proxyType === 'https') {
-          // HTTP/HTTPS Basic authentication
-          const credentials = btoa(`${selectedProxy.auth.username}:${selectedProxy.auth.password}`);
-          proxyInfo.proxyAuthorizationHeader = `Basic ${credentials}`;
+      const url = this.hasProxyRequestListener ? args.url : getPacVisibleUrl(args.url);
+      const decision = this.routeRequest({ url });
+      const requestResult = formatProxyInfoForPac(decision.proxyInfo);
+      let pacResult = null;
+      let error = null;
+      try {
+        pacResult = findProxy(url, getPacHost(url));
+      } catch (e) {
+        error = e.message;
+      }
+      checked++;
+      
+      if (typeof pacResult !== 'string' || normalizePacResult(pacResult) !== normalizePacResult(requestResult)) {
+        divergences.push({
+          url,
+          requestResult,
+          pacResult: typeof pacResult === 'string' ? pacResult : null,
+          error,
+          proxyId: decision.proxy?.id || null,
+          proxyName: decision.proxy?.name || null,
+          matchType: decision.matchType
+        });
+      }
+    });
+    
+    return { checked, divergences, error: null };
+  }
+  
+  /**
+   * Stores the temporary overrides of tabs. Chrome gets a new PAC script when
+   * the overridden origins changed.
+   * @param {Map<number, Object>} overrides - Override by tab ID
+   */
+  setTabOverrides(overrides) {
+    const previousOrigins = JSON.stringify(getOriginOverrides(this.tabOverrides.values()));
+    this.tabOverrides = new Map(overrides);
+    
+    if (!this.hasProxyRequestListener &&
+        JSON.stringify(getOriginOverrides(this.tabOverrides.values())) !== previousOrigins) {
+      this.reapplyPacScript();
+    }
+  }
+  
+  /**
+   * Finds the temporary override that routes a request. Firefox knows the tab
+   * of each request; PAC scripts only see URLs, so on Chrome an override
+   * routes every request to its tab's origin instead.
+   * @param {number} tabId - Tab of the request, -1 if none
+   * @param {string} url - Request URL
+   * @param {string} [type] - Request type; a main_frame request to another origin leaves the override
+   * @returns {{override: Object, proxy: Object|null}|null} - The override and its proxy (null connects directly)
+   */
+  resolveTabOverride(tabId, url, type) {
+    if (this.tabOverrides.size === 0) {
+      return null;
+    }
+    
+    const origin = getOverrideOrigin(url);
+    let override;
+    if (this.hasProxyRequestListener) {
+      override = this.tabOverrides.get(tabId);
+      if (override?.origin && type === 'main_frame' && origin !== override.origin) {
+        return null;
+      }
+    } else {
+      override = [...this.tabOverrides.values()]
+        .filter(candidate => candidate.origin && candidate.origin === origin)
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+    }
+    
+    if (!override) {
+      return null;
+    }
+    if (override.proxyId === null) {
+      return { override, proxy: null };
+    }
+    
+    // Overrides through proxies that are no longer enabled are ignored
+    const proxy = this.enabledProxies.find(p => p.id === override.proxyId && p.proxyType !== PAC_PROXY_TYPE);
+    return proxy ? { override, proxy } : null;
+  }
+  
+  /**
+   * Stores the scripts of PAC URL proxies and reapplies the proxy settings
+   * @param {Object<string, string>} scripts - PAC script by proxy ID
+   * @returns {Promise<void>}
+   */
+  async setRemotePacScripts(scripts) {
+    this.remotePacScripts = { ...scripts };
+    this.remotePacResolvers.clear();
+    
+    if (this.config?.proxyEnabled && this.enabledProxies.length > 0) {
+      await this.applyProxySettings();
+    }
+  }
+  
+  /**
+   * Returns the compiled FindProxyForURL of a PAC URL proxy, compiling it on first use
+   * @param {Object} proxy - The PAC URL proxy
+   * @returns {function(string, string): string|null} - The function, or null without a usable script
+   */
+  getRemotePacResolver(proxy) {
+    if (!this.remotePacResolvers.has(proxy.id)) {
+      const script = this.remotePacScripts[proxy.id];
+      let resolver = null;
+      if (script) {
+        try {
+          resolver = compilePacScript(script);
+        } catch (error) {
+          handleError(
+            `PAC script of proxy "${proxy.name}" could not be used: ${error.message}`,
+            ErrorTypes.PROXY_CONFIG,
+            ErrorSeverity.WARNING,
+            error,
+            { data: { proxyId: proxy.id } }
+          );
         }
       }
-      return proxyInfo;
+      this.remotePacResolvers.set(proxy.id, resolver);
+    }
+    return this.remotePacResolvers.get(proxy.id);
+  }
+  
+  /**
+   * Runs the script of a PAC URL proxy for a request (Firefox)
+   * @param {Object} proxy - The PAC URL proxy
+   * @param {URL} url - The request URL
+   * @returns {Object|Array<Object>|null} - proxyInfo for the proxies the script returned,
+   *          or null if it answered DIRECT, failed or has no script yet
+   */
+  evaluateRemotePac(proxy, url) {
+    const resolver = this.getRemotePacResolver(proxy);
+    if (!resolver) return null;
+    
+    let result;
+    try {
+      result = resolver(url.href, url.hostname.replace(/^\[(.*)\]$/, '$1'));
+    } catch (error) {
+      handleError(
+        `PAC script of proxy "${proxy.name}" failed for ${url.hostname}: ${error.message}`,
+        ErrorTypes.PROXY_CONFIG,
+        ErrorSeverity.WARNING,
+        error,
+        { data: { proxyId: proxy.id } }
+      );
+      return null;
+    }
+    
+    const { entries } = parsePacProxyList(result);
+    if (entries.length === 0 || entries[0].direct) {
+      return null;
+    }
+    
+    const proxyInfos = entries.map(entry => (entry.direct
+      ? { type: "direct" }
+      : this.buildProxyInfo({
+        proxyType: entry.proxyType,
+        host: entry.host,
+        port: entry.port,
+        auth: { username: entry.username, password: entry.password }
+      })));
+    return proxyInfos.length === 1 ? proxyInfos[0] : proxyInfos;
+  }
+  
+  /**
+   * Returns the proxies to try for a matched proxy: the proxy itself followed by
+   * its enabled fallbacks, with temporarily demoted proxies moved to the end
+   * @param {Object} proxy - The matched proxy
+   * @returns {{proxies: Array<Object>, fallbackToDirect: boolean}}
+   */
+  getFailoverChain(proxy) {
+    const failover = proxy.failover || {};
+    const chain = [proxy];
+    const seen = new Set([proxy.id]);
+    
+    (failover.fallbackProxyIds || []).forEach(proxyId => {
+      if (seen.has(proxyId)) return;
+      // PAC URL proxies choose their own proxies and cannot serve as fallbacks
+      const fallback = this.enabledProxies.find(p => p.id === proxyId && p.proxyType !== PAC_PROXY_TYPE);
+      if (fallback) {
+        seen.add(proxyId);
+        chain.push(fallback);
+      }
+    });
+    
+    const now = Date.now();
+    const available = chain.filter(p => !this.isProxyDemoted(p.id, now));
+    const demoted = chain.filter(p => this.isProxyDemoted(p.id, now));
+    
+    return {
+      proxies: [...available, ...demoted],
+      fallbackToDirect: !!failover.fallbackToDirect
+    };
+  }
+  
+  /**
+   * Builds the Firefox proxyInfo for a matched proxy, as an array when the
+   * proxy has fallbacks so Firefox fails over on its own
+   * @param {Object} proxy - The matched proxy
+   * @returns {Object|Array<Object>} - proxyInfo or proxyInfo array
+   */
+  buildProxyInfoChain(proxy) {
+    const { proxies, fallbackToDirect } = this.getFailoverChain(proxy);
+    
+    if (proxies.length === 1 && !fallbackToDirect) {
+      return this.buildProxyInfo(proxies[0]);
     }
     
-    return { type: "direct" };
+    const proxyInfos = proxies.map(p => this.buildProxyInfo(p));
+    if (fallbackToDirect) {
+      proxyInfos.push({ type: "direct" });
+    }
+    return proxyInfos;
+  }
+  
+  /**
+   * Converts a proxy configuration into a Firefox proxyInfo object
+   * @param {Object} proxy - The proxy configuration
+   * @returns {Object} - proxyInfo for proxy.onRequest
+   */
+  buildProxyInfo(proxy) {
+    const proxyType = proxy.proxyType || 'socks5';
+    const proxyInfo = {
+      type: proxyType === 'socks5' ? 'socks' : (proxyType === 'https' ? 'http' : proxyType),
+      host: proxy.host,
+      port: parseInt(proxy.port, 10),
+      proxyDNS: proxyType.startsWith('socks')
+    };
+    
+    // Only set authentication for Firefox and supported proxy types
+    if (browserCapabilities.browser.isFirefox && proxy.auth?.username && proxy.auth?.password && proxyType !== 'socks4') {
+      if (proxyType === 'socks5' || proxyType === 'socks') {
+        // SOCKS authentication
+        proxyInfo.username = proxy.auth.username;
+        proxyInfo.password = proxy.auth.password;
+      } else if (proxyType === 'http' || proxyType === 'https') {
+        // HTTP/HTTPS Basic authentication
+        const credentials = btoa(`${proxy.auth.username}:${proxy.auth.password}`);
+        proxyInfo.proxyAuthorizationHeader = `Basic ${credentials}`;
+      }
+    }
+    return proxyInfo;
+  }
+  
+  /**
+   * Whether a request matches one of a proxy's exclusion patterns
+   * @param {Object} proxy - The proxy configuration
+   * @param {string} [request] - Request URL or hostname
+   * @returns {boolean}
+   */
+  isExcludedFromProxy(proxy, request) {
+    return !!request && matchesPatternList(this.patternMatcher, request, getExcludePatterns(proxy.routingConfig));
+  }
+  
+  /**
+   * Whether a request matches the global bypass list and always connects directly
+   * @param {string} request - Request URL or hostname
+   * @returns {boolean}
+   */
+  isBypassed(request) {
+    return matchesPatternList(this.patternMatcher, request, this.config?.bypassPatterns);
   }
   
   findProxyForHostname(hostname) {
@@ -433,8 +1002,7 @@ class ProxyManager {
     const patternProxies = this.enabledProxies.filter(proxy => 
       proxy.enabled && 
       proxy.routingConfig && 
-      !proxy.routingConfig.useContainerMode &&
-      Array.isArray(proxy.routingConfig.patterns)
+      !proxy.routingConfig.useContainerMode
     );
     if (this.patternMatcher && typeof this.patternMatcher.resolveProxyForHost === 'function') {
       return this.patternMatcher.resolveProxyForHost(hostname, patternProxies);
@@ -444,7 +1012,8 @@ class ProxyManager {
     
     for (const proxy of patternProxies) {
       // Check if any of the proxy's patterns match the hostname
-      if (this.patternMatcher.matchesAnyPattern(hostname, proxy.routingConfig.patterns)) {
+      if (this.patternMatcher.matchesAnyPattern(hostname, getRoutingPatterns(proxy.routingConfig)) &&
+          !this.isExcludedFromProxy(proxy, hostname)) {
         matchingProxies.push(proxy);
       }
     }
@@ -471,47 +1040,92 @@ class ProxyManager {
       return this.pacScript;
     }
     
-    const proxyConfigurations = this.enabledProxies
-      .filter(proxy => !proxy.routingConfig?.useContainerMode)
+    const pacProxies = this.enabledProxies
+      .filter(proxy => !proxy.routingConfig?.useContainerMode);
+    
+    // Scripts of PAC URL proxies are embedded as string data and compiled at
+    // run time, so nothing in them is spliced into this script as code
+    const remotePacScripts = [];
+    
+    const proxyConfigurations = pacProxies
+      .filter(proxy => proxy.proxyType !== PAC_PROXY_TYPE || this.remotePacScripts[proxy.id])
       .map(proxy => {
-        const patterns = proxy.routingConfig?.patterns || [];
-        let authString = "";
-        
-        // Authentication is only supported in Firefox
-        if (browserCapabilities.browser.isFirefox && proxy.auth?.username && proxy.auth?.password && !browserCapabilities.proxy.hasProxyRequestListener) {
-          authString = `${proxy.auth.username}:${proxy.auth.password}@`;
+        const config = {
+          patterns: this.getPacPatterns(getRoutingPatterns(proxy.routingConfig))
+        };
+        if (proxy.proxyType === PAC_PROXY_TYPE) {
+          config.remotePac = remotePacScripts.push(this.remotePacScripts[proxy.id]) - 1;
+        } else {
+          config.proxyString = this.getPacProxyChain(proxy);
         }
+        config.priority = proxy.priority;
         
-        // Convert proxy type to PAC script format
-        let proxyTypeString;
-        const proxyType = proxy.proxyType || 'socks5';
-        switch (proxyType.toLowerCase()) {
-          case 'http':
-          case 'https':
-            proxyTypeString = 'PROXY';
-            break;
-          case 'socks4':
-            proxyTypeString = 'SOCKS4';
-            break;
-          case 'socks5':
-          default:
-            proxyTypeString = 'SOCKS5';
-            break;
+        const excludePatterns = this.getPacPatterns(getExcludePatterns(proxy.routingConfig));
+        if (excludePatterns.length > 0) {
+          config.excludePatterns = excludePatterns;
         }
         
-        return {
-          patterns: patterns.map(p => p.value || p),
-          proxyString: `${proxyTypeString} ${authString}${proxy.host}:${proxy.port}`,
-          priority: proxy.priority
-        };
+        return config;
       })
       .filter(config => config.patterns.length > 0)
       .sort((a, b) => a.priority - b.priority); // Pre-sort by priority
     
+    const bypassPatterns = this.getPacPatterns(this.config?.bypassPatterns);
+    
+    // Health check probes name their proxy explicitly, patterns or not
+    const healthCheckProxies = {};
+    pacProxies.filter(proxy => proxy.proxyType !== PAC_PROXY_TYPE).forEach(proxy => {
+      healthCheckProxies[proxy.id] = this.getPacProxyString(proxy);
+    });
+    // Activation probes test the network itself
+    healthCheckProxies[DIRECT_PROBE_ID] = 'DIRECT';
+    
+    // PAC scripts cannot see tabs, so tab overrides route their tab's origin. Firefox
+    // routes overrides by tab and only generates the script for comparisons.
+    const originOverrides = {};
+    const tabOverrides = this.hasProxyRequestListener ? [] : this.tabOverrides.values();
+    Object.entries(getOriginOverrides(tabOverrides)).forEach(([origin, proxyId]) => {
+      const proxy = proxyId !== null &&
+        this.enabledProxies.find(p => p.id === proxyId && p.proxyType !== PAC_PROXY_TYPE);
+      if (proxyId === null || proxy) {
+        originOverrides[origin] = proxy ? this.getPacProxyString(proxy) : 'DIRECT';
+      }
+    });
+    const hasOriginOverrides = Object.keys(originOverrides).length > 0;
+    
+    // Results depend on more than the hostname once a pattern targets another part of the URL
+    const allPatterns = proxyConfigurations.reduce(
+      (all, config) => all.concat(config.patterns, config.excludePatterns || []),
+      bypassPatterns
+    );
+    const cacheByUrl = remotePacScripts.length > 0 ||
+      allPatterns.some(pattern => typeof pattern !== 'string' && pattern.target);
+    // DNS lookups are only emitted when a CIDR rule asks for them
+    const resolvesDns = allPatterns.some(pattern => pattern.resolveDns);
+    
     const configData = JSON.stringify(proxyConfigurations);
+    const bypassData = JSON.stringify(bypassPatterns);
+    const healthCheckData = JSON.stringify(healthCheckProxies);
+    const originOverrideData = JSON.stringify(originOverrides);
+    // U+2028 and U+2029 end lines in older JavaScript engines
+    const remotePacData = JSON.stringify(remotePacScripts).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+    // Remote scripts get these names as parameters, so they cannot overwrite ProxyDeck's globals
+    const shadowedNames = JSON.stringify(REMOTE_PAC_SHADOWED_NAMES.join(', '));
+    const probeParamPattern = JSON.stringify(`[?&]${HEALTH_CHECK_PROBE_PARAM}=([^&#]*)`);
+    const urlPartsPattern = JSON.stringify(/^([a-z][a-z0-9+.-]*):\/\/(\[[^\]]*\]|[^:/?#]*)(?::(\d+))?([^?#]*)/.source);
     
     this.pacScript = `
       var proxyConfigurations = ${configData};
+      var bypassPatterns = ${bypassData};
+      var healthCheckProxies = ${healthCheckData};
+      var originOverrides = ${originOverrideData};
+      var remotePacScripts = ${remotePacData};
+      var remotePacFunctions = [];
+      var probeParamRegex = new RegExp(${probeParamPattern});
+      var urlPartsRegex = new RegExp(${urlPartsPattern}, "i");
+      var ipv4Regex = new RegExp(${JSON.stringify(/^\d{1,3}(\.\d{1,3}){3}$/.source)});
+      var defaultPorts = ${JSON.stringify(DEFAULT_PORTS)};
+      var cacheByUrl = ${cacheByUrl};
       var regexCache = {};
       
       // Efficient O(1) LRU cache using hash table + doubly linked list
@@ -612,27 +1226,162 @@ class ProxyManager {
         return regexCache[pattern];
       }
       
-      function testPatternMatch(hostname, pattern) {
+      function testPatternMatch(value, pattern) {
         var regex = getRegex(pattern);
-        return regex && regex.test(hostname);
+        return regex && regex.test(value);
+      }
+      
+      // Splits the URL into the parts patterns can target, like PatternMatcher does
+      function getRequestParts(url, hostname) {
+        var match = urlPartsRegex.exec(url);
+        var scheme = match ? match[1].toLowerCase() : "";
+        return {
+          hostname: hostname,
+          url: url.split("#")[0],
+          path: match && match[4] ? match[4] : "/",
+          scheme: scheme,
+          port: match && match[3] ? match[3] : (defaultPorts[scheme] || "")
+        };
+      }
+      
+      // IP literals match CIDR rules directly, names only when the rule resolves DNS
+      function getHostAddresses(request, resolveDns) {
+        var host = request.hostname;
+        if (host.charAt(0) === "[") {
+          host = host.substring(1, host.length - 1);
+        }
+        if (ipv4Regex.test(host) || host.indexOf(":") !== -1) {
+          return [host];
+        }
+        ${resolvesDns ? `if (resolveDns) {
+          if (!request.resolvedAddresses) {
+            var resolved = typeof dnsResolveEx === "function" ? dnsResolveEx(host) : dnsResolve(host);
+            request.resolvedAddresses = resolved ? resolved.split(";") : [];
+          }
+          return request.resolvedAddresses;
+        }` : ''}
+        return [];
       }
       
-      function findProxyForHostname(hostname) {
+      function matchesCidr(request, pattern) {
+        var addresses = getHostAddresses(request, pattern.resolveDns);
+        for (var i = 0; i < addresses.length; i++) {
+          var address = addresses[i];
+          if (pattern.version === 4) {
+            if (ipv4Regex.test(address) && isInNet(address, pattern.network, pattern.mask)) {
+              return true;
+            }
+          } else if (address.indexOf(":") !== -1 && typeof isInNetEx === "function" &&
+                     isInNetEx(address, pattern.value)) {
+            return true;
+          }
+        }
+        return false;
+      }
+      
+      function matchesPattern(request, pattern) {
+        // Plain string patterns match the hostname
+        if (typeof pattern === "string") {
+          return testPatternMatch(request.hostname, pattern);
+        }
+        
+        if (pattern.type === "cidr") {
+          return matchesCidr(request, pattern);
+        }
+        
+        var value = request[pattern.target];
+        return typeof value === "string" && testPatternMatch(value, pattern.value);
+      }
+      
+      function matchesAnyPattern(request, patterns) {
+        for (var i = 0; i < patterns.length; i++) {
+          if (matchesPattern(request, patterns[i])) {
+            return true;
+          }
+        }
+        return false;
+      }
+      
+      // Compiles the script of a PAC URL proxy once; scripts that fail to load are skipped
+      function getRemotePacFunction(index) {
+        if (remotePacFunctions[index] === undefined) {
+          try {
+            remotePacFunctions[index] = new Function(${shadowedNames}, remotePacScripts[index] +
+              "\\n;return typeof FindProxyForURLEx === 'function' ? FindProxyForURLEx" +
+              " : (typeof FindProxyForURL === 'function' ? FindProxyForURL : null);")();
+          } catch (e) {
+            remotePacFunctions[index] = null;
+          }
+        }
+        return remotePacFunctions[index];
+      }
+      
+      // Runs a PAC URL proxy's script; DIRECT, errors and non-strings pass the request on
+      function callRemotePac(index, request) {
+        var remoteFindProxy = getRemotePacFunction(index);
+        if (!remoteFindProxy) return null;
+        
+        try {
+          var result = remoteFindProxy(request.url, request.hostname);
+          if (typeof result === "string" && !/^\\s*(DIRECT\\s*(;|$)|$)/i.test(result)) {
+            return result;
+          }
+        } catch (e) {
+          // Fall through to lower priority proxies
+        }
+        return null;
+      }
+      
+      function findProxyForRequest(request) {
+        // The global bypass list always connects directly
+        if (matchesAnyPattern(request, bypassPatterns)) {
+          return "DIRECT";
+        }
+        
         // Check each proxy configuration (already sorted by priority)
         for (var i = 0; i < proxyConfigurations.length; i++) {
           var config = proxyConfigurations[i];
-          var patterns = config.patterns;
           
-          for (var j = 0; j < patterns.length; j++) {
-            if (testPatternMatch(hostname, patterns[j])) {
+          if (matchesAnyPattern(request, config.patterns) &&
+              !(config.excludePatterns && matchesAnyPattern(request, config.excludePatterns))) {
+            if (typeof config.remotePac !== "number") {
               return config.proxyString;
             }
+            var remoteProxy = callRemotePac(config.remotePac, request);
+            if (remoteProxy) {
+              return remoteProxy;
+            }
           }
         }
         
         return "DIRECT";
       }
       
+      // Object literals inherit from Object.prototype, so only own keys are looked up
+      function findOwnValue(table, key) {
+        for (var name in table) {
+          if (name === key) {
+            return table[name];
+          }
+        }
+        return null;
+      }
+      
+      function findHealthCheckProxy(url) {
+        var match = probeParamRegex.exec(url);
+        if (!match) return null;
+        
+        return findOwnValue(healthCheckProxies, decodeURIComponent(match[1]));
+      }
+      
+      // Origins are written as scheme://host:port, the port always spelled out and IPv6 hosts unbracketed
+      function findOriginOverride(url, hostname) {
+        var request = getRequestParts(url, hostname);
+        var host = request.hostname.charAt(0) === "[" ? request.hostname.substring(1, request.hostname.length - 1) : request.hostname;
+        var origin = request.scheme + "://" + host + ":" + request.port;
+        return findOwnValue(originOverrides, origin);
+      }
+      
       function FindProxyForURL(url, host) {
         var hostname = host.toLowerCase();
         
@@ -646,6 +1395,18 @@ class ProxyManager {
           return "DIRECT";
         }
         
+        // Health check probes bypass pattern matching and the cache
+        var probeProxy = findHealthCheckProxy(url);
+        if (probeProxy) {
+          return probeProxy;
+        }
+        ${hasOriginOverrides ? `
+        // Temporary tab overrides beat every pattern and the cache
+        var overrideProxy = findOriginOverride(url, hostname);
+        if (overrideProxy) {
+          return overrideProxy;
+        }
+        ` : ''}        
         // Early exit for localhost
         if (hostname === 'localhost' || 
             hostname === 'localhost.localdomain' || 
@@ -654,16 +1415,17 @@ class ProxyManager {
         }
         
         // Check LRU cache first
-        var cachedProxy = lruCache.get(hostname);
+        var cacheKey = cacheByUrl ? url : hostname;
+        var cachedProxy = lruCache.get(cacheKey);
         if (cachedProxy !== null) {
           return cachedProxy;
         }
         
-        // Find proxy for hostname
-        var proxy = findProxyForHostname(hostname);
+        // Find proxy for the request
+        var proxy = findProxyForRequest(getRequestParts(url, hostname));
         
         // Cache the result
-        lruCache.set(hostname, proxy);
+        lruCache.set(cacheKey, proxy);
         
         return proxy;
       }
@@ -672,6 +1434,89 @@ class ProxyManager {
     return this.pacScript;
   }
   
+  /**
+   * Converts stored patterns to the PAC script format: globs and domain
+   * suffixes are compiled to anchored regexes, hostname patterns stay plain
+   * strings, other targets carry their target and CIDR ranges carry what
+   * isInNet() and isInNetEx() need. Invalid ranges are dropped.
+   * @param {Array} [patterns] - Stored patterns
+   * @returns {Array<string|Object>} - PAC patterns
+   */
+  getPacPatterns(patterns) {
+    return (patterns || []).map(p => {
+      const normalized = normalizePattern(p);
+      const { value, target, type, resolveDns } = normalized;
+      
+      if (type === PATTERN_TYPES.CIDR) {
+        const range = parseCidr(value);
+        if (!range) return null;
+        
+        const pacPattern = { type, value: value.trim(), version: range.version };
+        if (range.version === 4) {
+          pacPattern.network = formatIpv4Network(range);
+          pacPattern.mask = getIpv4Netmask(range.prefixLength);
+        }
+        if (resolveDns) {
+          pacPattern.resolveDns = true;
+        }
+        return pacPattern;
+      }
+      
+      const source = getPatternRegexSource(normalized);
+      return target === PATTERN_TARGETS.HOSTNAME ? source : { value: source, target };
+    }).filter(pattern => pattern !== null);
+  }
+  
+  /**
+   * Builds the PAC return value for a proxy, e.g. "SOCKS5 host:port"
+   * @param {Object} proxy - The proxy configuration
+   * @returns {string} - PAC proxy string
+   */
+  getPacProxyString(proxy) {
+    let authString = "";
+    
+    // Authentication is only supported in Firefox
+    if (browserCapabilities.browser.isFirefox && proxy.auth?.username && proxy.auth?.password && !browserCapabilities.proxy.hasProxyRequestListener) {
+      authString = `${proxy.auth.username}:${proxy.auth.password}@`;
+    }
+    
+    // Convert proxy type to PAC script format
+    let proxyTypeString;
+    const proxyType = proxy.proxyType || 'socks5';
+    switch (proxyType.toLowerCase()) {
+      case 'http':
+      case 'https':
+        proxyTypeString = 'PROXY';
+        break;
+      case 'socks4':
+        proxyTypeString = 'SOCKS4';
+        break;
+      case 'socks5':
+      default:
+        proxyTypeString = 'SOCKS5';
+        break;
+    }
+    
+    return `${proxyTypeString} ${authString}${proxy.host}:${proxy.port}`;
+  }
+  
+  /**
+   * Builds the PAC return value for a matched proxy including its fallbacks,
+   * e.g. "SOCKS5 a:1; PROXY b:2; DIRECT"
+   * @param {Object} proxy - The matched proxy
+   * @returns {string} - PAC proxy list
+   */
+  getPacProxyChain(proxy) {
+    const { proxies, fallbackToDirect } = this.getFailoverChain(proxy);
+    const entries = proxies.map(p => this.getPacProxyString(p));
+    
+    if (fallbackToDirect) {
+      entries.push("DIRECT");
+    }
+    
+    return entries.join("; ");
+  }
+  
   async applyProxySettings() {
     this.enabledProxies = this.config.proxies.filter(proxy => proxy.enabled);
     
@@ -773,8 +1618,28 @@ class ProxyManager {
     }
   }
   
+  /**
+   * Warns about proxy failures reported by webRequest.onErrorOccurred when the
+   * proxy has no failover chain to fall back on, and demotes a proxy behind its
+   * fallbacks after repeated failures
+   * @param {Object} details - webRequest.onErrorOccurred details
+   */
   handleProxyError(details) {
-    if (details && details.error === 'net::ERR_PROXY_CONNECTION_FAILED') {
+    if (!details || !PROXY_FAILURE_ERRORS.includes(details.error)) {
+      return;
+    }
+    
+    // Clear badge for the tab with error
+    if (details.tabId > 0 && this.tabManager) {
+      this.tabManager.clearTabBadge(details.tabId);
+    }
+    
+    const failedProxies = this.findFailedProxies(details);
+    const hasFallbacks = failedProxies.some(proxy => {
+      const chain = this.getFailoverChain(proxy);
+      return chain.proxies.length > 1 || chain.fallbackToDirect;
+    });
+    if (!hasFallbacks) {
       const errorObj = handleError(
         "Proxy connection failed",
         ErrorTypes.NETWORK,
@@ -787,33 +1652,152 @@ class ProxyManager {
         }
       );
       
-      // Clear badge for the tab with error
-      if (details.tabId > 0 && this.tabManager) {
-        this.tabManager.clearTabBadge(details.tabId);
-      }
-      
       if (this.onError) {
         this.onError(errorObj);
       }
-    } else if (details && details.error) {
-      // Handle other proxy errors
-      handleError(
-        `Proxy error: ${details.error}`,
-        ErrorTypes.PROXY_CONFIG,
-        ErrorSeverity.WARNING,
-        null,
-        { 
-          data: details,
-          notify: false,
-          updateUI: true
-        }
+    }
+    
+    const demotedProxies = failedProxies.filter(proxy => this.recordProxyFailure(proxy.id));
+    if (demotedProxies.length === 0) {
+      return;
+    }
+    
+    const minutes = Math.round(PROXY_DEMOTION.durationMs / 60000);
+    const names = demotedProxies.map(proxy => `"${proxy.name}"`).join(', ');
+    const errorObj = handleError(
+      `Proxy connection failed repeatedly for ${names}. Fallbacks will be tried first for ${minutes} minutes.`,
+      ErrorTypes.NETWORK,
+      ErrorSeverity.ERROR,
+      null,
+      { 
+        data: {
+          ...details,
+          demotedProxyIds: demotedProxies.map(proxy => proxy.id)
+        },
+        notify: true,
+        updateUI: true
+      }
+    );
+    
+    if (this.onError) {
+      this.onError(errorObj);
+    }
+    
+    this.scheduleDemotionExpiry();
+    this.reapplyPacScript();
+  }
+  
+  /**
+   * Determines which configured proxies a failed request went through
+   * @param {Object} details - webRequest.onErrorOccurred details
+   * @returns {Array<Object>} - The failed proxies
+   */
+  findFailedProxies(details) {
+    const enabledProxies = this.enabledProxies || [];
+    
+    // Health check probes are pinned to a single proxy
+    const probeProxyId = getHealthCheckProxyId(details.url);
+    if (probeProxyId) {
+      return enabledProxies.filter(proxy => proxy.id === probeProxyId);
+    }
+    
+    // Firefox reports the proxy that was used
+    if (details.proxyInfo && details.proxyInfo.host) {
+      const usedProxy = enabledProxies.find(proxy => 
+        String(proxy.host).toLowerCase() === String(details.proxyInfo.host).toLowerCase() &&
+        parseInt(proxy.port, 10) === parseInt(details.proxyInfo.port, 10)
       );
+      return usedProxy ? [usedProxy] : [];
+    }
+    
+    const selectedProxy = this.resolveProxyForRequest(details.url, details.cookieStoreId || null);
+    if (!selectedProxy) {
+      return [];
+    }
+    
+    // Chrome only reports a proxy error after every proxy of the PAC entry failed
+    return this.getFailoverChain(selectedProxy).proxies;
+  }
+  
+  /**
+   * Counts a failure for a proxy
+   * @param {string} proxyId - The failed proxy
+   * @returns {boolean} - Whether the proxy was demoted by this failure
+   */
+  recordProxyFailure(proxyId) {
+    const now = Date.now();
+    const state = this.proxyFailures.get(proxyId) || { failures: [], demotedUntil: 0 };
+    
+    state.failures = state.failures.filter(timestamp => now - timestamp < PROXY_DEMOTION.failureWindowMs);
+    state.failures.push(now);
+    this.proxyFailures.set(proxyId, state);
+    
+    if (state.demotedUntil > now || state.failures.length < PROXY_DEMOTION.failureThreshold) {
+      return false;
     }
+    
+    state.failures = [];
+    state.demotedUntil = now + PROXY_DEMOTION.durationMs;
+    return true;
   }
   
+  isProxyDemoted(proxyId, now = Date.now()) {
+    const state = this.proxyFailures.get(proxyId);
+    return !!state && state.demotedUntil > now;
+  }
+  
+  /**
+   * Returns the proxies that are currently demoted
+   * @returns {Object<string, number>} - demotedUntil timestamps keyed by proxy ID
+   */
+  getDemotedProxies() {
+    const now = Date.now();
+    const demoted = {};
+    for (const [proxyId, state] of this.proxyFailures) {
+      if (state.demotedUntil > now) {
+        demoted[proxyId] = state.demotedUntil;
+      }
+    }
+    return demoted;
+  }
   
+  scheduleDemotionExpiry() {
+    const expiries = Object.values(this.getDemotedProxies());
+    
+    browser.alarms.clear(ALARMS.PROXY_DEMOTION_EXPIRED);
+    if (expiries.length > 0) {
+      browser.alarms.create(ALARMS.PROXY_DEMOTION_EXPIRED, { when: Math.min(...expiries) });
+    }
+  }
   
+  /**
+   * Restores proxies whose demotion ended. Called from the demotion alarm.
+   */
+  handleDemotionExpired() {
+    const now = Date.now();
+    for (const [proxyId, state] of this.proxyFailures) {
+      if (state.demotedUntil <= now && state.failures.length === 0) {
+        this.proxyFailures.delete(proxyId);
+      }
+    }
+    
+    this.scheduleDemotionExpiry();
+    this.reapplyPacScript();
+  }
   
+  /**
+   * Applies routing state kept outside the configuration, like demotions and
+   * tab overrides. Firefox resolves it per request; Chrome needs a fresh PAC script.
+   */
+  reapplyPacScript() {
+    if (this.hasProxyRequestListener || !this.config?.proxyEnabled || this.enabledProxies.length === 0) {
+      return;
+    }
+    
+    this.applyPacScriptProxySettings().catch(() => {
+      // Already reported by applyPacScriptProxySettings
+    });
+  }
   
   /**
    * Gets proxy info for a specific tab - centralized method to be used by background.js and TabManager.js
@@ -834,8 +1818,8 @@ class ProxyManager {
     }
     
     try {
-      const parsedUrl = new URL(url);
-      const hostname = parsedUrl.hostname.toLowerCase();
+      // Malformed URLs are reported below
+      new URL(url);
       let cookieStoreId = null;
       
       // Get container info for Firefox
@@ -851,10 +1835,18 @@ class ProxyManager {
       }
       
       // Use the enhanced resolveProxyForRequest method
-      const result = this.resolveProxyForRequest(hostname, cookieStoreId, {
+      const result = this.resolveProxyForRequest(url, cookieStoreId, {
         returnAllMatches: !!options.includeAllMatches
       });
       
+      // A temporary override of the tab replaces the matching proxy
+      const tabOverride = this.resolveTabOverride(tabId, url);
+      const overrideInfo = tabOverride ? {
+        proxyInfo: tabOverride.proxy,
+        matchType: 'override',
+        override: tabOverride.override
+      } : {};
+      
       // Format the response based on whether we're returning all matches
       if (options.includeAllMatches) {
         const { selectedProxy, allProxies, matchType } = result;
@@ -863,7 +1855,8 @@ class ProxyManager {
           success: true,
           proxyInfo: selectedProxy,
           matchType: matchType,
-          allMatchingProxies: allProxies
+          allMatchingProxies: allProxies,
+          ...overrideInfo
         };
       } else {
         // For backward compatibility with existing code
@@ -875,7 +1868,8 @@ class ProxyManager {
         return {
           success: true,
           proxyInfo: selectedProxy,
-          matchType: matchType
+          matchType: matchType,
+          ...overrideInfo
         };
       }
     } catch (error) {
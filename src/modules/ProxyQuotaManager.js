@@ -0,0 +1,279 @@
+import * as browser from 'webextension-polyfill';
+import eventManager from './EventManager.js';
+import { hasQuota, getQuotaPeriodStart, getQuotaThresholds } from '../utils/quota.js';
+import { formatTraffic } from '../utils.js';
+import { MESSAGE_ACTIONS, ALARMS, QUOTA_DEFAULTS, QUOTA_ACTIONS, QUOTA_PERIODS, PAC_PROXY_TYPE } from '../common/constants.js';
+
+/**
+ * ProxyQuotaManager counts the traffic of proxies with a data quota
+ * (proxy.quota) per day or month, from TrafficMonitor's totals per
+ * aggregation key, so proxies sharing a server share their usage. Crossing a
+ * warning threshold or running out is shown as a notification; a proxy that
+ * ran out is disabled through ProxyManager.updateProxy or only flagged, as
+ * its quota says, and enabled again once the next period starts.
+ */
+class ProxyQuotaManager {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+    this.trafficMonitor = options.trafficMonitor;
+    // Called after proxies were switched, to propagate the new configuration
+    this.onConfigurationChange = options.onConfigurationChange || (() => {});
+
+    // { [proxyId]: { periodStart, used, lastTotal, notifiedThresholds, exhausted, disabledByQuota, previousPeriod } }
+    this.state = {};
+    this.loadPromise = null;
+    this.checking = null;
+
+    this.isStarted = false;
+    this.isScheduled = false;
+
+    this.boundHandleAlarm = (alarm) => {
+      if (alarm.name === ALARMS.PROXY_QUOTA_CHECK) {
+        this.checkAll();
+      }
+    };
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    eventManager.addEventListener(
+      'alarm',
+      'proxy_quota_alarms',
+      browser.alarms,
+      'onAlarm',
+      this.boundHandleAlarm
+    );
+
+    this.schedule(true);
+    this.checkAll();
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    eventManager.removeEventListener('alarm', 'proxy_quota_alarms');
+    browser.alarms.clear(ALARMS.PROXY_QUOTA_CHECK);
+
+    this.isScheduled = false;
+    this.isStarted = false;
+  }
+
+  /**
+   * PAC URL proxies are left out, their traffic is counted for the proxies their script picks
+   * @returns {Array<Object>} - Configured proxies with a quota
+   */
+  getQuotaProxies() {
+    return (this.proxyManager?.config?.proxies || [])
+      .filter(proxy => proxy.proxyType !== PAC_PROXY_TYPE && hasQuota(proxy));
+  }
+
+  /**
+   * Creates the check alarm while any proxy has a quota
+   * @param {boolean} [force=false] - Recreate the alarm even if unchanged
+   */
+  schedule(force = false) {
+    const needsAlarm = this.getQuotaProxies().length > 0;
+    if (!force && needsAlarm === this.isScheduled) return;
+    this.isScheduled = needsAlarm;
+
+    browser.alarms.clear(ALARMS.PROXY_QUOTA_CHECK);
+
+    if (needsAlarm) {
+      browser.alarms.create(ALARMS.PROXY_QUOTA_CHECK, {
+        periodInMinutes: QUOTA_DEFAULTS.intervalMinutes
+      });
+    }
+  }
+
+  loadState() {
+    if (!this.loadPromise) {
+      this.loadPromise = browser.storage.local.get(QUOTA_DEFAULTS.storageKey)
+        .then(result => {
+          this.state = { ...(result[QUOTA_DEFAULTS.storageKey] || {}), ...this.state };
+        })
+        .catch(error => {
+          console.error('[ProxyQuotaManager] Failed to load quota usage:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Counts the traffic since the last check against every quota, joining a
+   * check that is already running
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} - Usage keyed by proxy ID, see getStatus
+   */
+  checkAll(now = new Date()) {
+    if (!this.checking) {
+      this.checking = this.runCheck(now).finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck(now) {
+    await this.loadState();
+    // Totals restored from a checkpoint would otherwise count as new traffic
+    await this.trafficMonitor.restoreState();
+
+    const proxies = this.getQuotaProxies();
+    const state = {};
+    let isConfigChanged = false;
+
+    for (const proxy of proxies) {
+      const usage = this.updateUsage(proxy, this.state[proxy.id], now);
+      state[proxy.id] = usage;
+
+      // Proxies are only switched on a change, so a manual toggle afterwards sticks
+      if (usage.justExhausted) {
+        this.notify(proxy, usage, 100);
+        if (proxy.quota.onExhausted === QUOTA_ACTIONS.DISABLE && proxy.enabled) {
+          await this.proxyManager.updateProxy(proxy.id, { enabled: false });
+          usage.disabledByQuota = true;
+          isConfigChanged = true;
+        }
+      } else if (usage.exhausted && usage.disabledByQuota && proxy.enabled) {
+        // Enabled again by the user, so it is not switched back on next period
+        usage.disabledByQuota = false;
+      } else if (!usage.exhausted && usage.disabledByQuota) {
+        usage.disabledByQuota = false;
+        if (!proxy.enabled) {
+          await this.proxyManager.updateProxy(proxy.id, { enabled: true });
+          isConfigChanged = true;
+        }
+      }
+      delete usage.justExhausted;
+    }
+
+    // Usage of proxies whose quota was removed is dropped
+    this.state = state;
+    try {
+      await browser.storage.local.set({ [QUOTA_DEFAULTS.storageKey]: this.state });
+    } catch (error) {
+      console.error('[ProxyQuotaManager] Failed to save quota usage:', error);
+    }
+
+    if (isConfigChanged) {
+      this.onConfigurationChange();
+    }
+
+    const status = this.getStatus();
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.PROXY_QUOTAS_UPDATED,
+      quotas: status
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+    return status;
+  }
+
+  /**
+   * Adds the traffic of a proxy's aggregation key since the last check to the
+   * usage of its current period, and warns about thresholds crossed
+   * @param {Object} proxy - Proxy with a quota
+   * @param {Object} [previous] - Its usage after the last check
+   * @param {Date} now - Current time
+   * @returns {Object} - The new usage, with justExhausted set when it ran out now
+   */
+  updateUsage(proxy, previous, now) {
+    const { quota } = proxy;
+    const aggregationKey = this.trafficMonitor.proxyResolver.getAggregationKey(proxy);
+    const totals = this.trafficMonitor.totals.perProxy[aggregationKey];
+    const total = totals ? totals.download + totals.upload : 0;
+    const periodStart = getQuotaPeriodStart(quota.period, now);
+
+    // A new quota starts counting now; totals can shrink when the proxy's server changed
+    const usage = previous
+      ? { ...previous, used: previous.used + Math.max(0, total - previous.lastTotal) }
+      : { periodStart, used: 0, notifiedThresholds: [], exhausted: false, disabledByQuota: false };
+    usage.lastTotal = total;
+
+    // Traffic since the last check is flushed into the closing period before it is reset
+    if (usage.periodStart !== periodStart) {
+      usage.previousPeriod = { periodStart: usage.periodStart, used: usage.used };
+      usage.periodStart = periodStart;
+      usage.used = 0;
+    }
+
+    const percent = usage.used / quota.limitBytes * 100;
+    const reached = getQuotaThresholds(quota).filter(threshold => percent >= threshold);
+    // Only the highest threshold crossed since the last check is shown
+    const crossed = reached.filter(threshold => !usage.notifiedThresholds.includes(threshold));
+    if (crossed.length > 0 && percent < 100) {
+      this.notify(proxy, usage, crossed[crossed.length - 1]);
+    }
+    usage.notifiedThresholds = reached;
+
+    usage.justExhausted = percent >= 100 && !usage.exhausted;
+    usage.exhausted = percent >= 100;
+    return usage;
+  }
+
+  /**
+   * Shows a notification for a threshold crossed or a quota used up
+   * @param {Object} proxy - The proxy
+   * @param {Object} usage - Its usage
+   * @param {number} percent - The threshold crossed, 100 when used up
+   */
+  notify(proxy, usage, percent) {
+    const period = proxy.quota.period === QUOTA_PERIODS.MONTHLY ? 'monthly' : 'daily';
+    const amount = `${formatTraffic(usage.used)} of ${formatTraffic(proxy.quota.limitBytes)}`;
+    const title = percent >= 100
+      ? `Proxy "${proxy.name}" used up its ${period} quota`
+      : `Proxy "${proxy.name}" used ${percent}% of its ${period} quota`;
+    const action = percent < 100
+      ? ''
+      : proxy.quota.onExhausted === QUOTA_ACTIONS.DISABLE
+        ? ' It was disabled until the quota renews.'
+        : ' It stays enabled.';
+
+    browser.notifications.create(`proxy-quota-${proxy.id}`, {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon128-light.png'),
+      title,
+      message: `${amount} used.${action}`
+    }).catch(() => {
+      // Notifications are optional, the usage is shown in the popup either way
+    });
+  }
+
+  /**
+   * Returns the usage of every proxy with a quota
+   * @returns {Object<string, {used: number, limitBytes: number, period: string, periodStart: number, percent: number, exhausted: boolean, disabledByQuota: boolean, previousPeriod: ?{periodStart: number, used: number}}>}
+   */
+  getStatus() {
+    const status = {};
+    for (const proxy of this.getQuotaProxies()) {
+      const usage = this.state[proxy.id];
+      if (!usage) continue;
+
+      status[proxy.id] = {
+        used: usage.used,
+        limitBytes: proxy.quota.limitBytes,
+        period: proxy.quota.period,
+        periodStart: usage.periodStart,
+        percent: Math.round(usage.used / proxy.quota.limitBytes * 100),
+        exhausted: usage.exhausted,
+        disabledByQuota: usage.disabledByQuota,
+        previousPeriod: usage.previousPeriod || null
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Follows added or removed quotas and applies changed limits
+   */
+  handleConfigurationUpdate() {
+    if (!this.isStarted) return;
+
+    this.schedule();
+    this.checkAll();
+  }
+}
+
+export default ProxyQuotaManager;
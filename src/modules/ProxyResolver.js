@@ -7,7 +7,15 @@
  * - Cached proxy groupings for performance
  */
 
-import PatternMatcher from './PatternMatcher.js';
+import PatternMatcher, {
+  createRequestContext,
+  getPacVisibleUrl,
+  normalizePattern,
+  matchesPatternList,
+  getRoutingPatterns,
+  getExcludePatterns
+} from './PatternMatcher.js';
+import { PATTERN_TARGETS } from '../common/constants.js';
 import browserCapabilities from '../utils/feature-detection.js';
 
 class ProxyResolver {
@@ -18,12 +26,14 @@ class ProxyResolver {
     this.sortedProxies = [];
     this.sortedPatternProxies = [];
     this.sortedContainerProxies = [];
+    this.bypassPatterns = [];
     this.resolutionCache = new Map();
+    this.cacheByUrl = false;
     this.configVersion = null;
     this.lastBuildTime = 0;
   }
 
-  buildProxyKeyMap(proxies, configVersion) {
+  buildProxyKeyMap(proxies, configVersion, bypassPatterns = []) {
     if (this.configVersion === configVersion && this.proxyKeyMap.size > 0) {
       return;
     }
@@ -34,6 +44,7 @@ class ProxyResolver {
     const keyGroups = new Map();
 
     const enabledProxies = proxies.filter(p => p.enabled);
+    this.bypassPatterns = Array.isArray(bypassPatterns) ? bypassPatterns : [];
     
     // Sort proxies by priority for faster resolution
     this.sortedProxies = enabledProxies
@@ -43,8 +54,14 @@ class ProxyResolver {
     // Pre-sort pattern and container proxies
     this.sortedPatternProxies = this.sortedProxies
       .filter(p => !p.routingConfig?.useContainerMode && 
-                   Array.isArray(p.routingConfig?.patterns) && 
-                   p.routingConfig.patterns.length > 0);
+                   getRoutingPatterns(p.routingConfig).length > 0);
+    
+    // Patterns on other targets than the hostname make resolutions URL-specific
+    const allPatterns = this.sortedProxies.reduce(
+      (all, p) => all.concat(getRoutingPatterns(p.routingConfig), getExcludePatterns(p.routingConfig)),
+      this.bypassPatterns
+    );
+    this.cacheByUrl = allPatterns.some(pattern => normalizePattern(pattern).target !== PATTERN_TARGETS.HOSTNAME);
     
     this.sortedContainerProxies = this.sortedProxies
       .filter(p => p.routingConfig?.useContainerMode &&
@@ -104,17 +121,17 @@ class ProxyResolver {
       return null;
     }
 
-    let url, hostname;
-    try {
-      url = new URL(details.url);
-      hostname = url.hostname.toLowerCase();
-    } catch (e) {
+    // Chrome routes through the PAC script, which only sees the scheme, host and port of https URLs
+    const request = createRequestContext(
+      browserCapabilities.proxy.hasProxyRequestListener ? details.url : getPacVisibleUrl(details.url)
+    );
+    if (!request || !request.url) {
       console.error('[ProxyResolver] Failed to parse URL:', details.url);
       return null;
     }
 
     // Check resolution cache first
-    const cacheKey = `${hostname}:${details.cookieStoreId || 'default'}`;
+    const cacheKey = `${this.cacheByUrl ? request.url : request.hostname}:${details.cookieStoreId || 'default'}`;
     const cached = this.resolutionCache.get(cacheKey);
     if (cached && cached.timestamp > Date.now() - 60000) {
       cached.hitCount++;
@@ -122,11 +139,13 @@ class ProxyResolver {
     }
 
     let selectedProxy = null;
+    const isBypassed = matchesPatternList(this.patternMatcher, request, this.bypassPatterns);
+    const isExcluded = (proxy) => matchesPatternList(this.patternMatcher, request, getExcludePatterns(proxy.routingConfig));
 
     // Container-based routing (Firefox only) - use pre-sorted list
-    if (browserCapabilities.containers.hasContainerSupport && details.cookieStoreId) {
+    if (!isBypassed && browserCapabilities.containers.hasContainerSupport && details.cookieStoreId) {
       for (const proxy of this.sortedContainerProxies) {
-        if (proxy.routingConfig.containers.includes(details.cookieStoreId)) {
+        if (proxy.routingConfig.containers.includes(details.cookieStoreId) && !isExcluded(proxy)) {
           selectedProxy = proxy;
           break; // Exit early on first match (already sorted by priority)
         }
@@ -134,9 +153,9 @@ class ProxyResolver {
     }
 
     // Pattern-based routing - use pre-sorted list
-    if (!selectedProxy) {
+    if (!selectedProxy && !isBypassed) {
       for (const proxy of this.sortedPatternProxies) {
-        if (this.patternMatcher.matchesAnyPattern(hostname, proxy.routingConfig.patterns)) {
+        if (this.patternMatcher.matchesAnyPattern(request, getRoutingPatterns(proxy.routingConfig)) && !isExcluded(proxy)) {
           selectedProxy = proxy;
           break; // Exit early on first match (already sorted by priority)
         }
@@ -220,7 +239,7 @@ class ProxyResolver {
     }));
     
     // Simple hash function
-    return JSON.stringify(proxyData).split('').reduce((hash, char) => {
+    return JSON.stringify({ proxyData, bypassPatterns: config.bypassPatterns || [] }).split('').reduce((hash, char) => {
       return ((hash << 5) - hash) + char.charCodeAt(0);
     }, 0).toString(36);
   }
@@ -1,12 +1,15 @@
 /**
  * ProxyTrafficTracker
- * Efficient request-to-proxy mapping with automatic cleanup
+ * Efficient request-to-proxy mapping and request lifecycle timing with automatic cleanup
  */
 export class ProxyTrafficTracker {
   constructor() {
     // Use Map for O(1) lookups
     this.requestProxyMap = new Map();
     
+    // Lifecycle timestamps per request, until it completes or fails
+    this.requestTimingMap = new Map();
+    
     // Configure cleanup
     this.maxEntries = 5000;
     this.cleanupBatchSize = 500;
@@ -45,6 +48,45 @@ export class ProxyTrafficTracker {
     return entry.proxyId;
   }
   
+  /**
+   * Records when a request started; redirects keep the time of the first request
+   * @param {string} requestId - webRequest request ID
+   * @param {number} [startTime] - details.timeStamp of onBeforeRequest
+   */
+  recordRequestStart(requestId, startTime = Date.now()) {
+    if (!requestId || this.requestTimingMap.has(requestId)) return;
+    
+    this.requestTimingMap.set(requestId, {
+      startTime,
+      responseStartTime: null
+    });
+    
+    // Requests whose end was never seen are dropped oldest first
+    if (this.requestTimingMap.size > this.maxEntries) {
+      this.requestTimingMap.delete(this.requestTimingMap.keys().next().value);
+    }
+  }
+  
+  recordResponseStarted(requestId, responseStartTime = Date.now()) {
+    const entry = this.requestTimingMap.get(requestId);
+    if (entry && entry.responseStartTime === null) {
+      entry.responseStartTime = responseStartTime;
+    }
+  }
+  
+  /**
+   * Forgets the timing of a request that completed or failed
+   * @param {string} requestId - webRequest request ID
+   * @returns {{startTime: number, responseStartTime: number|null}|null} - Its timing, if its start was seen
+   */
+  finishRequest(requestId) {
+    const entry = this.requestTimingMap.get(requestId);
+    if (!entry) return null;
+    
+    this.requestTimingMap.delete(requestId);
+    return { startTime: entry.startTime, responseStartTime: entry.responseStartTime };
+  }
+  
   scheduleCleanup() {
     if (this.cleanupScheduled) return;
     
@@ -85,6 +127,7 @@ export class ProxyTrafficTracker {
   
   clear() {
     this.requestProxyMap.clear();
+    this.requestTimingMap.clear();
     this.cleanupScheduled = false;
   }
   
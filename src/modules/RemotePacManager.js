@@ -0,0 +1,326 @@
+import * as browser from 'webextension-polyfill';
+import eventManager from './EventManager.js';
+import browserCapabilities from '../utils/feature-detection.js';
+import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers.js';
+import { compilePacScript, checkPacScriptSyntax } from '../utils/pac-interpreter.js';
+import { MESSAGE_ACTIONS, ALARMS, PAC_PROXY_TYPE, REMOTE_PAC_DEFAULTS } from '../common/constants.js';
+
+/**
+ * RemotePacManager downloads the scripts of PAC URL proxies, keeps the last
+ * good copy of each in storage and refreshes them on an alarm. A failed fetch
+ * records the error and leaves the previous script in use. Scripts are handed
+ * to ProxyManager, which composes them with ProxyDeck's own rules.
+ */
+class RemotePacManager {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+    this.storageKey = 'remotePac';
+
+    // proxyId -> { url, script, fetchedAt, error, errorAt }
+    this.entries = {};
+    // proxyId -> pending fetch promise
+    this.inFlight = new Map();
+
+    this.isStarted = false;
+    this.loadPromise = null;
+    this.scheduleKey = null;
+
+    this.boundHandleAlarm = (alarm) => {
+      if (alarm.name === ALARMS.REMOTE_PAC_REFRESH) {
+        this.refreshDue();
+      }
+    };
+  }
+
+  async start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    eventManager.addEventListener(
+      'alarm',
+      'remote_pac_alarms',
+      browser.alarms,
+      'onAlarm',
+      this.boundHandleAlarm
+    );
+
+    await this.loadEntries();
+    await this.applyScripts();
+    this.schedule(true);
+    this.refreshDue();
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    eventManager.removeEventListener('alarm', 'remote_pac_alarms');
+    browser.alarms.clear(ALARMS.REMOTE_PAC_REFRESH);
+
+    this.scheduleKey = null;
+    this.isStarted = false;
+  }
+
+  /**
+   * @returns {Array<Object>} - Configured PAC URL proxies
+   */
+  getPacProxies() {
+    return (this.proxyManager?.config?.proxies || []).filter(proxy => proxy.proxyType === PAC_PROXY_TYPE);
+  }
+
+  getRefreshMinutes(proxy) {
+    const minutes = Number(proxy.pacRefreshMinutes) || REMOTE_PAC_DEFAULTS.refreshMinutes;
+    return Math.max(minutes, REMOTE_PAC_DEFAULTS.minRefreshMinutes);
+  }
+
+  /**
+   * (Re)creates the refresh alarm, firing at the shortest refresh interval of
+   * the configured PAC URL proxies
+   * @param {boolean} [force=false] - Recreate the alarm even if unchanged
+   */
+  schedule(force = false) {
+    const intervals = this.getPacProxies().map(proxy => this.getRefreshMinutes(proxy));
+    const periodInMinutes = intervals.length > 0 ? Math.min(...intervals) : null;
+    const scheduleKey = String(periodInMinutes);
+
+    if (!force && scheduleKey === this.scheduleKey) return;
+    this.scheduleKey = scheduleKey;
+
+    browser.alarms.clear(ALARMS.REMOTE_PAC_REFRESH);
+
+    if (periodInMinutes) {
+      browser.alarms.create(ALARMS.REMOTE_PAC_REFRESH, { periodInMinutes });
+    }
+  }
+
+  loadEntries() {
+    if (!this.loadPromise) {
+      this.loadPromise = browser.storage.local.get(this.storageKey)
+        .then(result => {
+          const stored = result[this.storageKey] || {};
+          // Keep scripts fetched while storage was loading
+          this.entries = { ...stored, ...this.entries };
+        })
+        .catch(error => {
+          console.error('[RemotePacManager] Failed to load PAC scripts:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  async saveEntries() {
+    try {
+      await browser.storage.local.set({ [this.storageKey]: this.entries });
+    } catch (error) {
+      console.error('[RemotePacManager] Failed to save PAC scripts:', error);
+    }
+  }
+
+  /**
+   * Refetches every PAC URL proxy whose script is missing or older than its refresh interval
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<void>}
+   */
+  async refreshDue(now = Date.now()) {
+    await this.loadEntries();
+
+    // Fetch sequentially to avoid a burst of parallel requests
+    for (const proxy of this.getPacProxies()) {
+      const entry = this.entries[proxy.id];
+      const lastAttempt = entry && entry.url === proxy.pacUrl ? Math.max(entry.fetchedAt || 0, entry.errorAt || 0) : 0;
+      if (now - lastAttempt >= this.getRefreshMinutes(proxy) * 60000) {
+        await this.refresh(proxy.id);
+      }
+    }
+  }
+
+  /**
+   * Fetches the script of a PAC URL proxy, joining a fetch that is already running
+   * @param {string} proxyId - The PAC URL proxy
+   * @returns {Promise<Object|null>} - The proxy's status, or null if it is not a PAC URL proxy
+   */
+  refresh(proxyId) {
+    if (this.inFlight.has(proxyId)) {
+      return this.inFlight.get(proxyId);
+    }
+
+    const proxy = this.getPacProxies().find(p => p.id === proxyId);
+    if (!proxy) {
+      return Promise.resolve(null);
+    }
+
+    const refresh = this.fetchScript(proxy.pacUrl)
+      .then(
+        script => this.recordScript(proxy, script),
+        error => this.recordError(proxy, error)
+      )
+      .finally(() => {
+        this.inFlight.delete(proxyId);
+      });
+
+    this.inFlight.set(proxyId, refresh);
+    return refresh;
+  }
+
+  /**
+   * Downloads and checks a PAC script
+   * @param {string} url - URL of the script
+   * @returns {Promise<string>} - The script
+   * @throws {Error} - If the download fails, is too large or is not a usable PAC script
+   */
+  async fetchScript(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REMOTE_PAC_DEFAULTS.timeoutMs);
+
+    let script;
+    try {
+      const response = await fetch(url, {
+        cache: 'no-store',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (Number(response.headers.get('content-length')) > REMOTE_PAC_DEFAULTS.maxBytes) {
+        throw new Error('The PAC script is too large');
+      }
+      script = await response.text();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Timed out after ${REMOTE_PAC_DEFAULTS.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (script.length > REMOTE_PAC_DEFAULTS.maxBytes) {
+      throw new Error('The PAC script is too large');
+    }
+
+    // Firefox runs the script in ProxyDeck's interpreter, Chrome in its PAC engine
+    if (browserCapabilities.proxy.hasProxyRequestListener) {
+      compilePacScript(script);
+    } else {
+      checkPacScriptSyntax(script);
+    }
+    return script;
+  }
+
+  async recordScript(proxy, script) {
+    await this.loadEntries();
+
+    const previous = this.entries[proxy.id];
+    this.entries[proxy.id] = { url: proxy.pacUrl, script, fetchedAt: Date.now(), error: null, errorAt: null };
+    await this.saveEntries();
+
+    if (!previous || previous.script !== script || previous.url !== proxy.pacUrl) {
+      await this.applyScripts();
+    }
+    this.broadcastStatus();
+    return this.getStatus()[proxy.id];
+  }
+
+  async recordError(proxy, error) {
+    await this.loadEntries();
+
+    const previous = this.entries[proxy.id];
+    // The last good script stays in use unless it came from another URL
+    const kept = previous && previous.url === proxy.pacUrl ? previous : { url: proxy.pacUrl, script: null, fetchedAt: null };
+    this.entries[proxy.id] = { ...kept, error: error.message || 'Request failed', errorAt: Date.now() };
+
+    handleError(
+      `Could not refresh the PAC script of proxy "${proxy.name}": ${this.entries[proxy.id].error}`,
+      ErrorTypes.NETWORK,
+      ErrorSeverity.WARNING,
+      null,
+      { data: { proxyId: proxy.id, url: proxy.pacUrl } }
+    );
+
+    await this.saveEntries();
+    this.broadcastStatus();
+    return this.getStatus()[proxy.id];
+  }
+
+  /**
+   * Hands the scripts of the configured PAC URL proxies to ProxyManager
+   * @returns {Promise<void>}
+   */
+  async applyScripts() {
+    const scripts = {};
+    this.getPacProxies().forEach(proxy => {
+      const entry = this.entries[proxy.id];
+      if (entry && entry.script && entry.url === proxy.pacUrl) {
+        scripts[proxy.id] = entry.script;
+      }
+    });
+
+    if (this.proxyManager) {
+      await this.proxyManager.setRemotePacScripts(scripts);
+    }
+  }
+
+  /**
+   * Drops scripts of proxies that were removed, applies the scripts to the new
+   * configuration, fetches scripts for new or changed URLs and reschedules
+   * @param {Array} proxies - The updated proxy list
+   */
+  async handleConfigurationUpdate(proxies = []) {
+    await this.loadEntries();
+
+    const pacUrls = new Map(proxies
+      .filter(proxy => proxy.proxyType === PAC_PROXY_TYPE)
+      .map(proxy => [proxy.id, proxy.pacUrl]));
+    let changed = false;
+
+    Object.keys(this.entries).forEach(proxyId => {
+      if (!pacUrls.has(proxyId)) {
+        delete this.entries[proxyId];
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.saveEntries();
+      this.broadcastStatus();
+    }
+
+    await this.applyScripts();
+
+    if (this.isStarted) {
+      this.schedule();
+      this.refreshDue();
+    }
+  }
+
+  /**
+   * Returns the fetch status of every configured PAC URL proxy
+   * @returns {Object<string, {url: string, fetchedAt: number|null, error: string|null, errorAt: number|null, size: number|null}>}
+   */
+  getStatus() {
+    const status = {};
+    this.getPacProxies().forEach(proxy => {
+      const entry = this.entries[proxy.id];
+      const current = entry && entry.url === proxy.pacUrl;
+      status[proxy.id] = {
+        url: proxy.pacUrl,
+        fetchedAt: current ? entry.fetchedAt || null : null,
+        error: current ? entry.error || null : null,
+        errorAt: current ? entry.errorAt || null : null,
+        size: current && entry.script ? entry.script.length : null
+      };
+    });
+    return status;
+  }
+
+  broadcastStatus() {
+    browser.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.REMOTE_PAC_UPDATED,
+      status: this.getStatus()
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+  }
+}
+
+export default RemotePacManager;
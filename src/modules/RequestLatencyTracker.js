@@ -0,0 +1,122 @@
+import { REQUEST_LATENCY } from '../common/constants.js';
+
+const METRICS = ['ttfb', 'duration'];
+const CARD_PERCENTILES = [50, 95, 99];
+const CHART_PERCENTILES = [50, 95];
+
+/**
+ * Nearest-rank percentile of ascending values
+ * @param {number[]} sorted - Values, ascending
+ * @param {number} percentile - 1 to 100
+ * @returns {number|null} - Null without values
+ */
+export function getPercentile(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+}
+
+function getPercentiles(records, metric, percentiles) {
+  const sorted = records
+    .map(record => record[metric])
+    .filter(value => value !== null)
+    .sort((a, b) => a - b);
+  return Object.fromEntries(percentiles.map(percentile => [`p${percentile}`, getPercentile(sorted, percentile)]));
+}
+
+/**
+ * RequestLatencyTracker
+ * Timings of the most recent requests within each traffic bucket: a proxy
+ * aggregation key, 'direct' or 'others'. Each bucket keeps its latest
+ * requests within the retention, so percentiles follow recent conditions
+ * and memory stays flat.
+ */
+export class RequestLatencyTracker {
+  constructor({ maxRecords = REQUEST_LATENCY.maxRecordsPerBucket, retentionMs = REQUEST_LATENCY.retentionMs } = {}) {
+    this.maxRecords = maxRecords;
+    this.retentionMs = retentionMs;
+    this.records = new Map();
+  }
+
+  /**
+   * Adds a request that completed or failed
+   * @param {string} bucket - Aggregation key, 'direct' or 'others'
+   * @param {Object} request
+   * @param {number} request.timestamp - When it completed or failed
+   * @param {number|null} [request.ttfb] - Milliseconds until the response started
+   * @param {number|null} [request.duration] - Milliseconds until it completed
+   * @param {boolean} [request.failed=false] - Whether it failed
+   */
+  record(bucket, { timestamp, ttfb = null, duration = null, failed = false }) {
+    if (!bucket) return;
+
+    const records = this.records.get(bucket) || [];
+    records.push({ timestamp, ttfb, duration, failed });
+    if (records.length > this.maxRecords) {
+      records.shift();
+    }
+    this.records.set(bucket, records);
+  }
+
+  /**
+   * Computes percentiles and error rates per bucket, and a series of them for charts
+   * @param {Object} [options]
+   * @param {number} [options.span] - Milliseconds to cover, at most the retention
+   * @param {number} [options.now=Date.now()] - End of the span
+   * @returns {{span: number, sources: Object<string, Object>, data: Array<Object>}} - Stats per bucket
+   *          with requests, errors, errorRate and p50, p95 and p99 of ttfb and duration; data points
+   *          with p50 and p95 fields such as `ttfb_p95_<bucket>`, in milliseconds
+   */
+  getLatency({ span = this.retentionMs, now = Date.now() } = {}) {
+    const coveredSpan = Math.min(span, this.retentionMs);
+    const since = now - coveredSpan;
+    const slotMs = coveredSpan / REQUEST_LATENCY.chartPoints;
+    const data = Array.from({ length: REQUEST_LATENCY.chartPoints }, (_, index) => ({
+      timestamp: Math.round(since + slotMs * (index + 1))
+    }));
+    const sources = {};
+
+    for (const [bucket, allRecords] of this.records) {
+      // Records older than the retention are dropped as they are passed
+      const kept = allRecords.filter(record => record.timestamp > now - this.retentionMs);
+      this.records.set(bucket, kept);
+
+      const records = kept.filter(record => record.timestamp > since && record.timestamp <= now);
+      if (records.length === 0) continue;
+
+      const completed = records.filter(record => !record.failed);
+      const errors = records.length - completed.length;
+      sources[bucket] = {
+        requests: records.length,
+        errors,
+        errorRate: errors / records.length,
+        ...Object.fromEntries(METRICS.map(metric => [metric, getPercentiles(completed, metric, CARD_PERCENTILES)]))
+      };
+
+      const slots = data.map(() => []);
+      completed.forEach(record => {
+        const index = Math.min(slots.length - 1, Math.floor((record.timestamp - since) / slotMs));
+        slots[index].push(record);
+      });
+      slots.forEach((slotRecords, index) => {
+        METRICS.forEach(metric => {
+          const percentiles = getPercentiles(slotRecords, metric, CHART_PERCENTILES);
+          Object.entries(percentiles)
+            .filter(([, value]) => value !== null)
+            .forEach(([percentile, value]) => {
+              data[index][`${metric}_${percentile}_${bucket}`] = value;
+            });
+        });
+      });
+    }
+
+    return { span: coveredSpan, sources, data };
+  }
+
+  removeBuckets(buckets) {
+    buckets.forEach(bucket => this.records.delete(bucket));
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
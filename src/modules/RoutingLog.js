@@ -0,0 +1,99 @@
+import browserCapabilities from '../utils/feature-detection.js';
+import { ROUTING_LOG_DEFAULTS } from '../common/constants.js';
+
+/**
+ * RoutingLog keeps the latest routing decisions in memory, to answer why a
+ * request went through a proxy or direct. On Firefox ProxyManager records
+ * each decision from proxy.onRequest and TrafficMonitor adds what actually
+ * happened from webRequest. Chrome decides in the PAC script, so its entries
+ * are described from the webRequest events instead.
+ */
+class RoutingLog {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || ROUTING_LOG_DEFAULTS.maxEntries;
+    // Describes a request nobody recorded a decision for, see ProxyManager.describeRouting
+    this.describeRequest = options.describeRequest || null;
+
+    // Oldest first
+    this.entries = [];
+    // requestId -> entry, for entries still waiting for their outcome
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Adds a routing decision
+   * @param {Object} requestInfo - Request details: url, requestId, tabId, type and cookieStoreId
+   * @param {Object} decision - From ProxyManager.describeRouting
+   * @returns {Object} - The new entry
+   */
+  recordDecision(requestInfo, decision) {
+    const entry = {
+      id: this.nextId++,
+      timestamp: Date.now(),
+      requestId: requestInfo.requestId ?? null,
+      url: requestInfo.url,
+      type: requestInfo.type || null,
+      tabId: requestInfo.tabId ?? -1,
+      cookieStoreId: requestInfo.cookieStoreId || null,
+      ...decision,
+      outcome: null
+    };
+
+    this.entries.push(entry);
+    if (entry.requestId !== null) {
+      this.pending.set(entry.requestId, entry);
+    }
+
+    while (this.entries.length > this.maxEntries) {
+      const evicted = this.entries.shift();
+      if (this.pending.get(evicted.requestId) === evicted) {
+        this.pending.delete(evicted.requestId);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Adds how a request ended to its entry, describing the request first if no
+   * decision was recorded for it
+   * @param {Object} details - webRequest onCompleted or onErrorOccurred details
+   */
+  recordOutcome(details) {
+    let entry = this.pending.get(details.requestId);
+    if (!entry) {
+      if (!this.describeRequest) return;
+      const decision = this.describeRequest(details);
+      if (!decision) return;
+      entry = this.recordDecision(details, decision);
+    }
+    this.pending.delete(details.requestId);
+
+    entry.outcome = {
+      statusCode: details.statusCode ?? null,
+      error: details.error || null,
+      fromCache: !!details.fromCache
+    };
+    // Firefox reports the proxy the request went through; no proxyInfo means direct
+    if (browserCapabilities.webRequest.hasProxyInfoInDetails) {
+      entry.outcome.proxy = details.proxyInfo
+        ? `${details.proxyInfo.type} ${details.proxyInfo.host}:${details.proxyInfo.port}`
+        : 'direct';
+    }
+  }
+
+  /**
+   * @returns {Array<Object>} - Copies of the entries, newest first
+   */
+  getEntries() {
+    return this.entries.map(entry => ({ ...entry })).reverse();
+  }
+
+  clear() {
+    this.entries = [];
+    this.pending.clear();
+  }
+}
+
+export default RoutingLog;
@@ -0,0 +1,269 @@
+import * as browser from 'webextension-polyfill';
+import eventManager from './EventManager.js';
+import { handleError, ErrorTypes, ErrorSeverity } from '../utils/error-helpers.js';
+import { parseRuleList, diffRuleLists, getSubscriptionRefreshMinutes } from '../utils/rule-lists.js';
+import { ALARMS, RULE_SUBSCRIPTION_DEFAULTS } from '../common/constants.js';
+
+/**
+ * RuleSubscriptionManager keeps the rule list subscriptions of proxies up to
+ * date. Each subscription lives in the proxy's routingConfig.subscription and
+ * holds the converted rules apart from the hand-written patterns, so an update
+ * only ever replaces the subscribed rules. A failed fetch records the error and
+ * keeps the previous rules.
+ */
+class RuleSubscriptionManager {
+  constructor(options = {}) {
+    this.proxyManager = options.proxyManager;
+    // Called after a subscription was stored, to propagate the new rules
+    this.onConfigurationChange = options.onConfigurationChange || (() => {});
+
+    // proxyId -> pending refresh promise
+    this.inFlight = new Map();
+
+    this.isStarted = false;
+    this.scheduleKey = null;
+
+    this.boundHandleAlarm = (alarm) => {
+      if (alarm.name === ALARMS.RULE_SUBSCRIPTION_REFRESH) {
+        this.refreshDue();
+      }
+    };
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    eventManager.addEventListener(
+      'alarm',
+      'rule_subscription_alarms',
+      browser.alarms,
+      'onAlarm',
+      this.boundHandleAlarm
+    );
+
+    this.schedule(true);
+    this.refreshDue();
+  }
+
+  stop() {
+    if (!this.isStarted) return;
+
+    eventManager.removeEventListener('alarm', 'rule_subscription_alarms');
+    browser.alarms.clear(ALARMS.RULE_SUBSCRIPTION_REFRESH);
+
+    this.scheduleKey = null;
+    this.isStarted = false;
+  }
+
+  /**
+   * @returns {Array<Object>} - Configured proxies with a rule list subscription
+   */
+  getSubscribedProxies() {
+    return (this.proxyManager?.config?.proxies || []).filter(proxy => proxy.routingConfig?.subscription?.url);
+  }
+
+  /**
+   * (Re)creates the refresh alarm, firing at the shortest refresh interval of
+   * the subscriptions
+   * @param {boolean} [force=false] - Recreate the alarm even if unchanged
+   */
+  schedule(force = false) {
+    const intervals = this.getSubscribedProxies()
+      .map(proxy => getSubscriptionRefreshMinutes(proxy.routingConfig.subscription));
+    const periodInMinutes = intervals.length > 0 ? Math.min(...intervals) : null;
+    const scheduleKey = String(periodInMinutes);
+
+    if (!force && scheduleKey === this.scheduleKey) return;
+    this.scheduleKey = scheduleKey;
+
+    browser.alarms.clear(ALARMS.RULE_SUBSCRIPTION_REFRESH);
+
+    if (periodInMinutes) {
+      browser.alarms.create(ALARMS.RULE_SUBSCRIPTION_REFRESH, { periodInMinutes });
+    }
+  }
+
+  /**
+   * Refetches every subscription that was never fetched or whose last attempt
+   * is older than its refresh interval
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<void>}
+   */
+  async refreshDue(now = Date.now()) {
+    // Fetch sequentially to avoid a burst of parallel downloads
+    for (const proxy of this.getSubscribedProxies()) {
+      const subscription = proxy.routingConfig.subscription;
+      if (now - (subscription.checkedAt || 0) >= getSubscriptionRefreshMinutes(subscription) * 60000) {
+        await this.refresh(proxy.id);
+      }
+    }
+  }
+
+  /**
+   * Fetches the rule list of a proxy, joining a fetch that is already running
+   * @param {string} proxyId - The subscribed proxy
+   * @returns {Promise<Object|null>} - The updated subscription, or null if the proxy has none
+   */
+  refresh(proxyId) {
+    if (this.inFlight.has(proxyId)) {
+      return this.inFlight.get(proxyId);
+    }
+
+    const proxy = this.getSubscribedProxies().find(p => p.id === proxyId);
+    if (!proxy) {
+      return Promise.resolve(null);
+    }
+
+    const url = proxy.routingConfig.subscription.url;
+    const refresh = this.fetchList(url)
+      .then(text => {
+        const list = parseRuleList(text);
+        if (list.patterns.length === 0 && list.excludePatterns.length === 0) {
+          throw new Error('The rule list contains no usable rules');
+        }
+        return list;
+      })
+      .then(
+        list => this.recordList(proxyId, url, list),
+        error => this.recordError(proxyId, url, error)
+      )
+      .finally(() => {
+        this.inFlight.delete(proxyId);
+      });
+
+    this.inFlight.set(proxyId, refresh);
+    return refresh;
+  }
+
+  /**
+   * Downloads a rule list
+   * @param {string} url - URL of the list
+   * @returns {Promise<string>} - The list
+   * @throws {Error} - If the download fails or the list is too large
+   */
+  async fetchList(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), RULE_SUBSCRIPTION_DEFAULTS.timeoutMs);
+
+    let text;
+    try {
+      const response = await fetch(url, {
+        cache: 'no-store',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (Number(response.headers.get('content-length')) > RULE_SUBSCRIPTION_DEFAULTS.maxBytes) {
+        throw new Error('The rule list is too large');
+      }
+      text = await response.text();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Timed out after ${RULE_SUBSCRIPTION_DEFAULTS.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (text.length > RULE_SUBSCRIPTION_DEFAULTS.maxBytes) {
+      throw new Error('The rule list is too large');
+    }
+    return text;
+  }
+
+  /**
+   * Stores freshly converted rules with the number of rules added and removed
+   * @param {string} proxyId - The subscribed proxy
+   * @param {string} url - URL the list was fetched from
+   * @param {{format: string, patterns: Array, excludePatterns: Array, skipped: number}} list - Converted list
+   * @returns {Promise<Object|null>} - The updated subscription
+   */
+  async recordList(proxyId, url, list) {
+    const now = Date.now();
+    return this.updateSubscription(proxyId, url, subscription => {
+      const { added, removed } = diffRuleLists(subscription, list);
+      const total = list.patterns.length + list.excludePatterns.length;
+      // Unchanged lists only move the check time forward
+      const history = subscription.fetchedAt && added === 0 && removed === 0
+        ? subscription.history || []
+        : [{ at: now, added, removed, total, skipped: list.skipped }, ...(subscription.history || [])];
+
+      return {
+        ...subscription,
+        patterns: list.patterns,
+        excludePatterns: list.excludePatterns,
+        format: list.format,
+        fetchedAt: now,
+        checkedAt: now,
+        error: null,
+        history: history.slice(0, RULE_SUBSCRIPTION_DEFAULTS.historySize)
+      };
+    });
+  }
+
+  /**
+   * Records a failed fetch, keeping the previously subscribed rules
+   * @param {string} proxyId - The subscribed proxy
+   * @param {string} url - URL the list was fetched from
+   * @param {Error} error - Why the fetch failed
+   * @returns {Promise<Object|null>} - The updated subscription
+   */
+  async recordError(proxyId, url, error) {
+    const now = Date.now();
+    const message = error.message || 'Request failed';
+    const proxy = this.getSubscribedProxies().find(p => p.id === proxyId);
+
+    handleError(
+      `Could not update the rule list of proxy "${proxy?.name || proxyId}": ${message}`,
+      ErrorTypes.NETWORK,
+      ErrorSeverity.WARNING,
+      null,
+      { data: { proxyId, url } }
+    );
+
+    return this.updateSubscription(proxyId, url, subscription => ({
+      ...subscription,
+      checkedAt: now,
+      error: message,
+      history: [{ at: now, error: message }, ...(subscription.history || [])]
+        .slice(0, RULE_SUBSCRIPTION_DEFAULTS.historySize)
+    }));
+  }
+
+  /**
+   * Saves a change to a proxy's subscription, unless the proxy was removed or
+   * subscribed to another list while the fetch was running
+   * @param {string} proxyId - The subscribed proxy
+   * @param {string} url - URL the list was fetched from
+   * @param {function(Object): Object} update - Builds the new subscription from the stored one
+   * @returns {Promise<Object|null>} - The updated subscription, or null if it was discarded
+   */
+  async updateSubscription(proxyId, url, update) {
+    const proxy = this.getSubscribedProxies().find(p => p.id === proxyId);
+    const subscription = proxy?.routingConfig.subscription;
+    if (!subscription || subscription.url !== url) {
+      return null;
+    }
+
+    const updated = update(subscription);
+    await this.proxyManager.updateProxy(proxyId, { routingConfig: { subscription: updated } });
+    this.onConfigurationChange();
+    return updated;
+  }
+
+  /**
+   * Reschedules for the updated configuration and fetches new or changed subscriptions
+   */
+  handleConfigurationUpdate() {
+    if (!this.isStarted) return;
+
+    this.schedule();
+    this.refreshDue();
+  }
+}
+
+export default RuleSubscriptionManager;
@@ -1,10 +1,15 @@
 import * as browser from 'webextension-polyfill';
 import eventManager from './EventManager.js';
-import { MESSAGE_ACTIONS } from '../common/constants.js';
+import { MESSAGE_ACTIONS, TAB_OVERRIDE_SCOPES } from '../common/constants.js';
+import { getOverrideOrigin } from '../utils/tab-overrides.js';
+
+// Badge color of tabs forced to connect directly
+const OVERRIDE_DIRECT_COLOR = '#6b7280';
 
 /**
  * TabManager handles browser tab tracking and proxy status for each tab
- * Manages tab-specific proxy badges and tracks which proxy is used per tab
+ * Manages tab-specific proxy badges and tracks which proxy is used per tab,
+ * as well as temporary overrides that force a tab or window through a proxy
  */
 class TabManager {
   constructor(options = {}) {
@@ -12,6 +17,12 @@ class TabManager {
     this.currentTabUrl = null;
     this.tabProxyMap = new Map();
     this.tabUpdateQueue = new Map();
+    
+    // tabId -> { proxyId, scope, origin, windowId, createdAt }; window overrides are copied to their tabs
+    this.tabOverrides = new Map();
+    // windowId -> { proxyId, createdAt }
+    this.windowOverrides = new Map();
+    this.overrideStorageKey = 'tabOverrides';
     this.pendingTabUpdates = false;
     
     this.tabUpdateDelay = options.tabUpdateDelay || 150;
@@ -60,6 +71,18 @@ class TabManager {
   }
   
   handleConfigurationUpdate() {
+    // Overrides through proxies that were disabled or removed end with them
+    const enabledIds = new Set((this.proxyManager.enabledProxies || []).map(proxy => proxy.id));
+    const isStale = (override) => override.proxyId !== null && !enabledIds.has(override.proxyId);
+    const staleTabs = [...this.tabOverrides].filter(([, override]) => isStale(override));
+    const staleWindows = [...this.windowOverrides].filter(([, override]) => isStale(override));
+    if (staleTabs.length > 0 || staleWindows.length > 0) {
+      staleTabs.forEach(([tabId]) => this.tabOverrides.delete(tabId));
+      staleWindows.forEach(([windowId]) => this.windowOverrides.delete(windowId));
+      this.proxyManager.setTabOverrides(this.tabOverrides);
+      this.saveOverrides();
+    }
+    
     // Clear any pending tab updates to prevent stale updates
     this.tabUpdateQueue.clear();
     this.pendingTabUpdates = false;
@@ -80,6 +103,8 @@ class TabManager {
     this.boundHandleTabActivated = this.handleTabActivated.bind(this);
     this.boundHandleTabUpdated = this.handleTabUpdated.bind(this);
     this.boundHandleTabRemoved = this.handleTabRemoved.bind(this);
+    this.boundHandleTabCreated = this.handleTabCreated.bind(this);
+    this.boundHandleTabAttached = this.handleTabAttached.bind(this);
     
     eventManager.addEventListener(
       'tab',
@@ -104,6 +129,22 @@ class TabManager {
       'onRemoved',
       this.boundHandleTabRemoved
     );
+    
+    eventManager.addEventListener(
+      'tab',
+      'tab_created',
+      browser.tabs,
+      'onCreated',
+      this.boundHandleTabCreated
+    );
+    
+    eventManager.addEventListener(
+      'tab',
+      'tab_attached',
+      browser.tabs,
+      'onAttached',
+      this.boundHandleTabAttached
+    );
   }
   
   handleTabActivated(activeInfo) {
@@ -124,6 +165,14 @@ class TabManager {
   handleTabUpdated(tabId, changeInfo, tab) {
     if (changeInfo.url || ((changeInfo.status === 'complete' || changeInfo.status === 'loading') && tab && tab.url)) {
       const urlToCheck = changeInfo.url || tab.url;
+      
+      // Tab overrides end when the tab leaves their origin
+      const override = this.tabOverrides.get(tabId);
+      if (changeInfo.url && override?.origin && getOverrideOrigin(changeInfo.url) !== override.origin) {
+        this.tabOverrides.delete(tabId);
+        this.applyOverrides();
+      }
+      
       if (tabId === this.currentTabId) {
         this.currentTabUrl = urlToCheck;
       }
@@ -131,11 +180,18 @@ class TabManager {
     }
   }
   
-  handleTabRemoved(tabId) {
+  handleTabRemoved(tabId, removeInfo) {
     // Clean up data for the removed tab
     this.tabProxyMap.delete(tabId);
     this.tabUpdateQueue.delete(tabId);
     
+    if (removeInfo?.isWindowClosing && this.windowOverrides.has(removeInfo.windowId)) {
+      this.removeWindowOverride(removeInfo.windowId);
+      this.applyOverrides();
+    } else if (this.tabOverrides.delete(tabId)) {
+      this.applyOverrides();
+    }
+    
     // If this was the current tab, clear current tab info
     if (tabId === this.currentTabId) {
       this.currentTabId = null;
@@ -143,6 +199,30 @@ class TabManager {
     }
   }
   
+  // New tabs of an overridden window follow its override
+  handleTabCreated(tab) {
+    const windowOverride = this.windowOverrides.get(tab.windowId);
+    if (windowOverride) {
+      this.tabOverrides.set(tab.id, this.createWindowTabOverride(tab.windowId, windowOverride));
+      this.applyOverrides();
+    }
+  }
+  
+  // Tabs moved to another window take that window's override, if any
+  handleTabAttached(tabId, attachInfo) {
+    const override = this.tabOverrides.get(tabId);
+    const windowOverride = this.windowOverrides.get(attachInfo.newWindowId);
+    
+    if (windowOverride) {
+      this.tabOverrides.set(tabId, this.createWindowTabOverride(attachInfo.newWindowId, windowOverride));
+    } else if (override?.scope === TAB_OVERRIDE_SCOPES.WINDOW) {
+      this.tabOverrides.delete(tabId);
+    } else {
+      return;
+    }
+    this.applyOverrides();
+  }
+  
   queueTabUpdate(tabId, url, isActive) {
     if (!tabId || !url) return;
     
@@ -216,6 +296,21 @@ class TabManager {
       return;
     }
     
+    // Overridden tabs get a marked badge, also when they connect directly
+    const tabOverride = this.proxyManager.resolveTabOverride(tabId, url);
+    if (tabOverride) {
+      const { proxy } = tabOverride;
+      this.tabProxyMap.set(tabId, {
+        id: proxy ? proxy.id : null,
+        name: proxy ? proxy.name : 'DIRECT',
+        priority: proxy ? proxy.priority : null,
+        color: proxy ? proxy.color : OVERRIDE_DIRECT_COLOR,
+        matchType: 'override'
+      });
+      await this.updateTabProxyBadge(tabId);
+      return;
+    }
+    
     this.proxyManager.checkTabProxyUsage(tabId, url, {
       onProxyMatch: async (proxy, matchType) => {
         this.tabProxyMap.set(tabId, {
@@ -315,6 +410,8 @@ class TabManager {
     eventManager.removeEventListener('tab', 'tab_activated');
     eventManager.removeEventListener('tab', 'tab_updated');
     eventManager.removeEventListener('tab', 'tab_removed');
+    eventManager.removeEventListener('tab', 'tab_created');
+    eventManager.removeEventListener('tab', 'tab_attached');
     eventManager.removeEventListener('alarm', 'tab_manager_alarms');
     
     // Remove configuration listener
@@ -351,7 +448,9 @@ class TabManager {
     }
     
     const proxyInfo = this.tabProxyMap.get(tabId);
-    const badgeText = ` ${proxyInfo.name.charAt(0).toUpperCase()} `;
+    const initial = proxyInfo.name.charAt(0).toUpperCase();
+    // Overridden tabs are marked with an asterisk
+    const badgeText = proxyInfo.matchType === 'override' ? `${initial}*` : ` ${initial} `;
     
     try {
       await browser.action.setBadgeText({ tabId, text: badgeText });
@@ -380,6 +479,134 @@ class TabManager {
   }
   
   
+  /**
+   * Forces a tab, or every tab of its window, through a proxy or a direct
+   * connection. Tab overrides end when the tab leaves the page's origin or
+   * closes, window overrides when the window closes.
+   * @param {number} tabId - The tab to override
+   * @param {string|null} proxyId - The proxy to use, null to connect directly
+   * @param {string} [scope=TAB_OVERRIDE_SCOPES.TAB] - Override the tab or its whole window
+   * @returns {Promise<Object>} - The override of the tab
+   */
+  async setTabOverride(tabId, proxyId, scope = TAB_OVERRIDE_SCOPES.TAB) {
+    const tab = await browser.tabs.get(tabId);
+    const createdAt = Date.now();
+    
+    if (scope === TAB_OVERRIDE_SCOPES.WINDOW) {
+      const windowOverride = { proxyId, createdAt };
+      this.windowOverrides.set(tab.windowId, windowOverride);
+      
+      const windowTabs = await browser.tabs.query({ windowId: tab.windowId });
+      windowTabs.forEach(windowTab => {
+        this.tabOverrides.set(windowTab.id, this.createWindowTabOverride(tab.windowId, windowOverride));
+      });
+    } else {
+      const origin = getOverrideOrigin(tab.url);
+      if (!origin) {
+        throw new Error('Only http and https pages can be overridden');
+      }
+      this.tabOverrides.set(tabId, { proxyId, scope, origin, windowId: tab.windowId, createdAt });
+    }
+    
+    await this.applyOverrides();
+    return this.tabOverrides.get(tabId);
+  }
+  
+  /**
+   * Ends the override of a tab, or of its window if the override came from there
+   * @param {number} tabId - The overridden tab
+   * @returns {Promise<boolean>} - Whether the tab was overridden
+   */
+  async clearTabOverride(tabId) {
+    const override = this.tabOverrides.get(tabId);
+    if (!override) {
+      return false;
+    }
+    
+    if (override.scope === TAB_OVERRIDE_SCOPES.WINDOW) {
+      this.removeWindowOverride(override.windowId);
+    } else {
+      this.tabOverrides.delete(tabId);
+    }
+    
+    await this.applyOverrides();
+    return true;
+  }
+  
+  /**
+   * @param {number} tabId - The tab
+   * @returns {Object|null} - The tab's override, or null
+   */
+  getTabOverride(tabId) {
+    return this.tabOverrides.get(tabId) || null;
+  }
+  
+  createWindowTabOverride(windowId, windowOverride) {
+    return {
+      proxyId: windowOverride.proxyId,
+      scope: TAB_OVERRIDE_SCOPES.WINDOW,
+      origin: null,
+      windowId,
+      createdAt: windowOverride.createdAt
+    };
+  }
+  
+  removeWindowOverride(windowId) {
+    this.windowOverrides.delete(windowId);
+    for (const [tabId, override] of this.tabOverrides) {
+      if (override.scope === TAB_OVERRIDE_SCOPES.WINDOW && override.windowId === windowId) {
+        this.tabOverrides.delete(tabId);
+      }
+    }
+  }
+  
+  // Hands the overrides to ProxyManager, keeps them for the session and refreshes the badges
+  async applyOverrides() {
+    this.proxyManager.setTabOverrides(this.tabOverrides);
+    await this.saveOverrides();
+    await this.refreshAllTabBadges();
+  }
+  
+  // Overrides outlive a restart of the background, but not of the browser
+  async saveOverrides() {
+    if (!browser.storage?.session) return;
+    
+    try {
+      await browser.storage.session.set({
+        [this.overrideStorageKey]: {
+          tabs: [...this.tabOverrides],
+          windows: [...this.windowOverrides]
+        }
+      });
+    } catch (error) {
+      console.error('[TabManager] Failed to save tab overrides:', error);
+    }
+  }
+  
+  /**
+   * Restores the overrides saved before the background was restarted,
+   * dropping those of tabs and windows closed meanwhile
+   */
+  async restoreOverrides() {
+    if (!browser.storage?.session) return;
+    
+    try {
+      const result = await browser.storage.session.get(this.overrideStorageKey);
+      const stored = result[this.overrideStorageKey];
+      if (!stored) return;
+      
+      const tabs = await browser.tabs.query({});
+      const openTabIds = new Set(tabs.map(tab => tab.id));
+      const openWindowIds = new Set(tabs.map(tab => tab.windowId));
+      
+      this.tabOverrides = new Map((stored.tabs || []).filter(([tabId]) => openTabIds.has(tabId)));
+      this.windowOverrides = new Map((stored.windows || []).filter(([windowId]) => openWindowIds.has(windowId)));
+      this.proxyManager.setTabOverrides(this.tabOverrides);
+    } catch (error) {
+      console.error('[TabManager] Failed to restore tab overrides:', error);
+    }
+  }
+  
   // Get the current tab ID
   getCurrentTabId() {
     return this.currentTabId;
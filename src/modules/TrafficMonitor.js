@@ -1,13 +1,25 @@
 import * as browser from 'webextension-polyfill';
-import { MESSAGE_ACTIONS, SPECIAL_TRAFFIC_COLORS } from '../common/constants.js';
+import { MESSAGE_ACTIONS, SPECIAL_TRAFFIC_COLORS, TRAFFIC_PERSISTENCE, TRAFFIC_WINDOWS, REQUEST_LATENCY } from '../common/constants.js';
 import browserCapabilities from '../utils/feature-detection.js';
 import eventManager from './EventManager.js';
 import { ProxyTrafficTracker } from './ProxyTrafficTracker.js';
+import { HostTrafficTracker } from './HostTrafficTracker.js';
+import { RequestLatencyTracker } from './RequestLatencyTracker.js';
 import ProxyResolver from './ProxyResolver.js';
+import {
+  createRequestContext,
+  getPacVisibleUrl,
+  matchesPatternList,
+  getRoutingPatterns,
+  getExcludePatterns
+} from './PatternMatcher.js';
 import UnifiedCacheManager from './UnifiedCacheManager.js';
 import {
   createEmptyTrafficData,
+  createEmptyTrafficTotals,
   createEmptyDataPoint,
+  getBucketStart,
+  addDataPointValues,
   addProxyDataToPoint,
   getProxyIdsFromDataPoint
 } from '../types/traffic-data.js';
@@ -25,22 +37,31 @@ class TrafficMonitor {
   constructor(options = {}) {
     this.patternMatcher = options.patternMatcher;
     this.proxyTrafficTracker = options.proxyTrafficTracker || new ProxyTrafficTracker();
+    this.hostTrafficTracker = options.hostTrafficTracker || new HostTrafficTracker();
+    this.requestLatencyTracker = options.requestLatencyTracker || new RequestLatencyTracker();
     this.proxyResolver = new ProxyResolver(this.patternMatcher);
-    this.urlHostnameRegex = /^https?:\/\/([^/:]+)/i;
+    this.routingLog = options.routingLog || null;
+    this.bypassPatterns = [];
     
     // Recharts-compatible data structure
     this.trafficData = this.initializeDataStructure();
     
+    // Cumulative traffic per aggregation key, kept across restarts
+    this.totals = createEmptyTrafficTotals(Date.now());
+    
+    // Checkpoint state: traffic data are restored once and saved within a write budget
+    this.restorePromise = null;
+    this.lastCheckpoint = 0;
+    this.hasUnsavedTraffic = false;
+    
     // Sampling state
     this.currentSample = this.createEmptySample();
     this.sampleCounter = 0;
     
     // Stats calculation management
-    this.lastFullRecalcTimestamp = {
-      '1min': 0,
-      '5min': 0,
-      '10min': 0
-    };
+    this.lastFullRecalcTimestamp = Object.fromEntries(
+      Object.keys(TRAFFIC_WINDOWS).map(windowSize => [windowSize, 0])
+    );
     this.fullRecalcIntervalMs = 60000; // Full recalculation every minute
     this.pointLastProcessed = {};
     
@@ -76,17 +97,18 @@ class TrafficMonitor {
     // Bind methods for event listeners
     this.boundTrackDownload = this.trackDownloadTraffic.bind(this);
     this.boundTrackUpload = this.trackUploadTraffic.bind(this);
+    this.boundTrackError = this.trackRequestError.bind(this);
+    this.boundTrackRequestStart = this.trackRequestStart.bind(this);
+    this.boundTrackResponseStarted = this.trackResponseStarted.bind(this);
     this.boundSampleData = this.sampleData.bind(this);
     
     // setupAlarmListener() is now called conditionally in startMonitoring()
   }
   
   initializeDataStructure() {
-    return {
-      '1min': createEmptyTrafficData('1min', 1000),
-      '5min': createEmptyTrafficData('5min', 5000),
-      '10min': createEmptyTrafficData('10min', 10000)
-    };
+    return Object.fromEntries(Object.entries(TRAFFIC_WINDOWS).map(
+      ([windowSize, { sampleInterval }]) => [windowSize, createEmptyTrafficData(windowSize, sampleInterval)]
+    ));
   }
   
   
@@ -125,10 +147,11 @@ class TrafficMonitor {
     this.stopMonitoring();
     
     this.enabledProxies = enabledProxies;
+    this.bypassPatterns = config?.bypassPatterns || [];
     
     // Build proxy aggregation key map
     const configVersion = this.proxyResolver.generateConfigVersion(config);
-    this.proxyResolver.buildProxyKeyMap(enabledProxies, configVersion);
+    this.proxyResolver.buildProxyKeyMap(enabledProxies, configVersion, this.bypassPatterns);
     
     this.currentSample = this.createEmptySample();
     this.cacheManager.clear('proxyLookup');
@@ -141,6 +164,9 @@ class TrafficMonitor {
     // Initialize data structures for enabled proxies
     this.initializeProxyData(enabledProxies);
     
+    // Bring back the traffic recorded before the background was stopped
+    this.restoreState();
+    
     // Start event listeners
     this.addWebRequestListeners();
     
@@ -164,6 +190,9 @@ class TrafficMonitor {
   stopMonitoring() {
     eventManager.removeWebRequestListener('onCompleted', 'download_traffic_monitor');
     eventManager.removeWebRequestListener('onBeforeRequest', 'upload_traffic_monitor');
+    eventManager.removeWebRequestListener('onErrorOccurred', 'request_errors');
+    eventManager.removeWebRequestListener('onBeforeRequest', 'request_timing_start');
+    eventManager.removeWebRequestListener('onResponseStarted', 'request_timing_response');
     eventManager.removeEventListener('alarm', 'traffic_sampling');
     
     // Clear both alarms and intervals
@@ -183,10 +212,133 @@ class TrafficMonitor {
     if (this.hasDataToSample()) {
       this.sampleData();
     }
+    this.saveCheckpoint(true);
     
     this.requestQueue = [];
     this.cacheManager.clear('proxyLookup');
   }
+  
+  /**
+   * Restores the checkpointed traffic data, once per background start
+   * @returns {Promise<void>}
+   */
+  restoreState() {
+    if (!this.restorePromise) {
+      this.restorePromise = this.loadCheckpoint();
+    }
+    return this.restorePromise;
+  }
+  
+  async loadCheckpoint() {
+    if (!browser.storage?.local) return;
+    
+    try {
+      const result = await browser.storage.local.get(TRAFFIC_PERSISTENCE.storageKey);
+      const stored = result[TRAFFIC_PERSISTENCE.storageKey];
+      if (stored) {
+        this.mergeCheckpoint(stored);
+      }
+    } catch (error) {
+      console.error('[TrafficMonitor] Failed to restore traffic statistics:', error);
+    }
+  }
+  
+  /**
+   * Puts checkpointed data points before the live ones and adds the checkpointed
+   * totals. Points older than their window and series of aggregation keys no
+   * longer configured are dropped, so restored series line up with live ones.
+   * A restored rollup bucket that is still open is added to the live one.
+   * @param {{savedAt: number, windows: Object<string, Array<Object>>, totals: Object}} stored - Checkpoint
+   * @param {number} [now=Date.now()] - Current time
+   */
+  mergeCheckpoint(stored, now = Date.now()) {
+    const knownKeys = new Set(this.proxyResolver.proxyKeyMap.keys());
+    const isKnownBucket = (bucket) => ['direct', 'others'].includes(bucket) || knownKeys.has(bucket);
+    const isKnownSeries = (field) => {
+      const match = /^(?:download|upload)_(.+)$/.exec(field);
+      return !match || match[1] === 'total' || isKnownBucket(match[1]);
+    };
+    
+    for (const windowSize in this.trafficData) {
+      const windowData = this.trafficData[windowSize];
+      const { points } = TRAFFIC_WINDOWS[windowSize];
+      const oldest = now - windowData.meta.sampleInterval * points;
+      const firstLive = windowData.data.length > 0 ? windowData.data[0].timestamp : Infinity;
+      
+      const restored = (stored.windows?.[windowSize] || [])
+        .filter(point => point.timestamp >= oldest && point.timestamp <= firstLive)
+        .map(point => Object.fromEntries(Object.entries(point).filter(([field]) => isKnownSeries(field))));
+      if (restored.length === 0) continue;
+      
+      if (restored[restored.length - 1].timestamp === firstLive) {
+        addDataPointValues(windowData.data[0], restored.pop());
+      }
+      windowData.data = [...restored, ...windowData.data].slice(-points);
+      // Force a full recalculation over the merged points
+      this.lastFullRecalcTimestamp[windowSize] = 0;
+      this.updateStats(windowSize);
+    }
+    
+    const totals = stored.totals;
+    if (totals) {
+      this.totals.since = Math.min(this.totals.since, totals.since || now);
+      this.totals.download += totals.download || 0;
+      this.totals.upload += totals.upload || 0;
+      ['direct', 'others'].forEach(kind => {
+        this.totals[kind].download += totals[kind]?.download || 0;
+        this.totals[kind].upload += totals[kind]?.upload || 0;
+      });
+      Object.entries(totals.perProxy || {}).forEach(([aggregationKey, proxyTotals]) => {
+        if (!knownKeys.has(aggregationKey)) return;
+        const current = this.totals.perProxy[aggregationKey] || { download: 0, upload: 0 };
+        this.totals.perProxy[aggregationKey] = {
+          download: current.download + (proxyTotals.download || 0),
+          upload: current.upload + (proxyTotals.upload || 0)
+        };
+      });
+    }
+    
+    if (Array.isArray(stored.hosts)) {
+      this.hostTrafficTracker.restore(stored.hosts, isKnownBucket);
+    }
+  }
+  
+  /**
+   * Saves the traffic windows and totals to storage. Within the write budget,
+   * at most one write per checkpoint interval and only after new traffic.
+   * @param {boolean} [force=false] - Save now, ignoring the interval
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(force = false) {
+    const now = Date.now();
+    if (!browser.storage?.local || !this.hasUnsavedTraffic) return;
+    if (!force && now - this.lastCheckpoint < TRAFFIC_PERSISTENCE.checkpointIntervalMs) return;
+    
+    this.hasUnsavedTraffic = false;
+    this.lastCheckpoint = now;
+    
+    // Never overwrite a checkpoint that has not been restored yet
+    await this.restoreState();
+    
+    const windows = {};
+    for (const windowSize in this.trafficData) {
+      windows[windowSize] = this.trafficData[windowSize].data;
+    }
+    
+    try {
+      await browser.storage.local.set({
+        [TRAFFIC_PERSISTENCE.storageKey]: {
+          savedAt: now,
+          windows,
+          totals: this.totals,
+          hosts: this.hostTrafficTracker.serialize()
+        }
+      });
+    } catch (error) {
+      this.hasUnsavedTraffic = true;
+      console.error('[TrafficMonitor] Failed to save traffic statistics:', error);
+    }
+  }
 
   handleConfigurationUpdate(newConfig, enabledProxies) {
     // Stop current monitoring
@@ -197,8 +349,9 @@ class TrafficMonitor {
     
     // Update proxy resolver with new configuration
     const oldKeys = new Set(this.proxyResolver.proxyKeyMap.keys());
+    this.bypassPatterns = newConfig?.bypassPatterns || [];
     const configVersion = this.proxyResolver.generateConfigVersion(newConfig);
-    this.proxyResolver.buildProxyKeyMap(enabledProxies, configVersion);
+    this.proxyResolver.buildProxyKeyMap(enabledProxies, configVersion, this.bypassPatterns);
     const newKeys = new Set(this.proxyResolver.proxyKeyMap.keys());
     const removedKeys = [...oldKeys].filter(key => !newKeys.has(key));
     if (removedKeys.length > 0) {
@@ -237,6 +390,13 @@ class TrafficMonitor {
       }
     }
     
+    aggregationKeys.forEach(key => {
+      delete this.totals.perProxy[key];
+    });
+    this.hostTrafficTracker.removeBuckets(aggregationKeys);
+    this.requestLatencyTracker.removeBuckets(aggregationKeys);
+    this.hasUnsavedTraffic = true;
+    
     // Clear proxy-specific data from current sample
     if (this.currentSample) {
       aggregationKeys.forEach(key => {
@@ -247,10 +407,13 @@ class TrafficMonitor {
   }
   
   initializeProxyData(_proxies) {
-    const timestamp = Date.now();
+    const now = Date.now();
     
-    for (const windowSize of ['1min', '5min', '10min']) {
+    for (const windowSize in this.trafficData) {
       const windowData = this.trafficData[windowSize];
+      const timestamp = TRAFFIC_WINDOWS[windowSize].rollup
+        ? getBucketStart(now, windowData.meta.sampleInterval)
+        : now;
       
       // Initialize per-proxy stats for aggregation keys
       for (const [aggregationKey] of this.proxyResolver.proxyKeyMap) {
@@ -283,6 +446,24 @@ class TrafficMonitor {
       this.boundTrackDownload
     );
     
+    eventManager.addWebRequestListener(
+      'onErrorOccurred',
+      'request_errors',
+      this.boundTrackError
+    );
+    
+    // Request timing, for latency per proxy
+    eventManager.addWebRequestListener(
+      'onBeforeRequest',
+      'request_timing_start',
+      this.boundTrackRequestStart
+    );
+    eventManager.addWebRequestListener(
+      'onResponseStarted',
+      'request_timing_response',
+      this.boundTrackResponseStarted
+    );
+    
     if (browserCapabilities.webRequest.hasRequestBodyAccess) {
       eventManager.addWebRequestListener(
         'onBeforeRequest',
@@ -369,6 +550,10 @@ class TrafficMonitor {
   trackDownloadTraffic(details) {
     if (!details.url) return;
     
+    if (this.routingLog) {
+      this.routingLog.recordOutcome(details);
+    }
+    
     // Update last user activity timestamp
     this.lastUserActivity = Date.now();
     
@@ -382,6 +567,33 @@ class TrafficMonitor {
     this.requestQueue.push({ type: 'download', details });
   }
   
+  // Failed requests carry no traffic, but count towards error rates and the routing log shows why they failed
+  trackRequestError(details) {
+    if (!details.url) return;
+    
+    if (this.routingLog) {
+      this.routingLog.recordOutcome(details);
+    }
+    
+    const timing = this.proxyTrafficTracker.finishRequest(details.requestId);
+    if (REQUEST_LATENCY.ignoredErrors.includes(details.error)) return;
+    
+    const bucket = this.getTrafficBucket(this.resolveProxyFromDetails(details));
+    this.requestLatencyTracker.record(bucket, {
+      timestamp: details.timeStamp || Date.now(),
+      duration: timing ? (details.timeStamp || Date.now()) - timing.startTime : null,
+      failed: true
+    });
+  }
+  
+  trackRequestStart(details) {
+    this.proxyTrafficTracker.recordRequestStart(details.requestId, details.timeStamp || Date.now());
+  }
+  
+  trackResponseStarted(details) {
+    this.proxyTrafficTracker.recordResponseStarted(details.requestId, details.timeStamp || Date.now());
+  }
+  
   trackUploadTraffic(details) {
     if (!details.url || !details.requestBody) return;
     
@@ -395,6 +607,7 @@ class TrafficMonitor {
     const resolution = this.resolveProxyFromDetails(details);
     
     this.currentSample.upload += size;
+    this.hostTrafficTracker.record(this.getTrafficBucket(resolution), details.url, { upload: size });
     
     switch (resolution.type) {
       case 'configured':
@@ -448,10 +661,14 @@ class TrafficMonitor {
   
   processDownloadRequest(details) {
     const size = this.extractDownloadSize(details);
-    if (size === 0) return;
-    
     const resolution = this.resolveProxyFromDetails(details);
     
+    // Requests without a known size still count towards their host and latency
+    const bucket = this.getTrafficBucket(resolution);
+    this.hostTrafficTracker.record(bucket, details.url, { download: size, requests: 1 });
+    this.recordRequestTiming(bucket, details);
+    if (size === 0) return;
+    
     this.currentSample.download += size;
     
     switch (resolution.type) {
@@ -492,6 +709,31 @@ class TrafficMonitor {
     }
   }
   
+  /**
+   * Adds the timing of a completed request, from its start to the response and to completion
+   * @param {string|null} bucket - From getTrafficBucket
+   * @param {Object} details - onCompleted details
+   */
+  recordRequestTiming(bucket, details) {
+    const completedAt = details.timeStamp || Date.now();
+    const timing = this.proxyTrafficTracker.finishRequest(details.requestId);
+    
+    this.requestLatencyTracker.record(bucket, {
+      timestamp: completedAt,
+      ttfb: timing?.responseStartTime ? timing.responseStartTime - timing.startTime : null,
+      duration: timing ? completedAt - timing.startTime : null
+    });
+  }
+  
+  /**
+   * Gets the bucket traffic of a resolution is counted in, as in the series keys
+   * @param {{type: string, aggregationKey?: string}} resolution - From resolveProxyFromDetails
+   * @returns {string|null} - Aggregation key, 'direct' or 'others'
+   */
+  getTrafficBucket(resolution) {
+    return resolution.type === 'configured' ? resolution.aggregationKey || null : resolution.type;
+  }
+  
   resolveProxyFromProxyInfo(details) {
     const { type, host, port } = details.proxyInfo;
     
@@ -541,11 +783,11 @@ class TrafficMonitor {
       }
     }
     
-    let hostname;
-    try {
-      const hostnameMatch = this.urlHostnameRegex.exec(details.url);
-      hostname = hostnameMatch ? hostnameMatch[1] : new URL(details.url).hostname;
-    } catch {
+    // Chrome routes through the PAC script, which only sees the scheme, host and port of https URLs
+    const request = createRequestContext(
+      browserCapabilities.proxy.hasProxyRequestListener ? details.url : getPacVisibleUrl(details.url)
+    );
+    if (!request) {
       return null;
     }
     
@@ -560,11 +802,17 @@ class TrafficMonitor {
       }
     }
     
+    // Requests on the global bypass list always connect directly
+    if (matchesPatternList(this.patternMatcher, request, this.bypassPatterns)) {
+      return null;
+    }
+    
     // Container-based routing check
     if (details.cookieStoreId && browserCapabilities.containers.hasContainerSupport) {
       for (const proxy of proxiesToCheck) {
         if (proxy.routingConfig.useContainerMode && 
-            proxy.routingConfig.containers?.includes(details.cookieStoreId)) {
+            proxy.routingConfig.containers?.includes(details.cookieStoreId) &&
+            !matchesPatternList(this.patternMatcher, request, getExcludePatterns(proxy.routingConfig))) {
           proxyId = proxy.id;
           break;
         }
@@ -575,7 +823,8 @@ class TrafficMonitor {
     if (!proxyId) {
       for (const proxy of proxiesToCheck) {
         if (!proxy.routingConfig.useContainerMode) {
-          if (this.patternMatcher.matchesAnyPattern(hostname, proxy.routingConfig.patterns || [])) {
+          if (this.patternMatcher.matchesAnyPattern(request, getRoutingPatterns(proxy.routingConfig)) &&
+              !matchesPatternList(this.patternMatcher, request, getExcludePatterns(proxy.routingConfig))) {
             proxyId = proxy.id;
             break;
           }
@@ -648,6 +897,7 @@ class TrafficMonitor {
   
   sampleData() {
     const timestamp = Date.now();
+    const hasTraffic = this.hasDataToSample();
     
     // Create new data point in Recharts format
     const dataPoint = createEmptyDataPoint(timestamp);
@@ -698,11 +948,14 @@ class TrafficMonitor {
     // Update stats for 1min window
     this.updateStats('1min');
     
+    this.addSampleToTotals(this.currentSample);
+    
     // Reset current sample
     this.currentSample = this.createEmptySample();
     
     // Update aggregated views efficiently
     this.updateAggregatedViews(timestamp);
+    this.updateRollups(dataPoint);
     
     // Trim old data
     this.trimChartData();
@@ -711,15 +964,40 @@ class TrafficMonitor {
     
     // Broadcast update
     this.broadcastUpdate();
+    
+    if (hasTraffic) {
+      this.hasUnsavedTraffic = true;
+    }
+    this.saveCheckpoint();
+  }
+  
+  addSampleToTotals(sample) {
+    const totals = this.totals;
+    totals.download += sample.download;
+    totals.upload += sample.upload;
+    totals.direct.download += sample.directDownload;
+    totals.direct.upload += sample.directUpload;
+    totals.others.download += sample.othersDownload;
+    totals.others.upload += sample.othersUpload;
+    
+    const addProxyBytes = (aggregationKey, direction, bytes) => {
+      if (!totals.perProxy[aggregationKey]) {
+        totals.perProxy[aggregationKey] = { download: 0, upload: 0 };
+      }
+      totals.perProxy[aggregationKey][direction] += bytes;
+    };
+    sample.proxyDownload.forEach((bytes, aggregationKey) => addProxyBytes(aggregationKey, 'download', bytes));
+    sample.proxyUpload.forEach((bytes, aggregationKey) => addProxyBytes(aggregationKey, 'upload', bytes));
   }
   
-  updateStats(windowSize) {
+  updateStats(windowSize, forceFullRecalc = false) {
     const timestamp = Date.now();
     const windowData = this.trafficData[windowSize];
     const data = windowData.data;
     
     // Determine if we need a full recalculation
-    const needsFullRecalc = timestamp - this.lastFullRecalcTimestamp[windowSize] >= this.fullRecalcIntervalMs;
+    const needsFullRecalc = forceFullRecalc ||
+      timestamp - this.lastFullRecalcTimestamp[windowSize] >= this.fullRecalcIntervalMs;
     
     if (needsFullRecalc) {
       // Do full recalculation for safety/accuracy
@@ -924,6 +1202,29 @@ class TrafficMonitor {
     }
   }
   
+  /**
+   * Adds a 1-second sample to the open bucket of every rollup window, starting
+   * a new bucket when the sample falls past the last one. Stats are fully
+   * recalculated, since the last point changes in place.
+   * @param {TrafficDataPoint} dataPoint - The sample just taken
+   */
+  updateRollups(dataPoint) {
+    for (const windowSize in this.trafficData) {
+      if (!TRAFFIC_WINDOWS[windowSize].rollup) continue;
+      
+      const windowData = this.trafficData[windowSize];
+      const bucketStart = getBucketStart(dataPoint.timestamp, windowData.meta.sampleInterval);
+      let bucket = windowData.data[windowData.data.length - 1];
+      if (!bucket || bucket.timestamp !== bucketStart) {
+        bucket = createEmptyDataPoint(bucketStart);
+        windowData.data.push(bucket);
+      }
+      addDataPointValues(bucket, dataPoint);
+      
+      this.updateStats(windowSize, true);
+    }
+  }
+  
   aggregateWindow(windowSize, factor, timestamp) {
     // Get source data (1min)
     const sourceData = this.trafficData['1min'];
@@ -950,15 +1251,8 @@ class TrafficMonitor {
     aggregatedPoint.download_others = sourcePoints.reduce((sum, pt) => sum + (pt.download_others || 0), 0);
     aggregatedPoint.upload_others = sourcePoints.reduce((sum, pt) => sum + (pt.upload_others || 0), 0);
     
-    // Get all proxy IDs from the source data
-    const proxyIds = new Set();
-    
-    // Include all enabled proxies
-    if (this.enabledProxies) {
-      for (const proxy of this.enabledProxies) {
-        proxyIds.add(proxy.id);
-      }
-    }
+    // Series are keyed by aggregation key, like the 1min points
+    const proxyIds = new Set(this.proxyResolver.proxyKeyMap.keys());
     
     // Also include any proxy IDs found in the data
     sourcePoints.forEach(point => {
@@ -984,14 +1278,8 @@ class TrafficMonitor {
   }
   
   trimChartData() {
-    const limits = {
-      '1min': 60,
-      '5min': 60,
-      '10min': 60
-    };
-    
     for (const windowSize in this.trafficData) {
-      const limit = limits[windowSize];
+      const limit = TRAFFIC_WINDOWS[windowSize].points;
       const windowData = this.trafficData[windowSize];
       
       if (windowData.data.length > limit) {
@@ -1049,10 +1337,7 @@ class TrafficMonitor {
   getTrafficData(windowSize) {
     // Return the requested window data
     if (!this.trafficData[windowSize]) {
-      return createEmptyTrafficData(
-        windowSize,
-        windowSize === '1min' ? 1000 : windowSize === '5min' ? 5000 : 10000
-      );
+      return createEmptyTrafficData(windowSize, TRAFFIC_WINDOWS['1min'].sampleInterval);
     }
     
     // For aggregated views, ensure we have built full historical data
@@ -1066,10 +1351,31 @@ class TrafficMonitor {
     return {
       data: [...windowData.data],
       stats: JSON.parse(JSON.stringify(windowData.stats)),
-      meta: {...windowData.meta}
+      meta: {...windowData.meta},
+      totals: JSON.parse(JSON.stringify(this.totals))
     };
   }
   
+  /**
+   * Lists the registrable domains with the most traffic
+   * @param {Object} [options] - Bucket, sort field and limit, see HostTrafficTracker.getTopHosts
+   * @returns {Array<Object>}
+   */
+  getTopHosts(options) {
+    return this.hostTrafficTracker.getTopHosts(options);
+  }
+  
+  /**
+   * Returns latency percentiles and error rates per traffic bucket over a window,
+   * or over the retained requests for longer windows
+   * @param {string} windowSize - A key of TRAFFIC_WINDOWS
+   * @returns {Object} - See RequestLatencyTracker.getLatency
+   */
+  getRequestLatency(windowSize) {
+    const span = (TRAFFIC_WINDOWS[windowSize] || TRAFFIC_WINDOWS['1min']).size * 1000;
+    return this.requestLatencyTracker.getLatency({ span });
+  }
+  
   buildHistoricalAggregatedData(windowSize) {
     const factor = windowSize === '5min' ? 5 : 10;
     const sourceData = this.trafficData['1min'];
@@ -1107,13 +1413,8 @@ class TrafficMonitor {
           aggregatedPoint.download_others = pointsToAggregate.reduce((sum, pt) => sum + (pt.download_others || 0), 0);
           aggregatedPoint.upload_others = pointsToAggregate.reduce((sum, pt) => sum + (pt.upload_others || 0), 0);
           
-          // Get all proxy IDs
-          const proxyIds = new Set();
-          if (this.enabledProxies) {
-            for (const proxy of this.enabledProxies) {
-              proxyIds.add(proxy.id);
-            }
-          }
+          // Series are keyed by aggregation key, like the 1min points
+          const proxyIds = new Set(this.proxyResolver.proxyKeyMap.keys());
           
           // Also include any proxy IDs found in the data
           pointsToAggregate.forEach(point => {
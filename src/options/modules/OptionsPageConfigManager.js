@@ -2,6 +2,7 @@ import * as browser from 'webextension-polyfill';
 import { createProxyConfig } from '../../utils.js';
 import { MESSAGE_ACTIONS } from '../../common/constants.js';
 import browserCapabilities from '../../utils/feature-detection.js';
+import { removeProxyFromProfiles } from '../../utils/profiles.js';
 
 /**
  * Manages the overall configuration state for the options page
@@ -48,8 +49,8 @@ export class OptionsPageConfigManager {
           // Colors are now managed by ProxyManager in the background
           
           if (Object.prototype.hasOwnProperty.call(proxy, 'username') || Object.prototype.hasOwnProperty.call(proxy, 'password')) {
-            // Only migrate auth fields for Firefox
-            if (browserCapabilities.browser.isFirefox) {
+            // Only migrate auth fields when proxy auth is supported
+            if (browserCapabilities.proxyAuth.supportsHttpAuth) {
               proxy.auth = {
                 username: proxy.username || '',
                 password: proxy.password || ''
@@ -57,8 +58,8 @@ export class OptionsPageConfigManager {
             }
             delete proxy.username;
             delete proxy.password;
-          } else if (!Object.prototype.hasOwnProperty.call(proxy, 'auth') && browserCapabilities.browser.isFirefox) {
-            // Only ensure auth object exists for Firefox
+          } else if (!Object.prototype.hasOwnProperty.call(proxy, 'auth') && browserCapabilities.proxyAuth.supportsHttpAuth) {
+            // Only ensure auth object exists when proxy auth is supported
             proxy.auth = { username: '', password: '' };
           }
         });
@@ -120,6 +121,9 @@ export class OptionsPageConfigManager {
       if (proxy.routingConfig.patterns) {
         this.draftProxy.routingConfig.patterns = [...proxy.routingConfig.patterns];
       }
+      if (proxy.routingConfig.excludePatterns) {
+        this.draftProxy.routingConfig.excludePatterns = [...proxy.routingConfig.excludePatterns];
+      }
       if (proxy.routingConfig.containers) {
         this.draftProxy.routingConfig.containers = [...proxy.routingConfig.containers];
       }
@@ -231,6 +235,20 @@ export class OptionsPageConfigManager {
     
     this.currentConfig.proxies.splice(index, 1);
     
+    // Remove the deleted proxy from other proxies' failover chains
+    this.currentConfig.proxies.forEach(proxy => {
+      if (proxy.failover?.fallbackProxyIds?.includes(proxyId)) {
+        proxy.failover = {
+          ...proxy.failover,
+          fallbackProxyIds: proxy.failover.fallbackProxyIds.filter(id => id !== proxyId)
+        };
+      }
+    });
+    
+    if (this.currentConfig.profiles) {
+      this.currentConfig.profiles = removeProxyFromProfiles(this.currentConfig.profiles, proxyId);
+    }
+    
     // Select another proxy if the deleted one was selected
     if (this.selectedProxyId === proxyId) {
       if (this.currentConfig.proxies.length > 0) {
@@ -312,6 +330,37 @@ export class OptionsPageConfigManager {
   updateCurrentConfig(newConfig) {
     this.currentConfig = newConfig;
   }
+  
+  /**
+   * Replace the global health check settings
+   * @param {Object} settings - { enabled, checkUrl, intervalMinutes, timeoutMs }
+   */
+  updateHealthCheckSettings(settings) {
+    this.currentConfig.healthCheck = { ...settings };
+  }
+  
+  /**
+   * Replace the global bypass list
+   * @param {Array} patterns - Patterns that always connect directly
+   */
+  updateBypassPatterns(patterns) {
+    this.currentConfig.bypassPatterns = [...patterns];
+  }
+  
+  /**
+   * Replace the routing profiles
+   * @param {Array} profiles - Named sets of proxy states
+   * @param {string|null} [activeProfileId] - The applied profile, if it changed
+   */
+  updateProfiles(profiles, activeProfileId) {
+    this.currentConfig.profiles = [...profiles];
+    if (activeProfileId !== undefined) {
+      this.currentConfig.activeProfileId = activeProfileId;
+    }
+    if (!this.currentConfig.profiles.some(profile => profile.id === this.currentConfig.activeProfileId)) {
+      delete this.currentConfig.activeProfileId;
+    }
+  }
 }
 
 /**
@@ -0,0 +1,46 @@
+import * as browser from 'webextension-polyfill';
+import { PAC_SANDBOX_PAGE, PAC_SANDBOX_EVALUATE } from '../../common/constants.js';
+
+const EVALUATION_TIMEOUT_MS = 5000;
+
+/**
+ * Evaluates a PAC script for sample URLs in the sandboxed PAC page. Extension
+ * pages may not eval, so the script runs in an iframe of the sandbox page.
+ * @param {string} script - PAC script defining FindProxyForURL
+ * @param {Array<string>} samples - URLs or hostnames
+ * @returns {Promise<{results: Array<Object>, notes: Array<string>}>}
+ *          A promise that resolves with the evaluatePacScript result, or rejects
+ *          if the script does not load or does not answer in time.
+ */
+export const evaluatePacInSandbox = (script, samples) => new Promise((resolve, reject) => {
+  const iframe = document.createElement('iframe');
+  iframe.src = browser.runtime.getURL(PAC_SANDBOX_PAGE);
+  iframe.style.display = 'none';
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    window.removeEventListener('message', handleMessage);
+    iframe.remove();
+  };
+  const handleMessage = (event) => {
+    if (event.source !== iframe.contentWindow || event.data?.id !== id) return;
+    cleanup();
+    if (event.data.error) {
+      reject(new Error(event.data.error));
+    } else {
+      resolve({ results: event.data.results, notes: event.data.notes });
+    }
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    reject(new Error('The PAC script did not answer in time'));
+  }, EVALUATION_TIMEOUT_MS);
+
+  window.addEventListener('message', handleMessage);
+  iframe.addEventListener('load', () => {
+    // The sandbox has an opaque origin, so the message cannot name a target origin
+    iframe.contentWindow.postMessage({ type: PAC_SANDBOX_EVALUATE, id, script, samples }, '*');
+  });
+  document.body.appendChild(iframe);
+});
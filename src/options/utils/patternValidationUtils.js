@@ -1,4 +1,172 @@
-import { defaultPatternMatcher } from '../../modules/PatternMatcher';
+import { defaultPatternMatcher, normalizePattern, createRequestContext } from '../../modules/PatternMatcher';
+import { PATTERN_TARGETS, PATTERN_TYPES } from '../../common/constants';
+import { parseCidr } from '../../utils/cidr';
+
+/**
+ * Match targets offered in the pattern editor. Lines for targets other than
+ * the hostname are written with the target as prefix, e.g. "path:^/api/".
+ * Domain and CIDR patterns always match the hostname.
+ */
+export const PATTERN_TARGET_OPTIONS = [
+  { value: PATTERN_TARGETS.HOSTNAME, label: 'Hostname' },
+  { value: PATTERN_TARGETS.URL, label: 'Full URL' },
+  { value: PATTERN_TARGETS.PATH, label: 'Path' },
+  { value: PATTERN_TARGETS.SCHEME, label: 'Scheme' },
+  { value: PATTERN_TARGETS.PORT, label: 'Port' }
+];
+
+/**
+ * Pattern syntaxes offered in the pattern editor. Lines for other syntaxes
+ * than regex are written with a type prefix after the target prefix,
+ * e.g. "glob:*.corp.com" or "path:glob:/api/*".
+ */
+export const PATTERN_TYPE_OPTIONS = [
+  { value: PATTERN_TYPES.REGEX, label: 'Regex' },
+  { value: PATTERN_TYPES.GLOB, label: 'Glob' },
+  { value: PATTERN_TYPES.DOMAIN_SUFFIX, label: 'Domain and subdomains' },
+  { value: PATTERN_TYPES.CIDR, label: 'IP range (CIDR)' }
+];
+
+const TARGET_PREFIX_REGEX = /^(url|path|scheme|port):/;
+
+/**
+ * Type prefixes of editor lines. "cidr+dns:" also matches hostnames whose
+ * resolved address lies in the range (PAC script only).
+ */
+const TYPE_PREFIXES = [
+  { prefix: 'glob:', type: PATTERN_TYPES.GLOB },
+  { prefix: 'domain:', type: PATTERN_TYPES.DOMAIN_SUFFIX },
+  { prefix: 'cidr+dns:', type: PATTERN_TYPES.CIDR, resolveDns: true },
+  { prefix: 'cidr:', type: PATTERN_TYPES.CIDR }
+];
+
+/**
+ * Builds the stored form of a pattern: regexes on the hostname stay plain
+ * strings, everything else becomes an object with only the fields it needs.
+ * @param {{value: string, target: string, type: string, resolveDns?: boolean}} pattern - Pattern parts.
+ * @returns {string|object} The stored pattern.
+ */
+const toStoredPattern = ({ value, target, type, resolveDns }) => {
+  const stored = { value };
+  if (type === PATTERN_TYPES.CIDR || type === PATTERN_TYPES.DOMAIN_SUFFIX) {
+    stored.type = type;
+    if (resolveDns && type === PATTERN_TYPES.CIDR) {
+      stored.resolveDns = true;
+    }
+    return stored;
+  }
+  if (target !== PATTERN_TARGETS.HOSTNAME) {
+    stored.target = target;
+  }
+  if (type !== PATTERN_TYPES.REGEX) {
+    stored.type = type;
+  }
+  return stored.target || stored.type ? stored : value;
+};
+
+/**
+ * Parses an editor line into a stored pattern. Unprefixed lines stay plain
+ * strings so hostname regex patterns keep their original format.
+ * @param {string} line - A line from the pattern editor.
+ * @returns {string|object} The stored pattern.
+ */
+export const parsePatternLine = (line) => {
+  let rest = line;
+  let target = PATTERN_TARGETS.HOSTNAME;
+  const targetMatch = TARGET_PREFIX_REGEX.exec(rest);
+  if (targetMatch) {
+    target = targetMatch[1];
+    rest = rest.slice(targetMatch[0].length);
+  }
+
+  const typePrefix = TYPE_PREFIXES.find(({ prefix }) => rest.startsWith(prefix));
+  if (!typePrefix) {
+    return toStoredPattern({ value: rest, target, type: PATTERN_TYPES.REGEX });
+  }
+  return toStoredPattern({
+    value: rest.slice(typePrefix.prefix.length),
+    target,
+    type: typePrefix.type,
+    resolveDns: typePrefix.resolveDns
+  });
+};
+
+/**
+ * Formats a stored pattern as an editor line.
+ * @param {string|object} pattern - The stored pattern.
+ * @returns {string} The editor line.
+ */
+export const formatPatternLine = (pattern) => {
+  const { value, target, type, resolveDns } = normalizePattern(pattern);
+  const targetPrefix = target === PATTERN_TARGETS.HOSTNAME ? '' : `${target}:`;
+  const typePrefix = TYPE_PREFIXES.find(entry => 
+    entry.type === type && !!entry.resolveDns === resolveDns
+  );
+  return `${targetPrefix}${typePrefix ? typePrefix.prefix : ''}${value}`;
+};
+
+/**
+ * Validates a domain suffix such as "corp.com" (a leading "." or "*." is allowed).
+ * @param {string} value - The domain, without the editor prefix.
+ * @returns {string|null} An error message, or null if the domain is valid.
+ */
+export const validateDomainSuffixPattern = (value) => {
+  if (!value || value.trim() === '') {
+    return 'Domain is empty';
+  }
+  if (!/^(\*?\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i.test(value)) {
+    return `"${value}" is not a valid domain`;
+  }
+  return null;
+};
+
+/**
+ * Validates a CIDR range such as "10.0.0.0/8" or "2001:db8::/32".
+ * @param {string} value - The range, without the editor prefix.
+ * @returns {string|null} An error message, or null if the range is valid.
+ */
+export const validateCidrPattern = (value) => {
+  if (!value || value.trim() === '') {
+    return 'CIDR range is empty';
+  }
+  if (!parseCidr(value)) {
+    return `"${value}" is not a valid IPv4 or IPv6 CIDR range`;
+  }
+  return null;
+};
+
+/**
+ * Trims trailing spaces from stored patterns and drops empty ones, as done before saving.
+ * @param {Array<string|object>} patterns - The stored patterns.
+ * @returns {Array<string|object>} The cleaned patterns.
+ */
+export const cleanPatterns = (patterns) => patterns
+  .map(pattern => typeof pattern === 'string'
+    ? pattern.trimEnd()
+    : { ...pattern, value: (pattern.value || '').trimEnd() })
+  .filter(pattern => normalizePattern(pattern).value.length > 0);
+
+/**
+ * Changes the match target of an editor line, keeping its pattern.
+ * @param {string} line - A line from the pattern editor.
+ * @param {string} target - The new match target.
+ * @returns {string} The rewritten line.
+ */
+export const setPatternLineTarget = (line, target) => {
+  const { value, type } = normalizePattern(parsePatternLine(line));
+  return formatPatternLine(toStoredPattern({ value, target, type }));
+};
+
+/**
+ * Changes the syntax type of an editor line, keeping its pattern and target.
+ * @param {string} line - A line from the pattern editor.
+ * @param {string} type - The new pattern type.
+ * @returns {string} The rewritten line.
+ */
+export const setPatternLineType = (line, type) => {
+  const { value, target } = normalizePattern(parsePatternLine(line));
+  return formatPatternLine(toStoredPattern({ value, target, type }));
+};
 
 /**
  * Validates a single regex pattern string.
@@ -27,11 +195,24 @@ export const validateRegexPatternLine = (patternString) => {
     return { isValid: true };
   }
 
+  const { value, type } = normalizePattern(parsePatternLine(patternString));
+  if (value === '') {
+    return { isValid: false, error: 'Pattern is empty' };
+  }
+
+  if (type === PATTERN_TYPES.CIDR || type === PATTERN_TYPES.DOMAIN_SUFFIX) {
+    const error = type === PATTERN_TYPES.CIDR ? validateCidrPattern(value) : validateDomainSuffixPattern(value);
+    return error ? { isValid: false, error } : { isValid: true };
+  }
+  if (type === PATTERN_TYPES.GLOB) {
+    return { isValid: true };
+  }
+
   try {
     // PatternMatcher's validatePattern is a bit complex for direct use here,
     // as it has options and might return the pattern itself.
     // A direct RegExp construction is simpler for basic validation.
-    new RegExp(patternString);
+    new RegExp(value);
     return { isValid: true };
   } catch (e) {
     return { isValid: false, error: e.message };
@@ -41,6 +222,7 @@ export const validateRegexPatternLine = (patternString) => {
 /**
  * Tests a string against a list of regex patterns.
  * Patterns are provided as a single string, with each pattern on a new line.
+ * A full URL is matched on every target; any other string only on the hostname.
  * @param {string} testString - The string to test.
  * @param {string} patternsMultiline - A string containing regex patterns, one per line.
  * @returns {{matched: boolean, error?: string, matchedPattern?: string}} An object indicating if the string matched,
@@ -63,16 +245,20 @@ export const testStringAgainstPatterns = (testString, patternsMultiline) => {
     return { matched: false, error: "No valid patterns provided." };
   }
 
+  const request = createRequestContext(testString);
+  if (!request) {
+    return { matched: false, error: "Test string is not a valid URL." };
+  }
+
   try {
-    for (const pattern of patternLines) {
-      // defaultPatternMatcher.testPattern is suitable here
-      if (defaultPatternMatcher.testPattern(testString, pattern)) {
-        return { matched: true, matchedPattern: pattern };
+    for (const line of patternLines) {
+      if (defaultPatternMatcher.matchesAnyPattern(request, [parsePatternLine(line)])) {
+        return { matched: true, matchedPattern: line };
       }
     }
     return { matched: false };
   } catch (e) {
-    // This catch is more for unexpected errors in testPattern itself,
+    // This catch is more for unexpected errors in matchesAnyPattern itself,
     // as individual regex compilation errors should be caught by validateRegexPatternLine.
     console.error("Error during pattern testing:", e);
     return { matched: false, error: `Error during testing: ${e.message}` };
@@ -0,0 +1,22 @@
+import { evaluatePacScript } from './utils/pac-evaluator.js';
+import { PAC_SANDBOX_EVALUATE } from './common/constants.js';
+
+/**
+ * Entry point of the sandboxed PAC evaluation page. The options page embeds it in
+ * an iframe and posts { type, id, script, samples }; the reply carries the same id.
+ */
+window.addEventListener('message', (event) => {
+  const { type, id, script, samples } = event.data || {};
+  if (type !== PAC_SANDBOX_EVALUATE || !event.source) {
+    return;
+  }
+
+  let reply;
+  try {
+    reply = { id, ...evaluatePacScript(script, samples) };
+  } catch (error) {
+    reply = { id, error: error.message };
+  }
+  // The sandbox has an opaque origin, so the reply cannot name a target origin
+  event.source.postMessage(reply, '*');
+});
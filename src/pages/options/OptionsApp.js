@@ -3,6 +3,9 @@ import { Suspense, lazy } from 'preact/compat';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Card, CardContent } from "@/components/ui/card";
 import ProxiesSection from '../../components/options/ProxiesSection';
+import RequestLog from '../../components/options/RequestLog';
+import RoutingExplainer from '../../components/options/RoutingExplainer';
+import RoutingConsistencyCheck from '../../components/options/RoutingConsistencyCheck';
 import { useThemeIcon } from '../../hooks/useThemeIcon';
 
 // Lazy load the TrafficDashboard to reduce initial bundle size
@@ -48,9 +51,10 @@ const OptionsApp = () => {
         </h1>
       )}
       <Tabs defaultValue="proxies" className="w-full">
-        <TabsList className="grid w-full grid-cols-2">
+        <TabsList className="grid w-full grid-cols-3">
           <TabsTrigger value="proxies">Proxies</TabsTrigger>
           <TabsTrigger value="traffic">Traffic</TabsTrigger>
+          <TabsTrigger value="diagnostics">Diagnostics</TabsTrigger>
         </TabsList>
         <TabsContent value="proxies" tabIndex={-1} className="mt-4">
           <ProxiesSection />
@@ -78,6 +82,11 @@ const OptionsApp = () => {
             <TrafficDashboard />
           </Suspense>
         </TabsContent>
+        <TabsContent value="diagnostics" tabIndex={-1} className="mt-4 space-y-6">
+          <RoutingExplainer />
+          <RoutingConsistencyCheck />
+          <RequestLog />
+        </TabsContent>
       </Tabs>
     </main>
   );
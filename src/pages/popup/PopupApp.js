@@ -4,18 +4,26 @@ import { Button } from "@/components/ui/button";
 import { MESSAGE_ACTIONS } from '../../common/constants';
 import { formatTraffic } from '../../utils';
 import ProxyPopupItem from '../../components/popup/ProxyPopupItem';
+import ProfileSwitcher from '../../components/popup/ProfileSwitcher';
+import TabOverrideControl from '../../components/popup/TabOverrideControl';
+import SiteRouteControl from '../../components/popup/SiteRouteControl';
 import { DownloadIcon, UploadIcon } from '../../components/shared/icons';
 import { useThemeIcon } from '../../hooks/useThemeIcon';
+import { useProxyAuthStatus } from '../../hooks/useProxyAuthStatus';
+import { useProxyHealth } from '../../hooks/useProxyHealth';
+import { useProxyQuotas } from '../../hooks/useProxyQuotas';
 
 
 /**
  * Main application component for the extension's popup.
  * Displays a list of available proxies, their status, and total traffic usage.
  * Shows which proxies match the current tab and which proxy is active.
- * Allows users to toggle proxies and open the options page.
+ * Allows users to toggle proxies, force the current tab through a proxy, add rules for
+ * the current site and open the options page.
  */
 const PopupApp = () => {
   const [proxies, setProxies] = useState([]);
+  const [config, setConfig] = useState(null);
   const [activeProxyStatus, setActiveProxyStatus] = useState(null);
   const [matchingProxies, setMatchingProxies] = useState([]);
   const [currentTraffic, setCurrentTraffic] = useState(null);
@@ -23,9 +31,14 @@ const PopupApp = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentUrl, setCurrentUrl] = useState('');
+  const [currentTabId, setCurrentTabId] = useState(null);
+  const [tabOverride, setTabOverride] = useState(null);
 
   // Hook to update extension icon based on theme
   useThemeIcon();
+  const authFailures = useProxyAuthStatus();
+  const { health } = useProxyHealth();
+  const { quotas } = useProxyQuotas();
 
   // Note: Theme detection is now handled by the global theme-detector.js script
   // This approach is consistent with the Options page
@@ -127,6 +140,7 @@ const PopupApp = () => {
         const tab = currentTabs[0];
         if (tab?.id && tab?.url) {
           setCurrentUrl(tab.url);
+          setCurrentTabId(tab.id);
         
           // Get both active proxy and matching proxies for this tab in one request
           const proxyResponse = await browser.runtime.sendMessage({ 
@@ -154,6 +168,8 @@ const PopupApp = () => {
           if (proxyResponse.success && proxyResponse.allMatchingProxies) {
             setMatchingProxies(proxyResponse.allMatchingProxies.map(p => p.id));
           }
+          
+          setTabOverride(proxyResponse.success && proxyResponse.override || null);
         }
         
         // Fetch proxy configuration
@@ -162,6 +178,7 @@ const PopupApp = () => {
         });
         const proxiesList = configResponse.config?.proxies || [];
         setProxies(proxiesList);
+        setConfig(configResponse.config || null);
         
         // Initialize empty traffic data for all proxies
         const initialTraffic = mapTrafficDataToProxies({}, proxiesList);
@@ -259,6 +276,8 @@ const PopupApp = () => {
           if (proxyResponse.success && proxyResponse.allMatchingProxies) {
             setMatchingProxies(proxyResponse.allMatchingProxies.map(p => p.id));
           }
+          
+          setTabOverride(proxyResponse.success && proxyResponse.override || null);
         }
         
         // Re-fetch proxy list
@@ -266,6 +285,7 @@ const PopupApp = () => {
           action: MESSAGE_ACTIONS.GET_CONFIG 
         });
         setProxies(configResponse.config?.proxies || []);
+        setConfig(configResponse.config || null);
       } catch (err) {
         // Handle error silently
       }
@@ -321,6 +341,29 @@ const PopupApp = () => {
         </div>
       )}
       
+      {!loading && (
+        <ProfileSwitcher config={config} onSwitch={handleProxyToggle} />
+      )}
+      
+      {!loading && (
+        <TabOverrideControl
+          tabId={currentTabId}
+          url={currentUrl}
+          override={tabOverride}
+          proxies={proxies}
+          onChange={handleProxyToggle}
+        />
+      )}
+      
+      {!loading && (
+        <SiteRouteControl
+          url={currentUrl}
+          config={config}
+          matchingProxyIds={matchingProxies}
+          onChange={handleProxyToggle}
+        />
+      )}
+      
       <main>
         <div className="space-y-2">
           {loading ? (
@@ -333,6 +376,9 @@ const PopupApp = () => {
                 isActive={activeProxyStatus && activeProxyStatus.proxyId === proxy.id}
                 matchesTab={matchingProxies.includes(proxy.id)}
                 traffic={perProxyTraffic[proxy.id]}
+                health={health[proxy.id]}
+                authFailure={authFailures[proxy.id]}
+                quota={quotas[proxy.id]}
                 priorityColor={proxy.color || 'hsl(210, 100%, 50%)'}
                 onToggle={handleProxyToggle}
               />
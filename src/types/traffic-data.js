@@ -54,7 +54,7 @@
 /**
  * Metadata about a traffic window
  * @typedef {Object} TrafficMeta
- * @property {string} windowSize - '1min', '5min', or '10min'
+ * @property {string} windowSize - A key of TRAFFIC_WINDOWS, e.g. '1min' or '24h'
  * @property {number} sampleInterval - Interval between samples in ms
  * @property {number} pointCount - Number of data points
  * @property {number} updateTimestamp - Last update timestamp
@@ -68,9 +68,36 @@
  * @property {number} end - End timestamp
  */
 
+/**
+ * Cumulative traffic since the totals were started, kept across restarts
+ * @typedef {Object} TrafficTotals
+ * @property {number} since - When counting started
+ * @property {number} download - Download bytes of all traffic
+ * @property {number} upload - Upload bytes of all traffic
+ * @property {Object<string, {download: number, upload: number}>} perProxy - Bytes per aggregation key
+ * @property {{download: number, upload: number}} direct - Bytes of direct traffic
+ * @property {{download: number, upload: number}} others - Bytes of unmatched traffic
+ */
+
+/**
+ * Creates empty cumulative totals
+ * @param {number} since - When counting starts
+ * @returns {TrafficTotals}
+ */
+export function createEmptyTrafficTotals(since) {
+  return {
+    since,
+    download: 0,
+    upload: 0,
+    perProxy: {},
+    direct: { download: 0, upload: 0 },
+    others: { download: 0, upload: 0 }
+  };
+}
+
 /**
  * Creates an empty traffic data structure
- * @param {string} windowSize - The window size ('1min', '5min', '10min')
+ * @param {string} windowSize - The window size, a key of TRAFFIC_WINDOWS
  * @param {number} sampleInterval - Interval between samples in ms
  * @returns {TrafficWindowData}
  */
@@ -109,6 +136,31 @@ export function createEmptyDataPoint(timestamp) {
   };
 }
 
+/**
+ * Gets the start of the rollup bucket a timestamp falls in. Buckets are
+ * aligned to local time, so daily buckets start at local midnight.
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {number} interval - Bucket length in milliseconds
+ * @returns {number} Start of the bucket
+ */
+export function getBucketStart(timestamp, interval) {
+  const offset = new Date(timestamp).getTimezoneOffset() * 60000;
+  return Math.floor((timestamp - offset) / interval) * interval + offset;
+}
+
+/**
+ * Adds the byte counts of one data point to another
+ * @param {TrafficDataPoint} target - The data point to add to
+ * @param {TrafficDataPoint} source - The data point to add
+ */
+export function addDataPointValues(target, source) {
+  for (const key in source) {
+    if (key !== 'timestamp') {
+      target[key] = (target[key] || 0) + source[key];
+    }
+  }
+}
+
 /**
  * Adds proxy data to a data point
  * @param {TrafficDataPoint} dataPoint - The data point to modify
@@ -6,9 +6,20 @@
 
 
 // Import defaultPatternMatcher for validation purposes only
-import { defaultPatternMatcher } from './modules/PatternMatcher.js';
-import { DEFAULT_PROXY_CONFIG } from './common/constants.js';
+import { defaultPatternMatcher, normalizePattern } from './modules/PatternMatcher.js';
+import {
+  DEFAULT_PROXY_CONFIG,
+  PATTERN_TARGETS,
+  PATTERN_TYPES,
+  PAC_PROXY_TYPE,
+  REMOTE_PAC_DEFAULTS,
+  RULE_SUBSCRIPTION_DEFAULTS,
+  QUOTA_PERIODS,
+  QUOTA_ACTIONS
+} from './common/constants.js';
+import { validateCidrPattern, validateDomainSuffixPattern } from './options/utils/patternValidationUtils.js';
 import browserCapabilities from './utils/feature-detection.js';
+import { buildActivationProbeUrl, TIME_REGEX } from './utils/activation.js';
 
 /**
  * Validates an IP address
@@ -90,14 +101,152 @@ export function createProxyConfig(name = 'New Proxy') {
     name: name
   };
   
-  // Remove auth fields for Chrome
-  if (!browserCapabilities.browser.isFirefox) {
+  // Remove auth fields when the browser cannot answer proxy auth
+  if (!browserCapabilities.proxyAuth.supportsHttpAuth) {
     delete config.auth;
   }
   
   return config;
 }
 
+/**
+ * Validates a list of routing patterns
+ * @param {Array} patterns - Stored patterns (strings or { value, target, type } objects)
+ * @param {string} kind - Name used in error messages, e.g. "routing pattern"
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateRoutingPatterns(patterns, kind = 'routing pattern') {
+  const errors = [];
+  if (!Array.isArray(patterns)) {
+    return errors;
+  }
+  
+  for (const pattern of patterns) {
+    const { value, target, type } = normalizePattern(pattern);
+    if (!Object.values(PATTERN_TYPES).includes(type)) {
+      errors.push(`Invalid type for ${kind} ${value}: ${type}`);
+    } else if (type === PATTERN_TYPES.CIDR || type === PATTERN_TYPES.DOMAIN_SUFFIX) {
+      const error = type === PATTERN_TYPES.CIDR ? validateCidrPattern(value) : validateDomainSuffixPattern(value);
+      if (error) {
+        errors.push(`Invalid ${kind}: ${error}`);
+      }
+    } else if (!Object.values(PATTERN_TARGETS).includes(target)) {
+      errors.push(`Invalid match target for ${kind} ${value}: ${target}`);
+    } else if (type === PATTERN_TYPES.REGEX && !defaultPatternMatcher.isValidRoutingPattern(value)) {
+      errors.push(`Invalid ${kind}: ${value}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates the URL of a file ProxyDeck downloads
+ * @param {string} value - The URL
+ * @param {string} label - Name used in error messages, e.g. "PAC URL"
+ * @returns {Array<string>} - Validation errors
+ */
+function validateDownloadUrl(value, label) {
+  if (!value || String(value).trim() === '') {
+    return [`${label} is required`];
+  }
+  try {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return [`${label} must start with http:// or https://`];
+    }
+  } catch (e) {
+    return [`${label} is not a valid URL`];
+  }
+  return [];
+}
+
+/**
+ * Validates the URL of a PAC URL proxy
+ * @param {string} pacUrl - URL of the PAC script
+ * @returns {Array<string>} - Validation errors
+ */
+export function validatePacUrl(pacUrl) {
+  return validateDownloadUrl(pacUrl, 'PAC URL');
+}
+
+/**
+ * Validates the rule list subscription of a proxy (routingConfig.subscription)
+ * @param {Object} subscription - Subscription with a url and optional refreshMinutes
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateRuleSubscription(subscription) {
+  const errors = validateDownloadUrl(subscription.url, 'Rule list URL');
+  const refreshMinutes = subscription.refreshMinutes;
+  if (refreshMinutes !== undefined &&
+      (!Number.isInteger(Number(refreshMinutes)) || Number(refreshMinutes) < RULE_SUBSCRIPTION_DEFAULTS.minRefreshMinutes)) {
+    errors.push(`Rule list refresh interval must be at least ${RULE_SUBSCRIPTION_DEFAULTS.minRefreshMinutes} minutes`);
+  }
+  return errors;
+}
+
+/**
+ * Validates the activation conditions of a proxy
+ * @param {Object} [activation] - proxy.activation
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateActivation(activation) {
+  const errors = [];
+  if (!activation) {
+    return errors;
+  }
+
+  if (activation.probe) {
+    const target = typeof activation.probe.target === 'string' ? activation.probe.target.trim() : '';
+    if (!target) {
+      errors.push('Probe host is required');
+    } else if (!buildActivationProbeUrl(target)) {
+      errors.push('Probe host must be a hostname, host:port or http(s) URL');
+    }
+  }
+
+  if (activation.schedule) {
+    const { days, start, end } = activation.schedule;
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('Schedule needs at least one day');
+    }
+    if (!TIME_REGEX.test(start || '') || !TIME_REGEX.test(end || '')) {
+      errors.push('Schedule times must be in HH:MM format');
+    } else if (start === end) {
+      errors.push('Schedule must end at a different time than it starts');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a proxy's data quota
+ * @param {Object} [quota] - proxy.quota
+ * @returns {string[]} - Error messages, empty if valid or absent
+ */
+export function validateQuota(quota) {
+  const errors = [];
+  if (!quota) {
+    return errors;
+  }
+
+  if (!(Number(quota.limitBytes) > 0)) {
+    errors.push('Quota must be more than 0');
+  }
+  if (!Object.values(QUOTA_PERIODS).includes(quota.period)) {
+    errors.push('Quota period must be daily or monthly');
+  }
+  if (!Object.values(QUOTA_ACTIONS).includes(quota.onExhausted)) {
+    errors.push('Quota action must be to disable or flag the proxy');
+  }
+  if (!Array.isArray(quota.thresholds) ||
+      quota.thresholds.some(threshold => !Number.isInteger(threshold) || threshold < 1 || threshold > 99)) {
+    errors.push('Quota warnings must be whole percentages between 1 and 99');
+  }
+
+  return errors;
+}
+
 /**
  * Validates a proxy configuration object
  * @param {Object} proxyConfig - The proxy configuration to validate
@@ -111,14 +260,24 @@ export function validateProxyConfig(proxyConfig) {
     errors.push('Proxy name is required');
   }
 
-  if (!proxyConfig.host || proxyConfig.host.trim() === '') {
-    errors.push('Proxy host is required');
-  }
+  if (proxyConfig.proxyType === PAC_PROXY_TYPE) {
+    // PAC URL proxies take their proxies from the remote script
+    errors.push(...validatePacUrl(proxyConfig.pacUrl));
+    const refreshMinutes = proxyConfig.pacRefreshMinutes;
+    if (refreshMinutes !== undefined &&
+        (!Number.isInteger(Number(refreshMinutes)) || Number(refreshMinutes) < REMOTE_PAC_DEFAULTS.minRefreshMinutes)) {
+      errors.push(`Refresh interval must be at least ${REMOTE_PAC_DEFAULTS.minRefreshMinutes} minutes`);
+    }
+  } else {
+    if (!proxyConfig.host || proxyConfig.host.trim() === '') {
+      errors.push('Proxy host is required');
+    }
 
-  if (!proxyConfig.port || isNaN(proxyConfig.port)) {
-    errors.push('Valid port number is required');
-  } else if (proxyConfig.port < 1 || proxyConfig.port > 65535) {
-    errors.push('Port must be between 1 and 65535');
+    if (!proxyConfig.port || isNaN(proxyConfig.port)) {
+      errors.push('Valid port number is required');
+    } else if (proxyConfig.port < 1 || proxyConfig.port > 65535) {
+      errors.push('Port must be between 1 and 65535');
+    }
   }
 
   // Check routing configuration
@@ -133,16 +292,30 @@ export function validateProxyConfig(proxyConfig) {
       }
     } else {
       // Pattern mode should have valid patterns
-      if (Array.isArray(proxyConfig.routingConfig.patterns)) {
-        for (const pattern of proxyConfig.routingConfig.patterns) {
-          if (!defaultPatternMatcher.isValidRoutingPattern(pattern)) {
-            errors.push(`Invalid routing pattern: ${pattern}`);
-          }
-        }
-      }
+      errors.push(...validateRoutingPatterns(proxyConfig.routingConfig.patterns, 'routing pattern'));
+    }
+    // Exclusions apply in both modes
+    errors.push(...validateRoutingPatterns(proxyConfig.routingConfig.excludePatterns, 'exclusion pattern'));
+    // Subscribed rules are converted by ProxyDeck and not checked here
+    if (proxyConfig.routingConfig.subscription) {
+      errors.push(...validateRuleSubscription(proxyConfig.routingConfig.subscription));
     }
   }
 
+  // Check failover configuration
+  if (proxyConfig.failover) {
+    const fallbackProxyIds = proxyConfig.failover.fallbackProxyIds;
+    if (fallbackProxyIds !== undefined && !Array.isArray(fallbackProxyIds)) {
+      errors.push('Fallback proxies must be a list of proxy IDs');
+    } else if ((fallbackProxyIds || []).includes(proxyConfig.id)) {
+      errors.push('A proxy cannot be its own fallback');
+    }
+  }
+
+  // Check automatic activation
+  errors.push(...validateActivation(proxyConfig.activation));
+  errors.push(...validateQuota(proxyConfig.quota));
+
   return {
     isValid: errors.length === 0,
     errors: errors
@@ -187,6 +360,11 @@ if (typeof window !== 'undefined') {
     isValidHostname,
     formatTraffic,
     createProxyConfig,
+    validateRoutingPatterns,
+    validatePacUrl,
+    validateRuleSubscription,
+    validateActivation,
+    validateQuota,
     validateProxyConfig,
     resolveProxyForContainer
   };
@@ -200,6 +378,11 @@ if (typeof module !== 'undefined' && module.exports) {
     isValidHostname,
     formatTraffic,
     createProxyConfig,
+    validateRoutingPatterns,
+    validatePacUrl,
+    validateRuleSubscription,
+    validateActivation,
+    validateQuota,
     validateProxyConfig,
     resolveProxyForContainer
   };
@@ -0,0 +1,117 @@
+import { HEALTH_CHECK_PROBE_PARAM, DIRECT_PROBE_ID } from '../common/constants.js';
+
+export const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Tells whether a proxy is switched on and off by activation conditions
+ * @param {Object} proxy - Proxy configuration
+ * @returns {boolean} - True if the proxy has a probe or a schedule
+ */
+export function hasActivationConditions(proxy) {
+  const activation = proxy?.activation;
+  return !!(activation && (activation.probe?.target || activation.schedule));
+}
+
+/**
+ * Builds the URL requested to probe a host. Bare hosts are requested over
+ * http; the probe parameter makes ProxyDeck connect directly, whatever proxy
+ * would otherwise match the host.
+ * @param {string} target - Hostname, host:port or http(s) URL
+ * @returns {string|null} - The probe URL, or null if the target is not valid
+ */
+export function buildActivationProbeUrl(target) {
+  const value = typeof target === 'string' ? target.trim() : '';
+  if (!value) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}/`);
+  } catch (e) {
+    return null;
+  }
+  if ((url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname) {
+    return null;
+  }
+
+  url.searchParams.set(HEALTH_CHECK_PROBE_PARAM, DIRECT_PROBE_ID);
+  return url.toString();
+}
+
+/**
+ * Converts an "HH:MM" time to minutes since midnight
+ * @param {string} time - The time
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_REGEX.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Tells whether a time falls within a weekly schedule. Windows ending before
+ * they start run past midnight and belong to the day they start on.
+ * @param {{days: number[], start: string, end: string}} schedule - Days (0 = Sunday) and "HH:MM" times
+ * @param {Date} [date=new Date()] - The time to check, in local time
+ * @returns {boolean} - True if the time is within the schedule
+ */
+export function isWithinSchedule(schedule, date = new Date()) {
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const days = schedule.days || [];
+
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  if (minutes >= start) {
+    return days.includes(day);
+  }
+  return minutes < end && days.includes((day + 6) % 7);
+}
+
+/**
+ * Describes a schedule, e.g. "Mon-Fri 09:00-18:00"
+ * @param {{days: number[], start: string, end: string}} schedule - The schedule
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+  const days = [...(schedule.days || [])].sort((a, b) => a - b);
+  const isRange = days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+  const dayText = days.length === 7
+    ? 'Every day'
+    : isRange
+      ? `${DAY_NAMES[days[0]]}-${DAY_NAMES[days[days.length - 1]]}`
+      : days.map(day => DAY_NAMES[day]).join(', ');
+  return `${dayText} ${schedule.start}-${schedule.end}`;
+}
+
+/**
+ * Decides whether a proxy should be enabled. All configured conditions must hold.
+ * @param {Object} activation - proxy.activation
+ * @param {Object} context
+ * @param {boolean} [context.reachable] - Whether the probe target answered
+ * @param {Date} [context.now=new Date()] - Current time
+ * @returns {{enabled: boolean, reason: string}} - The desired state and why
+ */
+export function evaluateActivation(activation, { reachable, now = new Date() } = {}) {
+  const reasons = [];
+  let enabled = true;
+
+  if (activation.probe?.target) {
+    const wantReachable = activation.probe.whenReachable !== false;
+    reasons.push(`${activation.probe.target} is ${reachable ? 'reachable' : 'unreachable'}`);
+    enabled = enabled && reachable === wantReachable;
+  }
+
+  if (activation.schedule) {
+    const within = isWithinSchedule(activation.schedule, now);
+    reasons.push(`${within ? 'within' : 'outside'} ${describeSchedule(activation.schedule)}`);
+    enabled = enabled && within;
+  }
+
+  return { enabled, reason: reasons.join(', ') };
+}
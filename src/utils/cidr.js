@@ -0,0 +1,134 @@
+/**
+ * IP address and CIDR range helpers for IP-range routing rules
+ */
+
+const IPV4_REGEX = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function parseIpv4(text) {
+  const match = IPV4_REGEX.exec(text);
+  if (!match) return null;
+
+  const bytes = match.slice(1).map(Number);
+  return bytes.every(byte => byte <= 255) ? bytes : null;
+}
+
+function parseIpv6(text) {
+  // Zone IDs (fe80::1%eth0) do not take part in range matching
+  const address = text.split('%')[0];
+  if (!address.includes(':') || address.split('::').length > 2) return null;
+
+  let tail = [];
+  let head = address;
+  // An embedded IPv4 address fills the last 32 bits
+  const lastColon = address.lastIndexOf(':');
+  if (address.includes('.', lastColon)) {
+    tail = parseIpv4(address.slice(lastColon + 1));
+    if (!tail) return null;
+    head = address.slice(0, lastColon);
+    // Keep a "::" directly before the IPv4 part
+    if (head.endsWith(':')) head = address.slice(0, lastColon + 1);
+  }
+
+  const toWords = (part) => (part === '' ? [] : part.split(':'));
+  const [left, right] = head.split('::');
+  const leftWords = toWords(left);
+  const rightWords = right === undefined ? [] : toWords(right);
+  const wordCount = 8 - tail.length / 2;
+  const missing = wordCount - leftWords.length - rightWords.length;
+
+  if (right === undefined ? missing !== 0 : missing < 1) return null;
+
+  const words = [...leftWords, ...new Array(right === undefined ? 0 : missing).fill('0'), ...rightWords];
+  if (words.some(word => !/^[0-9a-f]{1,4}$/i.test(word))) return null;
+
+  const bytes = [];
+  words.forEach(word => {
+    const value = parseInt(word, 16);
+    bytes.push(value >> 8, value & 0xff);
+  });
+  return bytes.concat(tail);
+}
+
+/**
+ * Parses an IPv4 or IPv6 address. IPv6 addresses may be wrapped in brackets,
+ * as in URL hostnames.
+ * @param {string} text - The address
+ * @returns {{version: number, bytes: number[]}|null} - The parsed address, or null if not an IP literal
+ */
+export function parseIpAddress(text) {
+  if (typeof text !== 'string') return null;
+
+  const address = text.trim().replace(/^\[(.*)\]$/, '$1');
+  const ipv4 = parseIpv4(address);
+  if (ipv4) return { version: 4, bytes: ipv4 };
+
+  const ipv6 = parseIpv6(address);
+  return ipv6 ? { version: 6, bytes: ipv6 } : null;
+}
+
+/**
+ * Parses a CIDR range such as "10.0.0.0/8" or "2001:db8::/32". A bare address
+ * is a single-host range.
+ * @param {string} text - The range
+ * @returns {{version: number, bytes: number[], prefixLength: number}|null} - The parsed range, or null if invalid
+ */
+export function parseCidr(text) {
+  if (typeof text !== 'string') return null;
+
+  const [addressText, prefixText, ...rest] = text.trim().split('/');
+  if (rest.length > 0) return null;
+
+  const address = parseIpAddress(addressText);
+  if (!address) return null;
+
+  const maxLength = address.bytes.length * 8;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+  const prefixLength = prefixText === undefined ? maxLength : Number(prefixText);
+  if (prefixLength > maxLength) return null;
+
+  // Host bits are ignored, so 10.1.2.3/8 is the same range as 10.0.0.0/8
+  const bytes = address.bytes.map((byte, index) => {
+    const bits = Math.min(8, Math.max(0, prefixLength - index * 8));
+    return byte & ((0xff << (8 - bits)) & 0xff);
+  });
+
+  return { version: address.version, bytes, prefixLength };
+}
+
+/**
+ * Tests whether an address lies in a range of the same IP version
+ * @param {{version: number, bytes: number[]}} address - Parsed address
+ * @param {{version: number, bytes: number[], prefixLength: number}} range - Parsed range
+ * @returns {boolean}
+ */
+export function isAddressInCidr(address, range) {
+  if (!address || !range || address.version !== range.version) return false;
+
+  for (let bit = 0; bit < range.prefixLength; bit += 8) {
+    const bits = Math.min(8, range.prefixLength - bit);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    const index = bit / 8;
+    if ((address.bytes[index] & mask) !== range.bytes[index]) return false;
+  }
+  return true;
+}
+
+/**
+ * Formats the network address of a parsed IPv4 range
+ * @param {{bytes: number[]}} range - Parsed IPv4 range
+ * @returns {string} - e.g. "10.0.0.0"
+ */
+export function formatIpv4Network(range) {
+  return range.bytes.join('.');
+}
+
+/**
+ * Builds the dotted netmask of an IPv4 prefix length, as used by isInNet()
+ * @param {number} prefixLength - Prefix length from 0 to 32
+ * @returns {string} - e.g. "255.0.0.0" for 8
+ */
+export function getIpv4Netmask(prefixLength) {
+  return [0, 1, 2, 3]
+    .map(index => (0xff << (8 - Math.min(8, Math.max(0, prefixLength - index * 8)))) & 0xff)
+    .join('.');
+}
@@ -0,0 +1,456 @@
+import { PATTERN_TARGETS, PATTERN_TYPES } from '../common/constants.js';
+import { createProxyConfig } from '../utils.js';
+import { parseCidr } from './cidr.js';
+import { parseConfigExport } from './config-transfer.js';
+
+/**
+ * Converters for backups of other proxy extensions. Each converter returns a
+ * ProxyDeck config object for the import preview, and the rules that could not
+ * be converted as { source, reason } entries.
+ */
+
+const SUPPORTED_PROXY_TYPES = ['http', 'https', 'socks4', 'socks5'];
+
+// FoxyProxy 7 stores numeric proxy types
+const FOXYPROXY_LEGACY_TYPES = {
+  1: 'http',
+  2: 'https',
+  3: 'socks5',
+  4: 'pac',
+  5: 'wpad',
+  6: 'system',
+  7: 'socks4',
+  8: 'direct'
+};
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Regex source matching the text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Turns a name into an ID fragment, so re-importing a backup updates the same proxies
+ * @param {string} name - Profile or proxy name
+ * @returns {string} - Lowercase ID fragment
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'proxy';
+}
+
+/**
+ * Builds a stored hostname pattern from a wildcard, using a domain suffix for "*.domain"
+ * @param {string} wildcard - Wildcard matched against the hostname
+ * @param {boolean} includeDomain - Whether "*.domain" also matches the domain itself
+ * @returns {string|Object} - Stored pattern
+ */
+function hostWildcardPattern(wildcard, includeDomain) {
+  if (includeDomain && /^\*\.[^*?]+$/.test(wildcard)) {
+    return { value: wildcard.slice(2), type: PATTERN_TYPES.DOMAIN_SUFFIX };
+  }
+  return { value: wildcard, type: PATTERN_TYPES.GLOB };
+}
+
+/**
+ * Builds a ProxyDeck proxy from imported server settings
+ * @param {Object} settings
+ * @param {string} settings.id - Proxy ID
+ * @param {string} settings.name - Proxy name
+ * @param {string} settings.proxyType - http, https, socks4 or socks5
+ * @param {string} settings.host - Proxy host
+ * @param {number|string} settings.port - Proxy port
+ * @param {string} [settings.username] - Proxy username
+ * @param {string} [settings.password] - Proxy password
+ * @param {string} [settings.color] - Proxy color
+ * @param {boolean} [settings.enabled=true] - Whether the proxy is enabled
+ * @returns {Object} - Proxy configuration
+ */
+function buildProxy({ id, name, proxyType, host, port, username, password, color, enabled = true }) {
+  const proxy = {
+    ...createProxyConfig(name),
+    id,
+    host,
+    port: Number(port),
+    proxyType,
+    enabled,
+    color: color || null,
+    routingConfig: { useContainerMode: false, patterns: [], excludePatterns: [], containers: [] },
+    failover: { fallbackProxyIds: [], fallbackToDirect: false }
+  };
+  if (proxy.auth) {
+    proxy.auth = { username: username || '', password: password || '' };
+  }
+  return proxy;
+}
+
+/**
+ * Checks whether parsed JSON looks like a SwitchyOmega backup
+ * @param {Object} data - Parsed file content
+ * @returns {boolean}
+ */
+export function isSwitchyOmegaBackup(data) {
+  return !!data && typeof data === 'object' && !Array.isArray(data) &&
+    Object.keys(data).some(key => key.startsWith('+') && data[key]?.profileType);
+}
+
+/**
+ * Checks whether parsed JSON looks like a FoxyProxy export (version 7 or 8)
+ * @param {Object} data - Parsed file content
+ * @returns {boolean}
+ */
+export function isFoxyProxyExport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  if (Array.isArray(data.data)) {
+    return data.data.every(entry => entry && typeof entry === 'object' && 'hostname' in entry);
+  }
+  return Object.values(data).some(entry => entry && typeof entry === 'object' &&
+    'address' in entry && ('whitePatterns' in entry || 'blackPatterns' in entry));
+}
+
+/**
+ * Converts a SwitchyOmega condition into a ProxyDeck pattern
+ * @param {Object} condition - SwitchyOmega condition
+ * @returns {{pattern?: (string|Object), reason?: string}} - The pattern, or why it cannot be converted
+ */
+function convertSwitchyOmegaCondition(condition) {
+  const pattern = typeof condition?.pattern === 'string' ? condition.pattern.trim() : '';
+
+  switch (condition?.conditionType) {
+    case 'HostWildcardCondition':
+      // "*.example.com" also matches example.com, "**.example.com" only its subdomains
+      if (pattern.startsWith('**.')) {
+        return { pattern: hostWildcardPattern(pattern.slice(1), false) };
+      }
+      return { pattern: hostWildcardPattern(pattern, true) };
+    case 'HostRegexCondition':
+      return { pattern };
+    case 'UrlWildcardCondition':
+      return { pattern: { value: pattern, target: PATTERN_TARGETS.URL, type: PATTERN_TYPES.GLOB } };
+    case 'UrlRegexCondition':
+      return { pattern: { value: pattern, target: PATTERN_TARGETS.URL } };
+    case 'KeywordCondition':
+      return { pattern: { value: escapeRegex(pattern), target: PATTERN_TARGETS.URL } };
+    case 'IpCondition': {
+      const range = `${condition.ip}/${condition.prefixLength}`;
+      return parseCidr(range)
+        ? { pattern: { value: range, type: PATTERN_TYPES.CIDR } }
+        : { reason: `invalid IP range ${range}` };
+    }
+    case 'BypassCondition':
+      return convertBypassCondition(pattern);
+    default:
+      return { reason: `${condition?.conditionType || 'unknown'} conditions are not supported` };
+  }
+}
+
+/**
+ * Converts an entry of a SwitchyOmega bypass list
+ * @param {string} pattern - Bypass entry, e.g. "<local>", "10.0.0.0/8" or "*.example.com"
+ * @returns {{pattern?: (string|Object), reason?: string}} - The pattern, or why it cannot be converted
+ */
+function convertBypassCondition(pattern) {
+  if (pattern === '<local>') {
+    // Plain hostnames without a dot
+    return { pattern: '^[^.:]+$' };
+  }
+  if (parseCidr(pattern)) {
+    return { pattern: { value: pattern, type: PATTERN_TYPES.CIDR } };
+  }
+  if (pattern.includes('://')) {
+    return { reason: 'bypass entries with a scheme are not supported' };
+  }
+  return { pattern: hostWildcardPattern(pattern.replace(/:\d+$/, ''), true) };
+}
+
+/**
+ * Resolves a SwitchyOmega profile name, following virtual profiles
+ * @param {Object} profiles - Profiles by name
+ * @param {string} name - Profile name
+ * @returns {Object|null} - The resolved profile, or null for DIRECT
+ */
+function resolveSwitchyOmegaProfile(profiles, name) {
+  let resolvedName = name;
+  const seen = new Set();
+  while (profiles[resolvedName]?.profileType === 'VirtualProfile' && !seen.has(resolvedName)) {
+    seen.add(resolvedName);
+    resolvedName = profiles[resolvedName].defaultProfileName;
+  }
+  const profile = profiles[resolvedName];
+  if (resolvedName === 'direct' || profile?.profileType === 'DirectProfile') {
+    return null;
+  }
+  return profile || { name: resolvedName, profileType: 'missing' };
+}
+
+/**
+ * Converts a SwitchyOmega backup (.bak) into a ProxyDeck config
+ * @param {Object} data - Parsed backup content
+ * @returns {{config: Object, skipped: Array<{source: string, reason: string}>}}
+ */
+export function convertSwitchyOmegaBackup(data) {
+  const skipped = [];
+  const profiles = {};
+  Object.keys(data)
+    .filter(key => key.startsWith('+') && data[key]?.profileType)
+    .forEach(key => {
+      profiles[data[key].name || key.slice(1)] = data[key];
+    });
+
+  // Fixed servers become proxies
+  const proxiesByProfile = new Map();
+  Object.values(profiles)
+    .filter(profile => profile.profileType === 'FixedProfile')
+    .forEach(profile => {
+      const server = profile.fallbackProxy || profile.proxyForHttps || profile.proxyForHttp;
+      if (!server || !SUPPORTED_PROXY_TYPES.includes(server.scheme)) {
+        skipped.push({ source: profile.name, reason: 'no supported proxy server' });
+        return;
+      }
+      if (['proxyForHttp', 'proxyForHttps', 'proxyForFtp'].some(key =>
+        profile[key] && (profile[key].host !== server.host || profile[key].port !== server.port))) {
+        skipped.push({ source: profile.name, reason: `per-scheme servers are not supported, using ${server.host}:${server.port} for all requests` });
+      }
+
+      const auth = profile.auth?.fallbackProxy || profile.auth?.proxyForHttps || profile.auth?.proxyForHttp || {};
+      const proxy = buildProxy({
+        id: `switchyomega-${slugify(profile.name)}`,
+        name: profile.name,
+        proxyType: server.scheme,
+        host: server.host,
+        port: server.port,
+        username: auth.username,
+        password: auth.password,
+        color: profile.color
+      });
+
+      (profile.bypassList || []).forEach(condition => {
+        const { pattern, reason } = convertSwitchyOmegaCondition(condition);
+        if (pattern) {
+          proxy.routingConfig.excludePatterns.push(pattern);
+        } else {
+          skipped.push({ source: `${profile.name} bypass list: ${condition.pattern}`, reason });
+        }
+      });
+      proxiesByProfile.set(profile.name, proxy);
+    });
+
+  // ProxyDeck has a single set of rules, taken from the startup switch profile
+  const switchProfiles = Object.values(profiles).filter(profile => profile.profileType === 'SwitchProfile');
+  const startup = data['-startupProfileName'];
+  const switchProfile = switchProfiles.find(profile => profile.name === startup) || switchProfiles[0];
+  switchProfiles
+    .filter(profile => profile !== switchProfile)
+    .forEach(profile => {
+      skipped.push({ source: profile.name, reason: 'only the rules of one switch profile can be imported' });
+    });
+  Object.values(profiles)
+    .filter(profile => !['FixedProfile', 'SwitchProfile', 'VirtualProfile', 'DirectProfile', 'SystemProfile'].includes(profile.profileType))
+    .forEach(profile => {
+      skipped.push({ source: profile.name, reason: `${profile.profileType} profiles are not supported` });
+    });
+
+  const order = [];
+  const ruleIndexes = new Map();
+  if (switchProfile) {
+    (switchProfile.rules || []).forEach((rule, index) => {
+      const source = `${switchProfile.name} rule ${index + 1}: ${rule.condition?.pattern ?? rule.condition?.conditionType}`;
+      const target = resolveSwitchyOmegaProfile(profiles, rule.profileName);
+      const { pattern, reason } = convertSwitchyOmegaCondition(rule.condition);
+      if (!pattern) {
+        skipped.push({ source, reason });
+        return;
+      }
+
+      if (target === null) {
+        // First match wins: a DIRECT rule excludes the host from the proxies of later
+        // rules, unless the proxy's own earlier rules would have matched first
+        (switchProfile.rules || []).slice(index + 1).forEach(later => {
+          const proxy = proxiesByProfile.get(resolveSwitchyOmegaProfile(profiles, later.profileName)?.name);
+          if (!proxy || proxy.routingConfig.excludePatterns.includes(pattern)) {
+            return;
+          }
+          if (ruleIndexes.has(proxy)) {
+            if (!skipped.some(entry => entry.source === source)) {
+              skipped.push({ source, reason: `DIRECT rules between rules of "${proxy.name}" are not supported` });
+            }
+            return;
+          }
+          proxy.routingConfig.excludePatterns.push(pattern);
+        });
+        return;
+      }
+      const proxy = proxiesByProfile.get(target.name);
+      if (!proxy) {
+        skipped.push({ source, reason: `rules can only use fixed servers or DIRECT, not "${rule.profileName}"` });
+        return;
+      }
+
+      proxy.routingConfig.patterns.push(pattern);
+      if (!order.includes(proxy)) {
+        order.push(proxy);
+      }
+      ruleIndexes.set(proxy, [...(ruleIndexes.get(proxy) || []), index]);
+    });
+
+    const fallback = resolveSwitchyOmegaProfile(profiles, switchProfile.defaultProfileName);
+    const fallbackProxy = fallback && proxiesByProfile.get(fallback.name);
+    if (fallbackProxy && !order.includes(fallbackProxy)) {
+      fallbackProxy.routingConfig.patterns.push('.*');
+    } else if (fallback) {
+      skipped.push({
+        source: `${switchProfile.name} default profile`,
+        reason: fallbackProxy
+          ? `"${fallback.name}" also has rules and cannot be the catch-all proxy as well`
+          : `the default profile must be a fixed server or DIRECT, not "${switchProfile.defaultProfileName}"`
+      });
+    }
+  }
+
+  // Proxies are checked in priority order, so rules of one proxy must not be split by another's
+  order.forEach((proxy, position) => {
+    const indexes = ruleIndexes.get(proxy);
+    const last = indexes[indexes.length - 1];
+    if (order.slice(position + 1).some(other => ruleIndexes.get(other)[0] < last)) {
+      skipped.push({
+        source: proxy.name,
+        reason: 'its rules are interleaved with rules of other profiles; overlapping rules may resolve differently'
+      });
+    }
+  });
+
+  const proxies = [...order, ...[...proxiesByProfile.values()].filter(proxy => !order.includes(proxy))]
+    .map((proxy, priority) => ({ ...proxy, priority }));
+  return { config: { version: 2, proxies }, skipped };
+}
+
+/**
+ * Converts a FoxyProxy pattern into a ProxyDeck pattern
+ * @param {Object} entry - FoxyProxy pattern
+ * @param {string} entry.pattern - Wildcard or regex
+ * @param {boolean} isRegex - Whether the pattern is a regular expression
+ * @returns {string|Object} - Stored pattern
+ */
+function convertFoxyProxyPattern(entry, isRegex) {
+  const pattern = entry.pattern.trim();
+  if (isRegex) {
+    return { value: pattern, target: PATTERN_TARGETS.URL };
+  }
+  if (pattern === '*') {
+    return '.*';
+  }
+  if (pattern.includes('://')) {
+    return { value: pattern, target: PATTERN_TARGETS.URL, type: PATTERN_TYPES.GLOB };
+  }
+  return hostWildcardPattern(pattern.replace(/\/.*$/, ''), false);
+}
+
+/**
+ * Converts a FoxyProxy export (version 7 or 8) into a ProxyDeck config
+ * @param {Object} data - Parsed export content
+ * @returns {{config: Object, skipped: Array<{source: string, reason: string}>}}
+ */
+export function convertFoxyProxyExport(data) {
+  const skipped = [];
+  // Version 8 exports a list, version 7 an object keyed by proxy ID
+  const entries = Array.isArray(data.data)
+    ? data.data.map(entry => ({
+      ...entry,
+      proxyType: entry.type,
+      includes: entry.include || [],
+      excludes: entry.exclude || []
+    }))
+    : Object.keys(data)
+      .filter(key => data[key] && typeof data[key] === 'object' && 'address' in data[key])
+      .map(key => ({
+        ...data[key],
+        id: key,
+        hostname: data[key].address,
+        proxyType: FOXYPROXY_LEGACY_TYPES[data[key].type],
+        includes: data[key].whitePatterns || [],
+        excludes: data[key].blackPatterns || []
+      }))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+
+  const proxies = [];
+  entries.forEach(entry => {
+    const name = entry.title || `${entry.hostname}:${entry.port}`;
+    if (!SUPPORTED_PROXY_TYPES.includes(entry.proxyType)) {
+      skipped.push({ source: name, reason: `${entry.proxyType || 'unknown'} proxies are not supported` });
+      return;
+    }
+
+    const proxy = buildProxy({
+      id: `foxyproxy-${slugify(entry.id || name)}`,
+      name,
+      proxyType: entry.proxyType,
+      host: entry.hostname,
+      port: entry.port,
+      username: entry.username,
+      password: entry.password,
+      color: entry.color,
+      enabled: entry.active !== false
+    });
+
+    [['includes', 'patterns'], ['excludes', 'excludePatterns']].forEach(([from, to]) => {
+      entry[from].forEach(pattern => {
+        const source = `${name}: ${pattern.title || pattern.pattern}`;
+        if (pattern.active === false) {
+          skipped.push({ source, reason: 'the pattern is disabled' });
+          return;
+        }
+        if (typeof pattern.pattern !== 'string' || !pattern.pattern.trim()) {
+          skipped.push({ source, reason: 'the pattern is empty' });
+          return;
+        }
+        // Version 8 uses "wildcard"/"regex", version 7 uses 1/2
+        const isRegex = pattern.type === 'regex' || pattern.type === 2;
+        if (pattern.protocols !== undefined && pattern.protocols !== 1) {
+          skipped.push({ source, reason: 'protocol restrictions are not supported, the pattern applies to all protocols' });
+        }
+        proxy.routingConfig[to].push(convertFoxyProxyPattern(pattern, isRegex));
+      });
+    });
+
+    proxies.push({ ...proxy, priority: proxies.length });
+  });
+
+  return { config: { version: 2, proxies }, skipped };
+}
+
+/**
+ * Parses an import file: a ProxyDeck export, a SwitchyOmega backup or a FoxyProxy export
+ * @param {string} text - File content
+ * @returns {{config: Object, includesSecrets: boolean, source: string, skipped: Array<{source: string, reason: string}>}}
+ * @throws {Error} - If the file is none of the supported formats
+ */
+export function parseImportFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let converted;
+  let source;
+  if (isSwitchyOmegaBackup(data)) {
+    converted = convertSwitchyOmegaBackup(data);
+    source = 'SwitchyOmega';
+  } else if (isFoxyProxyExport(data)) {
+    converted = convertFoxyProxyExport(data);
+    source = 'FoxyProxy';
+  } else {
+    return { ...parseConfigExport(text), source: 'ProxyDeck', skipped: [] };
+  }
+
+  return {
+    ...converted,
+    includesSecrets: converted.config.proxies.some(proxy => proxy.auth?.password),
+    source
+  };
+}
@@ -0,0 +1,328 @@
+import { CONFIG_EXPORT_FORMAT, CONFIG_EXPORT_VERSION, MAX_PROXIES } from '../common/constants.js';
+import { validateProxyConfig, validateRoutingPatterns } from '../utils.js';
+import { validateHealthCheckUrl } from './health-check.js';
+
+// Query parameters whose values are treated as credentials
+const SECRET_PARAM_NAMES = /^(?:key|auth|sig|pass|pwd|sid|session)$|token|secret|passw|api[-_]?key|signature|credential/i;
+const REDACTED = 'REDACTED';
+
+/**
+ * Removes credentials embedded in a URL: its user info and the values of
+ * query parameters named like secrets, e.g. `token` or `api_key`
+ * @param {string} url - URL of a PAC script, rule list or probe
+ * @returns {string} - The URL without credentials; other values are returned unchanged
+ */
+export function redactUrlSecrets(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  const secretParams = [...parsed.searchParams.keys()].filter(name => SECRET_PARAM_NAMES.test(name));
+  if (!parsed.username && !parsed.password && secretParams.length === 0) {
+    return url;
+  }
+  parsed.username = '';
+  parsed.password = '';
+  secretParams.forEach(name => parsed.searchParams.set(name, REDACTED));
+  return parsed.toString();
+}
+
+/**
+ * Removes passwords from a proxy, keeping the username, and credentials from
+ * the URLs of its PAC script, rule list and activation probe
+ * @param {Object} proxy - Proxy configuration
+ * @returns {Object} - Copy of the proxy without secrets
+ */
+function stripProxySecrets(proxy) {
+  const stripped = { ...proxy };
+  delete stripped.password;
+  if (stripped.auth) {
+    stripped.auth = { ...stripped.auth };
+    delete stripped.auth.password;
+  }
+  if (stripped.pacUrl) {
+    stripped.pacUrl = redactUrlSecrets(stripped.pacUrl);
+  }
+  if (stripped.routingConfig?.subscription?.url) {
+    stripped.routingConfig = {
+      ...stripped.routingConfig,
+      subscription: { ...stripped.routingConfig.subscription, url: redactUrlSecrets(stripped.routingConfig.subscription.url) }
+    };
+  }
+  if (stripped.activation?.probe?.target) {
+    stripped.activation = {
+      ...stripped.activation,
+      probe: { ...stripped.activation.probe, target: redactUrlSecrets(stripped.activation.probe.target) }
+    };
+  }
+  return stripped;
+}
+
+/**
+ * Builds the export file content for a configuration
+ * @param {Object} config - The stored config object
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSecrets=false] - Keep proxy passwords and URL credentials in the export
+ * @returns {Object} - { format, version, exportedAt, includesSecrets, config }
+ */
+export function createConfigExport(config, { includeSecrets = false } = {}) {
+  const exported = JSON.parse(JSON.stringify(config || {}));
+  // Runtime state, always forced on by the background
+  delete exported.proxyEnabled;
+  exported.proxies = (exported.proxies || []).map(proxy =>
+    includeSecrets ? proxy : stripProxySecrets(proxy)
+  );
+  if (!includeSecrets && exported.healthCheck?.checkUrl) {
+    exported.healthCheck.checkUrl = redactUrlSecrets(exported.healthCheck.checkUrl);
+  }
+
+  return {
+    format: CONFIG_EXPORT_FORMAT,
+    version: CONFIG_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesSecrets: includeSecrets,
+    config: exported
+  };
+}
+
+/**
+ * Parses the content of an export file
+ * @param {string} text - File content
+ * @returns {{config: Object, includesSecrets: boolean}} - The exported configuration
+ * @throws {Error} - If the file is not a supported configuration export
+ */
+export function parseConfigExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!data || data.format !== CONFIG_EXPORT_FORMAT) {
+    throw new Error('The file is not a ProxyDeck configuration export');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('The export file has no valid version');
+  }
+  if (data.version > CONFIG_EXPORT_VERSION) {
+    throw new Error(`The export file was created by a newer version of ProxyDeck (format version ${data.version})`);
+  }
+  if (!data.config || typeof data.config !== 'object' || !Array.isArray(data.config.proxies)) {
+    throw new Error('The export file contains no proxy list');
+  }
+  if (data.config.proxies.some(proxy => !proxy || typeof proxy !== 'object' || Array.isArray(proxy))) {
+    throw new Error('The export file contains an invalid proxy entry');
+  }
+
+  return { config: data.config, includesSecrets: data.includesSecrets === true };
+}
+
+/**
+ * Returns the stored URL when the imported one is its redacted form
+ * @param {string} [imported] - URL in the import
+ * @param {string} [stored] - URL stored before the import
+ * @returns {string|undefined}
+ */
+function keepExistingUrl(imported, stored) {
+  return imported && stored && imported !== stored && redactUrlSecrets(stored) === imported ? stored : imported;
+}
+
+/**
+ * Carries stored passwords and URL credentials over to imported proxies that
+ * have none, so an export without secrets does not wipe them on re-import
+ * @param {Object} proxy - Imported proxy
+ * @param {Object} [existing] - Stored proxy with the same ID
+ * @returns {Object} - The proxy to store
+ */
+function keepExistingSecrets(proxy, existing) {
+  if (!existing) {
+    return proxy;
+  }
+
+  const kept = { ...proxy };
+  if (existing.auth?.password && !proxy.auth?.password) {
+    kept.auth = { username: '', ...(proxy.auth || {}), password: existing.auth.password };
+  }
+  if (proxy.pacUrl) {
+    kept.pacUrl = keepExistingUrl(proxy.pacUrl, existing.pacUrl);
+  }
+  const subscriptionUrl = keepExistingUrl(proxy.routingConfig?.subscription?.url, existing.routingConfig?.subscription?.url);
+  if (subscriptionUrl !== proxy.routingConfig?.subscription?.url) {
+    kept.routingConfig = { ...proxy.routingConfig, subscription: { ...proxy.routingConfig.subscription, url: subscriptionUrl } };
+  }
+  const probeTarget = keepExistingUrl(proxy.activation?.probe?.target, existing.activation?.probe?.target);
+  if (probeTarget !== proxy.activation?.probe?.target) {
+    kept.activation = { ...proxy.activation, probe: { ...proxy.activation.probe, target: probeTarget } };
+  }
+  return kept;
+}
+
+/**
+ * Combines the current configuration with an imported one
+ * @param {Object} current - The stored config object
+ * @param {Object} imported - The imported config object
+ * @param {string} mode - "replace" to use only the imported proxies, "merge" to
+ *                        update proxies with the same ID and append the others
+ *                        after the current ones
+ * @returns {Object} - The resulting config object
+ */
+export function applyConfigImport(current, imported, mode) {
+  const currentProxies = current?.proxies || [];
+  const currentById = new Map(currentProxies.map(proxy => [proxy.id, proxy]));
+  const importedProxies = imported.proxies.map(proxy =>
+    keepExistingSecrets(proxy, currentById.get(proxy.id))
+  );
+  const importedHealthCheck = imported.healthCheck?.checkUrl
+    ? { ...imported.healthCheck, checkUrl: keepExistingUrl(imported.healthCheck.checkUrl, current?.healthCheck?.checkUrl) }
+    : imported.healthCheck;
+
+  if (mode === 'replace') {
+    return {
+      ...current,
+      ...imported,
+      version: 2,
+      proxies: importedProxies,
+      healthCheck: importedHealthCheck
+    };
+  }
+
+  const importedById = new Map(importedProxies.map(proxy => [proxy.id, proxy]));
+  // Updated proxies keep their place in the local priority order
+  const proxies = currentProxies.map(proxy => (
+    importedById.has(proxy.id) ? { ...importedById.get(proxy.id), priority: proxy.priority } : proxy
+  ));
+  let nextPriority = proxies.reduce((max, proxy) => Math.max(max, proxy.priority ?? -1), -1) + 1;
+  importedProxies
+    .filter(proxy => !currentById.has(proxy.id))
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+    .forEach(proxy => {
+      proxies.push({ ...proxy, priority: nextPriority++ });
+    });
+
+  const bypassPatterns = [...(current?.bypassPatterns || [])];
+  (imported.bypassPatterns || []).forEach(pattern => {
+    if (!bypassPatterns.some(existing => JSON.stringify(existing) === JSON.stringify(pattern))) {
+      bypassPatterns.push(pattern);
+    }
+  });
+
+  // Imported profiles replace local ones with the same ID, the active profile stays local
+  const importedProfiles = imported.profiles || [];
+  const importedProfileIds = new Set(importedProfiles.map(profile => profile.id));
+  const profiles = [
+    ...(current?.profiles || []).filter(profile => !importedProfileIds.has(profile.id)),
+    ...importedProfiles
+  ];
+
+  return {
+    ...current,
+    version: 2,
+    proxies,
+    bypassPatterns,
+    profiles,
+    healthCheck: importedHealthCheck || current?.healthCheck
+  };
+}
+
+/**
+ * Validates a configuration before it is saved
+ * @param {Object} config - The config object to validate
+ * @returns {Array<string>} - Validation errors, prefixed with the proxy they concern
+ */
+export function validateImportedConfig(config) {
+  const errors = [];
+  const proxies = config.proxies || [];
+
+  if (proxies.length > MAX_PROXIES) {
+    errors.push(`Maximum of ${MAX_PROXIES} proxies are allowed, the result would have ${proxies.length}`);
+  }
+
+  const seenIds = new Set();
+  proxies.forEach((proxy, index) => {
+    const label = (typeof proxy?.name === 'string' && proxy.name) || `Proxy ${index + 1}`;
+    if (!proxy || typeof proxy !== 'object') {
+      errors.push(`${label}: not a proxy configuration`);
+      return;
+    }
+    if (!proxy.id) {
+      errors.push(`${label}: ID is missing`);
+    } else if (seenIds.has(proxy.id)) {
+      errors.push(`${label}: duplicate ID ${proxy.id}`);
+    }
+    seenIds.add(proxy.id);
+
+    if (['name', 'host'].some(field => proxy[field] !== undefined && typeof proxy[field] !== 'string')) {
+      errors.push(`${label}: name and host must be text`);
+      return;
+    }
+    validateProxyConfig(proxy).errors.forEach(error => errors.push(`${label}: ${error}`));
+  });
+
+  if (config.bypassPatterns !== undefined && !Array.isArray(config.bypassPatterns)) {
+    errors.push('Bypass list must be a list of patterns');
+  } else {
+    errors.push(...validateRoutingPatterns(config.bypassPatterns, 'bypass pattern'));
+  }
+
+  if (config.profiles !== undefined) {
+    if (!Array.isArray(config.profiles) ||
+        config.profiles.some(profile => !profile?.id || typeof profile.name !== 'string' ||
+          !profile.proxies || typeof profile.proxies !== 'object')) {
+      errors.push('Profiles must be a list of named profiles');
+    }
+  }
+
+  if (config.healthCheck?.checkUrl !== undefined) {
+    const error = validateHealthCheckUrl(config.healthCheck.checkUrl);
+    if (error) {
+      errors.push(`Health checks: ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Summarizes what saving a new configuration changes
+ * @param {Object} current - The stored config object
+ * @param {Object} next - The config object about to be saved
+ * @returns {{added: string[], updated: string[], removed: string[], unchanged: string[], settings: string[]}}
+ *          Proxy names per kind of change, and the changed global settings
+ */
+export function diffConfigs(current, next) {
+  const currentById = new Map((current?.proxies || []).map(proxy => [proxy.id, proxy]));
+  const nextIds = new Set(next.proxies.map(proxy => proxy.id));
+  const diff = { added: [], updated: [], removed: [], unchanged: [], settings: [] };
+
+  next.proxies.forEach(proxy => {
+    const existing = currentById.get(proxy.id);
+    if (!existing) {
+      diff.added.push(proxy.name);
+    } else if (JSON.stringify(existing) !== JSON.stringify(proxy)) {
+      diff.updated.push(proxy.name);
+    } else {
+      diff.unchanged.push(proxy.name);
+    }
+  });
+  currentById.forEach((proxy, id) => {
+    if (!nextIds.has(id)) {
+      diff.removed.push(proxy.name);
+    }
+  });
+
+  if (JSON.stringify(current?.bypassPatterns || []) !== JSON.stringify(next.bypassPatterns || [])) {
+    diff.settings.push('Bypass list');
+  }
+  if (JSON.stringify(current?.healthCheck || null) !== JSON.stringify(next.healthCheck || null)) {
+    diff.settings.push('Health checks');
+  }
+  if (JSON.stringify(current?.profiles || []) !== JSON.stringify(next.profiles || [])) {
+    diff.settings.push('Profiles');
+  }
+
+  return diff;
+}
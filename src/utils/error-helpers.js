@@ -6,6 +6,7 @@ export const ErrorTypes = {
   BROWSER_API: 'browser_api',
   NETWORK: 'network',
   PERMISSION: 'permission',
+  AUTHENTICATION: 'authentication',
   INTERNAL: 'internal'
 };
 
@@ -55,13 +55,20 @@ function detectCapabilities() {
       hasOnErrorOccurred: hasFeature(browser, ['webRequest', 'onErrorOccurred']),
       hasOnAuthRequired: hasFeature(browser, ['webRequest', 'onAuthRequired']),
       hasOnBeforeRequest: hasFeature(browser, ['webRequest', 'onBeforeRequest']),
+      hasOnResponseStarted: hasFeature(browser, ['webRequest', 'onResponseStarted']),
       hasRequestBodyAccess: hasFeature(browser, ['webRequest', 'onBeforeRequest']),
       hasProxyInfoInDetails: isFirefox // Firefox provides proxyInfo in webRequest details
     },
     
+    pacScripts: {
+      // Chrome evaluates imported PAC scripts in a manifest sandbox page, Firefox has none
+      canEvaluate: !isFirefox
+    },
+    
     proxyAuth: {
-      supportsHttpAuth: isFirefox,
-      supportsHttpsAuth: isFirefox,
+      // Chrome answers HTTP(S) proxy challenges through webRequest.onAuthRequired
+      supportsHttpAuth: isFirefox || hasFeature(browser, ['webRequest', 'onAuthRequired']),
+      supportsHttpsAuth: isFirefox || hasFeature(browser, ['webRequest', 'onAuthRequired']),
       supportsSocks4Auth: false,
       supportsSocks5Auth: isFirefox && hasFeature(browser, ['proxy', 'onRequest'])
     }
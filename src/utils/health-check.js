@@ -0,0 +1,103 @@
+import { DEFAULT_HEALTH_CHECK_CONFIG, HEALTH_CHECK_PROBE_PARAM } from '../common/constants.js';
+
+/**
+ * Merges stored health check settings with the defaults
+ * @param {Object} [settings] - config.healthCheck from storage
+ * @returns {Object} - Complete health check settings
+ */
+export function getHealthCheckSettings(settings) {
+  const merged = { ...DEFAULT_HEALTH_CHECK_CONFIG, ...(settings || {}) };
+  merged.intervalMinutes = Math.max(1, parseInt(merged.intervalMinutes, 10) || DEFAULT_HEALTH_CHECK_CONFIG.intervalMinutes);
+  merged.timeoutMs = Math.max(1000, parseInt(merged.timeoutMs, 10) || DEFAULT_HEALTH_CHECK_CONFIG.timeoutMs);
+  return merged;
+}
+
+/**
+ * Validates a health check URL
+ * @param {string} checkUrl - The URL to validate
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateHealthCheckUrl(checkUrl) {
+  if (!checkUrl || !checkUrl.trim()) {
+    return 'Check URL is required';
+  }
+
+  try {
+    const url = new URL(checkUrl.trim());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'Check URL must use http or https';
+    }
+  } catch (e) {
+    return 'Check URL is not a valid URL';
+  }
+
+  return null;
+}
+
+/**
+ * Builds the probe URL for a proxy. The proxy ID travels in a query parameter
+ * so the PAC script and the Firefox request listener can route the probe
+ * through that specific proxy.
+ * @param {string} checkUrl - The configured check URL
+ * @param {string} proxyId - The proxy to probe
+ * @returns {string} - The probe URL
+ */
+export function buildHealthCheckUrl(checkUrl, proxyId) {
+  const url = new URL(checkUrl);
+  url.searchParams.set(HEALTH_CHECK_PROBE_PARAM, proxyId);
+  url.searchParams.set(`${HEALTH_CHECK_PROBE_PARAM}_t`, String(Date.now()));
+  return url.toString();
+}
+
+/**
+ * Extracts the probed proxy ID from a request URL
+ * @param {URL|string} url - The request URL
+ * @returns {string|null} - The proxy ID or null for regular requests
+ */
+export function getHealthCheckProxyId(url) {
+  try {
+    const parsed = typeof url === 'string' ? new URL(url) : url;
+    return parsed.searchParams.get(HEALTH_CHECK_PROBE_PARAM);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Summarizes a proxy's check history
+ * @param {Array<{timestamp: number, success: boolean, latency: number|null, error: string|null}>} history - Oldest first
+ * @returns {Object} - { status, lastChecked, latency, error, successRate, averageLatency }
+ */
+export function summarizeHealthHistory(history = []) {
+  if (history.length === 0) {
+    return {
+      status: 'unknown',
+      lastChecked: null,
+      latency: null,
+      error: null,
+      successRate: null,
+      averageLatency: null
+    };
+  }
+
+  const last = history[history.length - 1];
+  const successes = history.filter(entry => entry.success);
+  const averageLatency = successes.length > 0
+    ? Math.round(successes.reduce((sum, entry) => sum + entry.latency, 0) / successes.length)
+    : null;
+
+  let status = last.success ? 'healthy' : 'unhealthy';
+  // A passing proxy that failed recently is flagged as degraded
+  if (last.success && history.slice(-5).some(entry => !entry.success)) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    lastChecked: last.timestamp,
+    latency: last.success ? last.latency : null,
+    error: last.success ? null : last.error,
+    successRate: successes.length / history.length,
+    averageLatency
+  };
+}
@@ -0,0 +1,191 @@
+import { parseIpAddress, parseCidr, isAddressInCidr } from './cidr.js';
+
+/**
+ * Runs PAC scripts against sample URLs. Evaluating a script needs eval, so in the
+ * extension this only runs inside the sandboxed pac-sandbox page.
+ */
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Helpers whose results in the sandbox differ from the browser's
+const DNS_HELPERS = ['isResolvable', 'isResolvableEx', 'dnsResolve', 'dnsResolveEx', 'myIpAddress', 'myIpAddressEx'];
+const TIME_HELPERS = ['weekdayRange', 'dateRange', 'timeRange'];
+
+/**
+ * Converts a PAC shell expression to a regular expression
+ * @param {string} pattern - Shell expression with * and ?
+ * @returns {RegExp}
+ */
+function shellExpressionToRegex(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\/]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tests whether the current time falls in a range of values that may wrap around
+ * @param {number} value - Current value
+ * @param {number} start - First value of the range
+ * @param {number} end - Last value of the range
+ * @returns {boolean}
+ */
+function inWrappingRange(value, start, end) {
+  return start <= end ? value >= start && value <= end : value >= start || value <= end;
+}
+
+/**
+ * Creates the standard PAC helper functions. DNS is not available in the
+ * sandbox: only IP literals resolve, and myIpAddress() is the loopback address.
+ * @param {Object} [options]
+ * @param {function(): Date} [options.now] - Clock used by the time helpers
+ * @param {function(string): void} [options.onCall] - Called with the name of each helper the script uses
+ * @returns {Object} - Helper functions by name
+ */
+export function createPacHelpers({ now = () => new Date(), onCall = () => {} } = {}) {
+  const resolve = host => (parseIpAddress(host) ? String(host).replace(/^\[(.*)\]$/, '$1') : null);
+  const date = gmt => {
+    const current = now();
+    return gmt === 'GMT'
+      ? { day: current.getUTCDay(), hours: current.getUTCHours(), minutes: current.getUTCMinutes(), seconds: current.getUTCSeconds() }
+      : { day: current.getDay(), hours: current.getHours(), minutes: current.getMinutes(), seconds: current.getSeconds() };
+  };
+
+  const helpers = {
+    isPlainHostName: host => !String(host).includes('.'),
+    dnsDomainIs: (host, domain) => String(host).toLowerCase().endsWith(String(domain).toLowerCase()),
+    localHostOrDomainIs: (host, hostdom) => host === hostdom || (!String(host).includes('.') && String(hostdom).startsWith(`${host}.`)),
+    isResolvable: host => resolve(host) !== null,
+    isResolvableEx: host => resolve(host) !== null,
+    isInNet: (host, pattern, mask) => {
+      const address = parseIpAddress(resolve(host));
+      const network = parseIpAddress(pattern);
+      const netmask = parseIpAddress(mask);
+      if (!address || !network || !netmask || [address, network, netmask].some(ip => ip.version !== 4)) {
+        return false;
+      }
+      return address.bytes.every((byte, i) => (byte & netmask.bytes[i]) === (network.bytes[i] & netmask.bytes[i]));
+    },
+    isInNetEx: (host, prefix) => {
+      const address = parseIpAddress(resolve(host));
+      const range = parseCidr(prefix);
+      return !!address && !!range && isAddressInCidr(address, range);
+    },
+    dnsResolve: host => resolve(host),
+    dnsResolveEx: host => resolve(host) || '',
+    myIpAddress: () => '127.0.0.1',
+    myIpAddressEx: () => '127.0.0.1',
+    dnsDomainLevels: host => String(host).split('.').length - 1,
+    shExpMatch: (str, pattern) => shellExpressionToRegex(pattern).test(String(str)),
+    weekdayRange: (...args) => {
+      const gmt = args[args.length - 1] === 'GMT' ? args.pop() : undefined;
+      const start = WEEKDAYS.indexOf(args[0]);
+      const end = args.length > 1 ? WEEKDAYS.indexOf(args[1]) : start;
+      return start !== -1 && end !== -1 && inWrappingRange(date(gmt).day, start, end);
+    },
+    timeRange: (...args) => {
+      const gmt = args[args.length - 1] === 'GMT' ? args.pop() : undefined;
+      const { hours, minutes, seconds } = date(gmt);
+      const numbers = args.map(Number);
+      switch (numbers.length) {
+        case 1:
+          return hours === numbers[0];
+        case 2:
+          // The end hour is exclusive
+          return numbers[0] === numbers[1] ? hours === numbers[0] : inWrappingRange(hours, numbers[0], (numbers[1] + 23) % 24);
+        case 4:
+          return inWrappingRange(hours * 60 + minutes, numbers[0] * 60 + numbers[1], numbers[2] * 60 + numbers[3]);
+        case 6:
+          return inWrappingRange(
+            hours * 3600 + minutes * 60 + seconds,
+            numbers[0] * 3600 + numbers[1] * 60 + numbers[2],
+            numbers[3] * 3600 + numbers[4] * 60 + numbers[5]
+          );
+        default:
+          return false;
+      }
+    },
+    // Date ranges are rare in practice and have many argument forms
+    dateRange: () => false,
+    alert: () => {}
+  };
+
+  Object.keys(helpers).forEach(name => {
+    const helper = helpers[name];
+    helpers[name] = (...args) => {
+      onCall(name);
+      return helper(...args);
+    };
+  });
+  return helpers;
+}
+
+/**
+ * Turns a sample line into the url and host arguments of FindProxyForURL
+ * @param {string} sample - A URL or a hostname
+ * @returns {{url: string, host: string}|null} - The arguments, or null if the line is not usable
+ */
+export function parsePacSample(sample) {
+  const text = String(sample).trim();
+  if (!text) return null;
+
+  try {
+    const url = new URL(text.includes('://') ? text : `https://${text}/`);
+    return { url: url.href, host: url.hostname };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Evaluates a PAC script for a list of sample URLs or hostnames
+ * @param {string} script - PAC script defining FindProxyForURL
+ * @param {Array<string>} samples - URLs or hostnames
+ * @param {Object} [options]
+ * @param {function(): Date} [options.now] - Clock used by the time helpers
+ * @returns {{results: Array<{sample: string, url?: string, host?: string, result?: string, error?: string}>, notes: Array<string>}}
+ *          The value returned for each sample, and caveats about the results
+ * @throws {Error} - If the script does not compile or defines no FindProxyForURL
+ */
+export function evaluatePacScript(script, samples, { now } = {}) {
+  const used = new Set();
+  const helpers = createPacHelpers({ now, onCall: name => used.add(name) });
+  const names = Object.keys(helpers);
+
+  let findProxy;
+  try {
+    findProxy = new Function(...names, `${script}
+;return typeof FindProxyForURLEx === 'function' ? FindProxyForURLEx
+  : (typeof FindProxyForURL === 'function' ? FindProxyForURL : null);`)(...names.map(name => helpers[name]));
+  } catch (error) {
+    throw new Error(`The PAC script could not be loaded: ${error.message}`);
+  }
+  if (!findProxy) {
+    throw new Error('The PAC script does not define FindProxyForURL');
+  }
+
+  const results = samples.map(sample => {
+    const args = parsePacSample(sample);
+    if (!args) {
+      return { sample, error: 'not a valid URL or hostname' };
+    }
+    try {
+      const result = findProxy(args.url, args.host);
+      return typeof result === 'string'
+        ? { sample, ...args, result }
+        : { sample, ...args, error: 'FindProxyForURL did not return a string' };
+    } catch (error) {
+      return { sample, ...args, error: error.message };
+    }
+  });
+
+  const notes = [];
+  if (DNS_HELPERS.some(name => used.has(name))) {
+    notes.push('The script uses DNS lookups; only IP addresses resolve while testing');
+  }
+  if (TIME_HELPERS.some(name => used.has(name))) {
+    notes.push('The script depends on the date or time; results are for the current time');
+  }
+  return { results, notes };
+}
@@ -0,0 +1,166 @@
+import { PATTERN_TYPES } from '../common/constants.js';
+import { createProxyConfig } from '../utils.js';
+import { parseIpAddress } from './cidr.js';
+
+/**
+ * Derives ProxyDeck proxies and patterns from the results of running a PAC
+ * script against sample URLs (see pac-evaluator.js).
+ */
+
+// PAC proxy keywords; like the browsers, plain "SOCKS" means SOCKS4
+const PAC_PROXY_TYPES = {
+  PROXY: 'http',
+  HTTP: 'http',
+  HTTPS: 'https',
+  SOCKS: 'socks4',
+  SOCKS4: 'socks4',
+  SOCKS5: 'socks5'
+};
+
+/**
+ * Parses a PAC return value, e.g. "SOCKS5 user:pass@a:1; PROXY b:2; DIRECT",
+ * the form ProxyManager.generatePacScript emits
+ * @param {string} result - Value returned by FindProxyForURL
+ * @returns {{entries: Array<Object>, invalid: Array<string>}} - Proxy entries
+ *          ({ direct: true } or { proxyType, host, port, username?, password? }) and unparsable parts
+ */
+export function parsePacProxyList(result) {
+  const entries = [];
+  const invalid = [];
+
+  String(result).split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    if (part.toUpperCase() === 'DIRECT') {
+      entries.push({ direct: true });
+      return;
+    }
+
+    const match = /^(\S+)\s+(?:([^:@\s]*):([^@\s]*)@)?(\[[^\]]+\]|[^:\s]+):(\d+)$/.exec(part);
+    const proxyType = match && PAC_PROXY_TYPES[match[1].toUpperCase()];
+    const port = match && Number(match[5]);
+    if (!proxyType || port < 1 || port > 65535) {
+      invalid.push(part);
+      return;
+    }
+    entries.push({
+      proxyType,
+      host: match[4].replace(/^\[(.*)\]$/, '$1'),
+      port,
+      ...(match[2] !== undefined ? { username: match[2], password: match[3] } : {})
+    });
+  });
+
+  return { entries, invalid };
+}
+
+/**
+ * Suggests the pattern that routes a sample host
+ * @param {string} host - Sample hostname or IP address
+ * @returns {Object} - Stored pattern: the address for IPs, the domain and its subdomains otherwise
+ */
+function suggestPattern(host) {
+  const address = host.replace(/^\[(.*)\]$/, '$1');
+  return parseIpAddress(address)
+    ? { value: address, type: PATTERN_TYPES.CIDR }
+    : { value: host, type: PATTERN_TYPES.DOMAIN_SUFFIX };
+}
+
+/**
+ * Checks whether a suggested domain-suffix pattern covers a host
+ * @param {Object} pattern - Suggested pattern
+ * @param {string} host - Hostname
+ * @returns {boolean}
+ */
+function coversHost(pattern, host) {
+  return pattern.type === PATTERN_TYPES.DOMAIN_SUFFIX &&
+    (host === pattern.value || host.endsWith(`.${pattern.value}`));
+}
+
+/**
+ * Builds a ProxyDeck config from PAC evaluation results. Each distinct proxy
+ * becomes a ProxyDeck proxy, ordered by first use; the first proxy returned for
+ * a sample gets a pattern for its host, and the rest of the list becomes its
+ * failover chain. Hosts sent DIRECT become exclusions of proxies whose
+ * suggested patterns would cover them.
+ * @param {Array<{sample: string, host?: string, result?: string, error?: string}>} results - Evaluation results
+ * @returns {{config: Object, skipped: Array<{source: string, reason: string}>, rows: Array<{sample: string, result: string, proxyName: (string|null)}>}}
+ *          The derived config, the samples that could not be converted, and one preview row
+ *          per sample naming its proxy, "Direct", or null if not converted
+ */
+export function derivePacImport(results) {
+  const skipped = [];
+  const rows = [];
+  const proxies = new Map();
+  const chains = new Map();
+  const directHosts = [];
+
+  const getProxy = entry => {
+    const key = `${entry.proxyType} ${entry.host}:${entry.port}`;
+    if (!proxies.has(key)) {
+      const name = `${entry.host}:${entry.port}`;
+      const proxy = {
+        ...createProxyConfig(name),
+        id: `pac-${entry.proxyType}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        host: entry.host,
+        port: entry.port,
+        proxyType: entry.proxyType,
+        priority: proxies.size,
+        routingConfig: { useContainerMode: false, patterns: [], excludePatterns: [], containers: [] },
+        failover: { fallbackProxyIds: [], fallbackToDirect: false }
+      };
+      if (proxy.auth) {
+        proxy.auth = { username: entry.username || '', password: entry.password || '' };
+      }
+      proxies.set(key, proxy);
+    }
+    return proxies.get(key);
+  };
+
+  results.forEach(({ sample, host, result, error }) => {
+    if (error) {
+      rows.push({ sample, result: error, proxyName: null });
+      skipped.push({ source: sample, reason: error });
+      return;
+    }
+
+    const { entries, invalid } = parsePacProxyList(result);
+    invalid.forEach(part => skipped.push({ source: sample, reason: `unsupported proxy "${part}"` }));
+    if (entries.length === 0) {
+      rows.push({ sample, result, proxyName: null });
+      return;
+    }
+    if (entries[0].direct) {
+      rows.push({ sample, result, proxyName: 'Direct' });
+      directHosts.push(host);
+      return;
+    }
+
+    const [first, ...fallbacks] = entries;
+    const proxy = getProxy(first);
+    const chain = {
+      fallbackProxyIds: fallbacks.filter(entry => !entry.direct).map(entry => getProxy(entry).id),
+      fallbackToDirect: fallbacks.some(entry => entry.direct)
+    };
+    if (!chains.has(proxy)) {
+      chains.set(proxy, chain);
+      proxy.failover = chain;
+    } else if (JSON.stringify(chains.get(proxy)) !== JSON.stringify(chain)) {
+      skipped.push({ source: sample, reason: `uses a different fallback list for ${proxy.name}, the first one is kept` });
+    }
+
+    const pattern = suggestPattern(host);
+    if (!proxy.routingConfig.patterns.some(existing => coversHost(existing, host) || existing.value === pattern.value)) {
+      proxy.routingConfig.patterns.push(pattern);
+    }
+    rows.push({ sample, result, proxyName: proxy.name });
+  });
+
+  directHosts.forEach(host => {
+    proxies.forEach(proxy => {
+      if (proxy.routingConfig.patterns.some(pattern => coversHost(pattern, host))) {
+        proxy.routingConfig.excludePatterns.push({ value: host, type: PATTERN_TYPES.GLOB });
+      }
+    });
+  });
+
+  return { config: { version: 2, proxies: [...proxies.values()] }, skipped, rows };
+}
@@ -0,0 +1,923 @@
+import { parse } from 'acorn';
+import { createPacHelpers } from './pac-evaluator.js';
+
+/**
+ * Runs PAC scripts without eval. Firefox extension pages cannot compile code at
+ * runtime, so remote PAC scripts are parsed with acorn and interpreted here. The
+ * interpreter covers the subset of JavaScript PAC scripts use; the script only
+ * sees its own values, the PAC helpers and a few safe built-ins, and property
+ * access on built-in values is limited to allow-listed methods.
+ */
+
+const ENTRY_POINTS = ['FindProxyForURLEx', 'FindProxyForURL'];
+const DEFAULT_STEP_LIMIT = 200000;
+const MAX_CALL_DEPTH = 200;
+const MAX_STRING_LENGTH = 1000000;
+
+const BLOCKED_PROPERTIES = new Set([
+  'constructor', 'prototype', '__proto__',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+const STRING_METHODS = new Set([
+  'charAt', 'charCodeAt', 'codePointAt', 'concat', 'endsWith', 'includes', 'indexOf',
+  'lastIndexOf', 'localeCompare', 'match', 'padEnd', 'padStart', 'repeat', 'replace',
+  'search', 'slice', 'split', 'startsWith', 'substr', 'substring', 'toLowerCase',
+  'toString', 'toUpperCase', 'trim', 'trimEnd', 'trimStart'
+]);
+const ARRAY_METHODS = new Set([
+  'concat', 'every', 'filter', 'find', 'findIndex', 'forEach', 'includes', 'indexOf',
+  'join', 'lastIndexOf', 'map', 'pop', 'push', 'reduce', 'reverse', 'shift', 'slice',
+  'some', 'sort', 'splice', 'toString', 'unshift'
+]);
+const REGEXP_METHODS = new Set(['exec', 'test', 'toString']);
+const REGEXP_PROPERTIES = new Set(['source', 'flags', 'global', 'ignoreCase', 'multiline', 'lastIndex']);
+const DATE_METHODS = new Set([
+  'getDate', 'getDay', 'getFullYear', 'getHours', 'getMinutes', 'getMonth', 'getSeconds',
+  'getTime', 'getUTCDate', 'getUTCDay', 'getUTCFullYear', 'getUTCHours', 'getUTCMinutes',
+  'getUTCMonth', 'getUTCSeconds', 'toString'
+]);
+const NUMBER_METHODS = new Set(['toFixed', 'toString']);
+
+// Built-in methods that call back into the script
+const CALLBACK_METHODS = new Set(['every', 'filter', 'find', 'findIndex', 'forEach', 'map', 'reduce', 'replace', 'some', 'sort']);
+
+/**
+ * Raised for scripts the interpreter refuses to run; scripts cannot catch it
+ */
+class PacInterpreterError extends Error {}
+
+/**
+ * A value thrown by the script
+ */
+class ScriptThrow {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * A function defined by the script
+ */
+class PacFunction {
+  constructor(node, scope) {
+    this.node = node;
+    this.scope = scope;
+  }
+}
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.vars = new Map();
+  }
+
+  declare(name, value) {
+    this.vars.set(name, value);
+  }
+
+  find(name) {
+    let scope = this;
+    while (scope && !scope.vars.has(name)) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Creates an object without a prototype, so scripts cannot reach Object.prototype
+ * @param {Object} [properties] - Initial properties
+ * @returns {Object}
+ */
+function createPlainObject(properties = {}) {
+  return Object.assign(Object.create(null), properties);
+}
+
+function createScriptError(name, message) {
+  return createPlainObject({ name, message });
+}
+
+function throwTypeError(message) {
+  throw new ScriptThrow(createScriptError('TypeError', message));
+}
+
+/**
+ * Converts a property key, refusing objects whose conversion would run code
+ * @param {*} key - Computed key
+ * @returns {string}
+ */
+function toPropertyKey(key) {
+  if (key !== null && (typeof key === 'object' || typeof key === 'function')) {
+    throwTypeError('Property names must be strings or numbers');
+  }
+  const name = String(key);
+  if (BLOCKED_PROPERTIES.has(name)) {
+    throw new PacInterpreterError(`Access to "${name}" is not allowed in PAC scripts`);
+  }
+  return name;
+}
+
+/**
+ * Refuses built-in calls that would allocate huge strings or arrays
+ * @param {*} target - Value the method is called on
+ * @param {string} name - Method name
+ * @param {Array} args - Arguments
+ */
+function checkAllocation(target, name, args) {
+  let size = 0;
+  if (name === 'repeat') {
+    size = String(target).length * Number(args[0]);
+  } else if (name === 'padStart' || name === 'padEnd') {
+    size = Number(args[0]);
+  } else if (name === 'join' && Array.isArray(target)) {
+    size = target.length * (String(args[0] ?? ',').length + 1);
+  }
+  if (size > MAX_STRING_LENGTH) {
+    throw new PacInterpreterError('The PAC script builds a value that is too large');
+  }
+}
+
+/**
+ * Creates the built-in globals available to scripts besides the PAC helpers
+ * @param {function(): Date} now - Clock used by new Date()
+ * @returns {{globals: Object, natives: WeakSet, constructors: WeakMap, statics: WeakMap}}
+ */
+function createBuiltins(now) {
+  const natives = new WeakSet();
+  const constructors = new WeakMap();
+  const statics = new WeakMap();
+
+  const native = (fn, construct, members) => {
+    natives.add(fn);
+    if (construct) constructors.set(fn, construct);
+    if (members) {
+      Object.values(members).forEach(member => natives.add(member));
+      statics.set(fn, Object.freeze(createPlainObject(members)));
+    }
+    return fn;
+  };
+  const errorType = name => native(
+    message => createScriptError(name, message === undefined ? '' : String(message)),
+    ([message]) => createScriptError(name, message === undefined ? '' : String(message))
+  );
+
+  const math = createPlainObject();
+  ['abs', 'ceil', 'floor', 'max', 'min', 'pow', 'random', 'round', 'sign', 'sqrt', 'trunc'].forEach(name => {
+    math[name] = native((...args) => Math[name](...args));
+  });
+
+  const globals = {
+    undefined,
+    NaN,
+    Infinity,
+    Math: Object.freeze(math),
+    parseInt: native((value, radix) => parseInt(value, radix)),
+    parseFloat: native(value => parseFloat(value)),
+    isNaN: native(value => isNaN(value)),
+    isFinite: native(value => isFinite(value)),
+    encodeURIComponent: native(value => encodeURIComponent(value)),
+    decodeURIComponent: native(value => decodeURIComponent(value)),
+    encodeURI: native(value => encodeURI(value)),
+    decodeURI: native(value => decodeURI(value)),
+    String: native(value => String(value), null, { fromCharCode: (...codes) => String.fromCharCode(...codes) }),
+    Number: native(value => Number(value)),
+    Boolean: native(value => Boolean(value)),
+    Array: native(
+      (...items) => [...items],
+      items => {
+        if (items.length === 1 && typeof items[0] === 'number' && items[0] > MAX_STRING_LENGTH) {
+          throw new PacInterpreterError('The PAC script builds a value that is too large');
+        }
+        return items.length === 1 && typeof items[0] === 'number' ? new Array(items[0]) : [...items];
+      },
+      { isArray: value => Array.isArray(value) }
+    ),
+    Object: native(() => createPlainObject(), () => createPlainObject()),
+    RegExp: native((pattern, flags) => new RegExp(pattern, flags), ([pattern, flags]) => new RegExp(pattern, flags)),
+    Date: native(
+      () => now().toString(),
+      args => (args.length === 0 ? now() : new Date(...args)),
+      { now: () => now().getTime() }
+    ),
+    Error: errorType('Error'),
+    TypeError: errorType('TypeError'),
+    RangeError: errorType('RangeError')
+  };
+
+  return { globals, natives, constructors, statics };
+}
+
+/**
+ * Collects the var and function declarations of a function body, which are
+ * visible throughout the function. let and const are treated like var.
+ * @param {Array<Object>} body - Statements
+ * @param {Set<string>} names - Collected variable names
+ * @param {Array<Object>} functions - Collected function declarations
+ */
+function hoistDeclarations(body, names, functions) {
+  const visit = node => {
+    if (!node) return;
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.declarations.forEach(declaration => {
+          if (declaration.id.type !== 'Identifier') {
+            throw new PacInterpreterError('Destructuring is not supported in PAC scripts');
+          }
+          names.add(declaration.id.name);
+        });
+        break;
+      case 'FunctionDeclaration':
+        functions.push(node);
+        break;
+      case 'BlockStatement':
+        node.body.forEach(visit);
+        break;
+      case 'IfStatement':
+        visit(node.consequent);
+        visit(node.alternate);
+        break;
+      case 'ForStatement':
+        visit(node.init);
+        visit(node.body);
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        visit(node.left);
+        visit(node.body);
+        break;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        visit(node.body);
+        break;
+      case 'TryStatement':
+        visit(node.block);
+        if (node.handler) visit(node.handler.body);
+        visit(node.finalizer);
+        break;
+      case 'SwitchStatement':
+        node.cases.forEach(switchCase => switchCase.consequent.forEach(visit));
+        break;
+      default:
+        break;
+    }
+  };
+  body.forEach(visit);
+}
+
+/**
+ * Interprets one parsed PAC script
+ */
+class Interpreter {
+  constructor({ stepLimit, now }) {
+    this.stepLimit = stepLimit;
+    this.steps = 0;
+    this.depth = 0;
+
+    const { globals, natives, constructors, statics } = createBuiltins(now);
+    this.natives = natives;
+    this.constructors = constructors;
+    this.statics = statics;
+
+    const helpers = createPacHelpers({ now });
+    Object.values(helpers).forEach(helper => natives.add(helper));
+
+    // The generated PAC script compiles the scripts of PAC URL proxies with Function
+    const functionBuiltin = (...args) => this.createFunction(args);
+    natives.add(functionBuiltin);
+    constructors.set(functionBuiltin, args => this.createFunction(args));
+
+    this.global = new Scope();
+    Object.entries({ ...globals, ...helpers, Function: functionBuiltin })
+      .forEach(([name, value]) => this.global.declare(name, value));
+  }
+
+  /**
+   * Creates a function from parameter names and a body, like Function. Like
+   * Function, it closes over the global scope only.
+   * @param {Array} args - Parameter names, then the body
+   * @returns {PacFunction}
+   */
+  createFunction(args) {
+    const texts = args.map(arg => this.toText(arg));
+    const body = texts.length > 0 ? texts.pop() : '';
+    let program;
+    try {
+      program = parse(`(function anonymous(${texts.join(',')}\n) {\n${body}\n})`, { ecmaVersion: 2020, sourceType: 'script' });
+    } catch (error) {
+      throw new ScriptThrow(createScriptError('SyntaxError', error.message));
+    }
+
+    // Parameters or a body closing the function early would add code around it
+    const [statement] = program.body;
+    if (program.body.length !== 1 || statement.type !== 'ExpressionStatement' ||
+        statement.expression.type !== 'FunctionExpression') {
+      throw new ScriptThrow(createScriptError('SyntaxError', 'Invalid function parameters or body'));
+    }
+    return new PacFunction(statement.expression, this.global);
+  }
+
+  tick() {
+    this.steps += 1;
+    if (this.steps > this.stepLimit) {
+      throw new PacInterpreterError('The PAC script took too long');
+    }
+  }
+
+  run(program) {
+    this.steps = 0;
+    this.enterBody(program.body, this.global);
+    return this.executeAll(program.body, this.global);
+  }
+
+  enterBody(body, scope) {
+    const names = new Set();
+    const functions = [];
+    hoistDeclarations(body, names, functions);
+    names.forEach(name => {
+      if (!scope.vars.has(name)) scope.declare(name, undefined);
+    });
+    functions.forEach(node => scope.declare(node.id.name, new PacFunction(node, scope)));
+  }
+
+  executeAll(statements, scope) {
+    for (const statement of statements) {
+      const signal = this.execute(statement, scope);
+      if (signal) return signal;
+    }
+    return undefined;
+  }
+
+  runLoopBody(node, scope) {
+    const signal = this.execute(node.body, scope);
+    if (!signal || signal.type === 'continue') return undefined;
+    return signal;
+  }
+
+  execute(node, scope) {
+    this.tick();
+    switch (node.type) {
+      case 'EmptyStatement':
+      case 'FunctionDeclaration':
+        return undefined;
+      case 'ExpressionStatement':
+        this.evaluate(node.expression, scope);
+        return undefined;
+      case 'VariableDeclaration':
+        node.declarations.forEach(declaration => {
+          if (declaration.init) {
+            this.assignName(declaration.id.name, this.evaluate(declaration.init, scope), scope);
+          }
+        });
+        return undefined;
+      case 'BlockStatement':
+        return this.executeAll(node.body, scope);
+      case 'ReturnStatement':
+        return { type: 'return', value: node.argument ? this.evaluate(node.argument, scope) : undefined };
+      case 'IfStatement':
+        if (this.evaluate(node.test, scope)) return this.execute(node.consequent, scope);
+        return node.alternate ? this.execute(node.alternate, scope) : undefined;
+      case 'ForStatement':
+        if (node.init) {
+          if (node.init.type === 'VariableDeclaration') this.execute(node.init, scope);
+          else this.evaluate(node.init, scope);
+        }
+        while (!node.test || this.evaluate(node.test, scope)) {
+          const signal = this.runLoopBody(node, scope);
+          if (signal) return signal.type === 'break' ? undefined : signal;
+          if (node.update) this.evaluate(node.update, scope);
+        }
+        return undefined;
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const source = this.evaluate(node.right, scope);
+        const items = node.type === 'ForInStatement'
+          ? (source !== null && typeof source === 'object' ? Object.keys(source) : [])
+          : this.iterate(source);
+        const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+        for (const item of items) {
+          this.assign(target, item, scope);
+          const signal = this.runLoopBody(node, scope);
+          if (signal) return signal.type === 'break' ? undefined : signal;
+        }
+        return undefined;
+      }
+      case 'WhileStatement':
+        while (this.evaluate(node.test, scope)) {
+          const signal = this.runLoopBody(node, scope);
+          if (signal) return signal.type === 'break' ? undefined : signal;
+        }
+        return undefined;
+      case 'DoWhileStatement':
+        do {
+          const signal = this.runLoopBody(node, scope);
+          if (signal) return signal.type === 'break' ? undefined : signal;
+        } while (this.evaluate(node.test, scope));
+        return undefined;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) {
+          throw new PacInterpreterError('Labels are not supported in PAC scripts');
+        }
+        return { type: node.type === 'BreakStatement' ? 'break' : 'continue' };
+      case 'ThrowStatement':
+        throw new ScriptThrow(this.evaluate(node.argument, scope));
+      case 'TryStatement':
+        return this.executeTry(node, scope);
+      case 'SwitchStatement':
+        return this.executeSwitch(node, scope);
+      default:
+        throw new PacInterpreterError(`${node.type} is not supported in PAC scripts`);
+    }
+  }
+
+  executeTry(node, scope) {
+    let signal;
+    try {
+      signal = this.execute(node.block, scope);
+    } catch (error) {
+      if (!node.handler || error instanceof PacInterpreterError) throw error;
+      const value = error instanceof ScriptThrow
+        ? error.value
+        : createScriptError(error.name || 'Error', error.message);
+      const catchScope = new Scope(scope);
+      if (node.handler.param) {
+        catchScope.declare(node.handler.param.name, value);
+      }
+      signal = this.execute(node.handler.body, catchScope);
+    } finally {
+      if (node.finalizer) {
+        const finalSignal = this.execute(node.finalizer, scope);
+        if (finalSignal) signal = finalSignal;
+      }
+    }
+    return signal;
+  }
+
+  executeSwitch(node, scope) {
+    const discriminant = this.evaluate(node.discriminant, scope);
+    let start = node.cases.findIndex(switchCase => switchCase.test && this.evaluate(switchCase.test, scope) === discriminant);
+    if (start === -1) {
+      start = node.cases.findIndex(switchCase => !switchCase.test);
+    }
+    if (start === -1) return undefined;
+
+    for (const switchCase of node.cases.slice(start)) {
+      const signal = this.executeAll(switchCase.consequent, scope);
+      if (signal) return signal.type === 'break' ? undefined : signal;
+    }
+    return undefined;
+  }
+
+  iterate(source) {
+    if (typeof source === 'string' || Array.isArray(source)) {
+      return Array.from(source);
+    }
+    return throwTypeError('Only strings and arrays can be iterated');
+  }
+
+  evaluate(node, scope) {
+    this.tick();
+    switch (node.type) {
+      case 'Literal':
+        return node.regex ? new RegExp(node.regex.pattern, node.regex.flags) : node.value;
+      case 'Identifier': {
+        const owner = scope.find(node.name);
+        if (!owner) {
+          throw new ScriptThrow(createScriptError('ReferenceError', `${node.name} is not defined`));
+        }
+        return owner.vars.get(node.name);
+      }
+      case 'ThisExpression': {
+        const owner = scope.find('this');
+        return owner ? owner.vars.get('this') : undefined;
+      }
+      case 'TemplateLiteral':
+        return node.quasis.map((quasi, index) => quasi.value.cooked +
+          (index < node.expressions.length ? this.toText(this.evaluate(node.expressions[index], scope)) : '')).join('');
+      case 'ArrayExpression':
+        return node.elements.map(element => {
+          if (element && element.type === 'SpreadElement') {
+            throw new PacInterpreterError('Spread syntax is not supported in PAC scripts');
+          }
+          return element ? this.evaluate(element, scope) : undefined;
+        });
+      case 'ObjectExpression': {
+        const object = createPlainObject();
+        node.properties.forEach(property => {
+          if (property.type !== 'Property' || property.kind !== 'init') {
+            throw new PacInterpreterError('Only plain object properties are supported in PAC scripts');
+          }
+          const key = property.computed
+            ? toPropertyKey(this.evaluate(property.key, scope))
+            : toPropertyKey(property.key.type === 'Identifier' ? property.key.name : property.key.value);
+          object[key] = this.evaluate(property.value, scope);
+        });
+        return object;
+      }
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return new PacFunction(node, scope);
+      case 'UnaryExpression':
+        return this.evaluateUnary(node, scope);
+      case 'UpdateExpression': {
+        const oldValue = Number(this.evaluate(node.argument, scope));
+        const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+        this.assign(node.argument, newValue, scope);
+        return node.prefix ? newValue : oldValue;
+      }
+      case 'BinaryExpression':
+        return this.binary(node.operator, this.evaluate(node.left, scope), this.evaluate(node.right, scope));
+      case 'LogicalExpression': {
+        const left = this.evaluate(node.left, scope);
+        if (node.operator === '&&') return left ? this.evaluate(node.right, scope) : left;
+        if (node.operator === '||') return left ? left : this.evaluate(node.right, scope);
+        return left ?? this.evaluate(node.right, scope);
+      }
+      case 'ConditionalExpression':
+        return this.evaluate(node.test, scope) ? this.evaluate(node.consequent, scope) : this.evaluate(node.alternate, scope);
+      case 'AssignmentExpression': {
+        const right = this.evaluate(node.right, scope);
+        const value = node.operator === '='
+          ? right
+          : this.binary(node.operator.slice(0, -1), this.evaluate(node.left, scope), right);
+        this.assign(node.left, value, scope);
+        return value;
+      }
+      case 'SequenceExpression':
+        return node.expressions.reduce((last, expression) => this.evaluate(expression, scope), undefined);
+      case 'MemberExpression':
+        return this.getProperty(this.evaluate(node.object, scope), this.propertyName(node, scope));
+      case 'CallExpression':
+        return this.evaluateCall(node, scope);
+      case 'NewExpression':
+        return this.construct(this.evaluate(node.callee, scope), this.evaluateArguments(node.arguments, scope));
+      default:
+        throw new PacInterpreterError(`${node.type} is not supported in PAC scripts`);
+    }
+  }
+
+  evaluateUnary(node, scope) {
+    if (node.operator === 'typeof') {
+      if (node.argument.type === 'Identifier' && !scope.find(node.argument.name)) {
+        return 'undefined';
+      }
+      const value = this.evaluate(node.argument, scope);
+      return this.isCallable(value) ? 'function' : typeof value;
+    }
+    if (node.operator === 'delete') {
+      if (node.argument.type !== 'MemberExpression') return true;
+      const object = this.evaluate(node.argument.object, scope);
+      const key = this.propertyName(node.argument, scope);
+      if (this.isScriptObject(object)) delete object[key];
+      return true;
+    }
+
+    const value = this.evaluate(node.argument, scope);
+    switch (node.operator) {
+      case '!': return !value;
+      case '-': return -this.toNumber(value);
+      case '+': return this.toNumber(value);
+      case '~': return ~this.toNumber(value);
+      case 'void': return undefined;
+      default:
+        throw new PacInterpreterError(`The ${node.operator} operator is not supported in PAC scripts`);
+    }
+  }
+
+  /**
+   * Conversions of script objects would look up toString and valueOf, so only
+   * primitives are converted
+   */
+  toPrimitive(value) {
+    if (value instanceof PacFunction) return '[function]';
+    if (value instanceof Date || value instanceof RegExp) return value.toString();
+    if (Array.isArray(value)) return value.map(item => (item === null || item === undefined ? '' : this.toText(item))).join(',');
+    if (value !== null && typeof value === 'object') return '[object Object]';
+    return value;
+  }
+
+  toText(value) {
+    return String(this.toPrimitive(value));
+  }
+
+  toNumber(value) {
+    return Number(this.toPrimitive(value));
+  }
+
+  binary(operator, left, right) {
+    switch (operator) {
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '==': return this.toLooseOperand(left) == this.toLooseOperand(right);
+      case '!=': return this.toLooseOperand(left) != this.toLooseOperand(right);
+      case 'in':
+        if (!this.isScriptObject(right)) throwTypeError('The in operator needs an object');
+        return hasOwn(right, toPropertyKey(left));
+      case 'instanceof':
+        throw new PacInterpreterError('instanceof is not supported in PAC scripts');
+      default:
+        break;
+    }
+
+    const a = this.toPrimitive(left);
+    const b = this.toPrimitive(right);
+    switch (operator) {
+      case '+': {
+        const sum = typeof a === 'string' || typeof b === 'string' ? String(a) + String(b) : a + b;
+        if (typeof sum === 'string' && sum.length > MAX_STRING_LENGTH) {
+          throw new PacInterpreterError('The PAC script builds a value that is too large');
+        }
+        return sum;
+      }
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return a / b;
+      case '%': return a % b;
+      case '**': return a ** b;
+      case '<': return a < b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      case '>=': return a >= b;
+      case '&': return a & b;
+      case '|': return a | b;
+      case '^': return a ^ b;
+      case '<<': return a << b;
+      case '>>': return a >> b;
+      case '>>>': return a >>> b;
+      default:
+        throw new PacInterpreterError(`The ${operator} operator is not supported in PAC scripts`);
+    }
+  }
+
+  toLooseOperand(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof PacFunction) ? value : this.toPrimitive(value);
+  }
+
+  /**
+   * Built-ins may convert their arguments; objects of the script are converted
+   * here instead, so no method of theirs runs outside the interpreter
+   */
+  toNativeArgument(value) {
+    if (value instanceof PacFunction || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null)) {
+      return this.toPrimitive(value);
+    }
+    return value;
+  }
+
+  isCallable(value) {
+    return value instanceof PacFunction || (typeof value === 'function' && this.natives.has(value));
+  }
+
+  /**
+   * Whether the script may read and write any own property of a value
+   */
+  isScriptObject(value) {
+    return Array.isArray(value) ||
+      (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null);
+  }
+
+  propertyName(node, scope) {
+    if (!node.computed) {
+      return toPropertyKey(node.property.name);
+    }
+    return toPropertyKey(this.evaluate(node.property, scope));
+  }
+
+  getProperty(object, key) {
+    if (object === null || object === undefined) {
+      return throwTypeError(`Cannot read property "${key}" of ${object}`);
+    }
+    if (typeof object === 'string') {
+      if (key === 'length' || /^\d+$/.test(key)) return object[key];
+      return undefined;
+    }
+    if (this.isScriptObject(object)) {
+      return hasOwn(object, key) ? object[key] : undefined;
+    }
+    if (object instanceof RegExp && REGEXP_PROPERTIES.has(key)) {
+      return object[key];
+    }
+    if (typeof object === 'function' && this.statics.has(object)) {
+      const members = this.statics.get(object);
+      return hasOwn(members, key) ? members[key] : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the allow-listed built-in method of a value, if any
+   */
+  getBuiltinMethod(object, key) {
+    if (typeof object === 'string') return STRING_METHODS.has(key) ? String.prototype[key] : null;
+    if (Array.isArray(object)) return ARRAY_METHODS.has(key) && !hasOwn(object, key) ? Array.prototype[key] : null;
+    if (object instanceof RegExp) return REGEXP_METHODS.has(key) ? RegExp.prototype[key] : null;
+    if (object instanceof Date) return DATE_METHODS.has(key) ? Date.prototype[key] : null;
+    if (typeof object === 'number') return NUMBER_METHODS.has(key) ? Number.prototype[key] : null;
+    return null;
+  }
+
+  setProperty(object, key, value) {
+    if (!this.isScriptObject(object) || Object.isFrozen(object)) {
+      throwTypeError(`Cannot set property "${key}"`);
+    }
+    if (Array.isArray(object) && key === 'length' && Number(value) > MAX_STRING_LENGTH) {
+      throw new PacInterpreterError('The PAC script builds a value that is too large');
+    }
+    object[key] = value;
+  }
+
+  assignName(name, value, scope) {
+    (scope.find(name) || this.global).vars.set(name, value);
+  }
+
+  assign(target, value, scope) {
+    if (target.type === 'Identifier') {
+      this.assignName(target.name, value, scope);
+    } else if (target.type === 'MemberExpression') {
+      this.setProperty(this.evaluate(target.object, scope), this.propertyName(target, scope), value);
+    } else {
+      throw new PacInterpreterError(`Assigning to ${target.type} is not supported in PAC scripts`);
+    }
+  }
+
+  evaluateArguments(nodes, scope) {
+    return nodes.map(node => {
+      if (node.type === 'SpreadElement') {
+        throw new PacInterpreterError('Spread syntax is not supported in PAC scripts');
+      }
+      return this.evaluate(node, scope);
+    });
+  }
+
+  evaluateCall(node, scope) {
+    if (node.callee.type !== 'MemberExpression') {
+      return this.call(this.evaluate(node.callee, scope), this.evaluateArguments(node.arguments, scope));
+    }
+
+    const object = this.evaluate(node.callee.object, scope);
+    const key = this.propertyName(node.callee, scope);
+    const args = this.evaluateArguments(node.arguments, scope);
+    const method = object !== null && object !== undefined && this.getBuiltinMethod(object, key);
+    if (method) {
+      checkAllocation(object, key, args);
+      const nativeArgs = CALLBACK_METHODS.has(key)
+        ? args.map(arg => (arg instanceof PacFunction ? (...values) => this.call(arg, values) : arg))
+        : args.map(arg => this.toNativeArgument(arg));
+      return method.apply(object, nativeArgs);
+    }
+    return this.call(this.getProperty(object, key), args, object);
+  }
+
+  call(fn, args, thisValue) {
+    if (typeof fn === 'function' && this.natives.has(fn)) {
+      return fn(...args.map(arg => this.toNativeArgument(arg)));
+    }
+    if (!(fn instanceof PacFunction)) {
+      return throwTypeError('Not a function');
+    }
+
+    if (this.depth >= MAX_CALL_DEPTH) {
+      throw new PacInterpreterError('The PAC script recurses too deeply');
+    }
+    const { node } = fn;
+    const scope = new Scope(fn.scope);
+    if (node.type !== 'ArrowFunctionExpression') {
+      scope.declare('this', this.isScriptObject(thisValue) ? thisValue : undefined);
+      scope.declare('arguments', [...args]);
+    }
+    node.params.forEach((param, index) => {
+      if (param.type !== 'Identifier') {
+        throw new PacInterpreterError('Only plain parameters are supported in PAC scripts');
+      }
+      scope.declare(param.name, args[index]);
+    });
+
+    this.depth += 1;
+    try {
+      if (node.body.type !== 'BlockStatement') {
+        return this.evaluate(node.body, scope);
+      }
+      this.enterBody(node.body.body, scope);
+      const signal = this.executeAll(node.body.body, scope);
+      return signal && signal.type === 'return' ? signal.value : undefined;
+    } finally {
+      this.depth -= 1;
+    }
+  }
+
+  construct(fn, args) {
+    if (typeof fn === 'function' && this.constructors.has(fn)) {
+      return this.constructors.get(fn)(args.map(arg => this.toNativeArgument(arg)));
+    }
+    if (!(fn instanceof PacFunction) || fn.node.type === 'ArrowFunctionExpression') {
+      return throwTypeError('Not a constructor');
+    }
+    const instance = createPlainObject();
+    const result = this.call(fn, args, instance);
+    return this.isScriptObject(result) ? result : instance;
+  }
+
+  /**
+   * Calls a function of the script from outside, converting script errors
+   */
+  callFromOutside(fn, args) {
+    this.steps = 0;
+    try {
+      return this.call(fn, args);
+    } catch (error) {
+      throw toError(error);
+    }
+  }
+}
+
+/**
+ * Converts an error escaping the script into an Error
+ * @param {*} error - ScriptThrow, interpreter or native error
+ * @returns {Error}
+ */
+function toError(error) {
+  if (error instanceof ScriptThrow) {
+    const { value } = error;
+    const message = value !== null && typeof value === 'object' && typeof value.message === 'string'
+      ? value.message
+      : String(value !== null && typeof value === 'object' ? '[object]' : value);
+    return new Error(message);
+  }
+  return error instanceof Error ? error : new Error(String(error));
+}
+
+/**
+ * Parses a PAC script
+ * @param {string} script - PAC script source
+ * @returns {Object} - acorn Program node
+ * @throws {Error} - If the script does not parse
+ */
+function parseScript(script) {
+  try {
+    return parse(String(script), { ecmaVersion: 2020, sourceType: 'script' });
+  } catch (error) {
+    throw new Error(`The PAC script could not be parsed: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that a PAC script parses and defines FindProxyForURL at the top
+ * level, without running it
+ * @param {string} script - PAC script source
+ * @throws {Error} - If the script does not parse or defines no FindProxyForURL
+ */
+export function checkPacScriptSyntax(script) {
+  const defines = node => {
+    if (node.type === 'FunctionDeclaration') {
+      return ENTRY_POINTS.includes(node.id.name);
+    }
+    if (node.type === 'VariableDeclaration') {
+      return node.declarations.some(declaration => ENTRY_POINTS.includes(declaration.id.name));
+    }
+    return node.type === 'ExpressionStatement' &&
+      node.expression.type === 'AssignmentExpression' &&
+      ENTRY_POINTS.includes(node.expression.left.name);
+  };
+
+  if (!parseScript(script).body.some(defines)) {
+    throw new Error('The PAC script does not define FindProxyForURL');
+  }
+}
+
+/**
+ * Parses and runs a PAC script, returning its FindProxyForURL (or
+ * FindProxyForURLEx) as a function
+ * @param {string} script - PAC script source
+ * @param {Object} [options]
+ * @param {number} [options.stepLimit] - Maximum interpreter steps for loading and for each call
+ * @param {function(): Date} [options.now] - Clock used by the time helpers and Date
+ * @returns {function(string, string): string} - Calls FindProxyForURL(url, host)
+ * @throws {Error} - If the script does not parse, fails to load or defines no FindProxyForURL
+ */
+export function compilePacScript(script, { stepLimit = DEFAULT_STEP_LIMIT, now = () => new Date() } = {}) {
+  const program = parseScript(script);
+  const interpreter = new Interpreter({ stepLimit, now });
+  try {
+    interpreter.run(program);
+  } catch (error) {
+    throw new Error(`The PAC script could not be loaded: ${toError(error).message}`);
+  }
+
+  const findProxy = ENTRY_POINTS
+    .map(name => interpreter.global.vars.get(name))
+    .find(value => value instanceof PacFunction);
+  if (!findProxy) {
+    throw new Error('The PAC script does not define FindProxyForURL');
+  }
+
+  return (url, host) => {
+    const result = interpreter.callFromOutside(findProxy, [url, host]);
+    if (typeof result !== 'string') {
+      throw new Error('FindProxyForURL did not return a string');
+    }
+    return result;
+  };
+}
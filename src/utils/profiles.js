@@ -0,0 +1,152 @@
+/**
+ * Generates a unique ID for routing profiles
+ * @returns {string} - Unique ID
+ */
+function generateProfileId() {
+  return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Captures the state a profile stores for one proxy
+ * @param {Object} proxy - Proxy configuration
+ * @param {boolean} includePatterns - Store the routing patterns as well
+ * @returns {Object} - { enabled, priority, patterns?, excludePatterns? }
+ */
+function captureProxyState(proxy, includePatterns) {
+  const state = { enabled: !!proxy.enabled, priority: proxy.priority };
+  if (includePatterns) {
+    state.patterns = [...(proxy.routingConfig?.patterns || [])];
+    state.excludePatterns = [...(proxy.routingConfig?.excludePatterns || [])];
+  }
+  return state;
+}
+
+/**
+ * Creates a profile from the current state of the proxies
+ * @param {Object} config - The stored config object
+ * @param {string} name - Name of the profile
+ * @param {Object} [options]
+ * @param {boolean} [options.includePatterns=false] - Store the proxies' routing patterns as well
+ * @param {string} [options.id] - Keep this ID, to update an existing profile
+ * @returns {Object} - { id, name, includesPatterns, proxies: { [proxyId]: state } }
+ */
+export function createProfile(config, name, { includePatterns = false, id } = {}) {
+  const proxies = {};
+  (config?.proxies || []).forEach(proxy => {
+    proxies[proxy.id] = captureProxyState(proxy, includePatterns);
+  });
+
+  return {
+    id: id || generateProfileId(),
+    name: name.trim(),
+    includesPatterns: includePatterns,
+    proxies
+  };
+}
+
+/**
+ * Returns the profile that was applied last
+ * @param {Object} config - The stored config object
+ * @returns {Object|null} - The active profile, or null if none
+ */
+export function getActiveProfile(config) {
+  if (!config?.activeProfileId) {
+    return null;
+  }
+  return (config.profiles || []).find(profile => profile.id === config.activeProfileId) || null;
+}
+
+/**
+ * Builds the configuration with a profile applied. Proxies the profile does
+ * not know, such as proxies added after it was saved, are left as they are and
+ * ordered after the proxies of the profile.
+ * @param {Object} config - The stored config object
+ * @param {Object} profile - The profile to apply
+ * @returns {Object} - The new config object, with activeProfileId set
+ */
+export function applyProfileToConfig(config, profile) {
+  const states = profile.proxies || {};
+  const proxies = config.proxies.map(proxy => {
+    const state = states[proxy.id];
+    if (!state) {
+      return proxy;
+    }
+
+    const updated = { ...proxy, enabled: !!state.enabled };
+    if (state.patterns) {
+      updated.routingConfig = {
+        ...proxy.routingConfig,
+        patterns: [...state.patterns],
+        excludePatterns: [...(state.excludePatterns || [])]
+      };
+    }
+    return updated;
+  });
+
+  // Rank by the profile's priorities, then renumber so priorities stay contiguous
+  const rank = (proxy) => (states[proxy.id] ? [0, states[proxy.id].priority] : [1, proxy.priority]);
+  const ordered = [...proxies].sort((a, b) => {
+    const [groupA, priorityA] = rank(a);
+    const [groupB, priorityB] = rank(b);
+    return groupA - groupB || priorityA - priorityB;
+  });
+  const priorities = new Map(ordered.map((proxy, index) => [proxy.id, index]));
+
+  return {
+    ...config,
+    activeProfileId: profile.id,
+    proxies: proxies.map(proxy => ({ ...proxy, priority: priorities.get(proxy.id) }))
+  };
+}
+
+/**
+ * Tells whether the proxies were changed since a profile was applied
+ * @param {Object} config - The stored config object
+ * @param {Object} profile - The applied profile
+ * @returns {boolean} - True if the proxies no longer match the profile
+ */
+export function isProfileModified(config, profile) {
+  const applied = applyProfileToConfig(config, profile);
+  return (config?.proxies || []).some((proxy, index) => {
+    const expected = applied.proxies[index];
+    return proxy.enabled !== expected.enabled ||
+      proxy.priority !== expected.priority ||
+      JSON.stringify(proxy.routingConfig?.patterns || []) !== JSON.stringify(expected.routingConfig?.patterns || []) ||
+      JSON.stringify(proxy.routingConfig?.excludePatterns || []) !== JSON.stringify(expected.routingConfig?.excludePatterns || []);
+  });
+}
+
+/**
+ * Removes a deleted proxy from every profile
+ * @param {Array} [profiles] - config.profiles
+ * @param {string} proxyId - The deleted proxy
+ * @returns {Array|undefined} - The updated profiles
+ */
+export function removeProxyFromProfiles(profiles, proxyId) {
+  return profiles?.map(profile => {
+    if (!profile.proxies?.[proxyId]) {
+      return profile;
+    }
+    const proxies = { ...profile.proxies };
+    delete proxies[proxyId];
+    return { ...profile, proxies };
+  });
+}
+
+/**
+ * Validates the name of a profile
+ * @param {string} name - The name to validate
+ * @param {Array} [profiles] - Existing profiles
+ * @param {string} [profileId] - The profile being renamed, excluded from the duplicate check
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateProfileName(name, profiles = [], profileId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    return 'Profile name is required';
+  }
+  if (profiles.some(profile => profile.id !== profileId && profile.name.trim().toLowerCase() === trimmed.toLowerCase())) {
+    return `A profile named "${trimmed}" already exists`;
+  }
+  return null;
+}
@@ -0,0 +1,33 @@
+import { QUOTA_PERIODS } from '../common/constants.js';
+
+/**
+ * Tells whether a proxy has a data quota
+ * @param {Object} proxy - Proxy configuration
+ * @returns {boolean} - True if the proxy has a quota with a limit
+ */
+export function hasQuota(proxy) {
+  return !!(proxy?.quota && proxy.quota.limitBytes > 0);
+}
+
+/**
+ * Returns when the quota period containing a time started: local midnight
+ * for daily quotas, midnight of the first of the month for monthly ones
+ * @param {string} period - One of QUOTA_PERIODS
+ * @param {Date} [date=new Date()] - The time, in local time
+ * @returns {number} - Start of the period in milliseconds
+ */
+export function getQuotaPeriodStart(period, date = new Date()) {
+  const day = period === QUOTA_PERIODS.MONTHLY ? 1 : date.getDate();
+  return new Date(date.getFullYear(), date.getMonth(), day).getTime();
+}
+
+/**
+ * Returns the warning thresholds of a quota, ascending and below 100%
+ * @param {Object} quota - proxy.quota
+ * @returns {number[]} - Percentages
+ */
+export function getQuotaThresholds(quota) {
+  return [...new Set(quota.thresholds || [])]
+    .filter(threshold => threshold > 0 && threshold < 100)
+    .sort((a, b) => a - b);
+}
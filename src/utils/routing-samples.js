@@ -0,0 +1,138 @@
+import { PATTERN_TYPES, PATTERN_TARGETS } from '../common/constants.js';
+import { normalizePattern, getRoutingPatterns, getExcludePatterns } from '../modules/PatternMatcher.js';
+import { parseCidr } from './cidr.js';
+import { parsePacSample } from './pac-evaluator.js';
+
+/**
+ * Sample requests for comparing the request-level routing with the generated
+ * PAC script: a fixed set every configuration is checked with, and requests
+ * derived from the configuration's own patterns, near and just outside what
+ * they match.
+ */
+
+// Plain names, subdomains, IP literals, ports, paths and schemes
+export const BASE_ROUTING_SAMPLES = [
+  'example.com',
+  'www.example.com',
+  'cdn.assets.example.co.uk',
+  'localhost',
+  'intranet',
+  'xn--bcher-kva.example',
+  '127.0.0.1',
+  '10.1.2.3',
+  '192.168.1.20',
+  '[::1]',
+  '[2001:db8::1]',
+  'http://example.org:8080/path?query=1',
+  'https://mail.google.com/mail/u/0/#inbox',
+  'http://10.1.2.3:3128/status',
+  'ws://chat.example.net/socket',
+  'ftp://files.example.com/pub/'
+];
+
+export const MAX_ROUTING_SAMPLES = 500;
+
+const HOST_TEXT = /^[a-z0-9.-]+$/i;
+
+/**
+ * Recovers the text a regex matches literally, e.g. "corp.com" from
+ * "^(.*\.)?corp\.com$"
+ * @param {string} source - Regex source
+ * @returns {string|null} - The text, or null if the regex is more than text with anchors
+ */
+function getRegexLiteral(source) {
+  const text = source
+    .replace(/^\^/, '')
+    .replace(/\$$/, '')
+    .replace(/^(?:\((?:\?:)?\.\*\\\.\)\?|\.\*\\?\.?|\.\+\\?\.?)/, '')
+    .replace(/\\([^a-z0-9])/gi, '$1');
+  return text && !/[\\^$*+?()[\]{}|]/.test(text.replace(/\./g, '')) ? text : null;
+}
+
+/**
+ * Hostnames at the edges of a host rule: the host, a subdomain, a longer
+ * name ending in it and a name it starts
+ * @param {string} host - Host text of a rule
+ * @returns {Array<string>}
+ */
+function getHostSamples(host) {
+  const name = host.replace(/^\.+/, '').replace(/\.+$/, '');
+  if (!name || !HOST_TEXT.test(name)) return [];
+  return [name, `www.${name}`, `x${name}`, `${name}.test`];
+}
+
+/**
+ * Derives sample requests from a routing pattern
+ * @param {string|Object} pattern - Stored pattern
+ * @returns {Array<string>} - URLs or bare hostnames
+ */
+function getPatternSamples(pattern) {
+  const { value, target, type } = normalizePattern(pattern);
+  if (!value) return [];
+
+  if (type === PATTERN_TYPES.CIDR) {
+    const range = parseCidr(value);
+    if (!range) return [];
+    const address = value.trim().split('/')[0];
+    return [range.version === 4 ? address : `[${address}]`];
+  }
+
+  let text;
+  if (type === PATTERN_TYPES.DOMAIN_SUFFIX) {
+    text = value.replace(/^\*?\./, '');
+  } else if (type === PATTERN_TYPES.GLOB) {
+    return [value.replace(/\*/g, 'x').replace(/\?/g, 'a'), value.replace(/\*/g, '').replace(/\?/g, 'a')]
+      .flatMap(sample => (target === PATTERN_TARGETS.HOSTNAME ? getHostSamples(sample) : getTargetSamples(target, sample)));
+  } else {
+    text = getRegexLiteral(value);
+  }
+  if (!text) return [];
+
+  return target === PATTERN_TARGETS.HOSTNAME ? getHostSamples(text) : getTargetSamples(target, text);
+}
+
+/**
+ * Builds requests that carry a text in the URL part a pattern targets
+ * @param {string} target - One of PATTERN_TARGETS
+ * @param {string} text - Literal text of the pattern
+ * @returns {Array<string>}
+ */
+function getTargetSamples(target, text) {
+  switch (target) {
+    case PATTERN_TARGETS.URL:
+      return text.includes('://') ? [text] : [`http://example.com/${text.replace(/^\/+/, '')}`];
+    case PATTERN_TARGETS.PATH:
+      return [`http://example.com/${text.replace(/^\/+/, '')}`];
+    case PATTERN_TARGETS.SCHEME:
+      return /^[a-z][a-z0-9+.-]*$/i.test(text) ? [`${text}://example.com/`] : [];
+    case PATTERN_TARGETS.PORT:
+      return /^\d+$/.test(text) ? [`http://example.com:${text}/`] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Lists the requests to compare both routing implementations with: the given
+ * samples, the base samples and those derived from every routing, exclusion
+ * and bypass pattern of the configuration, without duplicates
+ * @param {Object} config - Extension configuration
+ * @param {Array<string>} [extraSamples] - URLs or hostnames to check first
+ * @returns {Array<string>} - At most MAX_ROUTING_SAMPLES samples
+ */
+export function getRoutingSamples(config, extraSamples = []) {
+  const patterns = [...(config?.bypassPatterns || [])];
+  (config?.proxies || []).forEach(proxy => {
+    patterns.push(...getRoutingPatterns(proxy.routingConfig), ...getExcludePatterns(proxy.routingConfig));
+  });
+
+  const samples = new Set(extraSamples.map(sample => String(sample).trim()).filter(Boolean));
+  BASE_ROUTING_SAMPLES.forEach(sample => samples.add(sample));
+  for (const pattern of patterns) {
+    if (samples.size >= MAX_ROUTING_SAMPLES) break;
+    // Derived names may not be valid hosts, e.g. "www.127" from "^127\\."
+    getPatternSamples(pattern).filter(parsePacSample).forEach(sample => samples.add(sample));
+  }
+
+  return [...samples].slice(0, MAX_ROUTING_SAMPLES);
+}
@@ -0,0 +1,244 @@
+import { PATTERN_TARGETS, PATTERN_TYPES, RULE_SUBSCRIPTION_DEFAULTS } from '../common/constants.js';
+
+/**
+ * Converts subscribed rule lists into ProxyDeck routing patterns. Three
+ * formats are understood:
+ * - gfwlist: an AutoProxy list encoded as base64
+ * - Adblock/AutoProxy rules: `||domain^`, `|http://prefix`, `/regex/`,
+ *   keywords and `@@` exceptions
+ * - plain domain lists, one domain per line (hosts files included)
+ * Rules become stored patterns as written by the pattern editor: domains turn
+ * into domain suffix patterns, everything else into regexes on the full URL.
+ */
+
+export const RULE_LIST_FORMATS = {
+  GFWLIST: 'gfwlist',
+  ADBLOCK: 'adblock',
+  DOMAINS: 'domains'
+};
+
+// Fields of a subscription that are written by the background, not by the user
+const FETCHED_FIELDS = ['patterns', 'excludePatterns', 'format', 'fetchedAt', 'checkedAt', 'error', 'history'];
+
+const DOMAIN_REGEX = /^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/i;
+const HOSTS_ADDRESSES = ['0.0.0.0', '127.0.0.1', '::', '::1'];
+const RULE_LINE_REGEX = /^(\[|!|@@|\|\||\|)/;
+// Regex matching any scheme and optional subdomains in front of a "||" rule's domain
+const DOMAIN_ANCHOR_SOURCE = '^[a-z][a-z0-9+.-]*://([^/?#]*\\.)?';
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Regex source matching the text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Converts the body of an Adblock rule to regex source: `*` matches anything,
+ * `^` a separator or the end of the URL and a trailing `|` the end of the URL
+ * @param {string} body - Rule without its leading anchors
+ * @returns {string} - Regex source
+ */
+function adblockBodyToRegex(body) {
+  const anchoredEnd = body.endsWith('|');
+  const text = anchoredEnd ? body.slice(0, -1) : body;
+  const source = text.split('*')
+    .map(part => part.split('^').map(escapeRegex).join('(?:[^\\w.%-]|$)'))
+    .join('.*');
+  return anchoredEnd ? `${source}$` : source;
+}
+
+/**
+ * Decodes a base64 rule list such as gfwlist
+ * @param {string} text - Downloaded text
+ * @returns {string|null} - The decoded list, or null if the text is not base64
+ */
+function decodeBase64List(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (compact.length === 0 || compact.length % 4 === 1 || !/^[A-Za-z0-9+/]+=*$/.test(compact)) {
+    return null;
+  }
+  try {
+    const binary = atob(compact);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return decoded.split(/\r?\n/).some(line => RULE_LINE_REGEX.test(line.trim())) ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Converts one Adblock/AutoProxy rule
+ * @param {string} rule - Rule without a leading "@@"
+ * @returns {{pattern?: (string|Object), reason?: string}} - The pattern, or why it cannot be converted
+ */
+function convertAdblockRule(rule) {
+  if (/#[@?]?#/.test(rule)) {
+    return { reason: 'element hiding rules are not supported' };
+  }
+  if (rule.includes('$') && !/^\/.*\/$/.test(rule)) {
+    return { reason: 'filter options are not supported' };
+  }
+
+  if (/^\/.+\/$/.test(rule)) {
+    const source = rule.slice(1, -1);
+    try {
+      new RegExp(source);
+    } catch (e) {
+      return { reason: 'invalid regular expression' };
+    }
+    return { pattern: { value: source, target: PATTERN_TARGETS.URL } };
+  }
+
+  if (rule.startsWith('||')) {
+    const body = rule.slice(2);
+    const domain = body.replace(/(\^|\/)?\|?$/, '');
+    if (DOMAIN_REGEX.test(domain)) {
+      return { pattern: { value: domain.toLowerCase(), type: PATTERN_TYPES.DOMAIN_SUFFIX } };
+    }
+    return { pattern: { value: DOMAIN_ANCHOR_SOURCE + adblockBodyToRegex(body), target: PATTERN_TARGETS.URL } };
+  }
+
+  if (rule.startsWith('|')) {
+    return { pattern: { value: `^${adblockBodyToRegex(rule.slice(1))}`, target: PATTERN_TARGETS.URL } };
+  }
+
+  // Keywords that are a domain (gfwlist writes ".example.com") are treated as that domain
+  const domain = rule.replace(/^\./, '');
+  if (DOMAIN_REGEX.test(domain)) {
+    return { pattern: { value: domain.toLowerCase(), type: PATTERN_TYPES.DOMAIN_SUFFIX } };
+  }
+  // Other keywords match anywhere in the URL
+  return { pattern: { value: `.*${adblockBodyToRegex(rule)}`, target: PATTERN_TARGETS.URL } };
+}
+
+/**
+ * Converts one line of a plain domain list or hosts file
+ * @param {string} line - Line without comments
+ * @returns {{pattern?: Object, reason?: string}} - The pattern, or why it cannot be converted
+ */
+function convertDomainLine(line) {
+  const parts = line.split(/\s+/);
+  const domain = (HOSTS_ADDRESSES.includes(parts[0]) && parts.length > 1 ? parts[1] : parts[0])
+    .replace(/^\*?\./, '');
+  if (!DOMAIN_REGEX.test(domain)) {
+    return { reason: 'not a domain' };
+  }
+  return { pattern: { value: domain.toLowerCase(), type: PATTERN_TYPES.DOMAIN_SUFFIX } };
+}
+
+/**
+ * Detects the format of a downloaded rule list
+ * @param {string} text - Downloaded text
+ * @returns {{format: string, lines: Array<string>}} - The format and the (decoded) lines
+ */
+function detectRuleListFormat(text) {
+  const decoded = decodeBase64List(text);
+  if (decoded !== null) {
+    return { format: RULE_LIST_FORMATS.GFWLIST, lines: decoded.split(/\r?\n/) };
+  }
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const isAdblock = lines.some(line => RULE_LINE_REGEX.test(line.trim()));
+  return { format: isAdblock ? RULE_LIST_FORMATS.ADBLOCK : RULE_LIST_FORMATS.DOMAINS, lines };
+}
+
+/**
+ * Parses a rule list into routing patterns and exclusions. Duplicate rules
+ * are kept once.
+ * @param {string} text - Downloaded rule list
+ * @returns {{format: string, patterns: Array<string|Object>, excludePatterns: Array<string|Object>, skipped: number}}
+ *          The detected format, the converted rules and how many rules could not be converted
+ */
+export function parseRuleList(text) {
+  const { format, lines } = detectRuleListFormat(String(text || ''));
+  const patterns = new Map();
+  const excludePatterns = new Map();
+  let skipped = 0;
+
+  lines.forEach(rawLine => {
+    let line = rawLine.trim();
+    if (format === RULE_LIST_FORMATS.DOMAINS) {
+      line = line.replace(/#.*$/, '').trim();
+    }
+    if (!line || line.startsWith('!') || line.startsWith('[') || line.startsWith('#')) {
+      return;
+    }
+
+    const isException = format !== RULE_LIST_FORMATS.DOMAINS && line.startsWith('@@');
+    const rule = isException ? line.slice(2) : line;
+    const result = format === RULE_LIST_FORMATS.DOMAINS ? convertDomainLine(rule) : convertAdblockRule(rule);
+
+    if (!result.pattern) {
+      skipped++;
+      return;
+    }
+    (isException ? excludePatterns : patterns).set(JSON.stringify(result.pattern), result.pattern);
+  });
+
+  return {
+    format,
+    patterns: [...patterns.values()],
+    excludePatterns: [...excludePatterns.values()],
+    skipped
+  };
+}
+
+/**
+ * Counts the rules added and removed between two versions of a subscribed list
+ * @param {{patterns?: Array, excludePatterns?: Array}} previous - Previously subscribed rules
+ * @param {{patterns: Array, excludePatterns: Array}} next - Newly subscribed rules
+ * @returns {{added: number, removed: number}}
+ */
+export function diffRuleLists(previous, next) {
+  const keys = (list, prefix) => (list || []).map(pattern => prefix + JSON.stringify(pattern));
+  const before = new Set([...keys(previous?.patterns, '+'), ...keys(previous?.excludePatterns, '-')]);
+  const after = new Set([...keys(next.patterns, '+'), ...keys(next.excludePatterns, '-')]);
+
+  let added = 0;
+  after.forEach(key => {
+    if (!before.has(key)) added++;
+  });
+  let removed = 0;
+  before.forEach(key => {
+    if (!after.has(key)) removed++;
+  });
+  return { added, removed };
+}
+
+/**
+ * Returns how often a subscription is refreshed, in minutes
+ * @param {Object} subscription - routingConfig.subscription
+ * @returns {number}
+ */
+export function getSubscriptionRefreshMinutes(subscription) {
+  const minutes = Number(subscription?.refreshMinutes) || RULE_SUBSCRIPTION_DEFAULTS.refreshMinutes;
+  return Math.max(minutes, RULE_SUBSCRIPTION_DEFAULTS.minRefreshMinutes);
+}
+
+/**
+ * Carries the fetched rules and status of the stored subscription over to an
+ * edited copy of it, unless the copy is at least as recent or points at
+ * another URL. Keeps a stale editor copy from undoing a background update.
+ * @param {Object} [edited] - Subscription being saved
+ * @param {Object} [stored] - Subscription currently stored
+ * @returns {Object|undefined} - The subscription to save
+ */
+export function mergeSubscriptionState(edited, stored) {
+  if (!edited || !stored || edited.url !== stored.url || (edited.checkedAt || 0) >= (stored.checkedAt || 0)) {
+    return edited;
+  }
+
+  const merged = { ...edited };
+  FETCHED_FIELDS.forEach(field => {
+    if (stored[field] === undefined) {
+      delete merged[field];
+    } else {
+      merged[field] = stored[field];
+    }
+  });
+  return merged;
+}
@@ -0,0 +1,201 @@
+import { PATTERN_TYPES, PATTERN_TARGETS, PAC_PROXY_TYPE } from '../common/constants.js';
+import { defaultPatternMatcher, normalizePattern, matchesPatternList, getRoutingPatterns, getExcludePatterns } from '../modules/PatternMatcher.js';
+import { parseIpAddress } from './cidr.js';
+
+// How much of a site a quick rule covers
+export const SITE_SCOPES = {
+  DOMAIN: 'domain',
+  HOST: 'host',
+  EXACT: 'exact'
+};
+
+// Public suffixes of two labels common enough to matter; any other suffix is taken to be one label
+const TWO_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'co.kr', 'or.kr',
+  'com.br', 'com.cn', 'net.cn', 'org.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my',
+  'co.in', 'co.id', 'co.il', 'co.th', 'co.za', 'com.mx', 'com.ar', 'com.tr', 'com.ua'
+]);
+
+function escapeRegex(text) {
+  return text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/**
+ * Returns the domain a site is registered under, e.g. "example.co.uk" for
+ * "www.example.co.uk". Uses a short list of common two-label suffixes
+ * instead of the full public suffix list.
+ * @param {string} hostname - Lowercase hostname
+ * @returns {string} - The registrable domain, or the hostname itself for IPs and short names
+ */
+export function getRegistrableDomain(hostname) {
+  const labels = hostname.split('.');
+  if (parseIpAddress(hostname) || labels.length <= 2) {
+    return hostname;
+  }
+
+  const suffixLabels = TWO_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLabels + 1)).join('.');
+}
+
+/**
+ * Lists the patterns a quick rule can use for a host, broadest first
+ * @param {string} hostname - Hostname of the page
+ * @returns {Array<{scope: string, label: string, pattern: string|Object}>} - Distinct options
+ */
+export function getSitePatternOptions(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  if (parseIpAddress(host)) {
+    return [{ scope: SITE_SCOPES.EXACT, label: `only ${host}`, pattern: { value: host, type: PATTERN_TYPES.CIDR } }];
+  }
+
+  const domain = getRegistrableDomain(host);
+  const options = [
+    { scope: SITE_SCOPES.DOMAIN, label: `${domain} and subdomains`, pattern: { value: domain, type: PATTERN_TYPES.DOMAIN_SUFFIX } }
+  ];
+  if (host !== domain) {
+    options.push({ scope: SITE_SCOPES.HOST, label: `${host} and subdomains`, pattern: { value: host, type: PATTERN_TYPES.DOMAIN_SUFFIX } });
+  }
+  options.push({ scope: SITE_SCOPES.EXACT, label: `only ${host}`, pattern: `^${escapeRegex(host)}$` });
+  return options;
+}
+
+function isSamePattern(a, b) {
+  const left = normalizePattern(a);
+  const right = normalizePattern(b);
+  return left.type === right.type && left.target === right.target && left.value.toLowerCase() === right.value.toLowerCase();
+}
+
+/**
+ * Reads the host a pattern stands for: a domain suffix, a single address, a
+ * glob without wildcards or an exact host regex
+ * @param {string|Object} pattern - Pattern
+ * @returns {{host: string, subdomains: boolean}|null} - null for any other pattern
+ */
+function getPatternHost(pattern) {
+  const { value, target, type } = normalizePattern(pattern);
+  if (target !== PATTERN_TARGETS.HOSTNAME) {
+    return null;
+  }
+
+  switch (type) {
+    case PATTERN_TYPES.DOMAIN_SUFFIX:
+      return { host: value.replace(/^\*?\./, '').toLowerCase(), subdomains: true };
+    case PATTERN_TYPES.CIDR:
+      return value.includes('/') ? null : { host: value.toLowerCase(), subdomains: false };
+    case PATTERN_TYPES.GLOB:
+      return /[*?]/.test(value) ? null : { host: value.toLowerCase(), subdomains: false };
+    default: {
+      const host = value.slice(1, -1).replace(/\\(.)/g, '$1');
+      return value === `^${escapeRegex(host)}$` ? { host: host.toLowerCase(), subdomains: false } : null;
+    }
+  }
+}
+
+/**
+ * Tells whether a stored pattern is the chosen pattern or narrower than it,
+ * so removing it takes nothing away from sites outside the chosen scope
+ * @param {string|Object} existing - Stored pattern
+ * @param {string|Object} pattern - Pattern from getSitePatternOptions
+ * @returns {boolean}
+ */
+function isCoveredByPattern(existing, pattern) {
+  if (isSamePattern(existing, pattern)) {
+    return true;
+  }
+
+  const stored = getPatternHost(existing);
+  const chosen = getPatternHost(pattern);
+  if (!stored || !chosen) {
+    return false;
+  }
+  if (chosen.subdomains) {
+    return stored.host === chosen.host || stored.host.endsWith(`.${chosen.host}`);
+  }
+  return !stored.subdomains && stored.host === chosen.host;
+}
+
+/**
+ * Tells whether a proxy can take quick rules: an enabled proxy routing by patterns
+ * @param {Object} proxy - Proxy configuration
+ * @returns {boolean}
+ */
+export function canRouteSites(proxy) {
+  return !!proxy.enabled && proxy.proxyType !== PAC_PROXY_TYPE && !proxy.routingConfig?.useContainerMode;
+}
+
+/**
+ * Routes a site through a proxy: appends the pattern to the proxy's patterns
+ * and drops it from its exclusions
+ * @param {Object} config - The stored config object
+ * @param {string} proxyId - The proxy to route through
+ * @param {string|Object} pattern - Pattern from getSitePatternOptions
+ * @returns {{config: Object, changed: boolean}} - The new config object and whether anything changed
+ */
+export function routeSiteThroughProxy(config, proxyId, pattern) {
+  let changed = false;
+  const proxies = config.proxies.map(proxy => {
+    if (proxy.id !== proxyId) {
+      return proxy;
+    }
+
+    const patterns = proxy.routingConfig?.patterns || [];
+    const excludePatterns = proxy.routingConfig?.excludePatterns || [];
+    const isRouted = patterns.some(existing => isSamePattern(existing, pattern));
+    const keptExclusions = excludePatterns.filter(existing => !isSamePattern(existing, pattern));
+    if (isRouted && keptExclusions.length === excludePatterns.length) {
+      return proxy;
+    }
+
+    changed = true;
+    return {
+      ...proxy,
+      routingConfig: {
+        ...proxy.routingConfig,
+        patterns: isRouted ? patterns : [...patterns, pattern],
+        excludePatterns: keptExclusions
+      }
+    };
+  });
+
+  return { config: changed ? { ...config, proxies } : config, changed };
+}
+
+/**
+ * Stops routing a site through proxies. Patterns equal to or narrower than the
+ * chosen one are removed; proxies that would still route the site, through
+ * broader patterns, rule lists or containers, exclude the chosen pattern instead.
+ * @param {Object} config - The stored config object
+ * @param {Array<string>} proxyIds - Proxies currently routing the site
+ * @param {string} url - URL of the page
+ * @param {string|Object} pattern - Pattern from getSitePatternOptions
+ * @returns {{config: Object, removed: number, excluded: number}} - The new config object and what was done
+ */
+export function stopRoutingSite(config, proxyIds, url, pattern) {
+  let removed = 0;
+  let excluded = 0;
+
+  const proxies = config.proxies.map(proxy => {
+    if (!proxyIds.includes(proxy.id)) {
+      return proxy;
+    }
+
+    const patterns = proxy.routingConfig?.patterns || [];
+    const keptPatterns = patterns.filter(existing => !isCoveredByPattern(existing, pattern));
+    const routingConfig = { ...proxy.routingConfig, patterns: keptPatterns };
+    removed += patterns.length - keptPatterns.length;
+
+    const stillRouted = proxy.routingConfig?.useContainerMode ||
+      (matchesPatternList(defaultPatternMatcher, url, getRoutingPatterns(routingConfig)) &&
+       !matchesPatternList(defaultPatternMatcher, url, getExcludePatterns(routingConfig)));
+    if (stillRouted) {
+      routingConfig.excludePatterns = [...(proxy.routingConfig?.excludePatterns || []), pattern];
+      excluded++;
+    }
+
+    return { ...proxy, routingConfig };
+  });
+
+  return { config: { ...config, proxies }, removed, excluded };
+}
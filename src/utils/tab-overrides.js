@@ -0,0 +1,41 @@
+import { DEFAULT_PORTS } from '../common/constants.js';
+
+/**
+ * Returns the origin a tab override is bound to, written as the PAC script
+ * sees it: scheme, hostname and port, the port always spelled out, and IPv6
+ * addresses without brackets as Chrome passes them to FindProxyForURL
+ * @param {string} url - Page URL
+ * @returns {string|null} - e.g. "https://intranet.corp:443" or "http://::1:80", or null for non-http(s) URLs
+ */
+export function getOverrideOrigin(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  const scheme = parsed.protocol.slice(0, -1);
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  return `${scheme}://${hostname}:${parsed.port || DEFAULT_PORTS[scheme]}`;
+}
+
+/**
+ * Maps origins to the proxy their newest tab override routes them through,
+ * for browsers whose PAC script cannot tell tabs apart
+ * @param {Iterable<Object>} overrides - Tab overrides ({ proxyId, origin, createdAt })
+ * @returns {Object<string, string|null>} - Proxy ID by origin, null for direct connections
+ */
+export function getOriginOverrides(overrides) {
+  const origins = {};
+  [...overrides]
+    .filter(override => override.origin)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(override => {
+      origins[override.origin] = override.proxyId;
+    });
+  return origins;
+}
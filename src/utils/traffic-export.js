@@ -0,0 +1,127 @@
+import {
+  TRAFFIC_EXPORT_FORMAT,
+  TRAFFIC_EXPORT_VERSION,
+  TRAFFIC_EXPORT_UNITS,
+  TRAFFIC_WINDOWS
+} from '../common/constants.js';
+
+const TOTAL_SOURCE = { id: 'total', name: 'Total' };
+const DIRECTIONS = ['download', 'upload'];
+
+/**
+ * Lists the traffic sources with a series in the data or stats, in the
+ * order of the known sources, with unknown ones named by their key
+ * @param {Array<Object>} data - Data points of getTrafficData
+ * @param {Object} stats - Stats of getTrafficData
+ * @param {Array<{id: string, name: string}>} sources - Known traffic sources
+ * @returns {Array<{id: string, name: string}>} - The total first, then the sources
+ */
+function getExportSources(data, stats, sources) {
+  const ids = new Set(Object.keys(stats?.perProxy || {}));
+  data.forEach(point => {
+    Object.keys(point)
+      .filter(field => field.startsWith('download_') && field !== 'download_total')
+      .forEach(field => ids.add(field.slice('download_'.length)));
+  });
+
+  const known = sources.filter(source => ids.has(source.id));
+  const knownIds = new Set(known.map(source => source.id));
+  const unknown = [...ids].filter(id => !knownIds.has(id)).map(id => ({ id, name: id }));
+
+  return [TOTAL_SOURCE, ...known, ...unknown].map(({ id, name }) => ({ id, name: name || id }));
+}
+
+/**
+ * Builds the export of a traffic window
+ * @param {Object} trafficData - { data, stats, meta } as returned by getTrafficData
+ * @param {Array<{id: string, name: string}>} sources - Traffic sources, to name the series
+ * @param {Object} [options]
+ * @param {string} [options.unit=TRAFFIC_EXPORT_UNITS.BYTES] - Bytes per sample, or bytes per second
+ * @param {Date} [options.exportedAt=new Date()] - Export time
+ * @returns {Object} - { format, version, exportedAt, window, unit, sources, data, stats }
+ */
+export function createTrafficExport(trafficData, sources = [], { unit = TRAFFIC_EXPORT_UNITS.BYTES, exportedAt = new Date() } = {}) {
+  const { data = [], stats = {}, meta = {} } = trafficData || {};
+  const windowSize = meta.windowSize;
+  const sampleInterval = meta.sampleInterval || TRAFFIC_WINDOWS[windowSize]?.sampleInterval || 1000;
+  const isRate = unit === TRAFFIC_EXPORT_UNITS.RATES;
+  // Rollup buckets still filling up are averaged over the whole bucket
+  const convert = (bytes) => isRate ? Math.round(bytes / (sampleInterval / 1000) * 100) / 100 : bytes;
+  const exportSources = getExportSources(data, stats, sources);
+
+  const field = (direction, id) => `${direction}_${id}`;
+  const points = data.map(point => ({
+    timestamp: point.timestamp,
+    time: new Date(point.timestamp).toISOString(),
+    ...Object.fromEntries(DIRECTIONS.map(direction => [
+      direction,
+      Object.fromEntries(exportSources.map(source => [source.id, convert(point[field(direction, source.id)] || 0)]))
+    ]))
+  }));
+
+  // Totals are always bytes, the other statistics follow the unit
+  const convertStat = (stat = {}) => ({
+    current: convert(stat.current || 0),
+    peak: convert(stat.peak || 0),
+    average: convert(stat.average || 0),
+    total: stat.total || 0
+  });
+  const sourceStats = Object.fromEntries(exportSources.map(source => {
+    const sourceStat = source.id === TOTAL_SOURCE.id ? stats : stats.perProxy?.[source.id];
+    return [source.id, Object.fromEntries(DIRECTIONS.map(direction => [direction, convertStat(sourceStat?.[direction])]))];
+  }));
+
+  return {
+    format: TRAFFIC_EXPORT_FORMAT,
+    version: TRAFFIC_EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    window: {
+      id: windowSize,
+      label: TRAFFIC_WINDOWS[windowSize]?.label || windowSize,
+      sampleInterval
+    },
+    unit: isRate ? TRAFFIC_EXPORT_UNITS.RATES : TRAFFIC_EXPORT_UNITS.BYTES,
+    sources: exportSources,
+    data: points,
+    stats: sourceStats
+  };
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {string|number} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a traffic export as CSV: one row per data point with a column per
+ * source and direction, then, after an empty line, the statistics per source
+ * @param {Object} exported - Result of createTrafficExport
+ * @returns {string}
+ */
+export function trafficExportToCsv(exported) {
+  const unitLabel = exported.unit === TRAFFIC_EXPORT_UNITS.RATES ? 'B/s' : 'bytes';
+  const toRow = (fields) => fields.map(toCsvField).join(',');
+  const columns = exported.sources.flatMap(source => DIRECTIONS.map(direction => ({ source, direction })));
+
+  const lines = [
+    toRow(['time', 'timestamp', ...columns.map(({ source, direction }) => `${source.name} ${direction} (${unitLabel})`)]),
+    ...exported.data.map(point => toRow([
+      point.time,
+      point.timestamp,
+      ...columns.map(({ source, direction }) => point[direction][source.id])
+    ])),
+    '',
+    toRow(['source', 'direction', `current (${unitLabel})`, `peak (${unitLabel})`, `average (${unitLabel})`, 'total (bytes)']),
+    ...columns.map(({ source, direction }) => {
+      const stat = exported.stats[source.id][direction];
+      return toRow([source.name, direction, stat.current, stat.peak, stat.average, stat.total]);
+    })
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+}
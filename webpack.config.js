@@ -62,16 +62,27 @@ module.exports = (env) => {
     }
   ];
   
+  const entry = {
+    background: './src/background.js',
+    options: './src/options.js',
+    popup: './src/popup.js',
+    'theme-detector': './src/theme-detector.js',
+  };
+  
+  // Chrome evaluates imported PAC scripts in a sandboxed page; Firefox has no sandbox pages
+  if (target === 'chrome') {
+    entry['pac-sandbox'] = './src/pac-sandbox.js';
+    copyPatterns.push({ from: 'pac-sandbox.html', to: 'pac-sandbox.html' });
+  }
+  
+  // Chunks that must stay self-contained
+  const isolatedChunks = ['background', 'pac-sandbox'];
+  
   
   return {
     // Default to production mode for builds
     mode: process.env.NODE_ENV === 'development' ? 'development' : 'production',
-    entry: {
-      background: './src/background.js',
-      options: './src/options.js',
-      popup: './src/popup.js',
-      'theme-detector': './src/theme-detector.js',
-    },
+    entry,
     output: {
       filename: '[name].js',
       chunkFilename: '[name].js',  // Remove hash from chunk filenames
@@ -134,8 +145,8 @@ module.exports = (env) => {
       moduleIds: 'named',  // Use named module IDs instead of hashed
       splitChunks: {
         chunks: (chunk) => {
-          // Don't split background script for Chrome service workers
-          return chunk.name !== 'background';
+          // Don't split background script for Chrome service workers, nor the PAC sandbox
+          return !isolatedChunks.includes(chunk.name);
         },
         // Use deterministic names without hashes
         name: false,  // Let each cache group define its own name
@@ -144,7 +155,7 @@ module.exports = (env) => {
           preact: {
             test: /[\\/]node_modules[\\/](preact)[\\/]/,
             name: 'vendor-preact',
-            chunks: (chunk) => chunk.name !== 'background',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name),
             priority: 40,
             enforce: true
           },
@@ -152,7 +163,7 @@ module.exports = (env) => {
           charts: {
             test: /[\\/]node_modules[\\/](recharts|d3-.*|lodash)[\\/]/,
             name: 'vendor-charts',
-            chunks: (chunk) => chunk.name !== 'background' && chunk.name !== 'popup',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name) && chunk.name !== 'popup',
             priority: 30,
             enforce: true
           },
@@ -160,7 +171,7 @@ module.exports = (env) => {
           dndkit: {
             test: /[\\/]node_modules[\\/]@dnd-kit[\\/]/,
             name: 'vendor-dnd',
-            chunks: (chunk) => chunk.name !== 'background' && chunk.name !== 'popup',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name) && chunk.name !== 'popup',
             priority: 30,
             enforce: true
           },
@@ -168,7 +179,7 @@ module.exports = (env) => {
           radixui: {
             test: /[\\/]node_modules[\\/]@radix-ui[\\/]/,
             name: 'vendor-ui',
-            chunks: (chunk) => chunk.name !== 'background',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name),
             priority: 20,
             reuseExistingChunk: true
           },
@@ -176,7 +187,7 @@ module.exports = (env) => {
           vendor: {
             test: /[\\/]node_modules[\\/]/,
             name: 'vendor-common',
-            chunks: (chunk) => chunk.name !== 'background',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name),
             priority: 10,
             minChunks: 2,
             reuseExistingChunk: true
@@ -185,7 +196,7 @@ module.exports = (env) => {
           shared: {
             test: /[\\/]src[\\/]/,
             name: 'shared-components',
-            chunks: (chunk) => chunk.name !== 'background',
+            chunks: (chunk) => !isolatedChunks.includes(chunk.name),
             priority: 5,
             minChunks: 2,
             reuseExistingChunk: true